@@ -25,6 +25,7 @@ class MainActivity : AppCompatActivity() {
         Manifest.permission.READ_SMS,
         Manifest.permission.SEND_SMS,
         Manifest.permission.RECEIVE_SMS,
+        Manifest.permission.READ_CONTACTS,
         Manifest.permission.INTERNET
     )
     
@@ -89,28 +89,45 @@ class ServerApi(private val context: Context) {
     /**
      * Send SMS data to the server
      */
-    suspend fun sendSmsEvent(phoneNumber: String, messageBody: String, isReceived: Boolean): Boolean {
+    suspend fun sendSmsEvent(
+        phoneNumber: String,
+        messageBody: String,
+        isReceived: Boolean,
+        contactName: String? = null
+    ): Boolean {
         val eventType = if (isReceived) EventType.SMS_RECEIVED else EventType.SMS_SENT
         
-        val data = mapOf(
+        val data = mutableMapOf(
             "phoneNumber" to phoneNumber,
             "messageBody" to messageBody,
             "messageId" to UUID.randomUUID().toString()
         )
         
+        // Only sent for numbers in the address book
+        if (contactName != null) {
+            data["contactName"] = contactName
+        }
+        
         return sendEvent(eventType, data)
     }
     
     /**
      * Send notification data to the server
      */
-    suspend fun sendNotificationEvent(packageName: String, title: String, text: String, notificationId: String): Boolean {
+    suspend fun sendNotificationEvent(
+        packageName: String,
+        title: String,
+        text: String,
+        notificationId: String,
+        conversationKey: String = ""
+    ): Boolean {
         val data = mapOf(
             "packageName" to packageName,
             "appName" to getAppNameFromPackage(packageName),
             "title" to title,
             "text" to text,
-            "notificationId" to notificationId
+            "notificationId" to notificationId,
+            "conversationKey" to conversationKey
         )
         
         return sendEvent(EventType.NOTIFICATION_RECEIVED, data)
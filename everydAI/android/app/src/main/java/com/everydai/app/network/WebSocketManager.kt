@@ -3,6 +3,7 @@ package com.everydai.app.network
 import android.content.Context
 import android.util.Log
 import com.everydai.app.R
+import com.everydai.app.util.SmsManager
 import kotlinx.coroutines.channels.Channel
 import kotlinx.coroutines.flow.receiveAsFlow
 import okhttp3.*
@@ -79,10 +80,13 @@ class WebSocketManager(private val context: Context) {
     private fun handleCommand(json: JSONObject) {
         when (json.optString("command")) {
             "sendSms" -> {
+                val commandId = json.optString("commandId")
                 val destination = json.optString("destination")
                 val message = json.optString("message")
-                // Delegate to SMS manager
-                // SMSManager.sendSms(destination, message)
+                // Delegate to SMS manager and report the outcome back
+                SmsManager(context).sendSms(destination, message) { success ->
+                    sendCommandResult(commandId, "sendSms", success, if (success) "sent" else "failed")
+                }
             }
             "makeCall" -> {
                 val phoneNumber = json.optString("phoneNumber")
@@ -93,6 +97,19 @@ class WebSocketManager(private val context: Context) {
         }
     }
     
+    private fun sendCommandResult(commandId: String, command: String, success: Boolean, status: String) {
+        val result = JSONObject().apply {
+            put("type", "command_result")
+            put("commandId", commandId)
+            put("command", command)
+            put("success", success)
+            put("status", status)
+            if (!success) put("error", "Command failed on the device")
+        }
+        
+        send(result.toString())
+    }
+    
     private fun handleResponse(json: JSONObject) {
         // Handle server responses to our requests
         val requestId = json.optString("requestId")
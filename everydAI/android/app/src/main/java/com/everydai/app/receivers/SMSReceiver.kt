@@ -3,6 +3,8 @@ package com.everydai.app.receivers
 import android.content.BroadcastReceiver
 import android.content.Context
 import android.content.Intent
+import android.net.Uri
+import android.provider.ContactsContract
 import android.provider.Telephony
 import android.util.Log
 import com.everydai.app.network.ServerApi
@@ -39,8 +41,34 @@ class SMSReceiver : BroadcastReceiver() {
             serverApi.sendSmsEvent(
                 phoneNumber = senderNumber,
                 messageBody = messageBody,
-                isReceived = true
+                isReceived = true,
+                contactName = lookupContactName(context, senderNumber)
             )
         }
     }
+    
+    /**
+     * Look up the contact name for a number, null if it is not in the address book
+     */
+    private fun lookupContactName(context: Context, phoneNumber: String): String? {
+        return try {
+            val uri = Uri.withAppendedPath(
+                ContactsContract.PhoneLookup.CONTENT_FILTER_URI,
+                Uri.encode(phoneNumber)
+            )
+            
+            context.contentResolver.query(
+                uri,
+                arrayOf(ContactsContract.PhoneLookup.DISPLAY_NAME),
+                null,
+                null,
+                null
+            )?.use { cursor ->
+                if (cursor.moveToFirst()) cursor.getString(0) else null
+            }
+        } catch (e: Exception) {
+            Log.e(TAG, "Failed to look up contact", e)
+            null
+        }
+    }
 }
@@ -52,6 +52,12 @@ class NotificationListenerService : NotificationListenerService() {
         // Generate a stable notification ID
         val notificationId = "${sbn.packageName}:${sbn.id}:${sbn.postTime}"
         
+        // Chat apps post one notification per message; these identify the conversation
+        // so the server can collapse a burst of them
+        val conversationKey = notification.shortcutId
+            ?: extras.getCharSequence(Notification.EXTRA_CONVERSATION_TITLE)?.toString()
+            ?: ""
+        
         // Process WhatsApp notifications specially
         if (sbn.packageName == "com.whatsapp") {
             processWhatsAppNotification(sbn, title, text)
@@ -63,7 +69,8 @@ class NotificationListenerService : NotificationListenerService() {
                 packageName = sbn.packageName,
                 title = title,
                 text = text,
-                notificationId = notificationId
+                notificationId = notificationId,
+                conversationKey = conversationKey
             )
         }
     }
@@ -1,4 +1,4 @@
-const { app, BrowserWindow, Tray, Menu, ipcMain, Notification, shell } = require('electron');
+const { app, BrowserWindow, Tray, Menu, ipcMain, Notification, shell, clipboard } = require('electron');
 const path = require('path');
 const axios = require('axios');
 const Store = require('electron-store');
@@ -180,6 +180,49 @@ function connectToServer() {
     }
   });
   
+  // Verification codes: click the notification to copy the code
+  socket.on('otp', (data) => {
+    mainWindow.webContents.send('otp', data);
+    
+    const notif = new Notification({
+      title: `Verification code from ${data.sender}`,
+      body: `${data.code} (click to copy)`,
+      icon: path.join(__dirname, 'assets', 'icon.png')
+    });
+    
+    notif.show();
+    notif.on('click', () => {
+      clipboard.writeText(data.code);
+    });
+  });
+  
+  socket.on('otp_expired', (data) => {
+    mainWindow.webContents.send('otp-expired', data.id);
+  });
+  
+  // Items a filter rule dropped, so they can be reported as false positives
+  socket.on('filtered', (data) => {
+    mainWindow.webContents.send('filtered', data);
+  });
+  
+  socket.on('digest', (data) => {
+    mainWindow.webContents.send('digest', data);
+    
+    // Show desktop notification if enabled
+    if (store.get('notifications')) {
+      const notif = new Notification({
+        title: data.title,
+        body: `${data.count} items`,
+        icon: path.join(__dirname, 'assets', 'icon.png')
+      });
+      
+      notif.show();
+      notif.on('click', () => {
+        mainWindow.show();
+      });
+    }
+  });
+  
   socket.on('call', (data) => {
     mainWindow.webContents.send('call', data);
     
@@ -47,6 +47,22 @@ contextBridge.exposeInMainWorld('api', {
     ipcRenderer.on('call', (event, data) => callback(data));
   },
   
+  onOTP: (callback) => {
+    ipcRenderer.on('otp', (event, data) => callback(data));
+  },
+  
+  onOTPExpired: (callback) => {
+    ipcRenderer.on('otp-expired', (event, id) => callback(id));
+  },
+  
+  onFiltered: (callback) => {
+    ipcRenderer.on('filtered', (event, data) => callback(data));
+  },
+  
+  onDigest: (callback) => {
+    ipcRenderer.on('digest', (event, data) => callback(data));
+  },
+  
   // Navigation events
   onShowSettings: (callback) => {
     ipcRenderer.on('show-settings', () => callback());
@@ -23,6 +23,8 @@ let notificationCount = 0;
 let messageCount = 0;
 let callCount = 0;
 const activityList = [];
+// Verification codes still copyable, by id
+const otpItems = new Map();
 
 // Initialize app
 document.addEventListener('DOMContentLoaded', () => {
@@ -125,6 +127,67 @@ function setupApiCallbacks() {
         });
     });
     
+    // Verification code: click to copy until it expires
+    window.api.onOTP(data => {
+        const listItem = addActivityItem({
+            type: 'otp',
+            title: `Verification code from ${data.sender}`,
+            content: `${data.code} (click to copy)`,
+            time: new Date(),
+            data: data
+        });
+        
+        listItem.addEventListener('click', () => {
+            if (otpItems.has(data.id)) {
+                navigator.clipboard.writeText(data.code);
+            }
+        });
+        otpItems.set(data.id, listItem);
+    });
+    
+    window.api.onOTPExpired(id => {
+        const listItem = otpItems.get(id);
+        
+        if (listItem) {
+            listItem.querySelector('.content').textContent = 'Code expired';
+            otpItems.delete(id);
+        }
+    });
+    
+    // Filtered by a rule: click to report it as important
+    window.api.onFiltered(data => {
+        const listItem = addActivityItem({
+            type: 'filtered',
+            title: `Filtered by rule "${data.ruleName}": ${data.title}`,
+            content: `${data.text || ''} (click if this was important)`,
+            time: new Date(),
+            data: data
+        });
+        
+        listItem.addEventListener('click', () => {
+            window.api.sendMessage({
+                endpoint: `/api/ai/rules/filtered/${data.itemId}/false-positive`,
+                payload: {}
+            });
+            listItem.querySelector('.content').textContent = 'Reported as important';
+        }, { once: true });
+    });
+    
+    // Daily or weekly digest of the items that weren't forwarded
+    window.api.onDigest(data => {
+        const listItem = addActivityItem({
+            type: 'digest',
+            title: `${data.title} (${data.count} items)`,
+            content: '',
+            time: new Date(),
+            data: data
+        });
+        
+        // Set as text: the digest is written by the AI
+        listItem.classList.add('digest');
+        listItem.querySelector('.content').textContent = data.text;
+    });
+    
     // Call
     window.api.onCall(data => {
         callCount++;
@@ -305,6 +368,7 @@ function addActivityItem(activity) {
     `;
     
     activityListEl.prepend(listItem);
+    return listItem;
 }
 
 // Helper functions
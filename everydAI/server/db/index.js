@@ -0,0 +1,105 @@
+const fs = require('fs');
+const path = require('path');
+const BetterSqlite3 = require('better-sqlite3');
+const logger = require('../utils/logger');
+const migrations = require('./migrations');
+const EventRepository = require('./repositories/events');
+const CallRepository = require('./repositories/calls');
+
+// Event history database (":memory:" keeps it in process only)
+const DB_PATH = process.env.DB_PATH || path.join(__dirname, '../config/everydai.db');
+
+/**
+ * Embedded SQLite store for processed events, AI verdicts, calls,
+ * transcripts and summaries. Handlers, routes and services go through
+ * the repositories (database.events, database.calls), never through SQL.
+ */
+class Database {
+    /**
+     * @param {object} options - Database options
+     * @param {string} [options.dbPath] - Database file, or ":memory:"
+     * @param {Array<object>} [options.migrations] - Migrations ({ version, name, up(db) })
+     */
+    constructor(options = {}) {
+        this.dbPath = options.dbPath || DB_PATH;
+        this.db = this.open();
+        this.migrate(options.migrations || migrations);
+        this.events = new EventRepository(this.db);
+        this.calls = new CallRepository(this.db);
+    }
+
+    /**
+     * Open the database file
+     * @returns {BetterSqlite3.Database}
+     */
+    open() {
+        if (this.dbPath !== ':memory:') {
+            const dir = path.dirname(this.dbPath);
+            if (!fs.existsSync(dir)) {
+                fs.mkdirSync(dir, { recursive: true });
+            }
+        }
+
+        const db = new BetterSqlite3(this.dbPath);
+        // Readers don't block the writer
+        db.pragma('journal_mode = WAL');
+        db.pragma('foreign_keys = ON');
+
+        return db;
+    }
+
+    /**
+     * Schema version: the last migration applied
+     * @returns {number}
+     */
+    get version() {
+        const row = this.db.prepare('SELECT MAX(version) AS version FROM schema_migrations').get();
+        return row.version || 0;
+    }
+
+    /**
+     * Apply the migrations newer than the schema, each in its own transaction
+     * @param {Array<object>} list - Migrations ({ version, name, up(db) })
+     */
+    migrate(list) {
+        this.db.exec(`
+            CREATE TABLE IF NOT EXISTS schema_migrations (
+                version INTEGER PRIMARY KEY,
+                name TEXT NOT NULL,
+                applied_at TEXT NOT NULL
+            )
+        `);
+
+        const current = this.version;
+        const pending = [...list]
+            .sort((a, b) => a.version - b.version)
+            .filter(migration => migration.version > current);
+
+        for (const migration of pending) {
+            this.db.transaction(() => {
+                migration.up(this.db);
+                this.db.prepare('INSERT INTO schema_migrations (version, name, applied_at) VALUES (?, ?, ?)')
+                    .run(migration.version, migration.name, new Date().toISOString());
+            })();
+
+            logger.info(`Applied database migration ${migration.version}: ${migration.name}`);
+        }
+
+        logger.info(`Database ready at schema version ${this.version}`);
+    }
+
+    /**
+     * Close the database
+     */
+    close() {
+        if (this.db.open) {
+            this.db.close();
+        }
+    }
+}
+
+// Create singleton instance
+const database = new Database();
+
+module.exports = database;
+module.exports.Database = Database;
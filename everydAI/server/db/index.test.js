@@ -0,0 +1,99 @@
+const path = require('path');
+const BetterSqlite3 = require('better-sqlite3');
+const { Database } = require('./index');
+const migrations = require('./migrations');
+
+/**
+ * Names of the tables and indexes in a database
+ * @param {Database} database - Database
+ * @returns {Array<string>}
+ */
+function schemaOf(database) {
+    return database.db.prepare("SELECT name FROM sqlite_master WHERE type IN ('table', 'index') ORDER BY name")
+        .all()
+        .map(row => row.name);
+}
+
+describe('Database', () => {
+    let dbPath;
+    let opened;
+
+    /**
+     * Open the test database file
+     * @param {Array<object>} [list] - Migrations
+     * @returns {Database}
+     */
+    function open(list) {
+        const database = new Database({ dbPath, migrations: list });
+        opened.push(database);
+        return database;
+    }
+
+    beforeEach(() => {
+        dbPath = path.join(global.TEST_STATE_DIR, `db-${Date.now()}-${Math.random()}.db`);
+        opened = [];
+    });
+
+    afterEach(() => {
+        opened.forEach(database => database.close());
+    });
+
+    test('migrates an empty database to the latest version', () => {
+        const database = open();
+
+        expect(database.version).toBe(Math.max(...migrations.map(migration => migration.version)));
+        expect(schemaOf(database)).toEqual(expect.arrayContaining([
+            'events', 'verdicts', 'calls', 'transcripts', 'summaries', 'events_fts', 'events_group_id'
+        ]));
+        expect(database.db.prepare('SELECT version, name FROM schema_migrations ORDER BY version').all())
+            .toEqual(migrations.map(({ version, name }) => ({ version, name })));
+    });
+
+    test('re-running the migrations changes nothing', () => {
+        const first = open();
+        const schema = schemaOf(first);
+        const applied = first.db.prepare('SELECT * FROM schema_migrations').all();
+        const version = first.version;
+        first.close();
+
+        const second = open();
+        second.migrate(migrations);
+
+        expect(second.version).toBe(version);
+        expect(schemaOf(second)).toEqual(schema);
+        expect(second.db.prepare('SELECT * FROM schema_migrations').all()).toEqual(applied);
+    });
+
+    test('applies only the migrations newer than the schema', () => {
+        // A database left at version 1 by an older server
+        const old = new BetterSqlite3(dbPath);
+        migrations[0].up(old);
+        old.exec('CREATE TABLE schema_migrations (version INTEGER PRIMARY KEY, name TEXT NOT NULL, applied_at TEXT NOT NULL)');
+        old.prepare("INSERT INTO schema_migrations VALUES (1, 'events', '2026-01-01T00:00:00.000Z')").run();
+        old.prepare("INSERT INTO events (id, type, title, content, received_at) VALUES ('e1', 'sms', 'Bank', 'Card declined', '2026-03-02T09:00:00.000Z')").run();
+        old.close();
+
+        const second = open();
+
+        expect(second.version).toBe(3);
+        // Events stored before full-text search was added are indexed too
+        expect(second.events.search({ q: 'declined' }).events.map(event => event.id)).toEqual(['e1']);
+    });
+
+    test('rolls back a migration that fails, and keeps the ones before it', () => {
+        const failing = {
+            version: 4,
+            name: 'broken',
+            up: db => {
+                db.exec('CREATE TABLE half_done (id TEXT)');
+                throw new Error('Migration failed');
+            }
+        };
+
+        expect(() => open([...migrations, failing])).toThrow('Migration failed');
+
+        const database = open();
+        expect(database.version).toBe(3);
+        expect(schemaOf(database)).not.toContain('half_done');
+    });
+});
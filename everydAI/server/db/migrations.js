@@ -0,0 +1,99 @@
+/**
+ * Database migrations, applied in version order. A migration that has
+ * shipped is never edited; schema changes go in a new one.
+ */
+module.exports = [
+    {
+        version: 1,
+        name: 'events, verdicts, calls, transcripts and summaries',
+        up: db => db.exec(`
+            CREATE TABLE events (
+                id TEXT PRIMARY KEY,
+                type TEXT NOT NULL,
+                source TEXT,
+                title TEXT,
+                content TEXT,
+                device_id TEXT,
+                data TEXT NOT NULL DEFAULT '{}',
+                received_at TEXT NOT NULL
+            );
+            CREATE INDEX events_received_at ON events (received_at);
+            CREATE INDEX events_type_received_at ON events (type, received_at);
+
+            CREATE TABLE verdicts (
+                event_id TEXT PRIMARY KEY REFERENCES events (id) ON DELETE CASCADE,
+                important INTEGER NOT NULL DEFAULT 0,
+                filtered INTEGER NOT NULL DEFAULT 0,
+                score REAL,
+                category TEXT,
+                urgency TEXT,
+                route TEXT,
+                reason TEXT,
+                rule_id TEXT,
+                result TEXT NOT NULL DEFAULT '{}',
+                created_at TEXT NOT NULL
+            );
+            CREATE INDEX verdicts_category ON verdicts (category);
+
+            CREATE TABLE calls (
+                id TEXT PRIMARY KEY,
+                phone_number TEXT,
+                device_id TEXT,
+                is_incoming INTEGER NOT NULL DEFAULT 1,
+                status TEXT NOT NULL,
+                started_at TEXT NOT NULL,
+                answered_at TEXT,
+                ended_at TEXT,
+                duration INTEGER,
+                updated_at TEXT NOT NULL
+            );
+            CREATE INDEX calls_status ON calls (status);
+            CREATE INDEX calls_started_at ON calls (started_at);
+
+            CREATE TABLE transcripts (
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                call_id TEXT NOT NULL REFERENCES calls (id) ON DELETE CASCADE,
+                text TEXT NOT NULL,
+                is_final INTEGER NOT NULL DEFAULT 0,
+                created_at TEXT NOT NULL
+            );
+            CREATE INDEX transcripts_call_id ON transcripts (call_id);
+
+            CREATE TABLE summaries (
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                call_id TEXT NOT NULL REFERENCES calls (id) ON DELETE CASCADE,
+                text TEXT NOT NULL,
+                created_at TEXT NOT NULL
+            );
+            CREATE INDEX summaries_call_id ON summaries (call_id);
+        `)
+    },
+    {
+        version: 2,
+        name: 'full-text search over event content and AI output',
+        up: db => db.exec(`
+            CREATE VIRTUAL TABLE events_fts USING fts5 (
+                event_id UNINDEXED,
+                title,
+                content,
+                output,
+                tokenize = 'unicode61 remove_diacritics 2'
+            );
+
+            INSERT INTO events_fts (event_id, title, content, output)
+            SELECT e.id, e.title, e.content,
+                TRIM(COALESCE(json_extract(v.result, '$.summary'), '') || ' ' || COALESCE(v.reason, ''))
+            FROM events e LEFT JOIN verdicts v ON v.event_id = e.id;
+
+            CREATE INDEX events_source ON events (source);
+        `)
+    },
+    {
+        version: 3,
+        name: 'group notification bursts under one event',
+        up: db => db.exec(`
+            ALTER TABLE events ADD COLUMN group_id TEXT REFERENCES events (id);
+            CREATE INDEX events_group_id ON events (group_id);
+        `)
+    }
+];
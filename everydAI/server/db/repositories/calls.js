@@ -0,0 +1,180 @@
+const logger = require('../../utils/logger');
+
+/**
+ * ISO string for a date column
+ * @param {Date|string|null} value - Date, ISO string or nothing
+ * @returns {string|null}
+ */
+function toColumn(value) {
+    return value ? new Date(value).toISOString() : null;
+}
+
+/**
+ * Call records with their transcripts and summaries
+ */
+class CallRepository {
+    /**
+     * @param {BetterSqlite3.Database} db - Open database
+     */
+    constructor(db) {
+        this.db = db;
+        this.statements = {
+            upsert: db.prepare(`
+                INSERT INTO calls (id, phone_number, device_id, is_incoming, status, started_at, answered_at, ended_at, duration, updated_at)
+                VALUES (@id, @phoneNumber, @deviceId, @isIncoming, @status, @startedAt, @answeredAt, @endedAt, @duration, @updatedAt)
+                ON CONFLICT (id) DO UPDATE SET
+                    phone_number = COALESCE(excluded.phone_number, calls.phone_number),
+                    device_id = COALESCE(excluded.device_id, calls.device_id),
+                    is_incoming = excluded.is_incoming, status = excluded.status,
+                    answered_at = COALESCE(excluded.answered_at, calls.answered_at),
+                    ended_at = COALESCE(excluded.ended_at, calls.ended_at),
+                    duration = COALESCE(excluded.duration, calls.duration), updated_at = excluded.updated_at
+            `),
+            get: db.prepare('SELECT * FROM calls WHERE id = ?'),
+            active: db.prepare("SELECT * FROM calls WHERE status != 'ended' ORDER BY started_at DESC"),
+            addTranscript: db.prepare('INSERT INTO transcripts (call_id, text, is_final, created_at) VALUES (?, ?, ?, ?)'),
+            transcriptOf: db.prepare('SELECT text, is_final, created_at FROM transcripts WHERE call_id = ? ORDER BY id'),
+            addSummary: db.prepare('INSERT INTO summaries (call_id, text, created_at) VALUES (?, ?, ?)'),
+            summaryOf: db.prepare('SELECT text FROM summaries WHERE call_id = ? ORDER BY id DESC LIMIT 1')
+        };
+    }
+
+    /**
+     * Store a call, or update it if it's already stored (fields the
+     * update leaves out keep their stored value)
+     * @param {object} call - Call as tracked by the call service
+     * @returns {boolean} - Whether the call was stored
+     */
+    upsert(call) {
+        try {
+            this.statements.upsert.run({
+                id: call.callId,
+                phoneNumber: call.phoneNumber || null,
+                deviceId: call.deviceId || null,
+                isIncoming: call.isIncoming === false ? 0 : 1,
+                status: call.status || 'ringing',
+                startedAt: toColumn(call.startTime) || new Date().toISOString(),
+                answeredAt: toColumn(call.answeredAt),
+                endedAt: toColumn(call.endedAt),
+                duration: typeof call.duration === 'number' ? call.duration : null,
+                updatedAt: new Date().toISOString()
+            });
+            return true;
+        } catch (error) {
+            logger.error(`Error storing call ${call.callId}: ${error.message}`);
+            return false;
+        }
+    }
+
+    /**
+     * Add a piece of transcript to a call
+     * @param {string} callId - Call id
+     * @param {string} text - Transcribed text
+     * @param {boolean} isFinal - Whether it is the final transcript
+     */
+    addTranscript(callId, text, isFinal = false) {
+        try {
+            this.statements.addTranscript.run(callId, text, isFinal ? 1 : 0, new Date().toISOString());
+        } catch (error) {
+            logger.error(`Error storing transcript for call ${callId}: ${error.message}`);
+        }
+    }
+
+    /**
+     * Add a summary to a call
+     * @param {string} callId - Call id
+     * @param {string} text - Summary
+     */
+    addSummary(callId, text) {
+        try {
+            this.statements.addSummary.run(callId, text, new Date().toISOString());
+        } catch (error) {
+            logger.error(`Error storing summary for call ${callId}: ${error.message}`);
+        }
+    }
+
+    /**
+     * Full transcript of a call. A final transcript replaces the pieces
+     * that came in while the call was going on.
+     * @param {string} callId - Call id
+     * @returns {string}
+     */
+    transcriptOf(callId) {
+        const rows = this.statements.transcriptOf.all(callId);
+        const final = rows.filter(row => row.is_final);
+
+        return (final.length > 0 ? final : rows).map(row => row.text).join(' ').trim();
+    }
+
+    /**
+     * Turn a row into a call, in the call service's shape
+     * @param {object} row - calls row
+     * @returns {object}
+     */
+    toCall(row) {
+        const summary = this.statements.summaryOf.get(row.id);
+
+        return {
+            callId: row.id,
+            phoneNumber: row.phone_number,
+            deviceId: row.device_id,
+            isIncoming: Boolean(row.is_incoming),
+            status: row.status,
+            startTime: row.started_at,
+            answeredAt: row.answered_at || undefined,
+            endedAt: row.ended_at || undefined,
+            duration: row.duration === null ? undefined : row.duration,
+            transcript: this.transcriptOf(row.id),
+            summary: summary ? summary.text : undefined
+        };
+    }
+
+    /**
+     * Get a call with its transcript and summary
+     * @param {string} callId - Call id
+     * @returns {object|null}
+     */
+    get(callId) {
+        const row = this.statements.get.get(callId);
+        return row ? this.toCall(row) : null;
+    }
+
+    /**
+     * Calls that haven't ended
+     * @returns {Array<object>}
+     */
+    active() {
+        return this.statements.active.all().map(row => this.toCall(row));
+    }
+
+    /**
+     * Call history, most recent first
+     * @param {object} filter - { status, phoneNumber, limit }
+     * @returns {Array<object>}
+     */
+    list(filter = {}) {
+        const conditions = [];
+        const params = {};
+
+        if (filter.status) {
+            conditions.push('status = @status');
+            params.status = filter.status;
+        }
+
+        if (filter.phoneNumber) {
+            conditions.push('phone_number = @phoneNumber');
+            params.phoneNumber = filter.phoneNumber;
+        }
+
+        params.limit = Math.min(filter.limit || 50, 500);
+
+        return this.db.prepare(`
+            SELECT * FROM calls
+            ${conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : ''}
+            ORDER BY started_at DESC
+            LIMIT @limit
+        `).all(params).map(row => this.toCall(row));
+    }
+}
+
+module.exports = CallRepository;
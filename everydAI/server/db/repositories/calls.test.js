@@ -0,0 +1,112 @@
+const { Database } = require('../index');
+const logger = require('../../utils/logger');
+
+describe('CallRepository', () => {
+    let database;
+    let calls;
+
+    beforeEach(() => {
+        database = new Database({ dbPath: ':memory:' });
+        calls = database.calls;
+    });
+
+    afterEach(() => {
+        database.close();
+    });
+
+    test('stores a call and reads it back', () => {
+        expect(calls.upsert({
+            callId: 'c1',
+            phoneNumber: '+15550001',
+            deviceId: 'phone',
+            isIncoming: true,
+            status: 'ringing',
+            startTime: new Date('2026-03-02T09:00:00Z')
+        })).toBe(true);
+
+        expect(calls.get('c1')).toEqual({
+            callId: 'c1',
+            phoneNumber: '+15550001',
+            deviceId: 'phone',
+            isIncoming: true,
+            status: 'ringing',
+            startTime: '2026-03-02T09:00:00.000Z',
+            answeredAt: undefined,
+            endedAt: undefined,
+            duration: undefined,
+            transcript: '',
+            summary: undefined
+        });
+    });
+
+    test('an update keeps the fields it leaves out', () => {
+        calls.upsert({ callId: 'c1', phoneNumber: '+15550001', deviceId: 'phone', status: 'ringing', startTime: '2026-03-02T09:00:00Z' });
+        calls.upsert({ callId: 'c1', status: 'answered', answeredAt: '2026-03-02T09:00:05Z' });
+        calls.upsert({ callId: 'c1', status: 'ended', endedAt: '2026-03-02T09:01:05Z', duration: 60 });
+
+        expect(calls.get('c1')).toMatchObject({
+            phoneNumber: '+15550001',
+            deviceId: 'phone',
+            status: 'ended',
+            startTime: '2026-03-02T09:00:00.000Z',
+            answeredAt: '2026-03-02T09:00:05.000Z',
+            endedAt: '2026-03-02T09:01:05.000Z',
+            duration: 60
+        });
+    });
+
+    test('an unknown call is null', () => {
+        expect(calls.get('missing')).toBeNull();
+    });
+
+    test('a final transcript replaces the pieces before it', () => {
+        calls.upsert({ callId: 'c1', status: 'answered' });
+        calls.addTranscript('c1', 'Hello,');
+        calls.addTranscript('c1', 'is that you?');
+
+        expect(calls.transcriptOf('c1')).toBe('Hello, is that you?');
+
+        calls.addTranscript('c1', 'Hello, is that you? Yes.', true);
+
+        expect(calls.get('c1').transcript).toBe('Hello, is that you? Yes.');
+    });
+
+    test('the latest summary wins', () => {
+        calls.upsert({ callId: 'c1', status: 'ended' });
+        calls.addSummary('c1', 'First');
+        calls.addSummary('c1', 'Second');
+
+        expect(calls.get('c1').summary).toBe('Second');
+    });
+
+    test('a transcript for an unknown call is logged, not stored', () => {
+        const error = jest.spyOn(logger, 'error').mockImplementation(() => {});
+
+        try {
+            calls.addTranscript('missing', 'Hello');
+
+            expect(calls.transcriptOf('missing')).toBe('');
+            expect(error).toHaveBeenCalledWith(expect.stringContaining('call missing'));
+        } finally {
+            error.mockRestore();
+        }
+    });
+
+    test('active leaves out ended calls', () => {
+        calls.upsert({ callId: 'c1', status: 'answered', startTime: '2026-03-02T09:00:00Z' });
+        calls.upsert({ callId: 'c2', status: 'ended', startTime: '2026-03-02T09:05:00Z' });
+
+        expect(calls.active().map(call => call.callId)).toEqual(['c1']);
+    });
+
+    test('list filters by status and number, most recent first', () => {
+        calls.upsert({ callId: 'c1', phoneNumber: '+15550001', status: 'ended', startTime: '2026-03-02T09:00:00Z' });
+        calls.upsert({ callId: 'c2', phoneNumber: '+15550002', status: 'ended', startTime: '2026-03-02T10:00:00Z' });
+        calls.upsert({ callId: 'c3', phoneNumber: '+15550001', status: 'missed', startTime: '2026-03-02T11:00:00Z' });
+
+        expect(calls.list().map(call => call.callId)).toEqual(['c3', 'c2', 'c1']);
+        expect(calls.list({ status: 'ended' }).map(call => call.callId)).toEqual(['c2', 'c1']);
+        expect(calls.list({ phoneNumber: '+15550001' }).map(call => call.callId)).toEqual(['c3', 'c1']);
+        expect(calls.list({ limit: 1 }).map(call => call.callId)).toEqual(['c3']);
+    });
+});
@@ -0,0 +1,367 @@
+const { v4: uuidv4 } = require('uuid');
+const logger = require('../../utils/logger');
+
+// Events joined with their verdict (verdict_event_id is null when there is none)
+const SELECT_EVENTS = `
+    SELECT e.*, v.event_id AS verdict_event_id, v.important, v.filtered, v.score, v.category,
+        v.urgency, v.route, v.reason, v.rule_id, v.result, v.created_at AS verdict_at
+    FROM events e LEFT JOIN verdicts v ON v.event_id = e.id
+`;
+
+// Page size of search when none is given, and the largest allowed
+const DEFAULT_LIMIT = 50;
+const MAX_LIMIT = 500;
+
+/**
+ * Parse a JSON column
+ * @param {string} value - Column value
+ * @returns {object}
+ */
+function parseColumn(value) {
+    try {
+        return JSON.parse(value || '{}');
+    } catch (error) {
+        return {};
+    }
+}
+
+/**
+ * Processed notifications, SMS and call events, with the AI verdict
+ * each one got
+ */
+class EventRepository {
+    /**
+     * @param {BetterSqlite3.Database} db - Open database
+     */
+    constructor(db) {
+        this.db = db;
+        this.statements = {
+            insert: db.prepare(`
+                INSERT INTO events (id, type, source, title, content, device_id, data, received_at)
+                VALUES (@id, @type, @source, @title, @content, @deviceId, @data, @receivedAt)
+            `),
+            index: db.prepare('INSERT INTO events_fts (event_id, title, content, output) VALUES (?, ?, ?, ?)'),
+            indexOutput: db.prepare('UPDATE events_fts SET output = ? WHERE event_id = ?'),
+            upsertVerdict: db.prepare(`
+                INSERT INTO verdicts (event_id, important, filtered, score, category, urgency, route, reason, rule_id, result, created_at)
+                VALUES (@eventId, @important, @filtered, @score, @category, @urgency, @route, @reason, @ruleId, @result, @createdAt)
+                ON CONFLICT (event_id) DO UPDATE SET
+                    important = excluded.important, filtered = excluded.filtered, score = excluded.score,
+                    category = excluded.category, urgency = excluded.urgency, route = excluded.route,
+                    reason = excluded.reason, rule_id = excluded.rule_id, result = excluded.result,
+                    created_at = excluded.created_at
+            `),
+            get: db.prepare(`${SELECT_EVENTS} WHERE e.id = ?`),
+            setGroup: db.prepare('UPDATE events SET group_id = ? WHERE id = ?'),
+            members: db.prepare(`${SELECT_EVENTS} WHERE e.group_id = ? ORDER BY e.received_at, e.id`)
+        };
+    }
+
+    /**
+     * Searchable fields of a device event
+     * @param {string} type - Event type (notification, sms, call)
+     * @param {object} data - Event data from the device
+     * @returns {object} - { source, title, content }
+     */
+    fieldsOf(type, data) {
+        switch (type) {
+            case 'notification':
+                return { source: data.packageName || data.appName || null, title: data.title || null, content: data.text || null };
+            case 'sms':
+                return { source: data.phoneNumber || null, title: data.contactName || null, content: data.messageBody || null };
+            case 'call':
+                return { source: data.phoneNumber || null, title: data.callType || null, content: data.transcript || null };
+            default:
+                return { source: null, title: null, content: null };
+        }
+    }
+
+    /**
+     * Store an event as it arrives
+     * @param {string} type - Event type (notification, sms, call)
+     * @param {object} data - Event data from the device
+     * @param {object} device - Device that sent it
+     * @returns {object|null} - Stored event, or null if it couldn't be stored
+     */
+    record(type, data, device) {
+        return this.recordGroup(type, data, device, []);
+    }
+
+    /**
+     * Store an event that stands for other stored events (a burst of
+     * notifications from one conversation). The members stay in storage,
+     * pointing at the group, and search leaves them out.
+     * @param {string} type - Event type (notification, sms, call)
+     * @param {object} data - Event data
+     * @param {object} device - Device that sent it
+     * @param {Array<string>} memberIds - Ids of the events it groups
+     * @returns {object|null} - Stored event, or null if it couldn't be stored
+     */
+    recordGroup(type, data, device, memberIds) {
+        try {
+            const event = {
+                id: uuidv4(),
+                type,
+                ...this.fieldsOf(type, data),
+                deviceId: device ? device.id : null,
+                data: JSON.stringify(data),
+                receivedAt: new Date().toISOString()
+            };
+
+            this.db.transaction(() => {
+                this.statements.insert.run(event);
+                this.statements.index.run(event.id, event.title, event.content, '');
+                memberIds.forEach(memberId => this.statements.setGroup.run(event.id, memberId));
+            })();
+            return { ...event, data };
+        } catch (error) {
+            logger.error(`Error storing ${type} event: ${error.message}`);
+            return null;
+        }
+    }
+
+    /**
+     * Store the outcome of processing an event
+     * @param {string} eventId - Event id
+     * @param {object} result - Processing result (processNotification, processSMS, ...)
+     */
+    saveVerdict(eventId, result) {
+        try {
+            const { entities, suggestions, ...rest } = result;
+
+            this.db.transaction(() => {
+                this.statements.upsertVerdict.run({
+                    eventId,
+                    important: result.processed || result.important ? 1 : 0,
+                    filtered: result.filtered ? 1 : 0,
+                    score: typeof result.score === 'number' ? result.score : null,
+                    category: result.category || null,
+                    urgency: result.urgency || null,
+                    route: result.route || null,
+                    reason: result.reason || null,
+                    ruleId: result.rule ? result.rule.id : null,
+                    result: JSON.stringify({ ...rest, entities: entities || [], suggestions: suggestions || [] }),
+                    createdAt: new Date().toISOString()
+                });
+
+                // What the AI said about it is searchable too
+                this.statements.indexOutput.run([result.summary, result.reason].filter(Boolean).join(' '), eventId);
+            })();
+        } catch (error) {
+            logger.error(`Error storing verdict for event ${eventId}: ${error.message}`);
+        }
+    }
+
+    /**
+     * Turn a row into an event
+     * @param {object} row - events row, joined with its verdict
+     * @returns {object}
+     */
+    toEvent(row) {
+        return {
+            id: row.id,
+            type: row.type,
+            source: row.source,
+            title: row.title,
+            content: row.content,
+            deviceId: row.device_id,
+            groupId: row.group_id || null,
+            receivedAt: row.received_at,
+            data: parseColumn(row.data),
+            verdict: row.verdict_event_id ? {
+                important: Boolean(row.important),
+                filtered: Boolean(row.filtered),
+                score: row.score,
+                category: row.category,
+                urgency: row.urgency,
+                route: row.route,
+                reason: row.reason,
+                ruleId: row.rule_id,
+                result: parseColumn(row.result),
+                at: row.verdict_at
+            } : null
+        };
+    }
+
+    /**
+     * Get an event with its verdict, and the events it groups if it's a group
+     * @param {string} id - Event id
+     * @returns {object|null}
+     */
+    get(id) {
+        const row = this.statements.get.get(id);
+        if (!row) {
+            return null;
+        }
+
+        const event = this.toEvent(row);
+        const members = this.members(id);
+
+        return members.length > 0 ? { ...event, members } : event;
+    }
+
+    /**
+     * Events a group stands for, oldest first
+     * @param {string} groupId - Group event id
+     * @returns {Array<object>}
+     */
+    members(groupId) {
+        return this.statements.members.all(groupId).map(row => this.toEvent(row));
+    }
+
+    /**
+     * Cursor that continues a search after an event
+     * @param {object} event - Last event of a page
+     * @returns {string}
+     */
+    encodeCursor(event) {
+        return Buffer.from(JSON.stringify([event.receivedAt, event.id])).toString('base64url');
+    }
+
+    /**
+     * Read a cursor made by encodeCursor
+     * @param {string} cursor - Cursor
+     * @returns {object|null} - { receivedAt, id }, or null if it isn't a cursor
+     */
+    decodeCursor(cursor) {
+        try {
+            const [receivedAt, id] = JSON.parse(Buffer.from(cursor, 'base64url').toString());
+            return typeof receivedAt === 'string' && typeof id === 'string' ? { receivedAt, id } : null;
+        } catch (error) {
+            return null;
+        }
+    }
+
+    /**
+     * Turn search text into an FTS5 query: every word has to appear,
+     * as a word or the start of one
+     * @param {string} text - Search text
+     * @returns {string|null}
+     */
+    toMatchQuery(text) {
+        const words = String(text).match(/[\p{L}\p{N}]+/gu) || [];
+        return words.length > 0 ? words.map(word => `"${word}"*`).join(' ') : null;
+    }
+
+    /**
+     * Search events, most recent first. The order is stable (time, then id),
+     * so nextCursor continues exactly where a page ended.
+     * @param {object} filter - Search filter
+     * @param {string|Array<string>} [filter.type] - notification, sms and/or call
+     * @param {string} [filter.since] - Received at or after (ISO date)
+     * @param {string} [filter.until] - Received before (ISO date)
+     * @param {string} [filter.app] - Notification package or app name
+     * @param {string} [filter.sender] - Number the SMS or call came from (prefix), or contact name
+     * @param {string} [filter.category] - Category the AI gave it
+     * @param {string|Array<string>} [filter.route] - Where its category sent it (instant, summary, digest, drop)
+     * @param {number} [filter.minScore] - Lowest importance score
+     * @param {boolean} [filter.important] - Only events that were (or weren't) passed on
+     * @param {boolean} [filter.filtered] - Only events a rule did (or didn't) filter
+     * @param {string} [filter.q] - Full-text search over content and AI output
+     * @param {string} [filter.groupId] - Only the members of this group (members are left out otherwise)
+     * @param {string} [filter.cursor] - nextCursor of the previous page
+     * @param {number} [filter.limit] - Page size
+     * @returns {object} - { events, nextCursor }
+     */
+    search(filter = {}) {
+        const conditions = [];
+        const params = {};
+        const types = [].concat(filter.type || []);
+
+        // Members of a group are found through their group
+        if (filter.groupId) {
+            conditions.push('e.group_id = @groupId');
+            params.groupId = filter.groupId;
+        } else {
+            conditions.push('e.group_id IS NULL');
+        }
+
+        if (types.length > 0) {
+            conditions.push(`e.type IN (${types.map((type, i) => `@type${i}`).join(', ')})`);
+            types.forEach((type, i) => { params[`type${i}`] = type; });
+        }
+
+        if (filter.since) {
+            conditions.push('e.received_at >= @since');
+            params.since = filter.since;
+        }
+
+        if (filter.until) {
+            conditions.push('e.received_at < @until');
+            params.until = filter.until;
+        }
+
+        if (filter.app) {
+            conditions.push(`e.type = 'notification' AND (e.source = @app COLLATE NOCASE
+                OR json_extract(e.data, '$.appName') = @app COLLATE NOCASE)`);
+            params.app = filter.app;
+        }
+
+        if (filter.sender) {
+            conditions.push(`e.type IN ('sms', 'call') AND (e.source LIKE @senderPrefix ESCAPE '\\'
+                OR json_extract(e.data, '$.contactName') = @sender COLLATE NOCASE)`);
+            params.sender = filter.sender;
+            params.senderPrefix = `${filter.sender.replace(/[\\%_]/g, '\\$&')}%`;
+        }
+
+        if (filter.category) {
+            conditions.push('v.category = @category');
+            params.category = filter.category;
+        }
+
+        const routes = [].concat(filter.route || []);
+        if (routes.length > 0) {
+            conditions.push(`v.route IN (${routes.map((route, i) => `@route${i}`).join(', ')})`);
+            routes.forEach((route, i) => { params[`route${i}`] = route; });
+        }
+
+        if (typeof filter.minScore === 'number') {
+            conditions.push('v.score >= @minScore');
+            params.minScore = filter.minScore;
+        }
+
+        if (typeof filter.important === 'boolean') {
+            conditions.push(filter.important ? 'v.important = 1' : 'COALESCE(v.important, 0) = 0');
+        }
+
+        if (typeof filter.filtered === 'boolean') {
+            conditions.push(filter.filtered ? 'v.filtered = 1' : 'COALESCE(v.filtered, 0) = 0');
+        }
+
+        const match = filter.q ? this.toMatchQuery(filter.q) : null;
+        if (match) {
+            conditions.push('e.id IN (SELECT event_id FROM events_fts WHERE events_fts MATCH @match)');
+            params.match = match;
+        }
+
+        const after = filter.cursor ? this.decodeCursor(filter.cursor) : null;
+        if (after) {
+            conditions.push('(e.received_at < @afterAt OR (e.received_at = @afterAt AND e.id < @afterId))');
+            params.afterAt = after.receivedAt;
+            params.afterId = after.id;
+        }
+
+        const limit = Math.min(filter.limit || DEFAULT_LIMIT, MAX_LIMIT);
+        // One more than a page tells whether there is a next one
+        params.limit = limit + 1;
+
+        const events = this.db.prepare(`
+            ${SELECT_EVENTS}
+            ${conditions.length > 0 ? `WHERE ${conditions.map(condition => `(${condition})`).join(' AND ')}` : ''}
+            ORDER BY e.received_at DESC, e.id DESC
+            LIMIT @limit
+        `).all(params).map(row => this.toEvent(row));
+
+        const hasMore = events.length > limit;
+        if (hasMore) {
+            events.pop();
+        }
+
+        return {
+            events,
+            nextCursor: hasMore ? this.encodeCursor(events[events.length - 1]) : null
+        };
+    }
+}
+
+module.exports = EventRepository;
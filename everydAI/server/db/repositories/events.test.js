@@ -0,0 +1,231 @@
+const { Database } = require('../index');
+
+/**
+ * Page through a search until there is no next page
+ * @param {object} events - EventRepository
+ * @param {object} filter - Search filter
+ * @returns {Array<string>} - Event ids, in page order
+ */
+function pageThrough(events, filter) {
+    const ids = [];
+    let cursor = null;
+
+    do {
+        const page = events.search({ ...filter, cursor });
+        ids.push(...page.events.map(event => event.id));
+        cursor = page.nextCursor;
+    } while (cursor);
+
+    return ids;
+}
+
+describe('EventRepository', () => {
+    let database;
+    let events;
+
+    beforeEach(() => {
+        jest.useFakeTimers({ now: new Date('2026-03-02T09:00:00Z') });
+        database = new Database({ dbPath: ':memory:' });
+        events = database.events;
+    });
+
+    afterEach(() => {
+        database.close();
+        jest.useRealTimers();
+    });
+
+    describe('storage', () => {
+        test('stores an event with its searchable fields', () => {
+            const data = { packageName: 'com.parcels', title: 'Delivery', text: 'Your parcel arrives today' };
+            const event = events.record('notification', data, { id: 'phone' });
+
+            expect(events.get(event.id)).toEqual({
+                id: event.id,
+                type: 'notification',
+                source: 'com.parcels',
+                title: 'Delivery',
+                content: 'Your parcel arrives today',
+                deviceId: 'phone',
+                groupId: null,
+                receivedAt: '2026-03-02T09:00:00.000Z',
+                data,
+                verdict: null
+            });
+        });
+
+        test('saving a verdict again replaces it', () => {
+            const event = events.record('sms', { phoneNumber: '+15550001', messageBody: 'Hi' }, null);
+            events.saveVerdict(event.id, { important: true, score: 0.9, category: 'personal', entities: [{ type: 'url' }] });
+            events.saveVerdict(event.id, { filtered: true, rule: { id: 'rule-1' } });
+
+            expect(events.get(event.id).verdict).toMatchObject({
+                important: false,
+                filtered: true,
+                score: null,
+                category: null,
+                ruleId: 'rule-1',
+                result: { entities: [], suggestions: [] }
+            });
+        });
+
+        test('a group lists its members, which search leaves out', () => {
+            const first = events.record('notification', { packageName: 'org.example.chat', text: 'Hi' }, null);
+            jest.advanceTimersByTime(1000);
+            const second = events.record('notification', { packageName: 'org.example.chat', text: 'Are you there?' }, null);
+            jest.advanceTimersByTime(1000);
+            const group = events.recordGroup('notification', { packageName: 'org.example.chat', text: 'Hi\nAre you there?' }, null, [first.id, second.id]);
+
+            expect(events.get(group.id).members.map(member => member.id)).toEqual([first.id, second.id]);
+            expect(events.search().events.map(event => event.id)).toEqual([group.id]);
+            expect(events.search({ groupId: group.id }).events.map(event => event.id)).toEqual([second.id, first.id]);
+        });
+
+        test('an unknown event is null', () => {
+            expect(events.get('missing')).toBeNull();
+        });
+    });
+
+    describe('cursors', () => {
+        test('round-trip the received time and id', () => {
+            const event = { receivedAt: '2026-03-02T09:00:00.000Z', id: 'abc' };
+
+            expect(events.decodeCursor(events.encodeCursor(event))).toEqual(event);
+        });
+
+        test.each([
+            ['not base64 JSON', 'garbage'],
+            ['the wrong shape', Buffer.from(JSON.stringify({ id: 'abc' })).toString('base64url')],
+            ['a number for the id', Buffer.from(JSON.stringify(['2026-03-02T09:00:00.000Z', 1])).toString('base64url')]
+        ])('%s is not a cursor', (label, cursor) => {
+            expect(events.decodeCursor(cursor)).toBeNull();
+        });
+
+        test('a malformed cursor starts from the first page', () => {
+            events.record('sms', { phoneNumber: '+15550001', messageBody: 'Hi' }, null);
+
+            expect(events.search({ cursor: 'garbage' }).events).toHaveLength(1);
+        });
+    });
+
+    describe('pagination', () => {
+        test('pages newest first without duplicates or gaps', () => {
+            const recorded = [];
+            for (let i = 0; i < 7; i++) {
+                recorded.push(events.record('sms', { phoneNumber: '+15550001', messageBody: `Message ${i}` }, null).id);
+                jest.advanceTimersByTime(1000);
+            }
+
+            expect(pageThrough(events, { limit: 3 })).toEqual([...recorded].reverse());
+        });
+
+        test('breaks ties on the received time by id', () => {
+            // The clock is frozen, so every event has the same received time
+            const recorded = [];
+            for (let i = 0; i < 7; i++) {
+                recorded.push(events.record('sms', { phoneNumber: '+15550001', messageBody: `Message ${i}` }, null).id);
+            }
+
+            const ids = pageThrough(events, { limit: 2 });
+
+            expect(ids).toHaveLength(7);
+            expect(new Set(ids)).toEqual(new Set(recorded));
+            expect(ids).toEqual([...recorded].sort().reverse());
+        });
+
+        test('the last page has no next cursor', () => {
+            events.record('sms', { phoneNumber: '+15550001', messageBody: 'Hi' }, null);
+
+            expect(events.search({ limit: 1 }).nextCursor).toBeNull();
+        });
+    });
+
+    describe('toMatchQuery', () => {
+        test('quotes each word as a prefix term', () => {
+            expect(events.toMatchQuery('Parcel deliv')).toBe('"Parcel"* "deliv"*');
+        });
+
+        test('drops FTS syntax from the input', () => {
+            expect(events.toMatchQuery('"bank" OR -code*')).toBe('"bank"* "OR"* "code"*');
+        });
+
+        test('is null without words', () => {
+            expect(events.toMatchQuery(' *"- ')).toBeNull();
+        });
+    });
+
+    describe('filters', () => {
+        let parcel;
+        let bank;
+        let mom;
+        let percent;
+        let underscore;
+
+        beforeEach(() => {
+            parcel = events.record('notification', { packageName: 'com.parcels', appName: 'Parcels', title: 'Delivery', text: 'Your parcel arrives today' }, null);
+            events.saveVerdict(parcel.id, { important: true, score: 0.8, category: 'deliveries', route: 'summary', reason: 'Parcel update' });
+            jest.advanceTimersByTime(1000);
+
+            bank = events.record('sms', { phoneNumber: '+15550001', contactName: 'Bank', messageBody: 'Card payment declined' }, null);
+            events.saveVerdict(bank.id, { important: true, score: 0.95, category: 'finance', route: 'instant', reason: 'Declined payment' });
+            jest.advanceTimersByTime(1000);
+
+            mom = events.record('sms', { phoneNumber: '+15550002', contactName: 'Mom', messageBody: 'Call me back' }, null);
+            events.saveVerdict(mom.id, { filtered: true, score: 0.1, rule: { id: 'rule-1' } });
+            jest.advanceTimersByTime(1000);
+
+            percent = events.record('sms', { phoneNumber: '50%off', messageBody: 'Sale' }, null);
+            jest.advanceTimersByTime(1000);
+
+            underscore = events.record('call', { phoneNumber: 'a_b', callType: 'incoming' }, null);
+        });
+
+        /**
+         * Ids a search finds
+         * @param {object} filter - Search filter
+         * @returns {Array<string>}
+         */
+        function find(filter) {
+            return events.search(filter).events.map(event => event.id);
+        }
+
+        test('q searches content and the AI output', () => {
+            expect(find({ q: 'parcel' })).toEqual([parcel.id]);
+            expect(find({ q: 'declined payment' })).toEqual([bank.id]);
+        });
+
+        test('app matches the package or app name', () => {
+            expect(find({ app: 'com.parcels' })).toEqual([parcel.id]);
+            expect(find({ app: 'parcels' })).toEqual([parcel.id]);
+            expect(find({ app: 'com.other' })).toEqual([]);
+        });
+
+        test('sender matches a number prefix or the contact name', () => {
+            expect(find({ sender: '+1555000' })).toEqual([mom.id, bank.id]);
+            expect(find({ sender: 'mom' })).toEqual([mom.id]);
+        });
+
+        test('sender treats LIKE wildcards literally', () => {
+            expect(find({ sender: '50%' })).toEqual([percent.id]);
+            expect(find({ sender: '%' })).toEqual([]);
+            expect(find({ sender: 'a_b' })).toEqual([underscore.id]);
+            expect(find({ sender: '_' })).toEqual([]);
+        });
+
+        test('category, route and minScore match the verdict', () => {
+            expect(find({ category: 'finance' })).toEqual([bank.id]);
+            expect(find({ route: 'summary' })).toEqual([parcel.id]);
+            expect(find({ route: ['instant', 'summary'] })).toEqual([bank.id, parcel.id]);
+            expect(find({ minScore: 0.8 })).toEqual([bank.id, parcel.id]);
+        });
+
+        test('filtered matches events a rule did or didn\'t filter', () => {
+            expect(find({ filtered: true })).toEqual([mom.id]);
+            expect(find({ filtered: false })).toEqual([underscore.id, percent.id, bank.id, parcel.id]);
+        });
+
+        test('filters combine', () => {
+            expect(find({ type: 'sms', minScore: 0.5 })).toEqual([bank.id]);
+            expect(find({ sender: '+1555000', filtered: false })).toEqual([bank.id]);
+        });
+    });
+});
@@ -0,0 +1,319 @@
+const fs = require('fs');
+const path = require('path');
+const { aiService } = require('../services/ai');
+const { FakeProvider, RecordedProvider } = require('../services/providers');
+const { PromptStore } = require('../services/prompts');
+const { UsageLedger } = require('../services/usage');
+const { CategoryTaxonomy } = require('../services/categories');
+const { RuleStats } = require('../services/ruleStats');
+const { RuleStore } = require('../services/ruleStore');
+
+// Providers that never touch the network
+const OFFLINE_PROVIDERS = ['fake', 'recorded'];
+
+/**
+ * Load a labeled JSONL dataset
+ * @param {string} datasetPath - Dataset file
+ * @returns {Array<object>} - Items ({ id, type, label, ...event fields })
+ */
+function loadDataset(datasetPath) {
+    return fs.readFileSync(datasetPath, 'utf8')
+        .split('\n')
+        .filter(line => line.trim())
+        .map((line, index) => {
+            const item = JSON.parse(line);
+
+            if (!['important', 'unimportant'].includes(item.label)) {
+                throw new Error(`Dataset line ${index + 1}: label must be important or unimportant`);
+            }
+
+            return { id: item.id || `item-${index + 1}`, ...item };
+        });
+}
+
+/**
+ * Load an eval configuration, resolving paths relative to the config file
+ * @param {string} configPath - Config file
+ * @returns {object}
+ */
+function loadConfig(configPath) {
+    const config = JSON.parse(fs.readFileSync(configPath, 'utf8'));
+    const dir = path.dirname(configPath);
+
+    return {
+        name: config.name || path.basename(configPath, '.json'),
+        ...config,
+        prompts: config.prompts ? path.resolve(dir, config.prompts) : null,
+        recording: config.recording ? path.resolve(dir, config.recording) : null
+    };
+}
+
+/**
+ * Turn a dataset item into filterContent arguments (mirrors processNotification/processSMS)
+ * @param {object} item - Dataset item
+ * @returns {object} - { content, type, metadata }
+ */
+function toFilterInput(item) {
+    if (item.type === 'sms') {
+        return {
+            content: item.messageBody,
+            type: 'sms',
+            metadata: { sender: item.phoneNumber }
+        };
+    }
+
+    return {
+        content: `${item.title}\n${item.text}`,
+        type: 'notification',
+        metadata: { app: item.appName || item.packageName }
+    };
+}
+
+/**
+ * Predict a label from a verdict the way the pipeline acts on it:
+ * only content routed to the full tier right away counts as important
+ * @param {object} verdict - Filter verdict
+ * @param {string} type - Content type
+ * @param {CategoryTaxonomy} taxonomy - Category routing
+ * @returns {string} - important or unimportant
+ */
+function predictLabel(verdict, type, taxonomy) {
+    return taxonomy.resolve(verdict, type).route === 'instant' ? 'important' : 'unimportant';
+}
+
+/**
+ * Build a scripted fake: the first rule whose regex matches the item content wins
+ * @param {object} fakeConfig - { rules: [{ match, verdict }], default: verdict }
+ * @param {Function} getContent - Returns the content of the item being evaluated
+ * @returns {FakeProvider}
+ */
+function createScriptedFake(fakeConfig = {}, getContent) {
+    const rules = (fakeConfig.rules || []).map(rule => ({
+        pattern: new RegExp(rule.match, 'i'),
+        verdict: rule.verdict
+    }));
+
+    return new FakeProvider({
+        responder: request => {
+            if (!request.json) {
+                return 'Fake response';
+            }
+
+            // Match the item itself, not the prompt instructions around it
+            const content = getContent();
+            const rule = rules.find(r => r.pattern.test(content));
+
+            return {
+                important: false,
+                score: 0.5,
+                filter: false,
+                suggestedRule: null,
+                category: 'other',
+                urgency: 'low',
+                entities: [],
+                ...(fakeConfig.default || {}),
+                ...(rule ? rule.verdict : {}),
+                reason: rule ? `Scripted: ${rule.pattern.source}` : 'Scripted default'
+            };
+        }
+    });
+}
+
+/**
+ * Compute precision/recall/F1 with "important" as the positive class
+ * @param {Array<object>} results - Item results ({ label, predicted })
+ * @returns {object} - { confusion, precision, recall, f1, accuracy }
+ */
+function computeMetrics(results) {
+    const confusion = { tp: 0, fp: 0, fn: 0, tn: 0 };
+
+    for (const { label, predicted } of results) {
+        if (predicted === 'important') {
+            confusion[label === 'important' ? 'tp' : 'fp']++;
+        } else {
+            confusion[label === 'important' ? 'fn' : 'tn']++;
+        }
+    }
+
+    const precision = confusion.tp + confusion.fp > 0 ? confusion.tp / (confusion.tp + confusion.fp) : 0;
+    const recall = confusion.tp + confusion.fn > 0 ? confusion.tp / (confusion.tp + confusion.fn) : 0;
+
+    return {
+        confusion,
+        precision,
+        recall,
+        f1: precision + recall > 0 ? (2 * precision * recall) / (precision + recall) : 0,
+        accuracy: results.length > 0 ? (confusion.tp + confusion.tn) / results.length : 0
+    };
+}
+
+/**
+ * Get a percentile of a list of numbers
+ * @param {Array<number>} values - Values
+ * @param {number} p - Percentile (0-100)
+ * @returns {number}
+ */
+function percentile(values, p) {
+    if (values.length === 0) return 0;
+
+    const sorted = [...values].sort((a, b) => a - b);
+    return sorted[Math.min(sorted.length - 1, Math.ceil((p / 100) * sorted.length) - 1)];
+}
+
+/**
+ * Run a dataset through aiService.filterContent under one configuration
+ * @param {Array<object>} dataset - Labeled items
+ * @param {object} config - Eval configuration (see eval/configs)
+ * @param {object} options - { record: true to call the real provider and save a recording }
+ * @returns {Promise<object>} - Report
+ */
+async function runEval(dataset, config, options = {}) {
+    const chain = config.filter || [{ provider: 'fake', model: 'fake' }];
+
+    if (!options.record) {
+        const online = chain.filter(entry => !OFFLINE_PROVIDERS.includes(entry.provider));
+        if (online.length > 0) {
+            throw new Error(`Eval runs offline; ${online.map(e => e.provider).join(', ')} would use the network. ` +
+                'Use a fake or recorded provider, or pass --record');
+        }
+    }
+
+    // Swap the pieces of the AI service the configuration controls
+    const original = {
+        tier: aiService.providers.tiers.get('filter'),
+        fake: aiService.providers.getProvider('fake'),
+        recorded: aiService.providers.getProvider('recorded'),
+        prompts: aiService.prompts,
+        ruleStore: aiService.ruleStore,
+        usage: aiService.usage,
+        categories: aiService.categories,
+        ruleStats: aiService.ruleStats
+    };
+
+    const usage = new UsageLedger({ ledgerPath: null, budgets: { day: 0, month: 0 } });
+    let currentContent = '';
+
+    try {
+        aiService.providers.setTier('filter', chain);
+        aiService.providers.setProvider('fake', createScriptedFake(config.fake, () => currentContent));
+
+        if (config.recording) {
+            aiService.providers.setProvider('recorded', new RecordedProvider({
+                recordingPath: config.recording,
+                delegate: options.record ? aiService.providers.getProvider(config.recordFrom || 'openai') : null
+            }));
+        }
+
+        if (config.prompts) {
+            aiService.prompts = new PromptStore({ dir: config.prompts, watch: false });
+        }
+
+        if (config.rules) {
+            aiService.ruleStore = new RuleStore({ rulesPath: null, data: config.rules });
+        }
+
+        aiService.usage = usage;
+        // Rule hits during a run don't count towards the real stats
+        aiService.ruleStats = new RuleStats({ statsPath: null });
+        aiService.cache.clear();
+
+        // Per-category routing overrides, merged over config/categories.json
+        aiService.categories = new CategoryTaxonomy({ overrides: config.categories });
+        const results = [];
+
+        for (const item of dataset) {
+            const { content, type, metadata } = toFilterInput(item);
+            currentContent = content;
+            const started = process.hrtime.bigint();
+            const verdict = await aiService.filterContent(content, type, metadata);
+            const latencyMs = Number(process.hrtime.bigint() - started) / 1e6;
+
+            results.push({
+                id: item.id,
+                type,
+                label: item.label,
+                predicted: predictLabel(verdict, type, aiService.categories),
+                category: verdict.category,
+                score: verdict.score,
+                reason: verdict.reason,
+                degraded: Boolean(verdict.degraded),
+                latencyMs
+            });
+        }
+
+        const latencies = results.map(r => r.latencyMs);
+        const byType = {};
+        for (const type of [...new Set(results.map(r => r.type))]) {
+            byType[type] = computeMetrics(results.filter(r => r.type === type));
+        }
+
+        const totals = usage.records.reduce((sum, r) => ({
+            requests: sum.requests + 1,
+            promptTokens: sum.promptTokens + r.promptTokens,
+            completionTokens: sum.completionTokens + r.completionTokens,
+            cost: sum.cost + r.cost
+        }), { requests: 0, promptTokens: 0, completionTokens: 0, cost: 0 });
+
+        return {
+            name: config.name,
+            total: results.length,
+            errors: results.filter(r => r.degraded).length,
+            ...computeMetrics(results),
+            byType,
+            usage: totals,
+            latency: {
+                avgMs: latencies.length ? latencies.reduce((a, b) => a + b, 0) / latencies.length : 0,
+                p50Ms: percentile(latencies, 50),
+                p95Ms: percentile(latencies, 95)
+            },
+            items: results
+        };
+    } finally {
+        aiService.providers.setTier('filter', original.tier);
+        aiService.providers.setProvider('fake', original.fake);
+        aiService.providers.setProvider('recorded', original.recorded);
+        aiService.prompts = original.prompts;
+        aiService.ruleStore = original.ruleStore;
+        aiService.usage = original.usage;
+        aiService.categories = original.categories;
+        aiService.ruleStats = original.ruleStats;
+        aiService.cache.clear();
+    }
+}
+
+/**
+ * Compare two reports item by item
+ * @param {object} baseline - Baseline report
+ * @param {object} candidate - Candidate report
+ * @returns {object} - { deltas, disagreements }
+ */
+function compareReports(baseline, candidate) {
+    const deltas = {};
+    for (const metric of ['precision', 'recall', 'f1', 'accuracy']) {
+        deltas[metric] = candidate[metric] - baseline[metric];
+    }
+    deltas.cost = candidate.usage.cost - baseline.usage.cost;
+    deltas.avgLatencyMs = candidate.latency.avgMs - baseline.latency.avgMs;
+
+    const candidateItems = new Map(candidate.items.map(item => [item.id, item]));
+    const disagreements = baseline.items
+        .filter(item => candidateItems.has(item.id) && candidateItems.get(item.id).predicted !== item.predicted)
+        .map(item => ({
+            id: item.id,
+            label: item.label,
+            baseline: item.predicted,
+            candidate: candidateItems.get(item.id).predicted,
+            candidateReason: candidateItems.get(item.id).reason
+        }));
+
+    return { deltas, disagreements };
+}
+
+module.exports = {
+    loadDataset,
+    loadConfig,
+    runEval,
+    compareReports,
+    computeMetrics,
+    predictLabel
+};
@@ -0,0 +1,140 @@
+jest.mock('../services/whatsapp', () => ({ isReady: false }));
+
+const { computeMetrics, compareReports } = require('./harness');
+
+/**
+ * Item results with the given label and prediction pairs
+ * @param {Array<string>} pairs - "label>predicted", with i for important and u for unimportant
+ * @returns {Array<object>}
+ */
+function results(pairs) {
+    const names = { i: 'important', u: 'unimportant' };
+
+    return pairs.map((pair, n) => {
+        const [label, predicted] = pair.split('>');
+        return { id: `item-${n}`, label: names[label], predicted: names[predicted] };
+    });
+}
+
+/**
+ * A report with the given metrics and items
+ * @param {object} fields - Report fields
+ * @returns {object}
+ */
+function report(fields) {
+    return {
+        precision: 0.5,
+        recall: 0.5,
+        f1: 0.5,
+        accuracy: 0.5,
+        usage: { cost: 0.01 },
+        latency: { avgMs: 100 },
+        items: [],
+        ...fields
+    };
+}
+
+describe('computeMetrics', () => {
+    test('counts each outcome with important as the positive class', () => {
+        const metrics = computeMetrics(results(['i>i', 'i>i', 'i>i', 'u>i', 'i>u', 'u>u', 'u>u', 'u>u']));
+
+        expect(metrics.confusion).toEqual({ tp: 3, fp: 1, fn: 1, tn: 3 });
+        expect(metrics.precision).toBeCloseTo(0.75);
+        expect(metrics.recall).toBeCloseTo(0.75);
+        expect(metrics.f1).toBeCloseTo(0.75);
+        expect(metrics.accuracy).toBeCloseTo(0.75);
+    });
+
+    test('precision and recall can differ', () => {
+        const metrics = computeMetrics(results(['i>i', 'u>i', 'u>i', 'i>u']));
+
+        expect(metrics.precision).toBeCloseTo(1 / 3);
+        expect(metrics.recall).toBeCloseTo(0.5);
+        expect(metrics.f1).toBeCloseTo(0.4);
+        expect(metrics.accuracy).toBeCloseTo(0.25);
+    });
+
+    test('a perfect run scores 1 everywhere', () => {
+        expect(computeMetrics(results(['i>i', 'u>u']))).toEqual({
+            confusion: { tp: 1, fp: 0, fn: 0, tn: 1 },
+            precision: 1,
+            recall: 1,
+            f1: 1,
+            accuracy: 1
+        });
+    });
+
+    test('nothing predicted important scores 0 instead of dividing by zero', () => {
+        expect(computeMetrics(results(['i>u', 'u>u']))).toEqual({
+            confusion: { tp: 0, fp: 0, fn: 1, tn: 1 },
+            precision: 0,
+            recall: 0,
+            f1: 0,
+            accuracy: 0.5
+        });
+    });
+
+    test('no results scores 0', () => {
+        expect(computeMetrics([])).toEqual({
+            confusion: { tp: 0, fp: 0, fn: 0, tn: 0 },
+            precision: 0,
+            recall: 0,
+            f1: 0,
+            accuracy: 0
+        });
+    });
+});
+
+describe('compareReports', () => {
+    test('gives the change in each metric, cost and latency', () => {
+        const baseline = report({ precision: 0.5, recall: 0.75, f1: 0.6, accuracy: 0.7, usage: { cost: 0.02 }, latency: { avgMs: 120 } });
+        const candidate = report({ precision: 0.75, recall: 0.5, f1: 0.6, accuracy: 0.8, usage: { cost: 0.015 }, latency: { avgMs: 150 } });
+
+        const { deltas } = compareReports(baseline, candidate);
+
+        expect(deltas.precision).toBeCloseTo(0.25);
+        expect(deltas.recall).toBeCloseTo(-0.25);
+        expect(deltas.f1).toBeCloseTo(0);
+        expect(deltas.accuracy).toBeCloseTo(0.1);
+        expect(deltas.cost).toBeCloseTo(-0.005);
+        expect(deltas.avgLatencyMs).toBe(30);
+    });
+
+    test('lists the items the reports predict differently', () => {
+        const baseline = report({
+            items: [
+                { id: 'a', label: 'important', predicted: 'important', reason: 'Bank alert' },
+                { id: 'b', label: 'unimportant', predicted: 'important', reason: 'Looks urgent' },
+                { id: 'c', label: 'important', predicted: 'unimportant', reason: 'Promo' }
+            ]
+        });
+        const candidate = report({
+            items: [
+                { id: 'a', label: 'important', predicted: 'important', reason: 'Bank alert' },
+                { id: 'b', label: 'unimportant', predicted: 'unimportant', reason: 'Newsletter' },
+                { id: 'c', label: 'important', predicted: 'important', reason: 'Delivery today' }
+            ]
+        });
+
+        expect(compareReports(baseline, candidate).disagreements).toEqual([
+            { id: 'b', label: 'unimportant', baseline: 'important', candidate: 'unimportant', candidateReason: 'Newsletter' },
+            { id: 'c', label: 'important', baseline: 'unimportant', candidate: 'important', candidateReason: 'Delivery today' }
+        ]);
+    });
+
+    test('skips items only one report has', () => {
+        const baseline = report({ items: [{ id: 'a', label: 'important', predicted: 'important' }] });
+        const candidate = report({ items: [{ id: 'b', label: 'important', predicted: 'unimportant' }] });
+
+        expect(compareReports(baseline, candidate).disagreements).toEqual([]);
+    });
+
+    test('identical reports have no deltas or disagreements', () => {
+        const items = [{ id: 'a', label: 'important', predicted: 'important' }];
+
+        expect(compareReports(report({ items }), report({ items }))).toEqual({
+            deltas: { precision: 0, recall: 0, f1: 0, accuracy: 0, cost: 0, avgLatencyMs: 0 },
+            disagreements: []
+        });
+    });
+});
@@ -0,0 +1,128 @@
+#!/usr/bin/env node
+/**
+ * Offline filter evaluation.
+ *
+ *   npm run eval -- --dataset eval/datasets/sample.jsonl --config eval/configs/baseline.json
+ *   npm run eval -- --dataset ... --config eval/configs/baseline.json --compare eval/configs/candidate.json
+ *
+ * --record lets a config using the recorded provider call its real provider
+ * (recordFrom) and save the replies; everything else runs without the network.
+ */
+
+// Keep service logs out of the report
+process.env.LOG_LEVEL = process.env.LOG_LEVEL || 'error';
+process.env.PROMPTS_HOT_RELOAD = 'false';
+
+require('dotenv').config();
+const path = require('path');
+const { loadDataset, loadConfig, runEval, compareReports } = require('./harness');
+
+/**
+ * Parse --name value flags
+ * @param {Array<string>} argv - Arguments
+ * @returns {object}
+ */
+function parseArgs(argv) {
+    const args = {};
+
+    for (let i = 0; i < argv.length; i++) {
+        if (!argv[i].startsWith('--')) continue;
+
+        const name = argv[i].substring(2);
+        const next = argv[i + 1];
+
+        if (next === undefined || next.startsWith('--')) {
+            args[name] = true;
+        } else {
+            args[name] = next;
+            i++;
+        }
+    }
+
+    return args;
+}
+
+const pct = value => `${(value * 100).toFixed(1)}%`;
+const signed = (value, format) => `${value >= 0 ? '+' : ''}${format(value)}`;
+
+/**
+ * Print a report as text
+ * @param {object} report - Eval report
+ */
+function printReport(report) {
+    const { tp, fp, fn, tn } = report.confusion;
+
+    console.log(`\n== ${report.name} (${report.total} items, ${report.errors} errors)`);
+    console.log(`precision ${pct(report.precision)}  recall ${pct(report.recall)}  ` +
+        `f1 ${pct(report.f1)}  accuracy ${pct(report.accuracy)}`);
+    console.log(`confusion tp=${tp} fp=${fp} fn=${fn} tn=${tn}`);
+
+    for (const [type, metrics] of Object.entries(report.byType)) {
+        console.log(`  ${type}: precision ${pct(metrics.precision)}  recall ${pct(metrics.recall)}  f1 ${pct(metrics.f1)}`);
+    }
+
+    console.log(`usage ${report.usage.requests} requests, ` +
+        `${report.usage.promptTokens + report.usage.completionTokens} tokens, $${report.usage.cost.toFixed(4)}`);
+    console.log(`latency avg ${report.latency.avgMs.toFixed(1)}ms  p50 ${report.latency.p50Ms.toFixed(1)}ms  ` +
+        `p95 ${report.latency.p95Ms.toFixed(1)}ms`);
+
+    const misses = report.items.filter(item => item.predicted !== item.label);
+    for (const item of misses) {
+        console.log(`  miss ${item.id}: expected ${item.label}, got ${item.predicted} (${item.reason})`);
+    }
+}
+
+/**
+ * Print a comparison as text
+ * @param {object} comparison - compareReports result
+ */
+function printComparison(comparison) {
+    const { deltas, disagreements } = comparison;
+
+    console.log('\n== comparison (candidate - baseline)');
+    console.log(['precision', 'recall', 'f1', 'accuracy']
+        .map(metric => `${metric} ${signed(deltas[metric], pct)}`)
+        .join('  '));
+    console.log(`cost ${signed(deltas.cost, v => `$${v.toFixed(4)}`)}  ` +
+        `latency ${signed(deltas.avgLatencyMs, v => `${v.toFixed(1)}ms`)}`);
+
+    for (const item of disagreements) {
+        console.log(`  ${item.id} (${item.label}): ${item.baseline} -> ${item.candidate} (${item.candidateReason})`);
+    }
+}
+
+async function main() {
+    const args = parseArgs(process.argv.slice(2));
+
+    if (!args.dataset || !args.config) {
+        console.error('Usage: node eval/run.js --dataset <file.jsonl> --config <config.json> ' +
+            '[--compare <config.json>] [--record] [--json]');
+        process.exit(2);
+    }
+
+    const dataset = loadDataset(path.resolve(args.dataset));
+    const options = { record: Boolean(args.record) };
+
+    const baseline = await runEval(dataset, loadConfig(path.resolve(args.config)), options);
+    const candidate = args.compare
+        ? await runEval(dataset, loadConfig(path.resolve(args.compare)), options)
+        : null;
+    const comparison = candidate ? compareReports(baseline, candidate) : null;
+
+    if (args.json) {
+        console.log(JSON.stringify({ baseline, candidate, comparison }, null, 2));
+        return;
+    }
+
+    printReport(baseline);
+
+    if (candidate) {
+        printReport(candidate);
+        printComparison(comparison);
+    }
+}
+
+main().catch(error => {
+    console.error(`Eval failed: ${error.message}`);
+    process.exit(1);
+});
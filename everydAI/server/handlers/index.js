@@ -3,6 +3,13 @@ const { processNotification, processSMS, processSpeech } = require('../services/
 const whatsappClient = require('../services/whatsapp');
 const twilioService = require('../services/twilio');
 const deviceManager = require('../services/deviceManager');
+const otpService = require('../services/otp');
+const conversationMemory = require('../services/memory');
+const replyService = require('../services/replies');
+const autoReplyService = require('../services/autoReply');
+const burstService = require('../services/bursts');
+const { renderText } = require('../services/prompts');
+const database = require('../db');
 
 /**
  * Handle notification events from the Android app
@@ -14,25 +21,110 @@ async function handleNotification(data, device) {
     try {
         logger.info(`Processing notification from ${data.packageName || 'unknown app'}`);
         
-        // Process notification with AI
-        const result = await processNotification(data);
+        // Keep it in the history before anything can go wrong
+        const event = database.events.record('notification', data, device);
         
-        // Send result back to device if needed
-        if (device && device.ws && device.ws.readyState === 1) {
-            device.ws.send(JSON.stringify({
-                type: 'notification_processed',
-                requestId: data.requestId,
-                result
-            }));
+        // Chat apps post a notification per message: wait for the rest of the conversation
+        const burst = burstService.add(data, device, event);
+        if (burst) {
+            const result = {
+                processed: false,
+                pending: true,
+                burstId: burst.id,
+                reason: 'Waiting for the rest of the conversation'
+            };
+            
+            return event ? { ...result, eventId: event.id } : result;
         }
         
-        return result;
+        return await processNotificationEvent(data, device, event);
     } catch (error) {
         logger.error('Error handling notification:', error);
         return { error: 'Failed to process notification' };
     }
 }
 
+/**
+ * Process a stored notification with AI
+ * @param {object} data - Notification data
+ * @param {object} device - Device that sent the notification
+ * @param {object|null} event - Stored notification event
+ * @returns {Promise<object>} - Processing result
+ */
+async function processNotificationEvent(data, device, event) {
+    const result = await processNotification(data, device);
+    saveVerdict(event, result);
+    announceFiltered(result, data.title || data.appName || data.packageName, data.text);
+    
+    // Send result back to device if needed
+    if (device && device.ws && device.ws.readyState === 1) {
+        device.ws.send(JSON.stringify({
+            type: 'notification_processed',
+            requestId: data.requestId,
+            // A burst answers the requests of every notification it groups
+            requestIds: data.requestIds,
+            result,
+            entities: result.entities || []
+        }));
+    }
+    
+    return event ? { ...result, eventId: event.id } : result;
+}
+
+/**
+ * Process the notifications of a conversation once it went quiet: a
+ * single one as it is, several as one notification that groups them
+ * @param {Array<object>} members - Notifications ({ data, device, event }), oldest first
+ * @returns {Promise<object>} - Processing result
+ */
+async function handleNotificationBurst(members) {
+    const latest = members[members.length - 1];
+    
+    if (members.length === 1) {
+        return processNotificationEvent(latest.data, latest.device, latest.event);
+    }
+    
+    const data = burstService.collapse(members);
+    logger.info(`Processing ${members.length} notifications from ${data.packageName} as one`);
+    
+    const event = database.events.recordGroup('notification', data, latest.device, data.burst.memberIds);
+    return processNotificationEvent(data, latest.device, event);
+}
+
+burstService.setFlushHandler(handleNotificationBurst);
+
+/**
+ * Store the verdict an event got
+ * @param {object|null} event - Stored event (null if it couldn't be stored)
+ * @param {object} result - Processing result
+ */
+function saveVerdict(event, result) {
+    if (event && result && !result.error) {
+        database.events.saveVerdict(event.id, result);
+    }
+}
+
+/**
+ * Let desktops show what a rule filtered, so it can be reported as a false positive
+ * @param {object} result - Processing result
+ * @param {string} title - Item title
+ * @param {string} text - Item text
+ */
+function announceFiltered(result, title, text) {
+    if (!result.filtered || !result.rule || !result.rule.itemId) {
+        return;
+    }
+    
+    deviceManager.broadcastToAll({
+        type: 'filtered',
+        itemId: result.rule.itemId,
+        ruleId: result.rule.id,
+        ruleName: result.rule.name,
+        title,
+        text
+    });
+}
+
 /**
  * Handle SMS events from the Android app
  * @param {object} data - SMS data
@@ -43,25 +135,91 @@ async function handleSMS(data, device) {
     try {
         logger.info(`Processing SMS from ${data.phoneNumber || 'unknown number'}`);
         
+        // Verification codes skip the AI tiers entirely
+        const code = otpService.detect(data.messageBody);
+        
+        // The history never keeps a verification code
+        const event = database.events.record('sms', code
+            ? { ...data, messageBody: otpService.redact(data.messageBody, code) }
+            : data, device);
+        
         // Process SMS with AI
-        const result = await processSMS(data);
+        const result = code
+            ? await otpService.deliver(code, data)
+            : await processSMS(data, device);
+        saveVerdict(event, code ? JSON.parse(otpService.redact(JSON.stringify(result), code)) : result);
+        announceFiltered(result, `SMS from ${data.phoneNumber}`, data.messageBody);
+        
+        // A rule's reply template answers first; auto-reply policies otherwise
+        // (neither ever answers verification codes, and policies never answer
+        // SMS that were filtered out as spam or marketing)
+        const ruleReply = !code && result.rule && result.rule.reply
+            ? sendRuleReply(data, device, result.rule)
+            : null;
+        const autoReply = code || ruleReply || result.filtered
+            ? ruleReply
+            : await autoReplyService.handleSMS(data, device, result);
+        
+        if (autoReply) {
+            // Instant SMS are already in the group with their analysis
+            await whatsappClient.sendToGroup(result.route === 'instant' && result.processed
+                ? autoReply.note
+                : `💬 *SMS from ${data.phoneNumber}*\n${data.messageBody}\n\n${autoReply.note}`,
+                { type: 'sms', category: result.category, from: data.phoneNumber, contact: data.contactName });
+        }
+        
+        // Offer the suggested replies in the WhatsApp group (!send n), unless a policy already answered
+        if (result.suggestions && result.suggestions.length > 0 && !(autoReply && autoReply.sent)) {
+            await replyService.offer(data, device, result.suggestions);
+        }
         
         // Send result back to device if needed
         if (device && device.ws && device.ws.readyState === 1) {
             device.ws.send(JSON.stringify({
                 type: 'sms_processed',
                 requestId: data.requestId,
-                result
+                result,
+                entities: result.entities || [],
+                suggestions: result.suggestions || [],
+                autoReply
             }));
         }
         
-        return result;
+        return event ? { ...result, eventId: event.id } : result;
     } catch (error) {
         logger.error('Error handling SMS:', error);
         return { error: 'Failed to process SMS' };
     }
 }
 
+/**
+ * Answer an SMS with the reply template of the rule that matched it
+ * @param {object} sms - SMS data
+ * @param {object} device - Device that received the SMS
+ * @param {object} rule - Matched rule ({ id, name, reply })
+ * @returns {object} - { ruleId, reply, sent, note }
+ */
+function sendRuleReply(sms, device, rule) {
+    const reply = renderText(rule.reply, {
+        sender: sms.contactName || sms.phoneNumber,
+        time: new Date().toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' })
+    });
+    
+    const delivery = device
+        ? replyService.dispatch(device.id, sms.phoneNumber, reply, { requestedBy: `rule ${rule.id}` })
+        : { status: 'failed', error: 'Device is not connected' };
+    const sent = delivery.status !== 'failed';
+    
+    return {
+        ruleId: rule.id,
+        reply,
+        sent,
+        note: sent
+            ? `↩️ Rule "${rule.name}" replied: "${reply}"`
+            : `⚠️ Rule "${rule.name}" could not reply: ${delivery.error}`
+    };
+}
+
 /**
  * Handle call events from the Android app
  * @param {object} data - Call data
@@ -72,6 +230,8 @@ async function handleCall(data, device) {
     try {
         logger.info(`Processing call event: ${data.callType} from ${data.phoneNumber}`);
         
+        const event = database.events.record('call', data, device);
+        
         // Different handling based on call type
         switch (data.callType) {
             case 'CALL_INCOMING':
@@ -81,7 +241,7 @@ async function handleCall(data, device) {
                 return handleAnsweredCall(data, device);
                 
             case 'CALL_ENDED':
-                return handleEndedCall(data, device);
+                return handleEndedCall(data, device, event);
                 
             default:
                 logger.warn(`Unknown call type: ${data.callType}`);
@@ -105,7 +265,8 @@ async function handleIncomingCall(data, device) {
         await whatsappClient.sendToGroup(
             `📞 *Incoming Call*\n` +
             `From: ${data.phoneNumber}\n` +
-            `Time: ${new Date().toLocaleTimeString()}`
+            `Time: ${new Date().toLocaleTimeString()}`,
+            { type: 'call', from: data.phoneNumber, contact: data.contactName }
         );
     }
     
@@ -128,7 +289,8 @@ async function handleAnsweredCall(data, device) {
         await whatsappClient.sendToGroup(
             `📞 *Call Answered*\n` +
             `With: ${data.phoneNumber}\n` +
-            `Time: ${new Date().toLocaleTimeString()}`
+            `Time: ${new Date().toLocaleTimeString()}`,
+            { type: 'call', from: data.phoneNumber, contact: data.contactName }
         );
     }
     
@@ -142,10 +304,32 @@ async function handleAnsweredCall(data, device) {
  * Handle ended call
  * @param {object} data - Call data
  * @param {object} device - Device that sent the call event
+ * @param {object|null} event - Stored call event
  * @returns {Promise<object>} - Processing result
  */
-async function handleEndedCall(data, device) {
+async function handleEndedCall(data, device, event) {
     try {
+        const callId = data.callId || (event && event.id);
+        
+        // Calls the app reports only once they end still go in the call history
+        if (callId) {
+            const endedAt = new Date();
+            database.calls.upsert({
+                callId,
+                phoneNumber: data.phoneNumber,
+                deviceId: device ? device.id : null,
+                isIncoming: data.isIncoming !== false,
+                status: 'ended',
+                startTime: new Date(endedAt - (data.duration || 0) * 1000),
+                endedAt,
+                duration: data.duration || 0
+            });
+            
+            if (data.transcript) {
+                database.calls.addTranscript(callId, data.transcript, true);
+            }
+        }
+        
         // Only process calls with duration
         if (data.duration > 0) {
             // Notify WhatsApp group
@@ -154,7 +338,8 @@ async function handleEndedCall(data, device) {
                     `📞 *Call Ended*\n` +
                     `With: ${data.phoneNumber}\n` +
                     `Duration: ${formatDuration(data.duration)}\n` +
-                    `Time: ${new Date().toLocaleTimeString()}`
+                    `Time: ${new Date().toLocaleTimeString()}`,
+                    { type: 'call', from: data.phoneNumber, contact: data.contactName }
                 );
             }
             
@@ -169,12 +354,26 @@ async function handleEndedCall(data, device) {
                         duration: data.duration
                     });
                     
+                    if (processed && callId) {
+                        database.calls.addSummary(callId, processed);
+                    }
+                    
+                    if (processed) {
+                        conversationMemory.recordEvent({
+                            type: 'call',
+                            source: data.phoneNumber,
+                            text: summary,
+                            summary: processed
+                        });
+                    }
+                    
                     if (processed && whatsappClient.isReady && whatsappClient.assistantGroup) {
                         await whatsappClient.sendToGroup(
                             `📝 *Call Summary*\n` +
                             `With: ${data.phoneNumber}\n` +
                             `Duration: ${formatDuration(data.duration)}\n\n` +
-                            processed
+                            processed,
+                            { type: 'call', from: data.phoneNumber, contact: data.contactName }
                         );
                     }
                 }
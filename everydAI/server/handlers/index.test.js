@@ -0,0 +1,90 @@
+const whatsappClient = require('../services/whatsapp');
+const deviceManager = require('../services/deviceManager');
+const autoReplyService = require('../services/autoReply');
+const { aiService } = require('../services/ai');
+const { FakeProvider } = require('../services/providers');
+const { UsageLedger } = require('../services/usage');
+const database = require('../db');
+const { handleSMS } = require('./index');
+
+describe('handlers', () => {
+    let fake;
+    let sent;
+
+    beforeEach(() => {
+        fake = new FakeProvider();
+        aiService.usage = new UsageLedger({ ledgerPath: null, budgets: { day: 0, month: 0 } });
+        aiService.cache.clear();
+        aiService.providers.setProvider('fake', fake);
+        aiService.providers.setTier('filter', { provider: 'fake', model: 'small' });
+        aiService.providers.setTier('full', { provider: 'fake', model: 'large' });
+
+        sent = [];
+        whatsappClient.isReady = true;
+        whatsappClient.assistantGroup = { id: { _serialized: 'group@g.us' } };
+        whatsappClient.client = {
+            sendMessage: jest.fn(async (chatId, text) => {
+                sent.push(text);
+                return { id: { remote: chatId }, body: text, edit: jest.fn(async () => true) };
+            })
+        };
+        jest.spyOn(deviceManager, 'broadcastToAll').mockReturnValue({ successCount: 1 });
+    });
+
+    afterEach(() => {
+        jest.restoreAllMocks();
+    });
+
+    describe('handleSMS OTP fast path', () => {
+        test('delivers the code without any model call', async () => {
+            const result = await handleSMS({ messageBody: 'Your verification code is 482913', phoneNumber: '+15550100' });
+
+            expect(result).toMatchObject({ processed: true, fastPath: 'otp' });
+            expect(fake.calls).toHaveLength(0);
+            expect(sent).toEqual([expect.stringContaining('482913')]);
+        });
+
+        test('never stores the code in the history', async () => {
+            const result = await handleSMS({ messageBody: 'Your verification code is 604418', phoneNumber: '+15550100' });
+
+            const event = database.events.get(result.eventId);
+            expect(event.content).toBe('Your verification code is ••••••');
+            expect(JSON.stringify(event)).not.toContain('604418');
+        });
+
+        test('other SMS go through the AI tiers', async () => {
+            const result = await handleSMS({ messageBody: 'Are we still meeting at noon?', phoneNumber: '+15550100' });
+
+            expect(result.fastPath).toBeUndefined();
+            expect(fake.calls.length).toBeGreaterThan(0);
+        });
+    });
+
+    describe('handleSMS auto-replies', () => {
+        let policyReply;
+
+        beforeEach(() => {
+            policyReply = jest.spyOn(autoReplyService, 'handleSMS')
+                .mockResolvedValue({ policyId: 'unknown', sent: true, note: '↩️ Auto-replied' });
+        });
+
+        test('filtered SMS never get a policy reply', async () => {
+            fake.enqueue({ important: false, score: 0.1, reason: 'Marketing', filter: true, category: 'marketing', urgency: 'low' });
+
+            const result = await handleSMS({ messageBody: 'WIN a cruise! Reply YES', phoneNumber: '72345' });
+
+            expect(result.filtered).toBe(true);
+            expect(policyReply).not.toHaveBeenCalled();
+            expect(sent.join('\n')).not.toContain('WIN a cruise');
+        });
+
+        test('other SMS go through the policies', async () => {
+            fake.enqueue({ important: false, score: 0.5, reason: 'Chat', filter: false, category: 'personal', urgency: 'low' });
+
+            await handleSMS({ messageBody: 'Hi, is this Ann?', phoneNumber: '+15550177' });
+
+            expect(policyReply).toHaveBeenCalledTimes(1);
+            expect(sent.some(text => text.includes('Hi, is this Ann?') && text.includes('↩️ Auto-replied'))).toBe(true);
+        });
+    });
+});
@@ -15,6 +15,15 @@ const callService = require('./services/twilio'); // Now a CallService
 const aiService = require('./services/ai');
 const { handleNotification, handleSMS, handleCall } = require('./handlers');
 const deviceManager = require('./services/deviceManager');
+const conversationMemory = require('./services/memory');
+const replyService = require('./services/replies');
+const database = require('./db');
+require('./services/autoReply'); // Answers direct messages only when a policy matches
+require('./services/agentTools'); // Registers the assistant's server actions
+require('./services/ruleCommands'); // !ignore, !unignore and !rules: manage filter rules
+const digestService = require('./services/digest');
+const burstService = require('./services/bursts');
+const dndService = require('./services/dnd'); // !dnd and quiet hours: holds group messages
 
 // Create express app
 const app = express();
@@ -94,6 +103,16 @@ wss.on('connection', async (ws, req) => {
                 case 'command':
                     // Handle commands from the client
                     break;
+                case 'device_state':
+                    // Device-reported state (e.g. driving) used by auto-reply policies
+                    deviceManager.updateDeviceInfo(connectionId, {
+                        state: { ...(device.deviceInfo.state || {}), ...data.state }
+                    });
+                    break;
+                case 'command_result':
+                    // Outcome of a command we sent to the device (e.g. sendSms)
+                    await replyService.handleCommandResult(data);
+                    break;
                 default:
                     logger.warn(`Unknown message type: ${data.type}`);
             }
@@ -124,6 +143,8 @@ app.use('/api/events', authMiddleware, require('./routes/events'));
 app.use('/api/whatsapp', authMiddleware, require('./routes/whatsapp'));
 app.use('/api/calls', authMiddleware, require('./routes/calls'));
 app.use('/api/ai', authMiddleware, require('./routes/ai'));
+app.use('/api/autoreply', authMiddleware, require('./routes/autoreply'));
+app.use('/api/digest', authMiddleware, require('./routes/digest'));
 
 // Default route
 app.get('/', (req, res) => {
@@ -133,14 +154,22 @@ app.get('/', (req, res) => {
 // Start the server
 server.listen(PORT, () => {
     logger.info(`Server running on port ${PORT}`);
+    digestService.start();
+    dndService.start();
 });
 
 // Handle process termination
 process.on('SIGTERM', () => {
     logger.info('SIGTERM received. Shutting down gracefully');
-    server.close(() => {
+    server.close(async () => {
         logger.info('Server closed');
+        digestService.stop();
+        dndService.stop();
+        // Waiting notifications are processed while WhatsApp is still up
+        await burstService.stop();
         whatsappClient.shutdown();
+        conversationMemory.flush();
+        database.close();
         process.exit(0);
     });
 });
@@ -0,0 +1,35 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// Every test file gets its own state directory, so no test reads or
+// writes the runtime files under config/
+const stateDir = fs.mkdtempSync(path.join(os.tmpdir(), 'everydai-test-'));
+
+Object.assign(process.env, {
+    NODE_ENV: 'test',
+    LOG_LEVEL: 'error',
+    PROMPTS_HOT_RELOAD: 'false',
+    RULES_PATH: path.join(stateDir, 'rules.json'),
+    RULE_REVIEW_PATH: path.join(stateDir, 'rules-pending.json'),
+    RULE_STATS_PATH: path.join(stateDir, 'rule-stats.json'),
+    VECTORS_PATH: path.join(stateDir, 'vectors.json'),
+    MEMORY_PATH: path.join(stateDir, 'memory.json'),
+    AUTOREPLY_PATH: path.join(stateDir, 'autoreply.json'),
+    TOOL_AUDIT_PATH: path.join(stateDir, 'tool-audit.jsonl'),
+    DND_PATH: path.join(stateDir, 'dnd.json'),
+    AI_USAGE_PATH: path.join(stateDir, 'usage.jsonl'),
+    DB_PATH: path.join(stateDir, 'everydai.db'),
+    WHATSAPP_SESSION_PATH: path.join(stateDir, 'whatsapp-session'),
+    EMBEDDINGS_PROVIDER: 'hashed',
+    AI_FILTER_PROVIDER: 'fake',
+    AI_FILTER_FALLBACKS: '',
+    AI_FULL_PROVIDER: 'fake',
+    AI_FULL_FALLBACKS: '',
+    AI_MAX_RETRIES: '0',
+    AI_RETRY_BASE_MS: '1',
+    AI_DAILY_BUDGET_USD: '0',
+    AI_MONTHLY_BUDGET_USD: '0'
+});
+
+global.TEST_STATE_DIR = stateDir;
@@ -1,6 +1,8 @@
 const express = require('express');
 const router = express.Router();
 const { aiService } = require('../services/ai');
+const replyService = require('../services/replies');
+const { REQUIRED_TEMPLATES } = require('../services/prompts');
 const logger = require('../utils/logger');
 
 /**
@@ -18,9 +20,18 @@ router.post('/process', async (req, res) => {
         // Process with full AI
         const result = await aiService.processWithGrok(content, type, metadata || {});
         
+        if (result.error) {
+            return res.status(503).json({
+                error: 'AI providers unavailable',
+                code: result.error.code
+            });
+        }
+        
         res.status(200).json({
             success: true,
-            result
+            result: result.text,
+            provider: result.provider,
+            model: result.model
         });
     } catch (error) {
         logger.error('Error processing with AI:', error);
@@ -54,24 +65,55 @@ router.post('/filter', async (req, res) => {
 });
 
 /**
- * Add a filtering rule
+ * Get AI token usage and cost, with breakdowns by provider, model, tier and content type
  */
-router.post('/rules', (req, res) => {
+router.get('/usage', (req, res) => {
     try {
-        const { type, rule } = req.body;
+        const period = req.query.period || 'day';
         
         // Validate input
-        if (!type || !rule) {
-            return res.status(400).json({ error: 'Type and rule are required' });
+        if (!['day', 'month'].includes(period)) {
+            return res.status(400).json({ error: 'Period must be day or month' });
         }
         
-        // Add rule
-        aiService.addDynamicRule(type, rule);
+        const date = req.query.date ? new Date(req.query.date) : new Date();
         
-        res.status(201).json({
-            success: true,
-            message: `Rule added to ${type}`
+        if (isNaN(date.getTime())) {
+            return res.status(400).json({ error: 'Invalid date' });
+        }
+        
+        res.status(200).json({
+            ...aiService.usage.summarize(period, date),
+            cache: aiService.cache.getStats(),
+            schema: aiService.schemaStats
         });
+    } catch (error) {
+        logger.error('Error getting AI usage:', error);
+        res.status(500).json({ error: 'Failed to get usage' });
+    }
+});
+
+/**
+ * Add a filtering rule: { type, pattern } for ignore lists and spam keywords,
+ * { name, when, then } for the rule engine, { type: 'semantic', ... },
+ * or { type, rule } as before rules had ids
+ */
+router.post('/rules', (req, res) => {
+    try {
+        const fields = req.body.when
+            ? { type: 'engine', ...req.body }
+            : { ...req.body, pattern: req.body.pattern || req.body.rule };
+        
+        const { rule, errors } = aiService.addRule(fields, {
+            source: 'manual',
+            createdBy: req.user && req.user.username
+        });
+        
+        if (!rule) {
+            return res.status(400).json({ error: 'Invalid rule', details: errors });
+        }
+        
+        res.status(201).json({ success: true, rule });
     } catch (error) {
         logger.error('Error adding rule:', error);
         res.status(500).json({ error: 'Failed to add rule' });
@@ -79,30 +121,563 @@ router.post('/rules', (req, res) => {
 });
 
 /**
- * Get all rules
+ * List rules suggested by the filter tier that wait for review
  */
-router.get('/rules', (req, res) => {
+router.get('/rules/pending', (req, res) => {
+    try {
+        res.status(200).json({ pending: aiService.ruleReview.list() });
+    } catch (error) {
+        logger.error('Error listing suggested rules:', error);
+        res.status(500).json({ error: 'Failed to list suggested rules' });
+    }
+});
+
+/**
+ * Approve a suggested rule
+ */
+router.post('/rules/pending/:id/approve', (req, res) => {
     try {
-        const rules = {};
+        const entry = aiService.approveSuggestedRule(req.params.id, req.user && req.user.username);
         
-        // Get static rules
-        for (const [type, rulesList] of aiService.rules.entries()) {
-            rules[type] = rulesList;
+        if (!entry) {
+            return res.status(404).json({ error: 'Suggested rule not found' });
         }
         
-        // Get dynamic rules
-        for (const [type, rulesList] of aiService.dynamicRules.entries()) {
-            if (!rules[type]) {
-                rules[type] = [];
-            }
-            rules[type] = [...rules[type], ...rulesList];
+        res.status(200).json({ success: true, rule: entry });
+    } catch (error) {
+        logger.error('Error approving suggested rule:', error);
+        res.status(500).json({ error: 'Failed to approve suggested rule' });
+    }
+});
+
+/**
+ * Reject a suggested rule (it won't be suggested again)
+ */
+router.delete('/rules/pending/:id', (req, res) => {
+    try {
+        const entry = aiService.rejectSuggestedRule(req.params.id, req.user && req.user.username);
+        
+        if (!entry) {
+            return res.status(404).json({ error: 'Suggested rule not found' });
+        }
+        
+        res.status(200).json({ success: true });
+    } catch (error) {
+        logger.error('Error rejecting suggested rule:', error);
+        res.status(500).json({ error: 'Failed to reject suggested rule' });
+    }
+});
+
+/**
+ * Dry run: which rule would decide an item, and why
+ */
+router.post('/rules/evaluate', async (req, res) => {
+    try {
+        const { content, type, ...metadata } = req.body;
+        
+        if (!content || !type) {
+            return res.status(400).json({ error: 'Content and type are required' });
+        }
+        
+        const event = aiService.ruleEvent(content, type, metadata);
+        if (metadata.at) {
+            event.at = new Date(metadata.at);
+        }
+        
+        const match = await aiService.ruleEngine.evaluate(aiService.getRuleSet(), event, { dryRun: true });
+        
+        res.status(200).json({
+            rule: match.rule,
+            actions: match.actions,
+            reason: match.reason,
+            explanations: match.explanations
+        });
+    } catch (error) {
+        logger.error('Error evaluating rules:', error);
+        res.status(500).json({ error: 'Failed to evaluate rules' });
+    }
+});
+
+/**
+ * Delete a rule of any type
+ */
+router.delete('/rules/:id', (req, res) => {
+    try {
+        if (!aiService.removeRule(req.params.id)) {
+            return res.status(404).json({ error: 'Rule not found' });
+        }
+        
+        res.status(200).json({ success: true });
+    } catch (error) {
+        logger.error('Error deleting rule:', error);
+        res.status(500).json({ error: 'Failed to delete rule' });
+    }
+});
+
+/**
+ * Add a semantic rule ({ name, examples, threshold, contentTypes })
+ */
+router.post('/rules/semantic', (req, res) => {
+    try {
+        const { rule, errors } = aiService.addRule({ ...req.body, type: 'semantic' }, {
+            source: 'manual',
+            createdBy: req.user && req.user.username
+        });
+        
+        if (!rule) {
+            return res.status(400).json({ error: 'Invalid semantic rule', details: errors });
+        }
+        
+        res.status(201).json({ success: true, rule });
+    } catch (error) {
+        logger.error('Error adding semantic rule:', error);
+        res.status(500).json({ error: 'Failed to add semantic rule' });
+    }
+});
+
+/**
+ * Dry run: how similar content is to each semantic rule, for tuning thresholds
+ */
+router.post('/rules/semantic/test', async (req, res) => {
+    try {
+        const { content, type } = req.body;
+        
+        if (!content) {
+            return res.status(400).json({ error: 'Content is required' });
+        }
+        
+        const rules = aiService.ruleStore.list({ type: 'semantic' })
+            .filter(rule => rule.enabled)
+            .filter(rule => !type || !rule.contentTypes || rule.contentTypes.includes(type));
+        const scores = await aiService.semantic.score(content, rules);
+        
+        res.status(200).json({
+            model: aiService.semantic.embeddings.modelId,
+            scores: scores.map(({ rule, similarity, example, matched }) => ({
+                id: rule.id,
+                name: rule.name,
+                threshold: rule.threshold,
+                similarity,
+                example,
+                matched
+            }))
+        });
+    } catch (error) {
+        logger.error('Error testing semantic rules:', error);
+        res.status(500).json({ error: 'Failed to test semantic rules' });
+    }
+});
+
+/**
+ * Delete a semantic rule
+ */
+router.delete('/rules/semantic/:id', (req, res) => {
+    try {
+        const rule = aiService.ruleStore.get(req.params.id);
+        
+        if (!rule || rule.type !== 'semantic' || !aiService.removeRule(rule.id)) {
+            return res.status(404).json({ error: 'Rule not found' });
         }
         
-        res.status(200).json(rules);
+        res.status(200).json({ success: true });
+    } catch (error) {
+        logger.error('Error deleting semantic rule:', error);
+        res.status(500).json({ error: 'Failed to delete semantic rule' });
+    }
+});
+
+/**
+ * Get all rules (?type, ?source), each with its stats
+ * (hits, last hit, recent matches, false positives, auto-disable reason)
+ */
+router.get('/rules', (req, res) => {
+    try {
+        const rules = aiService.getRules({ type: req.query.type, source: req.query.source });
+        res.status(200).json({ rules });
     } catch (error) {
         logger.error('Error getting rules:', error);
         res.status(500).json({ error: 'Failed to get rules' });
     }
 });
 
+/**
+ * Items recently dropped by a rule (newest first), for false-positive reports
+ */
+router.get('/rules/filtered', (req, res) => {
+    try {
+        const limit = Math.min(parseInt(req.query.limit || '20', 10), 100);
+        res.status(200).json({ filtered: aiService.ruleStats.getFiltered(limit) });
+    } catch (error) {
+        logger.error('Error listing filtered items:', error);
+        res.status(500).json({ error: 'Failed to list filtered items' });
+    }
+});
+
+/**
+ * Report a filtered item as actually important
+ */
+router.post('/rules/filtered/:itemId/false-positive', async (req, res) => {
+    try {
+        const report = await aiService.reportFalsePositive(req.params.itemId, req.user && req.user.username);
+        
+        if (!report) {
+            return res.status(404).json({ error: 'Filtered item not found or already reported' });
+        }
+        
+        res.status(200).json({ success: true, ...report });
+    } catch (error) {
+        logger.error('Error reporting false positive:', error);
+        res.status(500).json({ error: 'Failed to report false positive' });
+    }
+});
+
+/**
+ * Download every rule as a rules document
+ */
+router.get('/rules/export', (req, res) => {
+    try {
+        const date = new Date().toISOString().substring(0, 10);
+        
+        res.setHeader('Content-Disposition', `attachment; filename="rules-${date}.json"`);
+        res.status(200).json(aiService.ruleStore.export());
+    } catch (error) {
+        logger.error('Error exporting rules:', error);
+        res.status(500).json({ error: 'Failed to export rules' });
+    }
+});
+
+/**
+ * Import a rules document (an export, or rules.json in the old format).
+ * Rules that exist already are skipped; ?mode=replace drops the current rules first.
+ */
+router.post('/rules/import', (req, res) => {
+    try {
+        const result = aiService.importRules(req.body, {
+            replace: req.query.mode === 'replace',
+            importedBy: req.user && req.user.username
+        });
+        
+        if (result.errors.length > 0) {
+            return res.status(400).json({ error: 'Invalid rules, nothing imported', details: result.errors });
+        }
+        
+        res.status(200).json({ success: true, imported: result.imported, skipped: result.skipped });
+    } catch (error) {
+        logger.error('Error importing rules:', error);
+        res.status(500).json({ error: 'Failed to import rules' });
+    }
+});
+
+/**
+ * Get a rule with its stats
+ */
+router.get('/rules/:id', (req, res) => {
+    try {
+        const [rule] = aiService.getRules().filter(r => r.id === req.params.id);
+        
+        if (!rule) {
+            return res.status(404).json({ error: 'Rule not found' });
+        }
+        
+        res.status(200).json({ rule });
+    } catch (error) {
+        logger.error('Error getting rule:', error);
+        res.status(500).json({ error: 'Failed to get rule' });
+    }
+});
+
+/**
+ * Update a rule
+ * @param {object} req - Request
+ * @param {object} res - Response
+ * @param {boolean} replace - Replace every field (PUT) or change the given ones (PATCH)
+ */
+function updateRule(req, res, replace) {
+    try {
+        const result = aiService.updateRule(req.params.id, req.body, { replace });
+        
+        if (!result) {
+            return res.status(404).json({ error: 'Rule not found' });
+        }
+        
+        if (!result.rule) {
+            return res.status(400).json({ error: 'Invalid rule', details: result.errors });
+        }
+        
+        res.status(200).json({ success: true, rule: result.rule });
+    } catch (error) {
+        logger.error('Error updating rule:', error);
+        res.status(500).json({ error: 'Failed to update rule' });
+    }
+}
+
+/**
+ * Replace a rule's fields (id, type, source and creation fields stay)
+ */
+router.put('/rules/:id', (req, res) => updateRule(req, res, true));
+
+/**
+ * Change some of a rule's fields, e.g. { enabled: false }
+ */
+router.patch('/rules/:id', (req, res) => updateRule(req, res, false));
+
+/**
+ * Turn a rule back on (disabled by hand or for its stats)
+ */
+router.post('/rules/:id/enable', (req, res) => {
+    try {
+        if (!aiService.enableRule(req.params.id)) {
+            return res.status(404).json({ error: 'No disabled rule with that id' });
+        }
+        
+        res.status(200).json({ success: true });
+    } catch (error) {
+        logger.error('Error enabling rule:', error);
+        res.status(500).json({ error: 'Failed to enable rule' });
+    }
+});
+
+// Fields of a prompt template that can be set through the API
+const PROMPT_FIELDS = ['description', 'system', 'template', 'overrides', 'variables', 'typeDescriptions'];
+
+/**
+ * Get the category taxonomy and its routing
+ */
+router.get('/categories', (req, res) => {
+    try {
+        res.status(200).json(aiService.categories.config);
+    } catch (error) {
+        logger.error('Error getting categories:', error);
+        res.status(500).json({ error: 'Failed to get categories' });
+    }
+});
+
+/**
+ * Replace the category taxonomy and its routing
+ */
+router.put('/categories', (req, res) => {
+    try {
+        const errors = aiService.categories.update(req.body);
+        
+        if (errors.length > 0) {
+            return res.status(400).json({ error: 'Invalid category config', details: errors });
+        }
+        
+        res.status(200).json({ success: true, ...aiService.categories.config });
+    } catch (error) {
+        logger.error('Error updating categories:', error);
+        res.status(500).json({ error: 'Failed to update categories' });
+    }
+});
+
+/**
+ * List prompt templates
+ */
+router.get('/prompts', (req, res) => {
+    try {
+        res.status(200).json({
+            count: aiService.prompts.list().length,
+            prompts: aiService.prompts.list()
+        });
+    } catch (error) {
+        logger.error('Error listing prompt templates:', error);
+        res.status(500).json({ error: 'Failed to list prompt templates' });
+    }
+});
+
+/**
+ * Get a prompt template (optionally a previous version)
+ */
+router.get('/prompts/:name', (req, res) => {
+    try {
+        const { name } = req.params;
+        const template = req.query.version
+            ? aiService.prompts.getVersion(name, parseInt(req.query.version, 10))
+            : aiService.prompts.get(name);
+        
+        if (!template) {
+            return res.status(404).json({ error: 'Prompt template not found' });
+        }
+        
+        res.status(200).json(template);
+    } catch (error) {
+        logger.error('Error getting prompt template:', error);
+        res.status(500).json({ error: 'Failed to get prompt template' });
+    }
+});
+
+/**
+ * Create or update a prompt template (updates bump the version)
+ */
+router.put('/prompts/:name', (req, res) => {
+    try {
+        const { name } = req.params;
+        const exists = Boolean(aiService.prompts.get(name));
+        
+        // Validate input
+        if (!/^[a-z0-9_-]+$/i.test(name)) {
+            return res.status(400).json({ error: 'Invalid template name' });
+        }
+        
+        if (!exists && (!req.body.system || !req.body.template)) {
+            return res.status(400).json({ error: 'System and template are required for a new template' });
+        }
+        
+        const fields = {};
+        for (const field of PROMPT_FIELDS) {
+            if (req.body[field] !== undefined) {
+                fields[field] = req.body[field];
+            }
+        }
+        
+        // A template that can't render would break every request using it
+        const errors = aiService.prompts.validateTemplate(name, fields);
+        if (errors.length > 0) {
+            return res.status(400).json({ error: 'Invalid prompt template', details: errors });
+        }
+        
+        const template = aiService.prompts.save(name, fields, req.user && req.user.username);
+        
+        res.status(exists ? 200 : 201).json({
+            success: true,
+            template
+        });
+    } catch (error) {
+        logger.error('Error saving prompt template:', error);
+        res.status(500).json({ error: 'Failed to save prompt template' });
+    }
+});
+
+/**
+ * Preview a rendered prompt template
+ */
+router.post('/prompts/:name/render', (req, res) => {
+    try {
+        const { type, variables } = req.body;
+        
+        if (!aiService.prompts.get(req.params.name)) {
+            return res.status(404).json({ error: 'Prompt template not found' });
+        }
+        
+        res.status(200).json(aiService.prompts.render(req.params.name, type || 'notification', variables || {}));
+    } catch (error) {
+        logger.error('Error rendering prompt template:', error);
+        res.status(500).json({ error: 'Failed to render prompt template' });
+    }
+});
+
+/**
+ * Delete a prompt template
+ */
+router.delete('/prompts/:name', (req, res) => {
+    try {
+        const { name } = req.params;
+        
+        if (REQUIRED_TEMPLATES.includes(name)) {
+            return res.status(400).json({ error: `Prompt template ${name} is required and cannot be deleted` });
+        }
+        
+        if (!aiService.prompts.remove(name)) {
+            return res.status(404).json({ error: 'Prompt template not found' });
+        }
+        
+        res.status(200).json({
+            success: true,
+            message: `Prompt template ${name} deleted`
+        });
+    } catch (error) {
+        logger.error('Error deleting prompt template:', error);
+        res.status(500).json({ error: 'Failed to delete prompt template' });
+    }
+});
+
+/**
+ * List the tools the assistant can call
+ */
+router.get('/tools', (req, res) => {
+    try {
+        res.status(200).json({ tools: aiService.tools.list() });
+    } catch (error) {
+        logger.error('Error listing tools:', error);
+        res.status(500).json({ error: 'Failed to list tools' });
+    }
+});
+
+/**
+ * Get the tool call audit log (newest first)
+ */
+router.get('/tools/audit', (req, res) => {
+    try {
+        const limit = Math.min(parseInt(req.query.limit || '100', 10), 500);
+        
+        res.status(200).json({ audit: aiService.tools.getAudit(limit) });
+    } catch (error) {
+        logger.error('Error getting tool audit log:', error);
+        res.status(500).json({ error: 'Failed to get tool audit log' });
+    }
+});
+
+/**
+ * List tool calls waiting for confirmation
+ */
+router.get('/tools/pending', (req, res) => {
+    try {
+        res.status(200).json({ pending: aiService.tools.getPending() });
+    } catch (error) {
+        logger.error('Error listing pending tool calls:', error);
+        res.status(500).json({ error: 'Failed to list pending tool calls' });
+    }
+});
+
+/**
+ * Confirm a pending tool call
+ */
+router.post('/tools/pending/:id/confirm', async (req, res) => {
+    try {
+        const record = await aiService.tools.confirm(req.params.id, req.user && req.user.username);
+        
+        if (!record) {
+            return res.status(404).json({ error: 'Pending tool call not found' });
+        }
+        
+        res.status(record.status === 'executed' ? 200 : 500).json({
+            success: record.status === 'executed',
+            record
+        });
+    } catch (error) {
+        logger.error('Error confirming tool call:', error);
+        res.status(500).json({ error: 'Failed to confirm tool call' });
+    }
+});
+
+/**
+ * Cancel a pending tool call
+ */
+router.delete('/tools/pending/:id', (req, res) => {
+    try {
+        if (!aiService.tools.cancel(req.params.id, req.user && req.user.username)) {
+            return res.status(404).json({ error: 'Pending tool call not found' });
+        }
+        
+        res.status(200).json({ success: true });
+    } catch (error) {
+        logger.error('Error cancelling tool call:', error);
+        res.status(500).json({ error: 'Failed to cancel tool call' });
+    }
+});
+
+/**
+ * Get SMS sent from suggested replies or assistant actions, with their delivery status
+ */
+router.get('/replies/deliveries', (req, res) => {
+    try {
+        const limit = Math.min(parseInt(req.query.limit || '50', 10), 100);
+        
+        res.status(200).json({ deliveries: replyService.getDeliveries(limit) });
+    } catch (error) {
+        logger.error('Error getting SMS deliveries:', error);
+        res.status(500).json({ error: 'Failed to get SMS deliveries' });
+    }
+});
+
 module.exports = router;
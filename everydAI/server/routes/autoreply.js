@@ -0,0 +1,122 @@
+const express = require('express');
+const router = express.Router();
+const autoReplyService = require('../services/autoReply');
+const logger = require('../utils/logger');
+
+/**
+ * List auto-reply policies (in evaluation order) and manual states
+ */
+router.get('/', (req, res) => {
+    try {
+        res.status(200).json({
+            policies: autoReplyService.list(),
+            states: autoReplyService.states
+        });
+    } catch (error) {
+        logger.error('Error listing auto-reply policies:', error);
+        res.status(500).json({ error: 'Failed to list auto-reply policies' });
+    }
+});
+
+/**
+ * Add an auto-reply policy
+ */
+router.post('/', (req, res) => {
+    try {
+        const { policy, errors } = autoReplyService.create(req.body, req.user && req.user.username);
+
+        if (!policy) {
+            return res.status(400).json({ error: 'Invalid policy', details: errors });
+        }
+
+        res.status(201).json({ success: true, policy });
+    } catch (error) {
+        logger.error('Error adding auto-reply policy:', error);
+        res.status(500).json({ error: 'Failed to add auto-reply policy' });
+    }
+});
+
+/**
+ * Set manual states (e.g. { "driving": true }); null clears a state
+ */
+router.put('/states', (req, res) => {
+    try {
+        for (const [key, value] of Object.entries(req.body || {})) {
+            autoReplyService.setState(key, value);
+        }
+
+        res.status(200).json({ success: true, states: autoReplyService.states });
+    } catch (error) {
+        logger.error('Error setting auto-reply states:', error);
+        res.status(500).json({ error: 'Failed to set states' });
+    }
+});
+
+/**
+ * Dry run: which policy would answer this event, and why
+ */
+router.post('/evaluate', (req, res) => {
+    try {
+        const { channel, sender, name, known, text, category, deviceId, at } = req.body;
+
+        if (!channel || !sender) {
+            return res.status(400).json({ error: 'Channel and sender are required' });
+        }
+
+        const { policy, explanations } = autoReplyService.evaluate({
+            channel,
+            sender,
+            name,
+            known: Boolean(known),
+            text,
+            category,
+            deviceId,
+            at: at ? new Date(at) : new Date()
+        });
+
+        res.status(200).json({ policy, explanations });
+    } catch (error) {
+        logger.error('Error evaluating auto-reply policies:', error);
+        res.status(500).json({ error: 'Failed to evaluate policies' });
+    }
+});
+
+/**
+ * Change an auto-reply policy
+ */
+router.put('/:id', (req, res) => {
+    try {
+        const result = autoReplyService.update(req.params.id, req.body);
+
+        if (!result) {
+            return res.status(404).json({ error: 'Policy not found' });
+        }
+
+        if (!result.policy) {
+            return res.status(400).json({ error: 'Invalid policy', details: result.errors });
+        }
+
+        res.status(200).json({ success: true, policy: result.policy });
+    } catch (error) {
+        logger.error('Error updating auto-reply policy:', error);
+        res.status(500).json({ error: 'Failed to update auto-reply policy' });
+    }
+});
+
+/**
+ * Delete an auto-reply policy
+ */
+router.delete('/:id', (req, res) => {
+    try {
+        if (!autoReplyService.remove(req.params.id)) {
+            return res.status(404).json({ error: 'Policy not found' });
+        }
+
+        res.status(200).json({ success: true });
+    } catch (error) {
+        logger.error('Error deleting auto-reply policy:', error);
+        res.status(500).json({ error: 'Failed to delete auto-reply policy' });
+    }
+});
+
+module.exports = router;
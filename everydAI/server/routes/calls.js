@@ -146,6 +146,30 @@ router.get('/active', (req, res) => {
     }
 });
 
+/**
+ * Get call history
+ */
+router.get('/', (req, res) => {
+    try {
+        const { status, phoneNumber, limit } = req.query;
+        
+        const calls = callService.getCallHistory({
+            status,
+            phoneNumber,
+            limit: parseInt(limit) || undefined
+        });
+        
+        res.status(200).json({
+            success: true,
+            count: calls.length,
+            calls
+        });
+    } catch (error) {
+        logger.error('Error getting call history:', error);
+        res.status(500).json({ error: 'Failed to get call history' });
+    }
+});
+
 /**
  * Get specific call
  */
@@ -0,0 +1,47 @@
+const express = require('express');
+const router = express.Router();
+const digestService = require('../services/digest');
+const { PERIODS } = require('../services/digest');
+const logger = require('../utils/logger');
+
+/**
+ * Build the digest of a period (?period=today|yesterday|week) without sending it
+ */
+router.get('/', async (req, res) => {
+    try {
+        const period = req.query.period || 'today';
+
+        if (!PERIODS.includes(period)) {
+            return res.status(400).json({ error: `period must be one of ${PERIODS.join(', ')}` });
+        }
+
+        const digest = await digestService.build(digestService.periodOf(period));
+
+        res.status(200).json({ success: true, digest });
+    } catch (error) {
+        logger.error('Error building digest:', error);
+        res.status(500).json({ error: 'Failed to build digest' });
+    }
+});
+
+/**
+ * Build the digest of a period and send it to the WhatsApp group and desktops
+ */
+router.post('/send', async (req, res) => {
+    try {
+        const period = (req.body && req.body.period) || 'today';
+
+        if (!PERIODS.includes(period)) {
+            return res.status(400).json({ error: `period must be one of ${PERIODS.join(', ')}` });
+        }
+
+        const digest = await digestService.deliver(digestService.periodOf(period));
+
+        res.status(200).json({ success: true, digest });
+    } catch (error) {
+        logger.error('Error sending digest:', error);
+        res.status(500).json({ error: 'Failed to send digest' });
+    }
+});
+
+module.exports = router;
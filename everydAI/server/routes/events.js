@@ -2,8 +2,12 @@ const express = require('express');
 const router = express.Router();
 const { handleNotification, handleSMS, handleCall } = require('../handlers');
 const deviceManager = require('../services/deviceManager');
+const database = require('../db');
 const logger = require('../utils/logger');
 
+// Event types the Android app sends
+const EVENT_TYPES = ['notification', 'sms', 'call'];
+
 /**
  * Process an event from the Android app
  */
@@ -143,4 +147,120 @@ router.post('/broadcast', (req, res) => {
     }
 });
 
+/**
+ * Read the search filter of GET /api/events from the query string
+ * @param {object} query - Query parameters
+ * @returns {object} - { filter } or { error }
+ */
+function parseSearch(query) {
+    const filter = {};
+    
+    if (query.type) {
+        filter.type = String(query.type).split(',').map(type => type.trim()).filter(Boolean);
+        const unknown = filter.type.find(type => !EVENT_TYPES.includes(type));
+        if (unknown) {
+            return { error: `Unknown event type: ${unknown}` };
+        }
+    }
+    
+    if (query.route) {
+        filter.route = String(query.route).split(',').map(route => route.trim()).filter(Boolean);
+    }
+    
+    for (const key of ['since', 'until']) {
+        if (query[key]) {
+            const date = new Date(query[key]);
+            if (isNaN(date.getTime())) {
+                return { error: `${key} must be a date` };
+            }
+            filter[key] = date.toISOString();
+        }
+    }
+    
+    for (const key of ['app', 'sender', 'category', 'q', 'groupId']) {
+        if (query[key]) {
+            filter[key] = String(query[key]);
+        }
+    }
+    
+    if (query.minScore !== undefined) {
+        filter.minScore = parseFloat(query.minScore);
+        if (isNaN(filter.minScore) || filter.minScore < 0 || filter.minScore > 1) {
+            return { error: 'minScore must be a number from 0 to 1' };
+        }
+    }
+    
+    for (const key of ['important', 'filtered']) {
+        if (query[key] !== undefined) {
+            if (!['true', 'false'].includes(query[key])) {
+                return { error: `${key} must be true or false` };
+            }
+            filter[key] = query[key] === 'true';
+        }
+    }
+    
+    if (query.limit !== undefined) {
+        filter.limit = parseInt(query.limit);
+        if (isNaN(filter.limit) || filter.limit < 1) {
+            return { error: 'limit must be a positive number' };
+        }
+    }
+    
+    if (query.cursor) {
+        if (!database.events.decodeCursor(String(query.cursor))) {
+            return { error: 'Invalid cursor' };
+        }
+        filter.cursor = String(query.cursor);
+    }
+    
+    return { filter };
+}
+
+/**
+ * Search processed events with their verdicts, most recent first
+ * (pass nextCursor back as ?cursor for the next page)
+ */
+router.get('/', (req, res) => {
+    try {
+        const { filter, error } = parseSearch(req.query);
+        
+        if (error) {
+            return res.status(400).json({ error });
+        }
+        
+        const { events, nextCursor } = database.events.search(filter);
+        
+        res.status(200).json({
+            success: true,
+            count: events.length,
+            events,
+            nextCursor
+        });
+    } catch (error) {
+        logger.error('Error searching events:', error);
+        res.status(500).json({ error: 'Failed to search events' });
+    }
+});
+
+/**
+ * Get a processed event with its verdict
+ */
+router.get('/:id', (req, res) => {
+    try {
+        const event = database.events.get(req.params.id);
+        
+        if (!event) {
+            return res.status(404).json({ error: 'Event not found' });
+        }
+        
+        res.status(200).json({
+            success: true,
+            event
+        });
+    } catch (error) {
+        logger.error('Error getting event:', error);
+        res.status(500).json({ error: 'Failed to get event' });
+    }
+});
+
 module.exports = router;
@@ -1,6 +1,8 @@
 const express = require('express');
 const router = express.Router();
 const whatsappClient = require('../services/whatsapp');
+const dndService = require('../services/dnd');
+const { parseDuration } = require('../utils/time');
 const logger = require('../utils/logger');
 
 /**
@@ -60,7 +62,8 @@ router.post('/sendToGroup', async (req, res) => {
         }
         
         // Send message
-        const success = await whatsappClient.sendToGroup(message);
+        // Sent on request, so do-not-disturb doesn't hold it
+        const success = await whatsappClient.sendToGroup(message, { urgent: true });
         
         if (success) {
             res.status(200).json({
@@ -84,7 +87,8 @@ router.get('/status', (req, res) => {
         const status = {
             ready: whatsappClient.isReady,
             assistantGroup: Boolean(whatsappClient.assistantGroup),
-            uptime: whatsappClient.getUptime()
+            uptime: whatsappClient.getUptime(),
+            dnd: dndService.status()
         };
         
         res.status(200).json(status);
@@ -94,4 +98,47 @@ router.get('/status', (req, res) => {
     }
 });
 
+/**
+ * Set quiet-hour schedules and breakthrough rules
+ */
+router.put('/dnd', (req, res) => {
+    try {
+        const errors = dndService.update(req.body || {});
+        
+        if (errors.length > 0) {
+            return res.status(400).json({ error: 'Invalid do-not-disturb settings', details: errors });
+        }
+        
+        res.status(200).json({ success: true, dnd: dndService.status() });
+    } catch (error) {
+        logger.error('Error updating do-not-disturb settings:', error);
+        res.status(500).json({ error: 'Failed to update do-not-disturb settings' });
+    }
+});
+
+/**
+ * Turn do-not-disturb on or off by hand ({ active, duration: "2h" })
+ */
+router.post('/dnd', (req, res) => {
+    try {
+        const { active, duration } = req.body || {};
+        
+        if (typeof active !== 'boolean') {
+            return res.status(400).json({ error: 'active must be true or false' });
+        }
+        
+        const ms = duration ? parseDuration(String(duration)) : null;
+        if (duration && !ms) {
+            return res.status(400).json({ error: 'duration must look like 30m, 2h or 1d' });
+        }
+        
+        dndService.setManual(active, ms, req.user && req.user.username);
+        
+        res.status(200).json({ success: true, dnd: dndService.status() });
+    } catch (error) {
+        logger.error('Error toggling do-not-disturb:', error);
+        res.status(500).json({ error: 'Failed to toggle do-not-disturb' });
+    }
+});
+
 module.exports = router;
@@ -0,0 +1,247 @@
+const logger = require('../utils/logger');
+const toolRegistry = require('./tools');
+const whatsappClient = require('./whatsapp');
+const deviceManager = require('./deviceManager');
+const callService = require('./twilio');
+const replyService = require('./replies');
+const { aiService } = require('./ai');
+const database = require('../db');
+
+/**
+ * Built-in server actions for the assistant group, and the
+ * !confirm / !cancel commands that release destructive ones
+ */
+
+/**
+ * Pick the device to act through: the requested one, or the most recently active
+ * @param {string} [deviceId] - Device identifier
+ * @returns {object|null} - Device object
+ */
+function pickDevice(deviceId) {
+    if (deviceId) {
+        return deviceManager.getDevice(deviceId);
+    }
+
+    const devices = deviceManager.getAllDevices()
+        .sort((a, b) => new Date(b.lastActive) - new Date(a.lastActive));
+
+    return devices.length > 0 ? deviceManager.getDevice(devices[0].id) : null;
+}
+
+toolRegistry.register({
+    name: 'send_whatsapp_message',
+    description: 'Send a WhatsApp message to a contact',
+    destructive: true,
+    parameters: {
+        type: 'object',
+        required: ['to', 'message'],
+        properties: {
+            to: { type: 'string', description: 'Phone number with country code, digits only' },
+            message: { type: 'string', maxLength: 4000 }
+        }
+    },
+    describe: args => `Send WhatsApp to ${args.to}: "${args.message}"`,
+    handler: async args => {
+        const sent = await whatsappClient.sendMessage(args.to.replace(/[^\d@.a-z]/gi, ''), args.message);
+
+        if (!sent) {
+            throw new Error('WhatsApp message could not be sent');
+        }
+
+        return { sent: true };
+    }
+});
+
+toolRegistry.register({
+    name: 'send_sms',
+    description: 'Send an SMS from the user\'s phone',
+    destructive: true,
+    parameters: {
+        type: 'object',
+        required: ['phoneNumber', 'message'],
+        properties: {
+            phoneNumber: { type: 'string' },
+            message: { type: 'string', maxLength: 1600 },
+            deviceId: { type: 'string', description: 'Device to send from; defaults to the most recently active one' }
+        }
+    },
+    describe: args => `Send SMS to ${args.phoneNumber}: "${args.message}"`,
+    handler: async (args, context) => {
+        const device = pickDevice(args.deviceId);
+
+        if (!device) {
+            throw new Error('No connected device to send the SMS from');
+        }
+
+        // The device reports the outcome back as a command_result
+        const delivery = replyService.dispatch(device.id, args.phoneNumber, args.message, {
+            requestedBy: context.confirmedBy || context.requestedBy
+        });
+
+        if (delivery.status === 'failed') {
+            throw new Error(delivery.error);
+        }
+
+        return { commandId: delivery.commandId, deviceId: device.id };
+    }
+});
+
+toolRegistry.register({
+    name: 'speak_in_call',
+    description: 'Say something in an active phone call',
+    destructive: true,
+    parameters: {
+        type: 'object',
+        required: ['text'],
+        properties: {
+            text: { type: 'string', maxLength: 1000 },
+            callId: { type: 'string', description: 'Call to speak in; defaults to the only active call' }
+        }
+    },
+    describe: args => `Say in call${args.callId ? ` ${args.callId}` : ''}: "${args.text}"`,
+    handler: async args => {
+        let callId = args.callId;
+
+        if (!callId) {
+            const calls = callService.getActiveCalls();
+
+            if (calls.length !== 1) {
+                throw new Error(calls.length === 0 ? 'No active call' : 'Several active calls, give a callId');
+            }
+
+            callId = calls[0].callId;
+        }
+
+        const result = callService.sendCallCommand(callId, 'speak', args.text);
+
+        if (!result.success) {
+            throw new Error(result.error);
+        }
+
+        return { callId };
+    }
+});
+
+toolRegistry.register({
+    name: 'add_filter_rule',
+    description: 'Ignore future notifications or SMS containing a phrase',
+    destructive: true,
+    parameters: {
+        type: 'object',
+        required: ['type', 'pattern'],
+        properties: {
+            type: { type: 'string', enum: ['notification_ignore', 'sms_ignore', 'spam_keywords'] },
+            pattern: { type: 'string', maxLength: 100 }
+        }
+    },
+    describe: args => `Add ${args.type} rule "${args.pattern}"`,
+    handler: async args => {
+        const { rule, errors } = aiService.addRule(
+            { type: args.type, pattern: args.pattern },
+            { source: 'ai', createdBy: 'assistant' }
+        );
+
+        if (!rule) {
+            throw new Error(errors.join('; '));
+        }
+
+        return { added: true, id: rule.id };
+    }
+});
+
+/**
+ * What the model gets to see of a stored event
+ * @param {object} event - Event from the event history
+ * @returns {object}
+ */
+function describeEvent(event) {
+    const verdict = event.verdict || {};
+    const result = verdict.result || {};
+
+    return {
+        type: event.type,
+        source: event.source,
+        title: event.title,
+        text: event.content,
+        receivedAt: event.receivedAt,
+        category: verdict.category || null,
+        filtered: Boolean(verdict.filtered),
+        summary: result.response || result.summary || null
+    };
+}
+
+toolRegistry.register({
+    name: 'query_recent_events',
+    description: 'Look up processed notifications, SMS and calls in the event history, newest first',
+    parameters: {
+        type: 'object',
+        properties: {
+            type: { type: 'string', enum: ['notification', 'sms', 'call'] },
+            contains: { type: 'string', description: 'Only events whose text or AI summary contains these words' },
+            sender: { type: 'string', description: 'Only SMS and calls from this number (prefix) or contact name' },
+            app: { type: 'string', description: 'Only notifications from this app (package or app name)' },
+            limit: { type: 'number', minimum: 1, maximum: 20 }
+        }
+    },
+    handler: async args => {
+        const { events } = database.events.search({
+            type: args.type,
+            q: args.contains,
+            sender: args.sender,
+            app: args.app,
+            limit: args.limit || 5
+        });
+
+        return { events: events.map(describeEvent) };
+    }
+});
+
+/**
+ * Handle confirm command
+ * @param {Message} message - Message object
+ * @param {Array<string>} args - Command arguments
+ */
+async function handleConfirmCommand(message, args) {
+    if (args.length === 0) {
+        const pending = toolRegistry.getPending();
+        await message.reply(pending.length === 0
+            ? 'Nothing is waiting for confirmation.'
+            : pending.map(p => `${p.id}: ${p.description}`).join('\n'));
+        return;
+    }
+
+    const contact = await message.getContact();
+    const record = await toolRegistry.confirm(args[0], contact.pushname || contact.number);
+
+    if (!record) {
+        await message.reply(`No pending action with id ${args[0]} (it may have expired).`);
+    } else if (record.status === 'executed') {
+        await message.reply(`✅ Done: ${record.tool}`);
+    } else {
+        await message.reply(`❌ ${record.tool} failed: ${record.error}`);
+    }
+}
+
+/**
+ * Handle cancel command
+ * @param {Message} message - Message object
+ * @param {Array<string>} args - Command arguments
+ */
+async function handleCancelCommand(message, args) {
+    if (args.length === 0) {
+        await message.reply('Usage: !cancel <id>');
+        return;
+    }
+
+    const contact = await message.getContact();
+    const cancelled = toolRegistry.cancel(args[0], contact.pushname || contact.number);
+
+    await message.reply(cancelled ? `Cancelled ${args[0]}.` : `No pending action with id ${args[0]}.`);
+}
+
+whatsappClient.registerCommand('confirm', handleConfirmCommand);
+whatsappClient.registerCommand('cancel', handleCancelCommand);
+
+logger.info(`Registered ${toolRegistry.list().length} assistant tools`);
+
+module.exports = toolRegistry;
@@ -0,0 +1,88 @@
+const toolRegistry = require('./agentTools');
+const { aiService } = require('./ai');
+const { FakeProvider } = require('./providers');
+const { UsageLedger } = require('./usage');
+const database = require('../db');
+
+describe('assistant tools', () => {
+    beforeAll(() => {
+        // A minute apart, so the newest-first order is deterministic
+        jest.useFakeTimers({ now: new Date('2026-10-19T09:00:00Z') });
+        const sms = database.events.record('sms', { phoneNumber: '+15550100', contactName: 'Alice', messageBody: 'Dinner moved to Friday' });
+        database.events.saveVerdict(sms.id, { processed: true, category: 'personal', response: 'Alice moved dinner to Friday.' });
+        jest.advanceTimersByTime(60000);
+        database.events.record('notification', { packageName: 'com.bank', title: 'Card payment', text: 'You paid 40 EUR' });
+        jest.advanceTimersByTime(60000);
+        database.events.record('sms', { phoneNumber: '+15550199', messageBody: 'Your parcel is out for delivery' });
+        jest.useRealTimers();
+    });
+
+    describe('query_recent_events', () => {
+        test('reads the event history, newest first', async () => {
+            const record = await toolRegistry.execute('query_recent_events', {});
+
+            expect(record.status).toBe('executed');
+            expect(record.result.events.map(e => e.text)).toEqual([
+                'Your parcel is out for delivery',
+                'You paid 40 EUR',
+                'Dinner moved to Friday'
+            ]);
+        });
+
+        test('filters by type, text and sender, with the AI summary', async () => {
+            const byText = await toolRegistry.execute('query_recent_events', { type: 'sms', contains: 'dinner' });
+
+            expect(byText.result.events).toEqual([expect.objectContaining({
+                type: 'sms',
+                source: '+15550100',
+                text: 'Dinner moved to Friday',
+                category: 'personal',
+                summary: 'Alice moved dinner to Friday.'
+            })]);
+
+            const bySender = await toolRegistry.execute('query_recent_events', { sender: 'Alice' });
+            expect(bySender.result.events).toHaveLength(1);
+
+            const limited = await toolRegistry.execute('query_recent_events', { limit: 1 });
+            expect(limited.result.events).toHaveLength(1);
+        });
+    });
+
+    describe('agent loop', () => {
+        let fake;
+
+        beforeEach(() => {
+            fake = new FakeProvider();
+            aiService.usage = new UsageLedger({ ledgerPath: null, budgets: { day: 0, month: 0 } });
+            aiService.providers.setProvider('fake', fake);
+            aiService.providers.setTier('full', { provider: 'fake', model: 'large' });
+        });
+
+        test('feeds tool results back to the model', async () => {
+            fake.enqueue({ toolCalls: [{ name: 'query_recent_events', arguments: { contains: 'parcel' } }] });
+            fake.enqueue('Your parcel is out for delivery.');
+
+            const result = await aiService.converse('agent-chat-1', 'Where is my parcel?', { sender: 'ann' }, { tools: true });
+
+            expect(result.text).toBe('Your parcel is out for delivery.');
+            expect(result.toolCalls).toEqual([expect.objectContaining({ tool: 'query_recent_events', status: 'executed' })]);
+            const toolMessage = fake.calls[1].messages.find(m => m.role === 'tool');
+            expect(toolMessage.content).toContain('Your parcel is out for delivery');
+        });
+
+        test('destructive calls wait for !confirm', async () => {
+            fake.enqueue({ toolCalls: [{ name: 'add_filter_rule', arguments: { type: 'sms_ignore', pattern: 'lottery' } }] });
+            fake.enqueue('I will add that rule once you confirm.');
+
+            const result = await aiService.converse('agent-chat-2', 'Ignore lottery SMS', { sender: 'ann' }, { tools: true });
+
+            expect(result.pendingConfirmations).toHaveLength(1);
+            expect(aiService.ruleStore.find('sms_ignore', 'lottery')).toBeFalsy();
+
+            const executed = await toolRegistry.confirm(result.pendingConfirmations[0].confirmationId, 'ann');
+
+            expect(executed.status).toBe('executed');
+            expect(aiService.ruleStore.find('sms_ignore', 'lottery')).toBeTruthy();
+        });
+    });
+});
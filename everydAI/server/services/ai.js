@@ -1,101 +1,507 @@
-const { OpenAI } = require('openai');
-const axios = require('axios');
 const logger = require('../utils/logger');
-const whatsappClient = require('./whatsapp');
-const fs = require('fs');
-const path = require('path');
+// Required lazily: whatsapp.js requires this module, so a top-level require
+// would see its unfinished (empty) exports
+const getWhatsAppClient = () => require('./whatsapp');
+const providerRegistry = require('./providers');
+const { AIProviderError, AIUnavailableError, AIBudgetError } = require('./providers/errors');
+const { withTimeout, retryWithBackoff } = require('./providers/resilience');
+const usageLedger = require('./usage');
+const aiCache = require('./aiCache');
+const promptStore = require('./prompts');
+const conversationMemory = require('./memory');
+const { estimateTokens } = require('./memory');
+const toolRegistry = require('./tools');
+const { getVerdictSchema, createVerdict, describeVerdict } = require('./filterVerdict');
+const categoryTaxonomy = require('./categories');
+const semanticRuleMatcher = require('./semanticRules');
+const ruleEngine = require('./ruleEngine');
+const ruleReviewQueue = require('./ruleReview');
+const ruleStats = require('./ruleStats');
+const ruleStore = require('./ruleStore');
+const { extractEntities, normalizeEntities, mergeEntities } = require('./entities');
+const { validate, parseJSON } = require('../utils/schema');
 
-// Initialize OpenAI client
-const openai = new OpenAI({
-    apiKey: process.env.OPENAI_API_KEY
-});
+// How many times the filter tier is re-asked after an invalid verdict
+const MAX_SCHEMA_REPAIRS = parseInt(process.env.AI_SCHEMA_MAX_REPAIRS || '1', 10);
+
+// Model round trips allowed per assistant message when tools are enabled
+const AGENT_MAX_STEPS = parseInt(process.env.AGENT_MAX_STEPS || '4', 10);
+
+// Reply suggestions drafted for each important SMS (0 disables drafting)
+const REPLY_SUGGESTIONS = Math.min(parseInt(process.env.REPLY_SUGGESTIONS || '3', 10), 3);
+
+// How often rules are checked for auto-disabling
+const RULE_SWEEP_INTERVAL_MS = 60 * 60 * 1000;
+
+// Over budget, only requests someone is waiting on still reach a provider
+const ESSENTIAL_TYPES = ['whatsapp', 'call'];
 
 /**
  * AI Service Class
  */
 class AIService {
     constructor() {
-        this.rules = new Map();
-        this.dynamicRules = new Map();
-        this.loadRules();
+        this.ruleStore = ruleStore;
+        this.providers = providerRegistry;
+        this.usage = usageLedger;
+        this.cache = aiCache;
+        this.prompts = promptStore;
+        this.memory = conversationMemory;
+        this.tools = toolRegistry;
+        this.categories = categoryTaxonomy;
+        this.semantic = semanticRuleMatcher;
+        this.ruleEngine = ruleEngine;
+        this.ruleReview = ruleReviewQueue;
+        this.ruleStats = ruleStats;
+        // Chats whose memory is being summarized right now
+        this.compacting = new Set();
+        this.schemaStats = { validated: 0, repaired: 0, failures: 0 };
+        
+        // Embed similarity examples in the background
+        this.prepareExamples();
+        
+        // Drop expired rules; disable rules that stopped matching or filter too much
+        setInterval(() => this.sweepRules(), RULE_SWEEP_INTERVAL_MS).unref();
     }
     
     /**
-     * Load filtering rules from config
+     * Run a chat completion on a tier, walking its fallback chain.
+     * Each provider gets a timeout, retries with backoff and a circuit breaker.
+     * Over budget, conversations and calls (ESSENTIAL_TYPES) degrade to the
+     * filter tier and every other request is refused.
+     * @param {string} tier - AI tier (filter, full)
+     * @param {object} request - Chat request without model
+     * @param {object} context - Accounting context ({ type })
+     * @returns {Promise<object>} - { content, model, usage, provider, tier }
+     * @throws {AIBudgetError} - When over budget and the request is not essential
+     * @throws {AIUnavailableError} - When every provider in the chain failed
      */
-    loadRules() {
-        try {
-            const rulesPath = path.join(__dirname, '../config/rules.json');
+    async complete(tier, request, context = {}) {
+        const { timeout, retries, retryBaseDelay } = this.providers.settings;
+        const attempts = [];
+        
+        const budget = this.usage.checkBudget();
+        if (budget.exceeded) {
+            if (!ESSENTIAL_TYPES.includes(context.type)) {
+                throw new AIBudgetError(tier, budget.period);
+            }
             
-            if (fs.existsSync(rulesPath)) {
-                const rulesData = fs.readFileSync(rulesPath, 'utf8');
-                const rules = JSON.parse(rulesData);
+            if (tier === 'full') {
+                logger.warn(`AI ${budget.period} budget exceeded, degrading full tier to filter tier`);
+                tier = 'filter';
+            }
+        }
+        
+        for (const { provider, providerName, model, breaker } of this.providers.resolveChain(tier)) {
+            const details = { provider: providerName, model };
+            
+            if (!provider || !provider.isConfigured()) {
+                attempts.push(new AIProviderError(`AI provider ${providerName} is not configured`, {
+                    ...details,
+                    code: 'NOT_CONFIGURED'
+                }));
+                continue;
+            }
+            
+            if (!breaker.canRequest()) {
+                attempts.push(new AIProviderError(`Circuit open for AI provider ${providerName}`, {
+                    ...details,
+                    code: 'CIRCUIT_OPEN'
+                }));
+                continue;
+            }
+            
+            try {
+                const result = await retryWithBackoff(
+                    () => withTimeout(provider.chat({ ...request, model }), timeout, details),
+                    { retries, baseDelay: retryBaseDelay }
+                );
                 
-                for (const [type, rulesList] of Object.entries(rules)) {
-                    this.rules.set(type, rulesList);
-                }
+                breaker.recordSuccess();
                 
-                logger.info(`Loaded ${this.rules.size} rule types`);
-            } else {
-                logger.info('No rules config found, using defaults');
+                this.usage.record({
+                    provider: providerName,
+                    model: result.model,
+                    tier,
+                    type: context.type,
+                    usage: result.usage
+                });
+                
+                return { ...result, provider: providerName, tier };
+            } catch (error) {
+                breaker.recordFailure();
+                logger.warn(`AI provider ${providerName} failed for ${tier} tier: ${error.message}`);
                 
-                // Set default rules
-                this.rules.set('spam_keywords', ['spam', 'offer', 'limited time', 'discount']);
-                this.rules.set('notification_ignore', ['battery', 'backup', 'update available']);
+                attempts.push(error instanceof AIProviderError
+                    ? error
+                    : new AIProviderError(error.message, { ...details, cause: error }));
             }
-        } catch (error) {
-            logger.error('Error loading rules:', error);
         }
+        
+        throw new AIUnavailableError(tier, attempts);
     }
     
     /**
-     * Save rules to config
+     * Run a single rendered prompt on a tier and wrap the outcome
+     * @param {string} tier - AI tier (filter, full)
+     * @param {object} rendered - Rendered template ({ system, prompt, templateVersion })
+     * @param {object} options - { temperature, maxTokens, type }
+     * @returns {Promise<object>} - { text, provider, model, usage, templateVersion, error }; error is an AIUnavailableError or null
      */
-    saveRules() {
+    async runPrompt(tier, rendered, options = {}) {
         try {
-            const rulesObj = {};
-            
-            for (const [type, rulesList] of this.rules.entries()) {
-                rulesObj[type] = rulesList;
-            }
+            const completion = await this.complete(tier, {
+                messages: [
+                    { role: 'system', content: rendered.system },
+                    { role: 'user', content: rendered.prompt }
+                ],
+                temperature: options.temperature,
+                maxTokens: options.maxTokens
+            }, { type: options.type });
             
-            for (const [type, rulesList] of this.dynamicRules.entries()) {
-                if (!rulesObj[type]) {
-                    rulesObj[type] = [];
-                }
-                rulesObj[type] = [...rulesObj[type], ...rulesList];
+            return {
+                text: completion.content,
+                provider: completion.provider,
+                model: completion.model,
+                usage: completion.usage,
+                templateVersion: rendered.templateVersion,
+                error: null
+            };
+        } catch (error) {
+            if (error instanceof AIBudgetError) {
+                logger.warn(`Skipped ${options.type || 'AI'} request: ${error.message}`);
+            } else {
+                logger.error(`Error using ${tier} tier AI:`, error);
             }
             
-            const rulesPath = path.join(__dirname, '../config/rules.json');
-            
-            // Create directory if it doesn't exist
-            const configDir = path.dirname(rulesPath);
-            if (!fs.existsSync(configDir)) {
-                fs.mkdirSync(configDir, { recursive: true });
+            // Typed errors are passed on as they are, so callers can tell an
+            // AIBudgetError (BUDGET_EXCEEDED) from failed providers
+            return {
+                text: null,
+                templateVersion: rendered.templateVersion,
+                error: error instanceof AIUnavailableError ? error : new AIUnavailableError(tier, [])
+            };
+        }
+    }
+    
+    /**
+     * Queue a rule suggested by the filter tier for review. Nothing is
+     * filtered until the suggestion is approved.
+     * @param {string} type - Rule list (notification_ignore, sms_ignore)
+     * @param {string} pattern - Suggested pattern
+     * @param {object} example - { content, reason } that triggered the suggestion
+     * @returns {Promise<object|null>} - Queued suggestion, or null if it was skipped
+     */
+    async suggestRule(type, pattern, example) {
+        if (typeof pattern !== 'string' || !pattern.trim()) {
+            return null;
+        }
+        
+        if (this.ruleStore.find(type, pattern)) {
+            return null;
+        }
+        
+        const queued = await this.ruleReview.submit(type, pattern, example);
+        if (!queued) {
+            return null;
+        }
+        
+        // Ask for a review the first time a pattern is suggested
+        const whatsappClient = getWhatsAppClient();
+        if (queued.isNew && whatsappClient.isReady && whatsappClient.assistantGroup) {
+            await whatsappClient.sendToGroup(
+                `🧐 *Suggested filter rule*\n${this.ruleReview.describe(queued.entry)}\n\n` +
+                `Reply *!rules approve ${queued.entry.id}* or *!rules reject ${queued.entry.id}*`
+            );
+        }
+        
+        return queued.entry;
+    }
+    
+    /**
+     * Approve a suggested rule and start filtering with it
+     * @param {string} id - Suggestion id
+     * @param {string} approvedBy - Who approved it
+     * @returns {object|null} - The suggestion with the id of the rule it became (ruleId), or null if there is none
+     */
+    approveSuggestedRule(id, approvedBy) {
+        const entry = this.ruleReview.approve(id);
+        
+        if (!entry) {
+            return null;
+        }
+        
+        logger.info(`Suggested rule ${id} approved by ${approvedBy || 'unknown'}`);
+        const { rule } = this.addRule({ type: entry.type, pattern: entry.pattern }, { source: 'ai', createdBy: approvedBy });
+        
+        // Approved twice over: the rule is there already
+        const existing = rule || this.ruleStore.find(entry.type, entry.pattern);
+        return { ...entry, ruleId: existing ? existing.id : null };
+    }
+    
+    /**
+     * Reject a suggested rule
+     * @param {string} id - Suggestion id
+     * @param {string} rejectedBy - Who rejected it
+     * @returns {object|null} - The suggestion, or null if there is none
+     */
+    rejectSuggestedRule(id, rejectedBy) {
+        const entry = this.ruleReview.reject(id);
+        
+        if (entry) {
+            logger.info(`Suggested rule ${id} rejected by ${rejectedBy || 'unknown'}`);
+        }
+        
+        return entry;
+    }
+    
+    /**
+     * Add a filter rule (see RuleStore for the types)
+     * @param {object} fields - { type, enabled, ...type fields }
+     * @param {object} options - { source: static|manual|ai, createdBy }
+     * @returns {object} - { rule, errors }; rule is null when there are errors
+     */
+    addRule(fields, options = {}) {
+        const result = this.ruleStore.add(fields, options);
+        
+        if (result.rule) {
+            this.prepareExamples();
+        }
+        
+        return result;
+    }
+    
+    /**
+     * Change a filter rule. Turning a rule on also clears an auto-disable.
+     * @param {string} id - Rule id
+     * @param {object} fields - New fields
+     * @param {object} options - { replace: true to replace every field, false to merge them }
+     * @returns {object|null} - { rule, errors }, or null if there is no such rule
+     */
+    updateRule(id, fields, options = {}) {
+        const result = this.ruleStore.update(id, fields, options);
+        
+        if (result && result.rule) {
+            if (result.rule.enabled) {
+                this.ruleStats.enable(id);
             }
+            this.prepareExamples();
+        }
+        
+        return result;
+    }
+    
+    /**
+     * Turn a rule back on, whether it was disabled by hand or for its stats
+     * @param {string} id - Rule id
+     * @returns {boolean} - Whether the rule was disabled
+     */
+    enableRule(id) {
+        const wasAutoDisabled = this.ruleStats.enable(id);
+        const record = this.ruleStore.get(id);
+        
+        if (record && !record.enabled) {
+            this.ruleStore.setEnabled(id, true);
+            return true;
+        }
+        
+        return wasAutoDisabled;
+    }
+    
+    /**
+     * Remove a filter rule
+     * @param {string} id - Rule id
+     * @returns {boolean} - Whether the rule existed
+     */
+    removeRule(id) {
+        if (!this.ruleStore.remove(id)) {
+            return false;
+        }
+        
+        this.prepareExamples();
+        return true;
+    }
+    
+    /**
+     * Import a rules document (an export, or a rules.json in the old format)
+     * @param {object} data - Rules document
+     * @param {object} options - { replace, importedBy }
+     * @returns {object} - { imported, skipped, errors }
+     */
+    importRules(data, options = {}) {
+        const result = this.ruleStore.import(data, options);
+        
+        if (result.imported > 0) {
+            this.prepareExamples();
+        }
+        
+        return result;
+    }
+    
+    /**
+     * Rule records, each with its stats
+     * @param {object} filter - { type, source }
+     * @returns {Array<object>}
+     */
+    getRules(filter = {}) {
+        return this.ruleStore.list(filter).map(rule => ({
+            ...rule,
+            // Spam keywords are counted together, as the rule they make up
+            stats: this.ruleStats.get(rule.type === 'spam_keywords' ? 'spam_keywords' : rule.id)
+        }));
+    }
+    
+    /**
+     * All rules in evaluation order, as rule engine rules: engine rules,
+     * then ignore patterns, spam keywords and semantic rules
+     * @returns {Array<object>}
+     */
+    getRuleSet() {
+        const records = this.ruleStore.list().filter(record => !this.ruleStore.isExpired(record));
+        const ruleSet = records
+            .filter(record => record.type === 'engine')
+            .map(({ id, name, enabled, when, then }) => ({ id, name, enabled, when, then }));
+        
+        // "<type>_ignore": drop content of that type containing the text
+        for (const record of records.filter(r => r.type.endsWith('_ignore'))) {
+            ruleSet.push({
+                id: record.id,
+                name: record.pattern,
+                enabled: record.enabled,
+                when: { all: [
+                    { field: 'type', equals: record.type.slice(0, -'_ignore'.length) },
+                    { field: 'content', contains: record.pattern }
+                ] },
+                then: { drop: true }
+            });
+        }
+        
+        // Two or more spam keywords
+        const spamKeywords = records.filter(r => r.type === 'spam_keywords' && r.enabled).map(r => r.pattern);
+        if (spamKeywords.length > 0) {
+            ruleSet.push({
+                id: 'spam_keywords',
+                name: 'Multiple spam keywords',
+                when: { atLeast: 2, of: spamKeywords.map(keyword => ({ field: 'content', contains: keyword })) },
+                then: { drop: true }
+            });
+        }
+        
+        // Semantic rules catch rewordings of their examples
+        for (const record of records.filter(r => r.type === 'semantic')) {
+            const similarTo = { similarTo: { examples: record.examples, threshold: record.threshold } };
             
-            fs.writeFileSync(rulesPath, JSON.stringify(rulesObj, null, 2), 'utf8');
-            logger.info('Rules saved to config');
-        } catch (error) {
-            logger.error('Error saving rules:', error);
+            ruleSet.push({
+                id: record.id,
+                name: record.name,
+                enabled: record.enabled,
+                when: record.contentTypes
+                    ? { all: [{ field: 'type', in: record.contentTypes }, similarTo] }
+                    : similarTo,
+                then: { drop: true }
+            });
+        }
+        
+        // Spam keywords have no record to switch off when they are auto-disabled
+        return ruleSet.map(rule => this.ruleStats.isDisabled(rule.id) ? { ...rule, enabled: false } : rule);
+    }
+    
+    /**
+     * Remove expired rules, disable rules that stopped matching or have too
+     * many false positives, and tell the group
+     * @returns {Promise<Array<object>>} - Rules disabled now: [{ id, name, reason }]
+     */
+    async sweepRules() {
+        this.ruleStore.removeExpired();
+        const disabled = this.ruleStats.sweep(this.getRuleSet());
+        
+        // Disabled rules stay in the rules file, switched off
+        for (const rule of disabled) {
+            this.ruleStore.setEnabled(rule.id, false);
+        }
+        
+        const whatsappClient = getWhatsAppClient();
+        if (disabled.length > 0 && whatsappClient.isReady && whatsappClient.assistantGroup) {
+            await whatsappClient.sendToGroup(
+                `🧹 *Filter rules disabled*\n` +
+                disabled.map(rule => `${rule.name} (${rule.id}): ${rule.reason}`).join('\n') +
+                `\n\nReply *!rules enable <id>* to turn one back on`
+            );
         }
+        
+        return disabled;
     }
     
     /**
-     * Add dynamic rule
-     * @param {string} type - Rule type
-     * @param {string} rule - Rule to add
+     * Record that an item a rule filtered was actually important
+     * @param {string} itemId - Filtered item id
+     * @param {string} reportedBy - Who reported it
+     * @returns {Promise<object|null>} - { item, stats, disabled }, or null if the item is unknown or already reported
      */
-    addDynamicRule(type, rule) {
-        if (!this.dynamicRules.has(type)) {
-            this.dynamicRules.set(type, []);
+    async reportFalsePositive(itemId, reportedBy) {
+        const report = this.ruleStats.reportFalsePositive(itemId, reportedBy);
+        
+        if (!report) {
+            return null;
         }
         
-        this.dynamicRules.get(type).push(rule);
-        logger.info(`Added dynamic rule to ${type}: ${rule}`);
+        const disabled = await this.sweepRules();
+        return { ...report, disabled: disabled.some(rule => rule.id === report.item.ruleId) };
+    }
+    
+    /**
+     * Embed the examples of similarity rules ahead of time (in the background)
+     * @returns {Promise<void>}
+     */
+    prepareExamples() {
+        return this.semantic.prepare(this.ruleEngine.examplesOf(this.getRuleSet()));
+    }
+    
+    /**
+     * Build the event rules are evaluated against
+     * @param {string} content - Content
+     * @param {string} type - Content type
+     * @param {object} metadata - { app, sender, title, text, packageName, appName, deviceId, deviceName }
+     * @returns {object}
+     */
+    ruleEvent(content, type, metadata = {}) {
+        return {
+            type,
+            content,
+            title: metadata.title,
+            text: metadata.text,
+            packageName: metadata.packageName,
+            appName: metadata.appName || metadata.app,
+            sender: metadata.sender,
+            deviceId: metadata.deviceId,
+            deviceName: metadata.deviceName,
+            at: new Date()
+        };
+    }
+    
+    /**
+     * Apply the non-deciding actions of a matched rule to a verdict
+     * @param {object} verdict - Filter verdict
+     * @param {object} match - Rule engine result
+     * @returns {object} - Verdict with rule: { id, name, forward, reply, itemId }
+     */
+    applyRule(verdict, match) {
+        if (!match.rule) {
+            return verdict;
+        }
         
-        // Save rules
-        this.saveRules();
+        return {
+            ...verdict,
+            ...(match.actions.category ? { category: match.actions.category, categoryConfidence: 1 } : {}),
+            reason: verdict.reason === match.reason ? verdict.reason : `${verdict.reason}; ${match.reason}`,
+            rule: {
+                id: match.rule.id,
+                name: match.rule.name,
+                forward: Boolean(match.actions.forward),
+                reply: match.actions.reply || null,
+                itemId: match.itemId || null
+            }
+        };
     }
     
     /**
@@ -107,135 +513,162 @@ class AIService {
      */
     async filterContent(content, type, metadata = {}) {
         try {
-            // Check if content matches any static or dynamic rules
-            const matched = this.checkRuleMatch(content, type);
+            // Rules come first; the first matching rule decides
+            const event = this.ruleEvent(content, type, metadata);
+            const match = await this.ruleEngine.evaluate(this.getRuleSet(), event);
             
-            if (matched.isMatch) {
-                return {
+            // Count the hit; dropped items get an id to report them as false positives with
+            if (match.rule) {
+                match.itemId = this.ruleStats.recordHit(match.rule, event, Boolean(match.actions.drop));
+            }
+            
+            if (match.actions.drop) {
+                return this.applyRule(createVerdict({
                     important: false,
                     score: 0.1,
-                    reason: `Matched rule: ${matched.rule}`,
+                    reason: match.reason,
                     filter: true
-                };
+                }), match);
             }
             
-            // Use simple AI for initial filtering (OpenAI)
-            const filterResult = await this.filterWithOpenAI(content, type, metadata);
+            if (match.actions.important) {
+                return this.applyRule(createVerdict({
+                    important: true,
+                    score: 0.9,
+                    reason: match.reason,
+                    filter: false,
+                    urgency: 'high'
+                }), match);
+            }
+            
+            // Over budget, filtering degrades to rules only
+            const budget = this.usage.checkBudget();
+            if (budget.exceeded) {
+                return this.applyRule(createVerdict({
+                    important: false,
+                    score: 0.5,
+                    reason: `AI ${budget.period} budget exceeded, rules-only filtering`,
+                    filter: false
+                }), match);
+            }
+            
+            // Use simple AI for initial filtering; identical content shares one model call
+            // (the template version is part of the key, so prompt edits invalidate the cache)
+            const { templateVersion } = this.createFilterPrompt(content, type, metadata);
+            const filterResult = await this.cache.wrap(
+                this.cache.key(templateVersion, content, type, metadata),
+                () => this.filterWithOpenAI(content, type, metadata),
+                result => !result.degraded
+            );
             
             // Return filter result
-            return filterResult;
+            return this.applyRule(filterResult, match);
         } catch (error) {
             logger.error(`Error filtering ${type} content:`, error);
             
             // Default to important in case of error
-            return {
+            return createVerdict({
                 important: true,
                 score: 0.8,
                 reason: 'Error in filtering, defaulting to important',
-                filter: false
-            };
-        }
-    }
-    
-    /**
-     * Check if content matches any rules
-     * @param {string} content - Content to check
-     * @param {string} type - Content type
-     * @returns {object} - Match result
-     */
-    checkRuleMatch(content, type) {
-        // Convert content to lowercase for case-insensitive matching
-        const lowerContent = content.toLowerCase();
-        
-        // Check static rules
-        const staticRules = this.rules.get(`${type}_ignore`) || [];
-        for (const rule of staticRules) {
-            if (lowerContent.includes(rule.toLowerCase())) {
-                return { isMatch: true, rule };
-            }
-        }
-        
-        // Check dynamic rules
-        const dynamicRules = this.dynamicRules.get(`${type}_ignore`) || [];
-        for (const rule of dynamicRules) {
-            if (lowerContent.includes(rule.toLowerCase())) {
-                return { isMatch: true, rule };
-            }
-        }
-        
-        // Check spam keywords
-        const spamKeywords = this.rules.get('spam_keywords') || [];
-        let spamScore = 0;
-        let matchedKeyword = null;
-        
-        for (const keyword of spamKeywords) {
-            if (lowerContent.includes(keyword.toLowerCase())) {
-                spamScore += 1;
-                if (!matchedKeyword) {
-                    matchedKeyword = keyword;
-                }
-            }
-        }
-        
-        // If multiple spam keywords are found, consider it spam
-        if (spamScore >= 2) {
-            return { isMatch: true, rule: `Multiple spam keywords (${spamScore})` };
+                filter: false,
+                urgency: 'medium'
+            });
         }
-        
-        return { isMatch: false };
     }
     
     /**
-     * Filter content using OpenAI (cheap AI)
+     * Filter content using the filter tier (cheap AI).
+     * The verdict is validated against the verdict schema; invalid output
+     * is sent back to the model with the errors, up to MAX_SCHEMA_REPAIRS times.
      * @param {string} content - Content to filter
      * @param {string} type - Content type
      * @param {object} metadata - Additional metadata
-     * @returns {Promise<object>} - Filter result
+     * @returns {Promise<object>} - Filter verdict (see createVerdict)
      */
     async filterWithOpenAI(content, type, metadata) {
         try {
             // Create a prompt for content filtering
-            const prompt = this.createFilterPrompt(content, type, metadata);
+            const { system, prompt, templateVersion } = this.createFilterPrompt(content, type, metadata);
             
-            // Call OpenAI API
-            const completion = await openai.chat.completions.create({
-                model: "gpt-3.5-turbo",
-                messages: [
-                    {
-                        role: "system",
-                        content: "You are an AI assistant that evaluates the importance of messages and notifications. Score on a scale of 0.0 to 1.0, where 0.0 is completely unimportant (spam, automated message, etc) and 1.0 is extremely important (emergency, time-sensitive, etc). Respond with a JSON object containing importance score, whether to filter it out, and a brief reason."
-                    },
+            const messages = [
+                {
+                    role: "system",
+                    content: system
+                },
+                {
+                    role: "user",
+                    content: prompt
+                }
+            ];
+            
+            for (let attempt = 0; attempt <= MAX_SCHEMA_REPAIRS; attempt++) {
+                // Call the filter tier provider
+                const completion = await this.complete('filter', {
+                    messages,
+                    temperature: 0.3,
+                    maxTokens: 300,
+                    json: true
+                }, { type });
+                
+                // Parse and validate the verdict
+                let result;
+                let errors;
+                
+                try {
+                    result = parseJSON(completion.content);
+                    errors = validate(getVerdictSchema(this.categories), result, 'verdict');
+                } catch (parseError) {
+                    errors = [`response is not valid JSON (${parseError.message})`];
+                }
+                
+                if (errors.length === 0) {
+                    this.schemaStats.validated++;
+                    if (attempt > 0) {
+                        this.schemaStats.repaired++;
+                    }
+                    
+                    return createVerdict({
+                        important: result.important,
+                        score: result.score,
+                        filter: result.filter,
+                        reason: result.reason,
+                        suggestedRule: result.suggestedRule || null,
+                        category: result.category,
+                        categoryConfidence: result.categoryConfidence !== undefined ? result.categoryConfidence : null,
+                        urgency: result.urgency,
+                        entities: result.entities || [],
+                        templateVersion
+                    });
+                }
+                
+                logger.warn(`Invalid filter verdict (attempt ${attempt + 1}): ${errors.join('; ')}`);
+                
+                // Re-ask with the validation errors
+                messages.push(
+                    { role: 'assistant', content: completion.content },
                     {
-                        role: "user",
-                        content: prompt
+                        role: 'user',
+                        content: `Your response was invalid: ${errors.join('; ')}.\n` +
+                            `Respond again with only a JSON object of this shape: ${describeVerdict(this.categories)}`
                     }
-                ],
-                temperature: 0.3,
-                max_tokens: 150,
-                response_format: { type: "json_object" }
-            });
-            
-            // Extract the filter result
-            const result = JSON.parse(completion.choices[0].message.content);
+                );
+            }
             
-            // Validate and normalize the result
-            return {
-                important: typeof result.important === 'boolean' ? result.important : (result.score > 0.5),
-                score: typeof result.score === 'number' ? result.score : 0.5,
-                reason: result.reason || 'No reason provided',
-                filter: typeof result.filter === 'boolean' ? result.filter : (result.score < 0.3),
-                suggestedRule: result.suggestedRule
-            };
+            this.schemaStats.failures++;
+            throw new Error('Filter tier did not return a valid verdict');
         } catch (error) {
-            logger.error('Error using OpenAI for filtering:', error);
+            logger.error('Error using filter tier AI:', error);
             
             // Default to important in case of error
-            return {
+            return createVerdict({
                 important: true,
                 score: 0.7,
-                reason: 'Error in OpenAI filtering, defaulting to important',
-                filter: false
-            };
+                reason: 'Error in AI filtering, defaulting to important',
+                filter: false,
+                urgency: 'medium',
+                degraded: true
+            });
         }
     }
     
@@ -244,124 +677,254 @@ class AIService {
      * @param {string} content - Content to filter
      * @param {string} type - Content type
      * @param {object} metadata - Additional metadata
-     * @returns {string} - Prompt text
+     * @returns {object} - Rendered template ({ system, prompt, templateVersion })
      */
     createFilterPrompt(content, type, metadata) {
-        const typeDescription = {
-            notification: 'mobile notification',
-            sms: 'text message',
-            whatsapp: 'WhatsApp message',
-            call: 'phone call'
-        }[type] || type;
-        
-        let prompt = `Evaluate the importance of this ${typeDescription}:\n\n${content}\n\n`;
-        
-        // Add metadata for context
-        if (metadata.sender) {
-            prompt += `From: ${metadata.sender}\n`;
+        return this.prompts.render('filter', type, {
+            content,
+            sender: metadata.sender,
+            app: metadata.app,
+            categories: this.categories.describe(),
+            verdictShape: describeVerdict(this.categories)
+        });
+    }
+    
+    /**
+     * Extract typed entities: regex extractors first, then the entities the
+     * filter tier returned with its verdict as a second pass
+     * @param {string} content - Content to scan
+     * @param {object} verdict - Filter verdict for the same content
+     * @returns {Array<object>} - [{ type, value, normalized, source }]
+     */
+    extractEntities(content, verdict = {}) {
+        try {
+            return mergeEntities(extractEntities(content), normalizeEntities(verdict.entities, content));
+        } catch (error) {
+            logger.error('Error extracting entities:', error);
+            return [];
+        }
+    }
+    
+    /**
+     * Draft short replies to an incoming message
+     * @param {string} content - Message text
+     * @param {object} metadata - { sender }
+     * @returns {Promise<Array<string>>} - Up to REPLY_SUGGESTIONS replies; empty when none fit or drafting failed
+     */
+    async draftReplies(content, metadata = {}) {
+        if (REPLY_SUGGESTIONS <= 0) {
+            return [];
         }
         
-        if (metadata.app) {
-            prompt += `App: ${metadata.app}\n`;
+        const result = await this.runPrompt('full', this.prompts.render('replies', 'sms', {
+            content,
+            sender: metadata.sender,
+            count: REPLY_SUGGESTIONS
+        }), { temperature: 0.7, maxTokens: 200, type: 'replies' });
+        
+        if (result.error || !result.text) {
+            return [];
         }
         
-        prompt += `\nRate the importance on a scale from 0.0 to 1.0, where 0.0 is completely unimportant (spam, promotional, etc.) and 1.0 is extremely important (emergency, time-sensitive, etc.).`;
-        prompt += `\n\nIf this appears to be spam, promotional, or routine notification, suggest a filtering rule that could identify similar content in the future.`;
-        prompt += `\n\nRespond with a JSON object with these fields: { "important": boolean, "score": number, "reason": string, "filter": boolean, "suggestedRule": string or null }`;
+        return result.text
+            .split('\n')
+            // Models like to number or quote their suggestions
+            .map(line => line.trim().replace(/^(?:\d+[.)]|[-*•])\s*/, '').replace(/^"(.*)"$/, '$1').trim())
+            .filter(line => line && line.toUpperCase() !== 'NONE')
+            .slice(0, REPLY_SUGGESTIONS);
+    }
+    
+    /**
+     * Draft the reply an auto-reply policy sends on the owner's behalf
+     * @param {string} content - Incoming message
+     * @param {string} type - Channel (sms, whatsapp)
+     * @param {object} metadata - { sender, instructions }
+     * @returns {Promise<string|null>} - Reply text, or null if no provider answered
+     */
+    async draftAutoReply(content, type, metadata = {}) {
+        const result = await this.runPrompt('full', this.prompts.render('autoreply', type, {
+            content,
+            sender: metadata.sender,
+            instructions: metadata.instructions
+        }), { temperature: 0.5, maxTokens: 150, type: 'autoreply' });
         
-        return prompt;
+        return result.error || !result.text ? null : result.text.trim();
     }
     
     /**
-     * Process content with full AI (xAI Grok)
+     * Process content with the full tier (xAI Grok by default, then its fallback chain)
      * @param {string} content - Content to process
      * @param {string} type - Content type
      * @param {object} metadata - Additional metadata
-     * @returns {Promise<string>} - AI response
+     * @returns {Promise<object>} - AI result ({ text, error, ... }, see runPrompt)
      */
     async processWithGrok(content, type, metadata = {}) {
+        // Create a prompt for the full tier
+        const rendered = this.createGrokPrompt(content, type, metadata);
+        
+        const run = () => this.runPrompt('full', rendered, { temperature: 0.7, maxTokens: 500, type });
+        
+        // Re-posted notifications and SMS reuse the analysis; conversations never do
+        if (type !== 'notification' && type !== 'sms') {
+            return run();
+        }
+        
+        return this.cache.wrap(
+            this.cache.key(rendered.templateVersion, content, type, metadata),
+            run,
+            result => !result.error
+        );
+    }
+    
+    /**
+     * Answer a chat message on the full tier with the chat's memory:
+     * long-term summary and recent events in the system prompt, then the
+     * rolling window of earlier turns, all within the memory token budget.
+     * With tools enabled the model may call registered server actions; their
+     * results are fed back until it answers or AGENT_MAX_STEPS is reached.
+     * @param {string} chatId - Chat identifier
+     * @param {string} messageText - Message text
+     * @param {object} metadata - Message metadata ({ sender, isGroup })
+     * @param {object} options - { tools: true to let the model call server actions }
+     * @returns {Promise<object>} - AI result ({ text, error, toolCalls, pendingConfirmations, ... }, see runPrompt)
+     */
+    async converse(chatId, messageText, metadata = {}, options = {}) {
+        const rendered = this.createFullPrompt(messageText, 'whatsapp', metadata);
+        const context = this.memory.buildContext(
+            chatId,
+            estimateTokens(rendered.system) + estimateTokens(rendered.prompt)
+        );
+        const contextBlock = this.prompts.render('context', 'whatsapp', {
+            summary: context.summary,
+            events: context.events
+        }).prompt;
+        
+        const tools = options.tools ? this.tools.getDefinitions() : [];
+        const messages = [
+            { role: 'system', content: contextBlock ? `${rendered.system}\n\n${contextBlock}` : rendered.system },
+            ...context.history.map(m => ({
+                role: m.role,
+                content: m.role === 'user' && m.name ? `${m.name}: ${m.content}` : m.content
+            })),
+            { role: 'user', content: rendered.prompt }
+        ];
+        const toolCalls = [];
+        
         try {
-            // Check if xAI API is configured
-            if (!process.env.XAI_GROK_API_KEY) {
-                logger.warn('xAI Grok API not configured, falling back to OpenAI');
-                return this.processWithOpenAI(content, type, metadata, true);
-            }
-            
-            // Create a prompt for xAI Grok
-            const prompt = this.createGrokPrompt(content, type, metadata);
+            let completion;
             
-            // Call xAI Grok API
-            const response = await axios.post(
-                process.env.XAI_GROK_API_URL || 'https://x.ai/api',
-                {
-                    model: 'grok-1',
-                    prompt: prompt,
+            for (let step = 0; step < AGENT_MAX_STEPS; step++) {
+                completion = await this.complete('full', {
+                    messages,
                     temperature: 0.7,
-                    max_tokens: 500
-                },
-                {
-                    headers: {
-                        'Authorization': `Bearer ${process.env.XAI_GROK_API_KEY}`,
-                        'Content-Type': 'application/json'
-                    }
+                    maxTokens: 500,
+                    // Last step: no tools, so the model has to answer
+                    tools: step < AGENT_MAX_STEPS - 1 ? tools : []
+                }, { type: 'whatsapp' });
+                
+                if (!completion.toolCalls || completion.toolCalls.length === 0) {
+                    break;
                 }
-            );
+                
+                messages.push({
+                    role: 'assistant',
+                    content: completion.content || null,
+                    tool_calls: completion.toolCalls.map(call => ({
+                        id: call.id,
+                        type: 'function',
+                        function: { name: call.name, arguments: JSON.stringify(call.arguments) }
+                    }))
+                });
+                
+                for (const call of completion.toolCalls) {
+                    const record = await this.tools.execute(call.name, call.arguments, {
+                        chatId,
+                        requestedBy: metadata.sender
+                    });
+                    
+                    toolCalls.push(record);
+                    messages.push({ role: 'tool', tool_call_id: call.id, content: JSON.stringify(record) });
+                }
+            }
+            
+            const text = completion.content || 'Done.';
+            
+            this.memory.addMessage(chatId, 'user', messageText, metadata.sender);
+            this.memory.addMessage(chatId, 'assistant', text);
             
-            // Extract and return the response
-            return response.data.choices[0].text;
+            // Summarize turns that left the window without holding up the reply
+            this.compactMemory(chatId).catch(error => logger.error('Error compacting conversation memory:', error));
+            
+            return {
+                text,
+                provider: completion.provider,
+                model: completion.model,
+                usage: completion.usage,
+                templateVersion: rendered.templateVersion,
+                toolCalls,
+                pendingConfirmations: toolCalls.filter(r => r.status === 'pending_confirmation'),
+                error: null
+            };
         } catch (error) {
-            logger.error('Error using xAI Grok API:', error);
+            logger.error('Error using full tier AI with memory:', error);
+            
+            return {
+                text: null,
+                templateVersion: rendered.templateVersion,
+                toolCalls,
+                pendingConfirmations: toolCalls.filter(r => r.status === 'pending_confirmation'),
+                error: error instanceof AIUnavailableError ? error : new AIUnavailableError('full', [])
+            };
+        }
+    }
+    
+    /**
+     * Fold messages that fell out of a chat's rolling window into its summary
+     * @param {string} chatId - Chat identifier
+     */
+    async compactMemory(chatId) {
+        const overflow = this.memory.getOverflow(chatId);
+        
+        if (overflow.length === 0 || this.compacting.has(chatId)) {
+            return;
+        }
+        
+        this.compacting.add(chatId);
+        
+        try {
+            const result = await this.runPrompt('filter', this.prompts.render('memory', 'whatsapp', {
+                summary: this.memory.getChat(chatId).summary,
+                messages: overflow.map(m => `${m.name || m.role}: ${m.content}`).join('\n')
+            }), { temperature: 0.3, maxTokens: 300, type: 'memory' });
             
-            // Fall back to OpenAI
-            logger.info('Falling back to OpenAI for processing');
-            return this.processWithOpenAI(content, type, metadata, true);
+            // On failure the turns stay in the window and are retried next time
+            if (!result.error) {
+                this.memory.applySummary(chatId, result.text.trim(), overflow.length);
+                logger.info(`Summarized ${overflow.length} messages of chat ${chatId}`);
+            }
+        } finally {
+            this.compacting.delete(chatId);
         }
     }
     
     /**
-     * Process content with OpenAI (as fallback or primary)
+     * Process content with the full tier or, for brief summaries, the filter tier
      * @param {string} content - Content to process
      * @param {string} type - Content type
      * @param {object} metadata - Additional metadata
      * @param {boolean} fullProcessing - Whether this is full processing or filtering
-     * @returns {Promise<string>} - AI response
+     * @returns {Promise<object>} - AI result ({ text, error, ... }, see runPrompt)
      */
     async processWithOpenAI(content, type, metadata, fullProcessing = false) {
-        try {
-            // Create appropriate prompt
-            const prompt = fullProcessing 
-                ? this.createFullPrompt(content, type, metadata)
-                : this.createFilterPrompt(content, type, metadata);
-            
-            // Select appropriate model and parameters
-            const model = fullProcessing ? "gpt-4" : "gpt-3.5-turbo";
-            const maxTokens = fullProcessing ? 500 : 150;
-            
-            // Call OpenAI API
-            const completion = await openai.chat.completions.create({
-                model: model,
-                messages: [
-                    {
-                        role: "system",
-                        content: fullProcessing
-                            ? "You are an AI assistant that helps process and respond to messages, calls, and notifications. Provide clear, concise, and helpful responses."
-                            : "You are an AI assistant that evaluates the importance of messages and notifications."
-                    },
-                    {
-                        role: "user",
-                        content: prompt
-                    }
-                ],
-                temperature: 0.7,
-                max_tokens: maxTokens
-            });
-            
-            // Return the response
-            return completion.choices[0].message.content;
-        } catch (error) {
-            logger.error('Error using OpenAI:', error);
-            return 'Error processing content. Please try again later.';
+        if (fullProcessing) {
+            return this.processWithGrok(content, type, metadata);
         }
+        
+        return this.runPrompt(
+            'filter',
+            this.createSummaryPrompt(content, type, metadata),
+            { temperature: 0.7, maxTokens: 150, type }
+        );
     }
     
     /**
@@ -369,58 +932,40 @@ class AIService {
      * @param {string} content - Content to process
      * @param {string} type - Content type
      * @param {object} metadata - Additional metadata
-     * @returns {string} - Prompt text
+     * @returns {object} - Rendered template ({ system, prompt, templateVersion })
      */
     createFullPrompt(content, type, metadata) {
-        const typeDescription = {
-            notification: 'mobile notification',
-            sms: 'text message',
-            whatsapp: 'WhatsApp message',
-            call: 'phone call transcription'
-        }[type] || type;
-        
-        let prompt = `Process this ${typeDescription} and provide a helpful response:\n\n${content}\n\n`;
-        
-        // Add metadata for context
-        if (metadata.sender) {
-            prompt += `From: ${metadata.sender}\n`;
-        }
-        
-        if (metadata.app) {
-            prompt += `App: ${metadata.app}\n`;
-        }
-        
-        // Add task-specific instructions
-        switch (type) {
-            case 'sms':
-                prompt += `\nIf this appears to be a verification code, extract it. If it's a question, craft a response. If it's informational, summarize the key points.`;
-                break;
-                
-            case 'whatsapp':
-                prompt += `\nRespond as an AI assistant that's monitoring WhatsApp. If asked a question, provide an answer. If it's a request, acknowledge it. If it contains instructions for changing your behavior, confirm understanding.`;
-                break;
-                
-            case 'call':
-                prompt += `\nSummarize the key points of this conversation. Extract any action items, important dates, or contact information.`;
-                break;
-                
-            case 'notification':
-                prompt += `\nDetermine if this notification requires attention. If so, explain what action should be taken.`;
-                break;
-        }
-        
-        return prompt;
+        return this.prompts.render('full', type, {
+            content,
+            sender: metadata.sender,
+            app: metadata.app
+        });
     }
     
     /**
-     * Create prompt for xAI Grok
+     * Create prompt for a brief summary
+     * @param {string} content - Content to summarize
+     * @param {string} type - Content type
+     * @param {object} metadata - Additional metadata
+     * @returns {object} - Rendered template ({ system, prompt, templateVersion })
+     */
+    createSummaryPrompt(content, type, metadata) {
+        return this.prompts.render('summary', type, {
+            content,
+            sender: metadata.sender,
+            app: metadata.app
+        });
+    }
+    
+    /**
+     * Create prompt for the full tier
      * @param {string} content - Content to process
      * @param {string} type - Content type
      * @param {object} metadata - Additional metadata
-     * @returns {string} - Prompt text
+     * @returns {object} - Rendered template ({ system, prompt, templateVersion })
      */
     createGrokPrompt(content, type, metadata) {
-        // For xAI Grok, we'll use a similar prompt to the OpenAI full prompt
+        // The full tier uses the generic full processing prompt
         return this.createFullPrompt(content, type, metadata);
     }
 }
@@ -428,12 +973,54 @@ class AIService {
 // Create singleton instance
 const aiService = new AIService();
 
+/**
+ * Rule metadata of the device an item came from
+ * @param {object} [device] - Device
+ * @returns {object} - { deviceId, deviceName }
+ */
+function deviceMetadata(device) {
+    return device ? {
+        deviceId: device.id,
+        deviceName: device.deviceInfo && device.deviceInfo.deviceModel
+    } : {};
+}
+
+/**
+ * Analysis part of a forwarded item: the full tier's text, or why there is none
+ * @param {object} response - Full tier result (see runPrompt)
+ * @returns {string}
+ */
+function describeAnalysis(response) {
+    return response.error
+        ? `_No AI analysis: ${response.error.message}_`
+        : `*AI Analysis:*\n${response.text}`;
+}
+
+/**
+ * Post an item to the WhatsApp group when the rule that matched it says so
+ * @param {object} filterResult - Filter verdict (with rule, if one matched)
+ * @param {string} message - Message to post
+ * @param {object} meta - What it is about, for do-not-disturb ({ type, category, from, contact })
+ * @returns {Promise<void>}
+ */
+async function forwardByRule(filterResult, message, meta) {
+    if (!filterResult.rule || !filterResult.rule.forward) {
+        return;
+    }
+    
+    const whatsappClient = getWhatsAppClient();
+    if (whatsappClient.isReady && whatsappClient.assistantGroup) {
+        await whatsappClient.sendToGroup(`${message}\n\n_Forwarded by rule: ${filterResult.rule.name}_`, meta);
+    }
+}
+
 /**
  * Process notification content
  * @param {object} notification - Notification data
+ * @param {object} [device] - Device that sent it (for device rules)
  * @returns {Promise<object>} - Processing result
  */
-async function processNotification(notification) {
+async function processNotification(notification, device) {
     try {
         // Extract notification content
         const { title, text, packageName, appName } = notification;
@@ -441,28 +1028,80 @@ async function processNotification(notification) {
         
         // First filter with cheap AI
         const filterResult = await aiService.filterContent(content, 'notification', { 
-            app: appName || packageName 
+            app: appName || packageName,
+            title,
+            text,
+            packageName,
+            appName,
+            ...deviceMetadata(device)
         });
         
-        // If not important, don't process further
-        if (filterResult.filter) {
-            logger.info(`Filtered notification: ${filterResult.reason}`);
+        // Typed entities (OTP codes, amounts, dates...) travel with every result
+        const entities = aiService.extractEntities(content, filterResult);
+        
+        // Where it goes depends on its category (config/categories.json)
+        const routing = aiService.categories.resolve(filterResult, 'notification');
+        const classification = {
+            category: routing.category,
+            categoryConfidence: routing.confidence,
+            route: routing.route,
+            rule: filterResult.rule || null
+        };
+        
+        // Rules can forward anything that isn't posted with its analysis anyway
+        if (routing.route !== 'instant') {
+            await forwardByRule(filterResult,
+                `📱 *Notification from ${appName || packageName}*\n${title}\n${text}`,
+                { type: 'notification', category: routing.category, from: packageName, contact: appName });
+        }
+        
+        // Dropped by a rule, the filter tier or the category's route
+        if (routing.route === 'drop') {
+            logger.info(`Filtered notification: ${filterResult.reason} (${routing.reason})`);
             
-            // If we got a suggested rule, consider adding it
+            // Suggested rules wait for a human to approve them
             if (filterResult.suggestedRule) {
-                aiService.addDynamicRule('notification_ignore', filterResult.suggestedRule);
+                await aiService.suggestRule('notification_ignore', filterResult.suggestedRule, {
+                    content,
+                    reason: filterResult.reason
+                });
             }
             
             return {
                 processed: false,
                 filtered: true,
                 reason: filterResult.reason,
-                score: filterResult.score
+                score: filterResult.score,
+                ...classification,
+                entities,
+                templateVersion: filterResult.templateVersion
             };
         }
         
-        // If important enough, process with full AI
-        if (filterResult.important || filterResult.score > 0.7) {
+        // Low-priority categories are only kept for the digest
+        if (routing.route === 'digest') {
+            logger.info(`Notification kept for the digest (${routing.reason})`);
+            
+            aiService.memory.recordEvent({
+                type: 'notification',
+                source: appName || packageName,
+                text: `${title}: ${text}`,
+                category: routing.category
+            });
+            
+            return {
+                processed: false,
+                digest: true,
+                reason: routing.reason,
+                score: filterResult.score,
+                ...classification,
+                entities,
+                templateVersion: filterResult.templateVersion
+            };
+        }
+        
+        // Instant categories (or important enough content) get the full tier
+        if (routing.route === 'instant') {
             logger.info(`Processing important notification (score: ${filterResult.score})`);
             
             // Process with full AI
@@ -470,20 +1109,49 @@ async function processNotification(notification) {
                 app: appName || packageName
             });
             
+            // Every provider failed: don't post an empty analysis. Over budget
+            // the item is still important, so it is posted without one.
+            if (response.error && !(response.error instanceof AIBudgetError)) {
+                logger.warn(`Skipping WhatsApp forward for notification: ${response.error.message}`);
+                
+                return {
+                    processed: false,
+                    error: response.error.code,
+                    score: filterResult.score,
+                    ...classification,
+                    entities
+                };
+            }
+            
             // Notify via WhatsApp if configured
+            const whatsappClient = getWhatsAppClient();
             if (whatsappClient.isReady && whatsappClient.assistantGroup) {
                 await whatsappClient.sendToGroup(
                     `📱 *Notification from ${appName || packageName}*\n` +
                     `${title}\n` +
                     `${text}\n\n` +
-                    `*AI Analysis:*\n${response}`
+                    describeAnalysis(response),
+                    { type: 'notification', category: routing.category, from: packageName, contact: appName }
                 );
             }
             
+            // Keep it for follow-up questions to the assistant
+            aiService.memory.recordEvent({
+                type: 'notification',
+                source: appName || packageName,
+                text: `${title}: ${text}`,
+                summary: response.text,
+                category: routing.category
+            });
+            
             return {
                 processed: true,
-                response,
-                score: filterResult.score
+                response: response.text,
+                analyzed: !response.error,
+                score: filterResult.score,
+                ...classification,
+                entities,
+                templateVersion: response.templateVersion
             };
         } else {
             // Moderately important notification
@@ -497,10 +1165,22 @@ async function processNotification(notification) {
                 false
             );
             
+            aiService.memory.recordEvent({
+                type: 'notification',
+                source: appName || packageName,
+                text: `${title}: ${text}`,
+                summary: summary.text,
+                category: routing.category
+            });
+            
             return {
-                processed: true,
-                summary,
-                score: filterResult.score
+                processed: !summary.error,
+                summary: summary.text,
+                error: summary.error ? summary.error.code : undefined,
+                score: filterResult.score,
+                ...classification,
+                entities,
+                templateVersion: summary.templateVersion
             };
         }
     } catch (error) {
@@ -515,37 +1195,85 @@ async function processNotification(notification) {
 /**
  * Process SMS content
  * @param {object} sms - SMS data
+ * @param {object} [device] - Device that received it (for device rules)
  * @returns {Promise<object>} - Processing result
  */
-async function processSMS(sms) {
+async function processSMS(sms, device) {
     try {
         // Extract SMS content
         const { messageBody, phoneNumber } = sms;
         
         // First filter with cheap AI
         const filterResult = await aiService.filterContent(messageBody, 'sms', { 
-            sender: phoneNumber 
+            sender: phoneNumber,
+            ...deviceMetadata(device)
         });
         
-        // If not important, don't process further
-        if (filterResult.filter) {
-            logger.info(`Filtered SMS: ${filterResult.reason}`);
+        // Typed entities (OTP codes, amounts, dates...) travel with every result
+        const entities = aiService.extractEntities(messageBody, filterResult);
+        
+        // Where it goes depends on its category (config/categories.json)
+        const routing = aiService.categories.resolve(filterResult, 'sms');
+        const classification = {
+            category: routing.category,
+            categoryConfidence: routing.confidence,
+            route: routing.route,
+            rule: filterResult.rule || null
+        };
+        
+        // Rules can forward anything that isn't posted with its analysis anyway
+        if (routing.route !== 'instant') {
+            await forwardByRule(filterResult, `💬 *SMS from ${phoneNumber}*\n${messageBody}`,
+                { type: 'sms', category: routing.category, from: phoneNumber, contact: sms.contactName });
+        }
+        
+        // Dropped by a rule, the filter tier or the category's route
+        if (routing.route === 'drop') {
+            logger.info(`Filtered SMS: ${filterResult.reason} (${routing.reason})`);
             
-            // If we got a suggested rule, consider adding it
+            // Suggested rules wait for a human to approve them
             if (filterResult.suggestedRule) {
-                aiService.addDynamicRule('sms_ignore', filterResult.suggestedRule);
+                await aiService.suggestRule('sms_ignore', filterResult.suggestedRule, {
+                    content: messageBody,
+                    reason: filterResult.reason
+                });
             }
             
             return {
                 processed: false,
                 filtered: true,
                 reason: filterResult.reason,
-                score: filterResult.score
+                score: filterResult.score,
+                ...classification,
+                entities,
+                templateVersion: filterResult.templateVersion
+            };
+        }
+        
+        // Low-priority categories are only kept for the digest
+        if (routing.route === 'digest') {
+            logger.info(`SMS kept for the digest (${routing.reason})`);
+            
+            aiService.memory.recordEvent({
+                type: 'sms',
+                source: phoneNumber,
+                text: messageBody,
+                category: routing.category
+            });
+            
+            return {
+                processed: false,
+                digest: true,
+                reason: routing.reason,
+                score: filterResult.score,
+                ...classification,
+                entities,
+                templateVersion: filterResult.templateVersion
             };
         }
         
-        // If important enough, process with full AI
-        if (filterResult.important || filterResult.score > 0.6) {
+        // Instant categories (or important enough content) get the full tier
+        if (routing.route === 'instant') {
             logger.info(`Processing important SMS (score: ${filterResult.score})`);
             
             // Process with full AI
@@ -553,19 +1281,52 @@ async function processSMS(sms) {
                 sender: phoneNumber
             });
             
+            // Every provider failed: don't post an empty analysis. Over budget
+            // the SMS is still important, so it is posted without one.
+            if (response.error && !(response.error instanceof AIBudgetError)) {
+                logger.warn(`Skipping WhatsApp forward for SMS: ${response.error.message}`);
+                
+                return {
+                    processed: false,
+                    error: response.error.code,
+                    score: filterResult.score,
+                    ...classification,
+                    entities
+                };
+            }
+            
             // Notify via WhatsApp if configured
+            const whatsappClient = getWhatsAppClient();
             if (whatsappClient.isReady && whatsappClient.assistantGroup) {
                 await whatsappClient.sendToGroup(
                     `💬 *SMS from ${phoneNumber}*\n` +
                     `${messageBody}\n\n` +
-                    `*AI Analysis:*\n${response}`
+                    describeAnalysis(response),
+                    { type: 'sms', category: routing.category, from: phoneNumber, contact: sms.contactName }
                 );
             }
             
+            // Keep it for follow-up questions to the assistant
+            aiService.memory.recordEvent({
+                type: 'sms',
+                source: phoneNumber,
+                text: messageBody,
+                summary: response.text,
+                category: routing.category
+            });
+            
+            // Replies the user can send with one tap (or !send n in the group)
+            const suggestions = await aiService.draftReplies(messageBody, { sender: phoneNumber });
+            
             return {
                 processed: true,
-                response,
-                score: filterResult.score
+                response: response.text,
+                analyzed: !response.error,
+                suggestions,
+                score: filterResult.score,
+                ...classification,
+                entities,
+                templateVersion: response.templateVersion
             };
         } else {
             // Moderately important SMS
@@ -579,10 +1340,22 @@ async function processSMS(sms) {
                 false
             );
             
+            aiService.memory.recordEvent({
+                type: 'sms',
+                source: phoneNumber,
+                text: messageBody,
+                summary: summary.text,
+                category: routing.category
+            });
+            
             return {
-                processed: true,
-                summary,
-                score: filterResult.score
+                processed: !summary.error,
+                summary: summary.text,
+                error: summary.error ? summary.error.code : undefined,
+                score: filterResult.score,
+                ...classification,
+                entities,
+                templateVersion: summary.templateVersion
             };
         }
     } catch (error) {
@@ -598,13 +1371,29 @@ async function processSMS(sms) {
  * Process WhatsApp message
  * @param {string} messageText - Message text
  * @param {object} metadata - Message metadata
- * @returns {Promise<string>} - Response text
+ * @returns {Promise<string|null>} - Response text, or null if there is nothing to send
  */
 async function processWhatsAppMessage(messageText, metadata = {}) {
     try {
         // WhatsApp messages are typically already important since they're direct communication
-        // Process with full AI
-        return await aiService.processWithGrok(messageText, 'whatsapp', metadata);
+        // Process with full AI, with the chat's memory when we know which chat this is
+        // Only the assistant group may trigger server actions, never outside contacts
+        const result = metadata.chatId
+            ? await aiService.converse(metadata.chatId, messageText, metadata, { tools: Boolean(metadata.isGroup) })
+            : await aiService.processWithGrok(messageText, 'whatsapp', metadata);
+        
+        if (result.error) {
+            // Only apologise inside the assistant group, never to outside contacts
+            return metadata.isGroup
+                ? 'Sorry, the AI providers are currently unavailable. Please try again later.'
+                : null;
+        }
+        
+        // Destructive actions wait for someone in the group to confirm them
+        const confirmations = (result.pendingConfirmations || [])
+            .map(c => `⚠️ ${c.description}\nReply *!confirm ${c.confirmationId}* or *!cancel ${c.confirmationId}*`);
+        
+        return [result.text, ...confirmations].join('\n\n');
     } catch (error) {
         logger.error('Error processing WhatsApp message:', error);
         return 'Sorry, I encountered an error while processing your message. Please try again later.';
@@ -615,12 +1404,13 @@ async function processWhatsAppMessage(messageText, metadata = {}) {
  * Process speech/call audio
  * @param {string} transcript - Call transcript
  * @param {object} metadata - Call metadata
- * @returns {Promise<string>} - Response text
+ * @returns {Promise<string|null>} - Response text, or null if no provider answered
  */
 async function processSpeech(transcript, metadata = {}) {
     try {
         // Process with full AI
-        return await aiService.processWithGrok(transcript, 'call', metadata);
+        const result = await aiService.processWithGrok(transcript, 'call', metadata);
+        return result.error ? null : result.text;
     } catch (error) {
         logger.error('Error processing speech:', error);
         return 'I\'m sorry, I couldn\'t process that. Could you please repeat?';
@@ -0,0 +1,187 @@
+jest.mock('./whatsapp', () => ({
+    isReady: true,
+    assistantGroup: { id: 'group' },
+    sendToGroup: jest.fn()
+}));
+
+const whatsappClient = require('./whatsapp');
+const { aiService, processNotification, processSMS } = require('./ai');
+const { FakeProvider } = require('./providers');
+const { CircuitBreaker } = require('./providers/resilience');
+const { AIUnavailableError, AIBudgetError } = require('./providers/errors');
+const { UsageLedger } = require('./usage');
+
+const request = { messages: [{ role: 'user', content: 'hi' }] };
+
+describe('AIService fallback chain', () => {
+    let primary;
+    let backup;
+
+    beforeEach(() => {
+        primary = new FakeProvider({ name: 'primary' });
+        backup = new FakeProvider({ name: 'backup' });
+
+        aiService.usage = new UsageLedger({ ledgerPath: null, budgets: { day: 0, month: 0 } });
+        aiService.cache.clear();
+        aiService.providers.breakers.clear();
+        aiService.providers.setProvider('primary', primary);
+        aiService.providers.setProvider('backup', backup);
+        aiService.providers.setTier('full', [
+            { provider: 'primary', model: 'big' },
+            { provider: 'backup', model: 'small' }
+        ]);
+        whatsappClient.sendToGroup.mockClear();
+    });
+
+    test('answers from the first provider that succeeds', async () => {
+        primary.enqueue(new Error('primary down'));
+        backup.enqueue('from backup');
+
+        const result = await aiService.complete('full', request, { type: 'sms' });
+
+        expect(result).toMatchObject({ content: 'from backup', provider: 'backup', model: 'small', tier: 'full' });
+        expect(primary.calls).toHaveLength(1);
+        expect(aiService.usage.records).toHaveLength(1);
+        expect(aiService.usage.records[0]).toMatchObject({ provider: 'backup', tier: 'full', type: 'sms' });
+    });
+
+    test('skips providers that are not configured', async () => {
+        aiService.providers.setProvider('primary', { isConfigured: () => false, chat: jest.fn() });
+
+        const result = await aiService.complete('full', request);
+
+        expect(result.provider).toBe('backup');
+    });
+
+    test('skips a provider whose circuit is open', async () => {
+        aiService.providers.breakers.set('primary', new CircuitBreaker({ failureThreshold: 1, resetTimeout: 60000 }));
+        primary.enqueue(new Error('primary down'));
+
+        await aiService.complete('full', request);
+        await aiService.complete('full', request);
+
+        expect(primary.calls).toHaveLength(1);
+        expect(backup.calls).toHaveLength(2);
+        expect(aiService.providers.getStatus().primary.state).toBe('open');
+    });
+
+    test('throws a typed error listing every failed attempt', async () => {
+        primary.enqueue(new Error('primary down'));
+        backup.enqueue(new Error('backup down'));
+
+        const error = await aiService.complete('full', request).catch(e => e);
+
+        expect(error).toBeInstanceOf(AIUnavailableError);
+        expect(error.tier).toBe('full');
+        expect(error.attempts.map(a => [a.provider, a.code])).toEqual([
+            ['primary', 'PROVIDER_ERROR'],
+            ['backup', 'PROVIDER_ERROR']
+        ]);
+    });
+
+    test('runPrompt reports the failure instead of a sentinel string', async () => {
+        primary.enqueue(new Error('primary down'));
+        backup.enqueue(new Error('backup down'));
+
+        const result = await aiService.runPrompt('full', { system: 's', prompt: 'p', templateVersion: 'full@v1' });
+
+        expect(result.text).toBeNull();
+        expect(result.error).toBeInstanceOf(AIUnavailableError);
+    });
+
+    test('an important notification is not posted when every full tier provider failed', async () => {
+        aiService.providers.setTier('filter', { provider: 'backup', model: 'small' });
+        backup.enqueue({ important: true, score: 0.95, reason: 'Card payment', filter: false, category: 'finance', urgency: 'high' });
+        primary.enqueue(new Error('primary down'));
+        backup.enqueue(new Error('backup down'));
+
+        const result = await processNotification({ title: 'Bank', text: 'You paid 40 EUR', packageName: 'com.bank' });
+
+        expect(result).toMatchObject({ processed: false, error: 'AI_UNAVAILABLE', route: 'instant' });
+        expect(whatsappClient.sendToGroup).not.toHaveBeenCalled();
+    });
+});
+
+describe('AIService over budget', () => {
+    let filter;
+    let full;
+
+    beforeEach(() => {
+        filter = new FakeProvider({ name: 'filter' });
+        full = new FakeProvider({ name: 'full' });
+
+        // One gpt-4 request already spent the day's budget
+        aiService.usage = new UsageLedger({ ledgerPath: null, budgets: { day: 0.01, month: 0 } });
+        aiService.usage.record({ provider: 'openai', model: 'gpt-4', tier: 'full', usage: { promptTokens: 1000, completionTokens: 0 } });
+        aiService.cache.clear();
+        aiService.providers.breakers.clear();
+        aiService.providers.setProvider('cheap', filter);
+        aiService.providers.setProvider('big', full);
+        aiService.providers.setTier('filter', { provider: 'cheap', model: 'small' });
+        aiService.providers.setTier('full', { provider: 'big', model: 'large' });
+        whatsappClient.sendToGroup.mockClear();
+    });
+
+    test('the notification path makes no provider calls', async () => {
+        const result = await processNotification({ title: 'Alice', text: 'Are we still on for tonight?', packageName: 'org.thoughtcrime.securesms' });
+
+        expect(filter.calls).toHaveLength(0);
+        expect(full.calls).toHaveLength(0);
+        expect(result).toMatchObject({ processed: false, error: 'BUDGET_EXCEEDED' });
+        expect(whatsappClient.sendToGroup).not.toHaveBeenCalled();
+    });
+
+    test('the SMS path makes no provider calls', async () => {
+        await processSMS({ messageBody: 'Your parcel arrives tomorrow', phoneNumber: '+15550100' });
+
+        expect(filter.calls).toHaveLength(0);
+        expect(full.calls).toHaveLength(0);
+    });
+
+    test('background requests are refused', async () => {
+        await expect(aiService.complete('filter', request, { type: 'memory' })).rejects.toBeInstanceOf(AIBudgetError);
+        expect(await aiService.draftReplies('Can you call me?', { sender: '+15550100' })).toEqual([]);
+        expect(await aiService.draftAutoReply('Hello?', 'sms', { sender: '+15550100' })).toBeNull();
+        expect(filter.calls).toHaveLength(0);
+        expect(full.calls).toHaveLength(0);
+    });
+
+    test('important items are still forwarded, without an analysis', async () => {
+        const { rule } = aiService.ruleStore.add({
+            type: 'engine',
+            name: 'Bank',
+            when: { field: 'content', contains: 'you paid' },
+            then: { important: true, category: 'finance' }
+        });
+
+        try {
+            const notification = await processNotification({ title: 'Bank', text: 'You paid 40 EUR', packageName: 'com.bank' });
+            const sms = await processSMS({ messageBody: 'You paid 12 EUR at Cafe', phoneNumber: '+15550100' });
+
+            expect(notification).toMatchObject({ processed: true, analyzed: false, route: 'instant' });
+            expect(sms).toMatchObject({ processed: true, analyzed: false, route: 'instant', suggestions: [] });
+            expect(whatsappClient.sendToGroup).toHaveBeenCalledTimes(2);
+            expect(whatsappClient.sendToGroup.mock.calls[0][0]).toBe('📱 *Notification from com.bank*\nBank\nYou paid 40 EUR\n\n' +
+                '_No AI analysis: AI day budget exceeded, full tier request refused_');
+            expect(whatsappClient.sendToGroup.mock.calls[1][0]).toContain('💬 *SMS from +15550100*\nYou paid 12 EUR at Cafe');
+            expect(filter.calls).toHaveLength(0);
+            expect(full.calls).toHaveLength(0);
+        } finally {
+            aiService.ruleStore.remove(rule.id);
+        }
+    });
+
+    test('runPrompt passes the budget error on', async () => {
+        const result = await aiService.runPrompt('full', { system: 's', prompt: 'p', templateVersion: 'full@v1' }, { type: 'sms' });
+
+        expect(result.error).toBeInstanceOf(AIBudgetError);
+        expect(result.error.code).toBe('BUDGET_EXCEEDED');
+    });
+
+    test('assistant conversations degrade to the filter tier', async () => {
+        const result = await aiService.complete('full', request, { type: 'whatsapp' });
+
+        expect(result).toMatchObject({ provider: 'cheap', tier: 'filter' });
+        expect(full.calls).toHaveLength(0);
+    });
+});
@@ -0,0 +1,143 @@
+const crypto = require('crypto');
+const logger = require('../utils/logger');
+
+/**
+ * Content-hash cache for AI results with in-flight request coalescing
+ */
+class AICache {
+    /**
+     * @param {object} options - Cache options
+     * @param {number} [options.ttl] - Entry lifetime in milliseconds
+     * @param {number} [options.maxEntries] - Max cached entries before evicting the oldest
+     */
+    constructor(options = {}) {
+        this.ttl = options.ttl || 10 * 60 * 1000;
+        this.maxEntries = options.maxEntries || 1000;
+        this.entries = new Map();
+        this.inFlight = new Map();
+        this.stats = { hits: 0, misses: 0, coalesced: 0 };
+    }
+
+    /**
+     * Build a cache key from normalized content, type and relevant metadata
+     * @param {string} namespace - Result kind (filter, full, ...)
+     * @param {string} content - Content
+     * @param {string} type - Content type
+     * @param {object} metadata - Metadata (only app and sender are relevant)
+     * @returns {string} - Cache key
+     */
+    key(namespace, content, type, metadata = {}) {
+        const normalized = (content || '').toLowerCase().replace(/\s+/g, ' ').trim();
+        const hash = crypto.createHash('sha256')
+            .update(JSON.stringify([normalized, type, metadata.app || null, metadata.sender || null]))
+            .digest('hex');
+
+        return `${namespace}:${hash}`;
+    }
+
+    /**
+     * Get a cached value
+     * @param {string} key - Cache key
+     * @returns {*} - Value or undefined if missing/expired
+     */
+    get(key) {
+        const entry = this.entries.get(key);
+
+        if (!entry) {
+            return undefined;
+        }
+
+        if (entry.expiresAt <= Date.now()) {
+            this.entries.delete(key);
+            return undefined;
+        }
+
+        return entry.value;
+    }
+
+    /**
+     * Store a value
+     * @param {string} key - Cache key
+     * @param {*} value - Value
+     */
+    set(key, value) {
+        // Maps keep insertion order, so the first key is the oldest
+        if (this.entries.size >= this.maxEntries && !this.entries.has(key)) {
+            this.entries.delete(this.entries.keys().next().value);
+        }
+
+        this.entries.set(key, { value, expiresAt: Date.now() + this.ttl });
+    }
+
+    /**
+     * Return a cached value, join an identical in-flight request, or compute it
+     * @param {string} key - Cache key
+     * @param {Function} fn - Async function producing the value
+     * @param {Function} [shouldCache] - (value) => boolean, false for results that must not be reused
+     * @returns {Promise<*>}
+     */
+    async wrap(key, fn, shouldCache = () => true) {
+        const cached = this.get(key);
+
+        if (cached !== undefined) {
+            this.stats.hits++;
+            logger.debug(`AI cache hit: ${key.substring(0, 20)}`);
+            return cached;
+        }
+
+        if (this.inFlight.has(key)) {
+            this.stats.coalesced++;
+            return this.inFlight.get(key);
+        }
+
+        this.stats.misses++;
+
+        const promise = (async () => {
+            try {
+                const value = await fn();
+
+                if (shouldCache(value)) {
+                    this.set(key, value);
+                }
+
+                return value;
+            } finally {
+                this.inFlight.delete(key);
+            }
+        })();
+
+        this.inFlight.set(key, promise);
+        return promise;
+    }
+
+    /**
+     * Drop all cached entries
+     */
+    clear() {
+        this.entries.clear();
+    }
+
+    /**
+     * Get cache statistics
+     * @returns {object} - { hits, misses, coalesced, hitRate, size, inFlight }
+     */
+    getStats() {
+        const lookups = this.stats.hits + this.stats.coalesced + this.stats.misses;
+
+        return {
+            ...this.stats,
+            hitRate: lookups > 0 ? (this.stats.hits + this.stats.coalesced) / lookups : 0,
+            size: this.entries.size,
+            inFlight: this.inFlight.size
+        };
+    }
+}
+
+// Create singleton instance
+const aiCache = new AICache({
+    ttl: parseInt(process.env.AI_CACHE_TTL_MS || '600000', 10),
+    maxEntries: parseInt(process.env.AI_CACHE_MAX_ENTRIES || '1000', 10)
+});
+
+module.exports = aiCache;
+module.exports.AICache = AICache;
@@ -0,0 +1,107 @@
+jest.mock('./whatsapp', () => ({ isReady: false }));
+
+const { AICache } = require('./aiCache');
+const { aiService } = require('./ai');
+const { FakeProvider } = require('./providers');
+const { UsageLedger } = require('./usage');
+
+describe('AICache', () => {
+    afterEach(() => {
+        jest.useRealTimers();
+    });
+
+    test('keys ignore case, whitespace and irrelevant metadata', () => {
+        const cache = new AICache();
+
+        expect(cache.key('filter', 'Sale  NOW\n', 'sms', { sender: '+1', title: 'a' }))
+            .toBe(cache.key('filter', 'sale now', 'sms', { sender: '+1', title: 'b' }));
+        expect(cache.key('filter', 'sale now', 'sms', { sender: '+1' }))
+            .not.toBe(cache.key('filter', 'sale now', 'sms', { sender: '+2' }));
+        expect(cache.key('filter', 'sale now', 'sms'))
+            .not.toBe(cache.key('filter', 'sale now', 'notification'));
+    });
+
+    test('entries expire after the TTL', async () => {
+        jest.useFakeTimers();
+        const cache = new AICache({ ttl: 1000 });
+        const fn = jest.fn().mockResolvedValue('value');
+
+        await cache.wrap('k', fn);
+        await cache.wrap('k', fn);
+        expect(fn).toHaveBeenCalledTimes(1);
+
+        jest.advanceTimersByTime(1000);
+        await cache.wrap('k', fn);
+        expect(fn).toHaveBeenCalledTimes(2);
+    });
+
+    test('evicts the oldest entry when full', () => {
+        const cache = new AICache({ maxEntries: 2 });
+
+        cache.set('a', 1);
+        cache.set('b', 2);
+        cache.set('c', 3);
+
+        expect(cache.get('a')).toBeUndefined();
+        expect(cache.get('c')).toBe(3);
+    });
+
+    test('identical requests in flight share one call', async () => {
+        const cache = new AICache();
+        let resolve;
+        const fn = jest.fn(() => new Promise(r => { resolve = r; }));
+
+        const results = [cache.wrap('k', fn), cache.wrap('k', fn), cache.wrap('k', fn)];
+        resolve('value');
+
+        expect(await Promise.all(results)).toEqual(['value', 'value', 'value']);
+        expect(fn).toHaveBeenCalledTimes(1);
+        expect(cache.getStats()).toMatchObject({ misses: 1, coalesced: 2, hits: 0, inFlight: 0, size: 1 });
+    });
+
+    test('results rejected by shouldCache are not reused', async () => {
+        const cache = new AICache();
+        const fn = jest.fn().mockResolvedValue({ degraded: true });
+
+        await cache.wrap('k', fn, result => !result.degraded);
+        await cache.wrap('k', fn, result => !result.degraded);
+
+        expect(fn).toHaveBeenCalledTimes(2);
+    });
+});
+
+describe('filterContent caching', () => {
+    let fake;
+
+    beforeEach(() => {
+        fake = new FakeProvider();
+        aiService.usage = new UsageLedger({ ledgerPath: null, budgets: { day: 0, month: 0 } });
+        aiService.cache.clear();
+        aiService.providers.setProvider('fake', fake);
+        aiService.providers.setTier('filter', { provider: 'fake', model: 'small' });
+    });
+
+    test('a burst of identical notifications makes one model call', async () => {
+        const metadata = { app: 'com.shop' };
+
+        const verdicts = await Promise.all([1, 2, 3, 4, 5].map(() =>
+            aiService.filterContent('Your order has shipped', 'notification', metadata)));
+
+        expect(fake.calls).toHaveLength(1);
+        expect(new Set(verdicts.map(v => v.reason))).toEqual(new Set(['Fake provider verdict']));
+
+        await aiService.filterContent('Your order has shipped', 'notification', metadata);
+        expect(fake.calls).toHaveLength(1);
+    });
+
+    test('degraded verdicts are retried', async () => {
+        fake.enqueue(new Error('down'));
+
+        const first = await aiService.filterContent('Meeting moved to 3pm', 'notification', {});
+        const second = await aiService.filterContent('Meeting moved to 3pm', 'notification', {});
+
+        expect(first.degraded).toBe(true);
+        expect(second.degraded).toBeFalsy();
+        expect(fake.calls).toHaveLength(2);
+    });
+});
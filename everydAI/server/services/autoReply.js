@@ -0,0 +1,588 @@
+const fs = require('fs');
+const path = require('path');
+const { v4: uuidv4 } = require('uuid');
+const logger = require('../utils/logger');
+const { validate } = require('../utils/schema');
+const whatsappClient = require('./whatsapp');
+const deviceManager = require('./deviceManager');
+const replyService = require('./replies');
+const { aiService } = require('./ai');
+const { renderText } = require('./prompts');
+const { parseTime, inTimeWindow } = require('../utils/time');
+const { digits, matchesContact } = require('../utils/phone');
+
+// Policy file (ordered list, first match wins)
+const AUTOREPLY_PATH = process.env.AUTOREPLY_PATH || path.join(__dirname, '../config/autoreply.json');
+
+// Default minutes before a policy answers the same sender again
+const AUTOREPLY_COOLDOWN_MINUTES = parseInt(process.env.AUTOREPLY_COOLDOWN_MINUTES || '60', 10);
+
+const CHANNELS = ['sms', 'whatsapp'];
+
+const ACTIONS = ['template', 'ai', 'escalate'];
+
+const POLICY_SCHEMA = {
+    type: 'object',
+    required: ['name', 'action'],
+    properties: {
+        name: { type: 'string', maxLength: 100 },
+        enabled: { type: 'boolean' },
+        channels: { type: 'array', items: { type: 'string', enum: CHANNELS } },
+        conditions: {
+            type: 'object',
+            properties: {
+                senders: { type: 'array', items: { type: 'string' } },
+                unknownSender: { type: 'boolean' },
+                time: {
+                    type: 'object',
+                    required: ['from', 'to'],
+                    properties: {
+                        from: { type: 'string' },
+                        to: { type: 'string' },
+                        days: { type: 'array', items: { type: 'number', minimum: 0, maximum: 6 } }
+                    }
+                },
+                deviceState: { type: 'object' },
+                categories: { type: 'array', items: { type: 'string' } }
+            }
+        },
+        action: {
+            type: 'object',
+            required: ['type'],
+            properties: {
+                type: { type: 'string', enum: ACTIONS },
+                text: { type: 'string', maxLength: 1000 },
+                instructions: { type: 'string', maxLength: 500 }
+            }
+        },
+        cooldownMinutes: { type: 'number', minimum: 0 }
+    }
+};
+
+/**
+ * Auto-reply policies: answer on the owner's behalf in controlled situations
+ * ("while I'm driving", "after 22:00", "for unknown numbers").
+ * Policies are evaluated in order and the first match wins; nothing is sent
+ * when no policy matches.
+ */
+class AutoReplyService {
+    /**
+     * @param {object} options - Service options
+     * @param {string|null} [options.policiesPath] - Policy file, null to keep policies in memory only
+     */
+    constructor(options = {}) {
+        this.policiesPath = options.policiesPath !== undefined ? options.policiesPath : AUTOREPLY_PATH;
+        this.policies = [];
+        // States set by hand (e.g. driving), applied on top of what devices report
+        this.states = {};
+        // Last reply per policy and sender, for cooldowns
+        this.lastReplies = new Map();
+        this.load();
+    }
+
+    /**
+     * Load policies from disk
+     */
+    load() {
+        try {
+            if (!this.policiesPath || !fs.existsSync(this.policiesPath)) {
+                return;
+            }
+
+            const data = JSON.parse(fs.readFileSync(this.policiesPath, 'utf8'));
+            this.policies = data.policies || [];
+            this.states = data.states || {};
+            logger.info(`Loaded ${this.policies.length} auto-reply policies`);
+        } catch (error) {
+            logger.error('Error loading auto-reply policies:', error);
+        }
+    }
+
+    /**
+     * Write policies to disk (temp file + rename)
+     */
+    save() {
+        if (!this.policiesPath) {
+            return;
+        }
+
+        try {
+            const dir = path.dirname(this.policiesPath);
+            if (!fs.existsSync(dir)) {
+                fs.mkdirSync(dir, { recursive: true });
+            }
+
+            const tempPath = `${this.policiesPath}.tmp`;
+            fs.writeFileSync(tempPath, JSON.stringify({ policies: this.policies, states: this.states }, null, 2), 'utf8');
+            fs.renameSync(tempPath, this.policiesPath);
+        } catch (error) {
+            logger.error('Error saving auto-reply policies:', error);
+        }
+    }
+
+    /**
+     * Check a policy definition
+     * @param {object} policy - Policy fields
+     * @returns {Array<string>} - Errors, empty when valid
+     */
+    validatePolicy(policy) {
+        const errors = validate(POLICY_SCHEMA, policy, 'policy');
+        const time = policy.conditions && policy.conditions.time;
+
+        if (time && (parseTime(time.from) === null || parseTime(time.to) === null)) {
+            errors.push('policy.conditions.time.from and .to must be HH:MM');
+        }
+
+        const categories = policy.conditions && policy.conditions.categories;
+        const unknown = (categories || []).filter(c => !aiService.categories.names().includes(c));
+        if (unknown.length > 0) {
+            errors.push(`policy.conditions.categories has unknown categories: ${unknown.join(', ')}`);
+        }
+
+        if (policy.action && policy.action.type === 'template' && !policy.action.text) {
+            errors.push('policy.action.text is required for template replies');
+        }
+
+        return errors;
+    }
+
+    /**
+     * List policies in evaluation order
+     * @returns {Array<object>}
+     */
+    list() {
+        return this.policies;
+    }
+
+    /**
+     * Get a policy
+     * @param {string} id - Policy id
+     * @returns {object|null}
+     */
+    get(id) {
+        return this.policies.find(p => p.id === id) || null;
+    }
+
+    /**
+     * Add a policy at the end of the list
+     * @param {object} fields - Policy fields
+     * @param {string} createdBy - Who added it
+     * @returns {object} - { policy, errors }
+     */
+    create(fields, createdBy) {
+        const errors = this.validatePolicy(fields);
+        if (errors.length > 0) {
+            return { policy: null, errors };
+        }
+
+        const policy = {
+            id: uuidv4().substring(0, 8),
+            enabled: true,
+            channels: CHANNELS,
+            conditions: {},
+            cooldownMinutes: AUTOREPLY_COOLDOWN_MINUTES,
+            ...fields,
+            createdBy: createdBy || null,
+            createdAt: new Date().toISOString()
+        };
+
+        this.policies.push(policy);
+        this.save();
+        logger.info(`Added auto-reply policy ${policy.id} (${policy.name})`);
+
+        return { policy, errors: [] };
+    }
+
+    /**
+     * Change a policy
+     * @param {string} id - Policy id
+     * @param {object} fields - Fields to change
+     * @returns {object|null} - { policy, errors }, or null if there is no such policy
+     */
+    update(id, fields) {
+        const index = this.policies.findIndex(p => p.id === id);
+        if (index === -1) {
+            return null;
+        }
+
+        const { id: ignoredId, createdAt, createdBy, ...changes } = fields;
+        const policy = { ...this.policies[index], ...changes };
+
+        const errors = this.validatePolicy(policy);
+        if (errors.length > 0) {
+            return { policy: null, errors };
+        }
+
+        this.policies[index] = policy;
+        this.save();
+
+        return { policy, errors: [] };
+    }
+
+    /**
+     * Delete a policy
+     * @param {string} id - Policy id
+     * @returns {boolean} - Whether there was such a policy
+     */
+    remove(id) {
+        const count = this.policies.length;
+        this.policies = this.policies.filter(p => p.id !== id);
+
+        if (this.policies.length === count) {
+            return false;
+        }
+
+        this.save();
+        return true;
+    }
+
+    /**
+     * Set a state by hand (e.g. driving), or clear it with null
+     * @param {string} key - State name
+     * @param {*} value - State value
+     */
+    setState(key, value) {
+        if (value === null || value === undefined) {
+            delete this.states[key];
+        } else {
+            this.states[key] = value;
+        }
+
+        this.save();
+    }
+
+    /**
+     * Current state of a device: what it reported, overridden by manual states
+     * @param {string} [deviceId] - Device identifier; defaults to the most recently active device
+     * @returns {object}
+     */
+    getState(deviceId) {
+        let device = deviceId ? deviceManager.getDevice(deviceId) : null;
+
+        if (!device) {
+            const latest = deviceManager.getAllDevices()
+                .sort((a, b) => new Date(b.lastActive) - new Date(a.lastActive))[0];
+            device = latest || null;
+        }
+
+        const reported = device && device.deviceInfo ? device.deviceInfo.state || {} : {};
+        return { ...reported, ...this.states };
+    }
+
+    /**
+     * Check each condition of a policy against an event
+     * @param {object} policy - Policy
+     * @param {object} event - { channel, sender, name, known, category, deviceId, at }
+     * @returns {object} - { matched, reasons: [string] }
+     */
+    explain(policy, event) {
+        const conditions = policy.conditions || {};
+        const checks = [];
+
+        checks.push([`channel ${event.channel}`, (policy.channels || CHANNELS).includes(event.channel)]);
+
+        if (conditions.senders && conditions.senders.length > 0) {
+            const matched = matchesContact(conditions.senders, event.sender, event.name);
+            checks.push([`sender in ${conditions.senders.join(', ')}`, matched]);
+        }
+
+        if (conditions.unknownSender !== undefined) {
+            checks.push([
+                conditions.unknownSender ? 'sender is unknown' : 'sender is a contact',
+                conditions.unknownSender ? !event.known : Boolean(event.known)
+            ]);
+        }
+
+        if (conditions.time) {
+            checks.push([
+                `time ${conditions.time.from}-${conditions.time.to}`,
+                inTimeWindow(event.at || new Date(), conditions.time)
+            ]);
+        }
+
+        if (conditions.deviceState) {
+            const state = this.getState(event.deviceId);
+            for (const [key, value] of Object.entries(conditions.deviceState)) {
+                checks.push([`${key} is ${value}`, state[key] === value]);
+            }
+        }
+
+        if (conditions.categories && conditions.categories.length > 0) {
+            checks.push([
+                `category in ${conditions.categories.join(', ')}`,
+                conditions.categories.includes(event.category)
+            ]);
+        }
+
+        return {
+            matched: checks.every(([, ok]) => ok),
+            reasons: checks.map(([label, ok]) => `${ok ? '✓' : '✗'} ${label}`)
+        };
+    }
+
+    /**
+     * Whether a policy answered this sender too recently
+     * @param {object} policy - Policy
+     * @param {object} event - Event
+     * @returns {boolean}
+     */
+    inCooldown(policy, event) {
+        const last = this.lastReplies.get(`${policy.id}:${digits(event.sender) || event.sender}`);
+        const cooldown = (policy.cooldownMinutes !== undefined ? policy.cooldownMinutes : AUTOREPLY_COOLDOWN_MINUTES) * 60000;
+
+        return Boolean(last) && Date.now() - last < cooldown;
+    }
+
+    /**
+     * Find the first enabled policy matching an event
+     * @param {object} event - { channel, sender, name, known, text, category, deviceId, at }
+     * @returns {object} - { policy (or null), explanations: [{ policyId, name, matched, reasons }] }
+     */
+    evaluate(event) {
+        const explanations = [];
+
+        for (const policy of this.policies.filter(p => p.enabled)) {
+            const { matched, reasons } = this.explain(policy, event);
+            const cooling = matched && this.inCooldown(policy, event);
+
+            explanations.push({
+                policyId: policy.id,
+                name: policy.name,
+                matched: matched && !cooling,
+                reasons: cooling ? [...reasons, '✗ answered this sender recently'] : reasons
+            });
+
+            if (matched && !cooling) {
+                return { policy, explanations };
+            }
+        }
+
+        return { policy: null, explanations };
+    }
+
+    /**
+     * Whether any enabled policy for a channel needs the AI category
+     * (so direct messages are only classified when it matters)
+     * @param {string} channel - sms or whatsapp
+     * @returns {boolean}
+     */
+    needsCategory(channel) {
+        return this.policies.some(p => p.enabled &&
+            (p.channels || CHANNELS).includes(channel) &&
+            p.conditions && p.conditions.categories && p.conditions.categories.length > 0);
+    }
+
+    /**
+     * Run the matching policy for an event
+     * @param {object} event - { channel, sender, name, known, text, category, deviceId, at }
+     * @param {Function} send - async (text) => boolean, sends the reply on the event's channel
+     * @returns {Promise<object|null>} - { policyId, policyName, action, reply, sent, note }, or null if no policy matched
+     */
+    async handle(event, send) {
+        try {
+            const { policy } = this.evaluate(event);
+
+            if (!policy) {
+                return null;
+            }
+
+            const who = event.name ? `${event.name} (${event.sender})` : event.sender;
+            let reply = null;
+
+            if (policy.action.type === 'template') {
+                reply = renderText(policy.action.text, {
+                    sender: event.name || event.sender,
+                    time: new Date().toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' })
+                });
+            } else if (policy.action.type === 'ai') {
+                // No draft means no reply; the message is still escalated below
+                reply = await aiService.draftAutoReply(event.text, event.channel, {
+                    sender: event.name || event.sender,
+                    instructions: policy.action.instructions
+                });
+            }
+
+            const sent = reply ? await send(reply) : false;
+
+            if (sent) {
+                this.lastReplies.set(`${policy.id}:${digits(event.sender) || event.sender}`, Date.now());
+            }
+
+            logger.info(`Auto-reply policy ${policy.id} (${policy.name}) matched ${event.channel} from ${event.sender}: ` +
+                `${policy.action.type}${reply ? (sent ? ', replied' : ', reply failed') : ''}`);
+
+            return {
+                policyId: policy.id,
+                policyName: policy.name,
+                action: policy.action.type,
+                reply,
+                sent,
+                note: sent
+                    ? `🤖 *Auto-replied (${policy.name})* to ${who}: "${reply}"`
+                    : `🚨 *Escalated (${policy.name})*: ${event.channel === 'sms' ? 'SMS' : 'WhatsApp'} from ${who}` +
+                        (reply ? ' (the auto-reply could not be sent)' : '')
+            };
+        } catch (error) {
+            logger.error('Error running auto-reply policies:', error);
+            return null;
+        }
+    }
+
+    /**
+     * Run the policies for an incoming SMS; replies go out through the phone that received it
+     * @param {object} sms - SMS data ({ messageBody, phoneNumber, contactName })
+     * @param {object} device - Device that received the SMS
+     * @param {object} result - Processing result (for the AI category)
+     * @returns {Promise<object|null>} - Outcome, see handle()
+     */
+    async handleSMS(sms, device, result = {}) {
+        return this.handle({
+            channel: 'sms',
+            sender: sms.phoneNumber,
+            name: sms.contactName || null,
+            // The phone only sends a contact name for numbers in its address book
+            known: Boolean(sms.contactName),
+            text: sms.messageBody,
+            category: result.category,
+            deviceId: device ? device.id : null,
+            at: new Date()
+        }, async text => {
+            if (!device) {
+                return false;
+            }
+
+            const delivery = replyService.dispatch(device.id, sms.phoneNumber, text, { requestedBy: 'autoreply' });
+            return delivery.status !== 'failed';
+        });
+    }
+
+    /**
+     * Run the policies for a WhatsApp direct message
+     * @param {object} context - { message, chat, contact, senderName }
+     * @returns {Promise<object|null>} - Outcome, see handle()
+     */
+    async handleDirectMessage({ message, chat, contact, senderName }) {
+        let category;
+
+        if (this.needsCategory('whatsapp')) {
+            const verdict = await aiService.filterContent(message.body, 'whatsapp', { sender: senderName });
+            category = verdict.category;
+        }
+
+        return this.handle({
+            channel: 'whatsapp',
+            sender: contact.number,
+            name: senderName,
+            known: Boolean(contact.isMyContact),
+            text: message.body,
+            category,
+            deviceId: null,
+            at: new Date()
+        }, async text => {
+            await chat.sendMessage(text);
+            return true;
+        });
+    }
+
+    /**
+     * One-line description of a policy
+     * @param {object} policy - Policy
+     * @returns {string}
+     */
+    describe(policy) {
+        const conditions = policy.conditions || {};
+        const parts = [];
+
+        if (conditions.senders) parts.push(`from ${conditions.senders.join('/')}`);
+        if (conditions.unknownSender !== undefined) parts.push(conditions.unknownSender ? 'unknown senders' : 'contacts');
+        if (conditions.time) parts.push(`${conditions.time.from}-${conditions.time.to}`);
+        if (conditions.deviceState) parts.push(Object.entries(conditions.deviceState).map(([k, v]) => `${k}=${v}`).join(' '));
+        if (conditions.categories) parts.push(conditions.categories.join('/'));
+
+        const action = policy.action.type === 'template' ? `reply "${policy.action.text}"`
+            : policy.action.type === 'ai' ? 'AI reply' : 'escalate only';
+
+        return `${parts.length > 0 ? parts.join(', ') : 'always'} (${(policy.channels || CHANNELS).join('+')}) → ${action}`;
+    }
+}
+
+// Create singleton instance
+const autoReplyService = new AutoReplyService();
+
+/**
+ * Handle autoreply command: list, add, enable/disable and delete policies, set states
+ * @param {Message} message - Message object
+ * @param {Array<string>} args - Command arguments
+ */
+async function handleAutoReplyCommand(message, args) {
+    const subcommand = (args[0] || 'list').toLowerCase();
+    const id = args[1];
+
+    if (subcommand === 'list') {
+        const policies = autoReplyService.list();
+        const states = Object.entries(autoReplyService.states).map(([k, v]) => `${k}=${v}`).join(', ');
+
+        await message.reply(
+            (policies.length === 0
+                ? 'No auto-reply policies.'
+                : policies.map((p, i) => `${i + 1}. ${p.enabled ? '✅' : '⏸️'} *${p.name}* (${p.id})\n   ${autoReplyService.describe(p)}`).join('\n')) +
+            (states ? `\n\nStates: ${states}` : '')
+        );
+        return;
+    }
+
+    if (subcommand === 'add') {
+        let fields;
+        try {
+            fields = JSON.parse(args.slice(1).join(' '));
+        } catch (error) {
+            await message.reply('Usage: !autoreply add {"name":"Driving","conditions":{"deviceState":{"driving":true}},"action":{"type":"template","text":"Driving, will reply later"}}');
+            return;
+        }
+
+        const contact = await message.getContact();
+        const { policy, errors } = autoReplyService.create(fields, contact.pushname || contact.number);
+
+        await message.reply(policy
+            ? `Added policy *${policy.name}* (${policy.id})\n${autoReplyService.describe(policy)}`
+            : `Invalid policy:\n${errors.join('\n')}`);
+        return;
+    }
+
+    if (subcommand === 'on' || subcommand === 'off') {
+        const result = id && autoReplyService.update(id, { enabled: subcommand === 'on' });
+
+        await message.reply(result && result.policy
+            ? `Policy *${result.policy.name}* ${subcommand === 'on' ? 'enabled' : 'disabled'}.`
+            : `No policy with id ${id}.`);
+        return;
+    }
+
+    if (subcommand === 'delete') {
+        await message.reply(id && autoReplyService.remove(id) ? `Deleted policy ${id}.` : `No policy with id ${id}.`);
+        return;
+    }
+
+    if (subcommand === 'state') {
+        const value = (args[2] || '').toLowerCase();
+
+        if (!id || !['on', 'off'].includes(value)) {
+            await message.reply('Usage: !autoreply state <name> on|off (e.g. !autoreply state driving on)');
+            return;
+        }
+
+        // Off clears the override so the device's own report applies again
+        autoReplyService.setState(id, value === 'on' ? true : null);
+        await message.reply(`State ${id} ${value === 'on' ? 'on' : 'cleared'}.`);
+        return;
+    }
+
+    await message.reply('Usage: !autoreply [list | add <json> | on <id> | off <id> | delete <id> | state <name> on|off]');
+}
+
+// Direct messages are only answered when a policy says so
+whatsappClient.setDirectMessageHandler(context => autoReplyService.handleDirectMessage(context));
+whatsappClient.registerCommand('autoreply', handleAutoReplyCommand);
+
+module.exports = autoReplyService;
+module.exports.AutoReplyService = AutoReplyService;
@@ -0,0 +1,231 @@
+const { v4: uuidv4 } = require('uuid');
+const logger = require('../utils/logger');
+const { extractEntities } = require('./entities');
+const dndService = require('./dnd');
+
+// How long a conversation has to stay quiet before its notifications are
+// processed (0 processes every notification as it arrives)
+const NOTIFICATION_BURST_WINDOW_SECONDS = parseFloat(process.env.NOTIFICATION_BURST_WINDOW_SECONDS || '10');
+
+// Longest a burst is held back while messages keep coming
+const NOTIFICATION_BURST_MAX_WAIT_SECONDS = parseFloat(process.env.NOTIFICATION_BURST_MAX_WAIT_SECONDS || '60');
+
+// Chat apps whose notification title names the conversation, grouped even
+// when the device reports no conversation (comma separated package names)
+const NOTIFICATION_BURST_APPS = process.env.NOTIFICATION_BURST_APPS !== undefined
+    ? process.env.NOTIFICATION_BURST_APPS
+    : 'com.whatsapp,org.thoughtcrime.securesms,org.telegram.messenger,com.facebook.orca';
+
+// A burst this large is processed right away
+const BURST_MAX_MEMBERS = 50;
+
+// Messages a collapsed burst quotes; the earlier ones are only counted
+const BURST_MAX_LINES = 20;
+
+/**
+ * Collapses the notifications chat apps post for every message of a
+ * conversation: notifications with the same app and conversation wait
+ * until the conversation goes quiet, then are processed once as a burst.
+ * Verification codes and breakthrough traffic never wait.
+ */
+class BurstService {
+    /**
+     * @param {object} options - Burst options
+     * @param {string} [options.apps] - Comma separated packages grouped by notification title
+     */
+    constructor(options = {}) {
+        this.windowMs = NOTIFICATION_BURST_WINDOW_SECONDS * 1000;
+        this.maxWaitMs = NOTIFICATION_BURST_MAX_WAIT_SECONDS * 1000;
+        this.apps = String(options.apps !== undefined ? options.apps : NOTIFICATION_BURST_APPS)
+            .split(',')
+            .map(app => app.trim().toLowerCase())
+            .filter(Boolean);
+        this.bursts = new Map();
+        this.flushHandler = null;
+        this.stopped = false;
+    }
+
+    /**
+     * Whether notifications wait for the rest of their conversation
+     * @returns {boolean}
+     */
+    get enabled() {
+        return this.windowMs > 0 && Boolean(this.flushHandler) && !this.stopped;
+    }
+
+    /**
+     * Set what processes a burst once its conversation goes quiet
+     * @param {Function} handler - async (members) => result, members being [{ data, device, event }] oldest first
+     */
+    setFlushHandler(handler) {
+        this.flushHandler = handler;
+    }
+
+    /**
+     * Conversation a notification belongs to: the app, and the conversation
+     * the device reported or else, for the chat apps in the list, the
+     * notification title (the sender). Other notifications aren't grouped.
+     * @param {object} data - Notification data
+     * @param {object} device - Device that sent it
+     * @returns {string|null} - Key, or null if the notification can't be grouped
+     */
+    keyOf(data, device) {
+        if (!data.packageName) {
+            return null;
+        }
+
+        const conversation = data.conversationKey ||
+            (this.apps.includes(data.packageName.toLowerCase()) ? data.title : null);
+        if (!conversation) {
+            return null;
+        }
+
+        return [device ? device.id : '', data.packageName, conversation].join('|').toLowerCase();
+    }
+
+    /**
+     * Whether a notification must be processed right away: it holds a
+     * verification code, or a do-not-disturb breakthrough rule lets it through
+     * @param {object} data - Notification data
+     * @returns {boolean}
+     */
+    isUrgent(data) {
+        const text = [data.title, data.text].filter(Boolean).join('\n');
+
+        return extractEntities(text).some(entity => entity.type === 'otp') ||
+            Boolean(dndService.breakthroughFor({ type: 'notification', from: data.packageName, contact: data.appName }));
+    }
+
+    /**
+     * Add a notification to the burst of its conversation
+     * @param {object} data - Notification data
+     * @param {object} device - Device that sent it
+     * @param {object|null} event - Stored notification event
+     * @returns {object|null} - { id, size } of the burst, or null if the notification isn't held back
+     */
+    add(data, device, event) {
+        const key = this.enabled ? this.keyOf(data, device) : null;
+        if (!key) {
+            return null;
+        }
+
+        if (this.isUrgent(data)) {
+            // What was waiting goes first, so the conversation stays in order
+            if (this.bursts.has(key)) {
+                this.flush(key);
+            }
+            return null;
+        }
+
+        let burst = this.bursts.get(key);
+        if (!burst) {
+            burst = { id: uuidv4(), key, members: [], startedAt: Date.now(), timer: null };
+            this.bursts.set(key, burst);
+        }
+
+        burst.members.push({ data, device, event });
+
+        if (burst.members.length >= BURST_MAX_MEMBERS) {
+            this.flush(key);
+        } else {
+            // Every message restarts the wait, up to the longest a burst is held back
+            const wait = Math.min(this.windowMs, burst.startedAt + this.maxWaitMs - Date.now());
+            clearTimeout(burst.timer);
+            burst.timer = setTimeout(() => this.flush(key), Math.max(wait, 0));
+            burst.timer.unref();
+        }
+
+        return { id: burst.id, size: burst.members.length };
+    }
+
+    /**
+     * Process a burst now
+     * @param {string} key - Conversation key
+     * @returns {Promise<object|null>} - What the flush handler returned
+     */
+    async flush(key) {
+        const burst = this.bursts.get(key);
+        if (!burst) {
+            return null;
+        }
+
+        clearTimeout(burst.timer);
+        this.bursts.delete(key);
+
+        try {
+            return await this.flushHandler(burst.members);
+        } catch (error) {
+            logger.error(`Error processing notification burst ${burst.id}: ${error.message}`);
+            return null;
+        }
+    }
+
+    /**
+     * One notification standing for a burst: "5 new messages from Alice in Signal",
+     * with the messages as its text
+     * @param {Array<object>} members - Burst members ({ data, event }), oldest first
+     * @returns {object} - Notification data, with requestIds (of every member) and burst: { count, memberIds }
+     */
+    collapse(members) {
+        const latest = members[members.length - 1].data;
+        const app = latest.appName || latest.packageName;
+        const senders = [...new Set(members.map(member => member.data.title).filter(Boolean))];
+
+        // Chat apps repost a notification when it changes; a message counts once
+        const lines = [...new Set(members
+            .map(member => [senders.length > 1 ? member.data.title : null, member.data.text].filter(Boolean).join(': '))
+            .filter(Boolean))];
+        const earlier = lines.length - BURST_MAX_LINES;
+
+        const { requestId, ...data } = latest;
+
+        return {
+            ...data,
+            requestIds: members.map(member => member.data.requestId).filter(Boolean),
+            title: `${members.length} new messages from ${this.describeSenders(senders)} in ${app}`,
+            text: [earlier > 0 ? `…${earlier} earlier` : null, ...lines.slice(-BURST_MAX_LINES)].filter(Boolean).join('\n'),
+            burst: {
+                count: members.length,
+                memberIds: members.filter(member => member.event).map(member => member.event.id)
+            }
+        };
+    }
+
+    /**
+     * Who a burst is from: "Alice", "Alice and Bob", "Alice, Bob and 3 others"
+     * @param {Array<string>} senders - Distinct senders
+     * @returns {string}
+     */
+    describeSenders(senders) {
+        if (senders.length === 0) {
+            return 'a conversation';
+        }
+
+        if (senders.length <= 2) {
+            return senders.join(' and ');
+        }
+
+        const others = senders.length - 2;
+        return `${senders.slice(0, 2).join(', ')} and ${others === 1 ? senders[2] : `${others} others`}`;
+    }
+
+    /**
+     * Stop holding notifications back and process the pending bursts now
+     * @returns {Promise<void>}
+     */
+    async stop() {
+        this.stopped = true;
+        const keys = Array.from(this.bursts.keys());
+
+        if (keys.length > 0) {
+            logger.info(`Processing ${keys.length} notification burst(s) before stopping`);
+            await Promise.all(keys.map(key => this.flush(key)));
+        }
+    }
+}
+
+// Create singleton instance
+const burstService = new BurstService();
+
+module.exports = burstService;
+module.exports.BurstService = BurstService;
@@ -0,0 +1,156 @@
+const { BurstService } = require('./bursts');
+const dndService = require('./dnd');
+
+/**
+ * A chat notification
+ * @param {string} text - Message text
+ * @param {object} [fields] - Other notification fields
+ * @returns {object}
+ */
+function chat(text, fields = {}) {
+    return { packageName: 'org.example.chat', appName: 'Chat', title: 'Alice', text, conversationKey: 'alice', ...fields };
+}
+
+describe('BurstService', () => {
+    let bursts;
+    let handler;
+
+    beforeEach(() => {
+        jest.useFakeTimers();
+        bursts = new BurstService({ apps: 'org.example.titles' });
+        handler = jest.fn().mockResolvedValue({ processed: true });
+        bursts.setFlushHandler(handler);
+    });
+
+    afterEach(() => {
+        jest.useRealTimers();
+    });
+
+    test('holds a conversation until it goes quiet', () => {
+        const first = bursts.add(chat('Hi'), null, { id: 'e1' });
+        jest.advanceTimersByTime(5000);
+        const second = bursts.add(chat('Are you there?'), null, { id: 'e2' });
+
+        expect(second).toEqual({ id: first.id, size: 2 });
+
+        jest.advanceTimersByTime(9999);
+        expect(handler).not.toHaveBeenCalled();
+
+        jest.advanceTimersByTime(1);
+        expect(handler).toHaveBeenCalledWith([
+            { data: chat('Hi'), device: null, event: { id: 'e1' } },
+            { data: chat('Are you there?'), device: null, event: { id: 'e2' } }
+        ]);
+    });
+
+    test('a busy conversation waits at most the longest wait', () => {
+        for (let i = 0; i < 12; i++) {
+            bursts.add(chat(`message ${i}`), null, null);
+            jest.advanceTimersByTime(5000);
+        }
+
+        expect(handler).toHaveBeenCalledTimes(1);
+        expect(handler.mock.calls[0][0]).toHaveLength(12);
+    });
+
+    test('devices and conversations have bursts of their own', () => {
+        const alice = bursts.add(chat('Hi'), { id: 'phone' }, null);
+
+        expect(bursts.add(chat('Hi'), { id: 'tablet' }, null).id).not.toBe(alice.id);
+        expect(bursts.add(chat('Hi', { conversationKey: 'bob' }), { id: 'phone' }, null).id).not.toBe(alice.id);
+    });
+
+    test('only conversations or listed chat apps are grouped', () => {
+        expect(bursts.add({ packageName: 'com.shop', title: 'Order update', text: 'Shipped' }, null, null)).toBeNull();
+        expect(bursts.add(chat('Hi', { conversationKey: '' }), null, null)).toBeNull();
+
+        const byTitle = { packageName: 'org.example.titles', title: 'Bob', text: 'Hi' };
+        expect(bursts.add(byTitle, null, null)).toEqual({ id: expect.any(String), size: 1 });
+        expect(bursts.add({ ...byTitle, text: 'Lunch?' }, null, null).size).toBe(2);
+    });
+
+    test('verification codes never wait, and flush what was waiting first', () => {
+        bursts.add(chat('Sending you the code'), null, null);
+
+        expect(bursts.add(chat('Your code is 482913'), null, null)).toBeNull();
+        expect(handler).toHaveBeenCalledWith([expect.objectContaining({ data: chat('Sending you the code') })]);
+        expect(bursts.bursts.size).toBe(0);
+    });
+
+    test('breakthrough traffic never waits', () => {
+        const breakthrough = dndService.breakthrough;
+        dndService.breakthrough = [{ name: 'Family chat', types: ['notification'], contacts: ['Family'] }];
+
+        try {
+            expect(bursts.add(chat('Dinner?', { appName: 'Family' }), null, null)).toBeNull();
+            expect(bursts.add(chat('Dinner?'), null, null)).not.toBeNull();
+        } finally {
+            dndService.breakthrough = breakthrough;
+        }
+    });
+
+    test('nothing waits without a window or a flush handler', () => {
+        expect(new BurstService().add(chat('Hi'), null, null)).toBeNull();
+
+        bursts.windowMs = 0;
+        expect(bursts.add(chat('Hi'), null, null)).toBeNull();
+    });
+
+    test('stopping processes the pending bursts and holds nothing after', async () => {
+        bursts.add(chat('Hi'), null, null);
+        bursts.add(chat('Hi', { conversationKey: 'bob', title: 'Bob' }), null, null);
+
+        await bursts.stop();
+
+        expect(handler).toHaveBeenCalledTimes(2);
+        expect(bursts.bursts.size).toBe(0);
+        expect(bursts.add(chat('Late'), null, null)).toBeNull();
+    });
+
+    test('a failing flush handler does not throw', async () => {
+        handler.mockRejectedValueOnce(new Error('boom'));
+        bursts.add(chat('Hi'), null, null);
+
+        await expect(bursts.stop()).resolves.toBeUndefined();
+    });
+
+    describe('collapse', () => {
+        test('one notification stands for the burst and keeps every request id', () => {
+            const members = [
+                { data: chat('Hi', { requestId: 'r1' }), event: { id: 'e1' } },
+                { data: chat('Hi', { requestId: 'r2' }), event: { id: 'e2' } },
+                { data: chat('Lunch?', { requestId: 'r3' }), event: null }
+            ];
+
+            const data = bursts.collapse(members);
+
+            expect(data).toMatchObject({
+                title: '3 new messages from Alice in Chat',
+                // A reposted notification counts once
+                text: 'Hi\nLunch?',
+                requestIds: ['r1', 'r2', 'r3'],
+                burst: { count: 3, memberIds: ['e1', 'e2'] }
+            });
+            expect(data.requestId).toBeUndefined();
+        });
+
+        test('group chats name each sender', () => {
+            const members = ['Alice', 'Bob', 'Carol', 'Dan'].map(title => ({ data: chat(`from ${title}`, { title }), event: null }));
+
+            const data = bursts.collapse(members);
+
+            expect(data.title).toBe('4 new messages from Alice, Bob and 2 others in Chat');
+            expect(data.text.split('\n')[0]).toBe('Alice: from Alice');
+        });
+
+        test('long bursts quote the latest messages', () => {
+            const members = Array.from({ length: 25 }, (_, i) => ({ data: chat(`message ${i}`), event: null }));
+
+            const lines = bursts.collapse(members).text.split('\n');
+
+            expect(lines[0]).toBe('…5 earlier');
+            expect(lines[1]).toBe('message 5');
+            expect(lines).toHaveLength(21);
+        });
+    });
+});
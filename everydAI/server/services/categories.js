@@ -0,0 +1,233 @@
+const fs = require('fs');
+const path = require('path');
+const logger = require('../utils/logger');
+
+// Category taxonomy and per-category routing
+const CATEGORIES_PATH = process.env.CATEGORIES_PATH || path.join(__dirname, '../config/categories.json');
+
+/**
+ * Where content goes once it has a category:
+ * instant - full tier, forwarded to the WhatsApp group right away
+ * summary - brief filter tier summary, forwarded only above instantAbove
+ * digest  - kept for the digest, nothing is sent
+ * drop    - discarded
+ */
+const ROUTES = ['instant', 'summary', 'digest', 'drop'];
+
+// Used when config/categories.json is missing or invalid
+const DEFAULT_CONFIG = {
+    defaultCategory: 'other',
+    minConfidence: 0.5,
+    categories: {
+        other: { description: 'Anything', route: 'summary', instantAbove: 0.7, byType: { sms: { instantAbove: 0.6 } } }
+    }
+};
+
+/**
+ * Merge per-category overrides into a taxonomy config
+ * @param {object} config - Base config
+ * @param {object} overrides - Partial config ({ categories: { finance: { route } } }, ...)
+ * @returns {object}
+ */
+function mergeConfig(config, overrides = {}) {
+    const categories = { ...config.categories };
+
+    for (const [name, settings] of Object.entries(overrides.categories || {})) {
+        categories[name] = { ...(categories[name] || {}), ...settings };
+    }
+
+    return { ...config, ...overrides, categories };
+}
+
+/**
+ * Configurable category taxonomy: the categories the filter tier may assign,
+ * and how each one is routed
+ */
+class CategoryTaxonomy {
+    /**
+     * @param {object} options - Taxonomy options
+     * @param {string|null} [options.configPath] - Config file, null to use options.config only
+     * @param {object} [options.config] - Config to use instead of the file
+     * @param {object} [options.overrides] - Per-category settings merged over the config
+     */
+    constructor(options = {}) {
+        this.configPath = options.configPath !== undefined ? options.configPath : CATEGORIES_PATH;
+        this.config = DEFAULT_CONFIG;
+        this.load(options.config);
+
+        if (options.overrides) {
+            this.config = mergeConfig(this.config, options.overrides);
+        }
+    }
+
+    /**
+     * Load the taxonomy from disk (or from a given config)
+     * @param {object} [config] - Config to use instead of the file
+     */
+    load(config) {
+        try {
+            const data = config || (this.configPath && fs.existsSync(this.configPath)
+                ? JSON.parse(fs.readFileSync(this.configPath, 'utf8'))
+                : null);
+
+            if (!data) {
+                return;
+            }
+
+            const errors = this.validateConfig(data);
+            if (errors.length > 0) {
+                logger.error(`Invalid category config, keeping the previous one: ${errors.join('; ')}`);
+                return;
+            }
+
+            this.config = data;
+            logger.info(`Loaded ${this.names().length} categories`);
+        } catch (error) {
+            logger.error('Error loading category config:', error);
+        }
+    }
+
+    /**
+     * Check a taxonomy config
+     * @param {object} config - { defaultCategory, minConfidence, categories }
+     * @returns {Array<string>} - Errors, empty when valid
+     */
+    validateConfig(config) {
+        const errors = [];
+        const categories = (config && config.categories) || {};
+
+        if (Object.keys(categories).length === 0) {
+            errors.push('at least one category is required');
+        }
+
+        if (!categories[config && config.defaultCategory]) {
+            errors.push('defaultCategory must be one of the categories');
+        }
+
+        for (const [name, settings] of Object.entries(categories)) {
+            const byType = Object.values(settings.byType || {});
+
+            if (!ROUTES.includes(settings.route)) {
+                errors.push(`${name}.route must be one of ${ROUTES.join(', ')}`);
+            }
+
+            if (byType.some(variant => variant.route !== undefined && !ROUTES.includes(variant.route))) {
+                errors.push(`${name}.byType route must be one of ${ROUTES.join(', ')}`);
+            }
+
+            for (const variant of [settings, ...byType]) {
+                if (variant.instantAbove !== undefined && variant.instantAbove !== null &&
+                    !(variant.instantAbove >= 0 && variant.instantAbove <= 1)) {
+                    errors.push(`${name}.instantAbove must be between 0 and 1`);
+                }
+            }
+        }
+
+        return errors;
+    }
+
+    /**
+     * Replace the taxonomy and write it to disk
+     * @param {object} config - New config
+     * @returns {Array<string>} - Errors; nothing is changed when there are any
+     */
+    update(config) {
+        const errors = this.validateConfig(config);
+        if (errors.length > 0) {
+            return errors;
+        }
+
+        this.config = config;
+
+        if (this.configPath) {
+            const tempPath = `${this.configPath}.tmp`;
+            fs.writeFileSync(tempPath, JSON.stringify(config, null, 2) + '\n', 'utf8');
+            fs.renameSync(tempPath, this.configPath);
+        }
+
+        logger.info(`Updated category config (${this.names().length} categories)`);
+        return [];
+    }
+
+    /**
+     * Category names
+     * @returns {Array<string>}
+     */
+    names() {
+        return Object.keys(this.config.categories);
+    }
+
+    /**
+     * Category list for the filter prompt
+     * @returns {string}
+     */
+    describe() {
+        return Object.entries(this.config.categories)
+            .map(([name, settings]) => `- ${name}: ${settings.description || name}`)
+            .join('\n');
+    }
+
+    /**
+     * Settings of a category for a content type
+     * @param {string} name - Category
+     * @param {string} type - Content type (notification, sms, ...)
+     * @returns {object} - { route, instantAbove, ... }
+     */
+    settingsFor(name, type) {
+        const settings = this.config.categories[name] || this.config.categories[this.config.defaultCategory];
+        const { byType, ...base } = settings;
+
+        return { ...base, ...((byType || {})[type] || {}) };
+    }
+
+    /**
+     * Decide where a filter verdict goes
+     * @param {object} verdict - Filter verdict
+     * @param {string} type - Content type
+     * @returns {object} - { category, confidence, route, reason }
+     */
+    resolve(verdict, type) {
+        const confidence = typeof verdict.categoryConfidence === 'number' ? verdict.categoryConfidence : null;
+        let category = this.config.categories[verdict.category] ? verdict.category : this.config.defaultCategory;
+        let reason;
+
+        // Unsure categories are routed like the default category
+        if (confidence !== null && confidence < (this.config.minConfidence || 0)) {
+            reason = `${verdict.category} at confidence ${confidence}, routed as ${this.config.defaultCategory}`;
+            category = this.config.defaultCategory;
+        }
+
+        const settings = this.settingsFor(category, type);
+        const result = route => ({
+            category,
+            confidence,
+            route,
+            reason: reason ? `${reason}; ${route}` : `${category}: ${route}`
+        });
+
+        if (verdict.filter || settings.route === 'drop') {
+            return result('drop');
+        }
+
+        // Critical content is never held back for a digest
+        if (verdict.urgency === 'critical') {
+            return result('instant');
+        }
+
+        if (settings.route !== 'summary') {
+            return result(settings.route);
+        }
+
+        const above = settings.instantAbove !== undefined && settings.instantAbove !== null
+            && verdict.score > settings.instantAbove;
+
+        return result(verdict.important || above ? 'instant' : 'summary');
+    }
+}
+
+// Create singleton instance
+const categoryTaxonomy = new CategoryTaxonomy();
+
+module.exports = categoryTaxonomy;
+module.exports.CategoryTaxonomy = CategoryTaxonomy;
+module.exports.ROUTES = ROUTES;
@@ -0,0 +1,132 @@
+const fs = require('fs');
+const path = require('path');
+const { CategoryTaxonomy } = require('./categories');
+
+const CONFIG = {
+    defaultCategory: 'other',
+    minConfidence: 0.5,
+    categories: {
+        security: { description: 'Logins and codes', route: 'instant' },
+        finance: { description: 'Payments', route: 'summary', instantAbove: 0.8, byType: { sms: { instantAbove: 0.6 } } },
+        promotions: { description: 'Sales', route: 'digest', byType: { sms: { route: 'drop' } } },
+        spam: { description: 'Spam', route: 'drop' },
+        other: { description: 'Anything', route: 'summary' }
+    }
+};
+
+describe('CategoryTaxonomy', () => {
+    let taxonomy;
+
+    beforeEach(() => {
+        taxonomy = new CategoryTaxonomy({ configPath: null, config: CONFIG });
+    });
+
+    describe('resolve', () => {
+        test.each([
+            ['an instant category', { category: 'security', score: 0.2 }, 'notification', 'instant'],
+            ['a digest category', { category: 'promotions', score: 0.9 }, 'notification', 'digest'],
+            ['a drop category', { category: 'spam', score: 0.9 }, 'notification', 'drop'],
+            ['a summary category under its threshold', { category: 'finance', score: 0.7 }, 'notification', 'summary'],
+            ['a summary category over its threshold', { category: 'finance', score: 0.85 }, 'notification', 'instant'],
+            ['a summary category at its threshold', { category: 'finance', score: 0.8 }, 'notification', 'summary'],
+            ['an important summary item', { category: 'finance', score: 0.1, important: true }, 'notification', 'instant'],
+            ['a summary category without a threshold', { category: 'other', score: 0.99 }, 'notification', 'summary']
+        ])('%s', (label, verdict, type, route) => {
+            expect(taxonomy.resolve(verdict, type).route).toBe(route);
+        });
+
+        test('a content type can have its own threshold', () => {
+            expect(taxonomy.resolve({ category: 'finance', score: 0.7 }, 'sms').route).toBe('instant');
+            expect(taxonomy.resolve({ category: 'finance', score: 0.7 }, 'notification').route).toBe('summary');
+        });
+
+        test('a content type can have its own route', () => {
+            expect(taxonomy.resolve({ category: 'promotions' }, 'sms').route).toBe('drop');
+        });
+
+        test('a filtered verdict is dropped whatever its category', () => {
+            expect(taxonomy.resolve({ category: 'security', filter: true, urgency: 'critical' }, 'sms')).toEqual({
+                category: 'security',
+                confidence: null,
+                route: 'drop',
+                reason: 'security: drop'
+            });
+        });
+
+        test('critical content is never held for the digest', () => {
+            expect(taxonomy.resolve({ category: 'promotions', urgency: 'critical' }, 'notification').route).toBe('instant');
+        });
+
+        test('an unknown category is routed as the default', () => {
+            expect(taxonomy.resolve({ category: 'weather', score: 0.3 }, 'notification')).toEqual({
+                category: 'other',
+                confidence: null,
+                route: 'summary',
+                reason: 'other: summary'
+            });
+        });
+
+        test('an unsure category is routed as the default', () => {
+            expect(taxonomy.resolve({ category: 'spam', categoryConfidence: 0.4, score: 0.3 }, 'notification')).toEqual({
+                category: 'other',
+                confidence: 0.4,
+                route: 'summary',
+                reason: 'spam at confidence 0.4, routed as other; summary'
+            });
+        });
+
+        test('a confident category keeps its route', () => {
+            expect(taxonomy.resolve({ category: 'spam', categoryConfidence: 0.5 }, 'notification'))
+                .toMatchObject({ category: 'spam', confidence: 0.5, route: 'drop' });
+        });
+    });
+
+    describe('validateConfig', () => {
+        test('accepts a valid config', () => {
+            expect(taxonomy.validateConfig(CONFIG)).toEqual([]);
+        });
+
+        test.each([
+            ['no categories', { defaultCategory: 'other', categories: {} }, [
+                'at least one category is required',
+                'defaultCategory must be one of the categories'
+            ]],
+            ['an unknown default category', { defaultCategory: 'misc', categories: { other: { route: 'summary' } } }, [
+                'defaultCategory must be one of the categories'
+            ]],
+            ['an unknown route', { defaultCategory: 'other', categories: { other: { route: 'later' } } }, [
+                'other.route must be one of instant, summary, digest, drop'
+            ]],
+            ['an unknown route for a content type', { defaultCategory: 'other', categories: { other: { route: 'summary', byType: { sms: { route: 'later' } } } } }, [
+                'other.byType route must be one of instant, summary, digest, drop'
+            ]],
+            ['a threshold over 1', { defaultCategory: 'other', categories: { other: { route: 'summary', instantAbove: 1.5 } } }, [
+                'other.instantAbove must be between 0 and 1'
+            ]],
+            ['a threshold that is not a number', { defaultCategory: 'other', categories: { other: { route: 'summary', byType: { sms: { instantAbove: 'high' } } } } }, [
+                'other.instantAbove must be between 0 and 1'
+            ]],
+            ['not a config', null, [
+                'at least one category is required',
+                'defaultCategory must be one of the categories'
+            ]]
+        ])('rejects %s', (label, config, errors) => {
+            expect(taxonomy.validateConfig(config)).toEqual(errors);
+        });
+
+        test('update keeps the current config when the new one is invalid', () => {
+            expect(taxonomy.update({ defaultCategory: 'misc', categories: { other: { route: 'summary' } } })).toHaveLength(1);
+            expect(taxonomy.names()).toEqual(Object.keys(CONFIG.categories));
+        });
+
+        test('update writes a valid config', () => {
+            const configPath = path.join(global.TEST_STATE_DIR, `categories-${Date.now()}-${Math.random()}.json`);
+            const stored = new CategoryTaxonomy({ configPath, config: CONFIG });
+            const config = { defaultCategory: 'other', categories: { other: { route: 'digest' } } };
+
+            expect(stored.update(config)).toEqual([]);
+            expect(JSON.parse(fs.readFileSync(configPath, 'utf8'))).toEqual(config);
+            expect(new CategoryTaxonomy({ configPath }).resolve({ category: 'other' }, 'sms').route).toBe('digest');
+        });
+    });
+});
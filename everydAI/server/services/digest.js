@@ -0,0 +1,401 @@
+const logger = require('../utils/logger');
+const whatsappClient = require('./whatsapp');
+const deviceManager = require('./deviceManager');
+const { aiService } = require('./ai');
+const database = require('../db');
+const { parseTime } = require('../utils/time');
+
+// Times of day the daily digest goes out (comma separated HH:MM, empty for none)
+const DIGEST_DAILY_AT = process.env.DIGEST_DAILY_AT !== undefined ? process.env.DIGEST_DAILY_AT : '20:00';
+
+// Day and time the weekly digest goes out, e.g. "sun 18:00" (empty for none)
+const DIGEST_WEEKLY_AT = process.env.DIGEST_WEEKLY_AT || '';
+
+// Most items a digest covers; the oldest beyond this are left out
+const DIGEST_MAX_ITEMS = parseInt(process.env.DIGEST_MAX_ITEMS || '200', 10);
+
+// Routes of the events a digest collects: summarized, or kept only for the digest
+const DIGEST_ROUTES = ['summary', 'digest'];
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const WEEKDAYS = ['sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat'];
+
+const PERIODS = ['today', 'yesterday', 'week'];
+
+/**
+ * Local midnight of a day
+ * @param {Date} at - Any moment of the day
+ * @returns {Date}
+ */
+function startOfDay(at) {
+    const day = new Date(at);
+    day.setHours(0, 0, 0, 0);
+    return day;
+}
+
+/**
+ * Moment on a day at minutes after midnight
+ * @param {Date} day - Any moment of the day
+ * @param {number} minutes - Minutes after midnight
+ * @returns {Date}
+ */
+function atMinutes(day, minutes) {
+    const at = startOfDay(day);
+    at.setMinutes(minutes);
+    return at;
+}
+
+/**
+ * Collects the non-urgent, non-filtered events of a period, has the full
+ * tier write a digest grouped by category and app or contact, and delivers
+ * it to the WhatsApp group and the desktop app on a schedule
+ */
+class DigestService {
+    /**
+     * @param {object} options - Digest options
+     * @param {string} [options.dailyAt] - Comma separated HH:MM times
+     * @param {string} [options.weeklyAt] - Weekday and HH:MM, e.g. "sun 18:00"
+     */
+    constructor(options = {}) {
+        this.dailyAt = this.parseDaily(options.dailyAt !== undefined ? options.dailyAt : DIGEST_DAILY_AT);
+        this.weeklyAt = this.parseWeekly(options.weeklyAt !== undefined ? options.weeklyAt : DIGEST_WEEKLY_AT);
+        this.timer = null;
+    }
+
+    /**
+     * Parse the daily schedule
+     * @param {string} value - Comma separated HH:MM times
+     * @returns {Array<number>} - Minutes after midnight, in order
+     */
+    parseDaily(value) {
+        return String(value || '').split(',')
+            .map(time => time.trim())
+            .filter(Boolean)
+            .map(time => {
+                const minutes = parseTime(time);
+                if (minutes === null) {
+                    logger.warn(`Ignoring invalid daily digest time: ${time}`);
+                }
+                return minutes;
+            })
+            .filter(minutes => minutes !== null)
+            .sort((a, b) => a - b);
+    }
+
+    /**
+     * Parse the weekly schedule
+     * @param {string} value - Weekday and HH:MM, e.g. "sun 18:00"
+     * @returns {object|null} - { day (0 = Sunday), minutes }
+     */
+    parseWeekly(value) {
+        if (!value) {
+            return null;
+        }
+
+        const [dayName, time] = value.trim().toLowerCase().split(/\s+/);
+        const day = WEEKDAYS.indexOf((dayName || '').substring(0, 3));
+        const minutes = parseTime(time);
+
+        if (day === -1 || minutes === null) {
+            logger.warn(`Ignoring invalid weekly digest schedule: ${value}`);
+            return null;
+        }
+
+        return { day, minutes };
+    }
+
+    /**
+     * Time range of a named period
+     * @param {string} name - today, yesterday or week
+     * @param {Date} [now] - Current time
+     * @returns {object} - { name, title, label, since, until }
+     */
+    periodOf(name, now = new Date()) {
+        switch (name) {
+            case 'yesterday':
+                return { name, title: 'Digest for yesterday', label: 'yesterday', since: new Date(startOfDay(now) - DAY_MS), until: startOfDay(now) };
+            case 'week':
+                return { name, title: 'Weekly digest', label: 'the last 7 days', since: new Date(now - 7 * DAY_MS), until: now };
+            default:
+                return { name: 'today', title: 'Digest for today', label: 'today', since: startOfDay(now), until: now };
+        }
+    }
+
+    /**
+     * Non-urgent, non-filtered events of a period, oldest first
+     * @param {Date} since - Start of the period
+     * @param {Date} until - End of the period
+     * @returns {Array<object>}
+     */
+    collect(since, until) {
+        const events = [];
+        let cursor = null;
+
+        do {
+            const page = database.events.search({
+                since: since.toISOString(),
+                until: until.toISOString(),
+                route: DIGEST_ROUTES,
+                filtered: false,
+                limit: DIGEST_MAX_ITEMS - events.length,
+                cursor
+            });
+
+            events.push(...page.events);
+            cursor = page.nextCursor;
+        } while (cursor && events.length < DIGEST_MAX_ITEMS);
+
+        return events.reverse();
+    }
+
+    /**
+     * Who an event is from: the app of a notification, the contact of an SMS
+     * @param {object} event - Stored event
+     * @returns {string}
+     */
+    senderOf(event) {
+        if (event.type === 'notification') {
+            return event.data.appName || event.source || 'Unknown app';
+        }
+        return event.data.contactName || event.source || 'Unknown sender';
+    }
+
+    /**
+     * Group events by category, then by app or contact
+     * @param {Array<object>} events - Stored events
+     * @returns {Array<object>} - [{ category, count, senders: [{ name, events }] }], largest first
+     */
+    group(events) {
+        const categories = new Map();
+
+        for (const event of events) {
+            const category = (event.verdict && event.verdict.category) || 'other';
+            const sender = this.senderOf(event);
+
+            if (!categories.has(category)) {
+                categories.set(category, new Map());
+            }
+            const senders = categories.get(category);
+
+            if (!senders.has(sender)) {
+                senders.set(sender, []);
+            }
+            senders.get(sender).push(event);
+        }
+
+        return Array.from(categories.entries())
+            .map(([category, senders]) => ({
+                category,
+                count: Array.from(senders.values()).reduce((sum, list) => sum + list.length, 0),
+                senders: Array.from(senders.entries()).map(([name, list]) => ({ name, events: list }))
+            }))
+            .sort((a, b) => b.count - a.count);
+    }
+
+    /**
+     * One line per event, the AI summary when there is one
+     * @param {object} event - Stored event
+     * @returns {string}
+     */
+    describe(event) {
+        const summary = event.verdict && event.verdict.result.summary;
+        const text = summary || [event.title, event.content].filter(Boolean).join(': ');
+
+        return text.replace(/\s+/g, ' ').substring(0, 200);
+    }
+
+    /**
+     * Plain grouped list, for the prompt and for when the full tier is unavailable
+     * @param {Array<object>} groups - Grouped events
+     * @param {boolean} markdown - Use WhatsApp formatting
+     * @returns {string}
+     */
+    formatGroups(groups, markdown = false) {
+        return groups.map(group =>
+            `${markdown ? `*${group.category}*` : `## ${group.category}`} (${group.count})\n` +
+            group.senders.map(sender =>
+                `- ${sender.name}${sender.events.length > 1 ? ` (${sender.events.length})` : ''}: ` +
+                sender.events.map(event => this.describe(event)).join(' | ')
+            ).join('\n')
+        ).join('\n\n');
+    }
+
+    /**
+     * Build the digest of a period
+     * @param {object} period - { name, title, label, since, until }
+     * @returns {Promise<object>} - { period, title, since, until, count, groups, text, generated }
+     */
+    async build(period) {
+        const events = this.collect(period.since, period.until);
+        const groups = this.group(events);
+        const digest = {
+            period: period.name,
+            title: period.title,
+            since: period.since.toISOString(),
+            until: period.until.toISOString(),
+            count: events.length,
+            groups: groups.map(group => ({
+                category: group.category,
+                count: group.count,
+                senders: group.senders.map(sender => ({ name: sender.name, count: sender.events.length }))
+            })),
+            text: null,
+            generated: false
+        };
+
+        if (events.length === 0) {
+            return digest;
+        }
+
+        const result = await aiService.runPrompt('full', aiService.prompts.render('digest', 'digest', {
+            period: period.label,
+            count: events.length,
+            items: this.formatGroups(groups)
+        }), { temperature: 0.3, maxTokens: 500, type: 'digest' });
+
+        // Without the full tier the grouped list is still a digest
+        digest.generated = !result.error;
+        digest.text = result.error ? this.formatGroups(groups, true) : result.text.trim();
+
+        return digest;
+    }
+
+    /**
+     * Build a digest and send it to the WhatsApp group and the desktop app
+     * @param {object} period - { name, title, label, since, until }
+     * @returns {Promise<object>} - The digest
+     */
+    async deliver(period) {
+        const digest = await this.build(period);
+
+        if (digest.count === 0) {
+            logger.info(`Nothing for the ${period.name} digest`);
+            return digest;
+        }
+
+        await whatsappClient.sendToGroup(`🗞️ *${digest.title}* (${digest.count} items)\n\n${digest.text}`, { type: 'digest' });
+        deviceManager.broadcastToAll({ type: 'digest', ...digest });
+
+        logger.info(`Delivered the ${period.name} digest (${digest.count} items)`);
+        return digest;
+    }
+
+    /**
+     * Next scheduled digest after a moment
+     * @param {Date} now - Current time
+     * @returns {object|null} - { at, kind (daily, weekly) }
+     */
+    nextRun(now) {
+        const runs = [];
+
+        // Today's remaining times, else tomorrow's first
+        for (const minutes of this.dailyAt) {
+            const at = atMinutes(now, minutes);
+            runs.push({ at: at > now ? at : atMinutes(new Date(+now + DAY_MS), minutes), kind: 'daily' });
+        }
+
+        if (this.weeklyAt) {
+            const days = (this.weeklyAt.day - now.getDay() + 7) % 7;
+            let at = atMinutes(new Date(+now + days * DAY_MS), this.weeklyAt.minutes);
+            if (at <= now) {
+                at = atMinutes(new Date(+now + 7 * DAY_MS), this.weeklyAt.minutes);
+            }
+            runs.push({ at, kind: 'weekly' });
+        }
+
+        return runs.sort((a, b) => a.at - b.at)[0] || null;
+    }
+
+    /**
+     * Period a scheduled digest covers: since the previous daily time
+     * (a day with a single time), or the last 7 days
+     * @param {string} kind - daily or weekly
+     * @param {Date} at - Scheduled time
+     * @returns {object} - { name, title, label, since, until }
+     */
+    scheduledPeriod(kind, at) {
+        if (kind === 'weekly') {
+            return { ...this.periodOf('week', at), until: at };
+        }
+
+        const previous = [startOfDay(at), new Date(startOfDay(at) - DAY_MS)]
+            .flatMap(day => this.dailyAt.map(minutes => atMinutes(day, minutes)))
+            .filter(slot => slot < at)
+            .sort((a, b) => b - a)[0];
+
+        const since = previous || new Date(at - DAY_MS);
+
+        return {
+            name: 'daily',
+            title: 'Daily digest',
+            label: this.dailyAt.length > 1 ? `the hours since ${since.toTimeString().substring(0, 5)}` : 'the last 24 hours',
+            since,
+            until: at
+        };
+    }
+
+    /**
+     * Start sending digests on schedule
+     */
+    start() {
+        this.stop();
+
+        const next = this.nextRun(new Date());
+        if (!next) {
+            logger.info('No digest schedule configured');
+            return;
+        }
+
+        this.timer = setTimeout(async () => {
+            try {
+                await this.deliver(this.scheduledPeriod(next.kind, next.at));
+            } catch (error) {
+                logger.error(`Error delivering the ${next.kind} digest: ${error.message}`);
+            }
+            this.start();
+        }, next.at - Date.now());
+        this.timer.unref();
+
+        logger.info(`Next ${next.kind} digest at ${next.at.toLocaleString()}`);
+    }
+
+    /**
+     * Stop the schedule
+     */
+    stop() {
+        if (this.timer) {
+            clearTimeout(this.timer);
+            this.timer = null;
+        }
+    }
+}
+
+// Create singleton instance
+const digestService = new DigestService();
+
+/**
+ * Handle digest command: build a digest on demand
+ * @param {Message} message - Message object
+ * @param {Array<string>} args - Command arguments
+ */
+async function handleDigestCommand(message, args) {
+    const name = (args[0] || 'today').toLowerCase();
+
+    if (!PERIODS.includes(name)) {
+        await message.reply(`Usage: !digest [${PERIODS.join(' | ')}]`);
+        return;
+    }
+
+    const digest = await digestService.build(digestService.periodOf(name));
+
+    await message.reply(digest.count === 0
+        ? `Nothing for the digest ${name === 'week' ? 'this week' : name}.`
+        : `🗞️ *${digest.title}* (${digest.count} items)\n\n${digest.text}`);
+}
+
+whatsappClient.registerCommand('digest', handleDigestCommand);
+
+module.exports = digestService;
+module.exports.DigestService = DigestService;
+module.exports.PERIODS = PERIODS;
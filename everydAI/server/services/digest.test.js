@@ -0,0 +1,143 @@
+jest.mock('./whatsapp', () => ({
+    isReady: true,
+    registerCommand: jest.fn(),
+    sendToGroup: jest.fn()
+}));
+
+const whatsappClient = require('./whatsapp');
+const deviceManager = require('./deviceManager');
+const { DigestService } = require('./digest');
+const { aiService } = require('./ai');
+const { FakeProvider } = require('./providers');
+const { UsageLedger } = require('./usage');
+const database = require('../db');
+
+/**
+ * Store an event with its verdict
+ * @param {string} type - Event type
+ * @param {object} data - Event data
+ * @param {object} verdict - Processing result
+ */
+function store(type, data, verdict) {
+    const event = database.events.record(type, data);
+    database.events.saveVerdict(event.id, verdict);
+    jest.advanceTimersByTime(60000);
+}
+
+describe('DigestService', () => {
+    afterEach(() => {
+        jest.useRealTimers();
+    });
+
+    describe('schedule', () => {
+        test('parses daily times and a weekly slot, skipping invalid ones', () => {
+            const digest = new DigestService({ dailyAt: '20:00, 08:30, 25:00', weeklyAt: 'Sunday 18:00' });
+
+            expect(digest.dailyAt).toEqual([510, 1200]);
+            expect(digest.weeklyAt).toEqual({ day: 0, minutes: 1080 });
+            expect(new DigestService({ dailyAt: '', weeklyAt: 'someday 18:00' })).toMatchObject({ dailyAt: [], weeklyAt: null });
+        });
+
+        test('the next run is the earliest of the daily and weekly times', () => {
+            const digest = new DigestService({ dailyAt: '08:30,20:00', weeklyAt: 'mon 07:00' });
+
+            // Monday 2026-10-19
+            expect(digest.nextRun(new Date(2026, 9, 19, 6, 0))).toEqual({ at: new Date(2026, 9, 19, 7, 0), kind: 'weekly' });
+            expect(digest.nextRun(new Date(2026, 9, 19, 9, 0))).toEqual({ at: new Date(2026, 9, 19, 20, 0), kind: 'daily' });
+            expect(digest.nextRun(new Date(2026, 9, 19, 20, 0))).toEqual({ at: new Date(2026, 9, 20, 8, 30), kind: 'daily' });
+            expect(new DigestService({ dailyAt: '', weeklyAt: '' }).nextRun(new Date())).toBeNull();
+        });
+
+        test('a daily digest covers the time since the previous one', () => {
+            const twice = new DigestService({ dailyAt: '08:30,20:00' });
+            const once = new DigestService({ dailyAt: '20:00' });
+
+            expect(twice.scheduledPeriod('daily', new Date(2026, 9, 19, 8, 30)))
+                .toMatchObject({ since: new Date(2026, 9, 18, 20, 0), label: 'the hours since 20:00' });
+            expect(once.scheduledPeriod('daily', new Date(2026, 9, 19, 20, 0)))
+                .toMatchObject({ since: new Date(2026, 9, 18, 20, 0), label: 'the last 24 hours' });
+            expect(once.scheduledPeriod('weekly', new Date(2026, 9, 19, 20, 0)).since).toEqual(new Date(2026, 9, 12, 20, 0));
+        });
+    });
+
+    describe('build', () => {
+        let fake;
+        let digest;
+        let period;
+
+        beforeAll(() => {
+            jest.useFakeTimers({ now: new Date(2026, 9, 19, 9, 0) });
+            store('notification', { packageName: 'com.shop', appName: 'Shop', title: 'Order', text: 'Your order shipped' },
+                { processed: true, route: 'summary', category: 'delivery', summary: 'Shop order shipped' });
+            store('notification', { packageName: 'com.shop', appName: 'Shop', title: 'Order', text: 'Out for delivery' },
+                { processed: true, route: 'digest', category: 'delivery' });
+            store('sms', { phoneNumber: '+15550100', contactName: 'Alice', messageBody: 'See you Friday' },
+                { processed: true, route: 'summary', category: 'personal' });
+            // Urgent items were forwarded already, filtered ones never count
+            store('sms', { phoneNumber: '+15550101', messageBody: 'Call me now' },
+                { processed: true, route: 'instant', category: 'personal' });
+            store('notification', { packageName: 'com.ads', title: 'Sale', text: '50% off' },
+                { filtered: true, route: 'digest', category: 'marketing' });
+            period = { name: 'today', title: 'Digest for today', label: 'today', since: new Date(2026, 9, 19, 0, 0), until: new Date() };
+            jest.useRealTimers();
+        });
+
+        beforeEach(() => {
+            fake = new FakeProvider();
+            aiService.usage = new UsageLedger({ ledgerPath: null, budgets: { day: 0, month: 0 } });
+            aiService.providers.breakers.clear();
+            aiService.providers.setProvider('fake', fake);
+            aiService.providers.setTier('full', { provider: 'fake', model: 'large' });
+            digest = new DigestService({ dailyAt: '', weeklyAt: '' });
+            whatsappClient.sendToGroup.mockClear();
+        });
+
+        test('groups the summarized items by category and sender', async () => {
+            fake.enqueue('Two deliveries and a note from Alice.');
+
+            const result = await digest.build(period);
+
+            expect(result).toMatchObject({ count: 3, generated: true, text: 'Two deliveries and a note from Alice.' });
+            expect(result.groups).toEqual([
+                { category: 'delivery', count: 2, senders: [{ name: 'Shop', count: 2 }] },
+                { category: 'personal', count: 1, senders: [{ name: 'Alice', count: 1 }] }
+            ]);
+
+            const prompt = fake.calls[0].messages.map(m => m.content).join('\n');
+            expect(prompt).toContain('- Shop (2): Shop order shipped | Order: Out for delivery');
+            expect(prompt).not.toContain('Call me now');
+            expect(prompt).not.toContain('50% off');
+        });
+
+        test('falls back to the grouped list without the full tier', async () => {
+            fake.enqueue(new Error('down'));
+
+            const result = await digest.build(period);
+
+            expect(result.generated).toBe(false);
+            expect(result.text).toBe('*delivery* (2)\n- Shop (2): Shop order shipped | Order: Out for delivery\n\n' +
+                '*personal* (1)\n- Alice: Alice: See you Friday');
+        });
+
+        test('an empty period makes no AI call and sends nothing', async () => {
+            const empty = { ...period, since: new Date(2026, 9, 18, 0, 0), until: new Date(2026, 9, 18, 23, 0) };
+
+            const result = await digest.deliver(empty);
+
+            expect(result.count).toBe(0);
+            expect(fake.calls).toHaveLength(0);
+            expect(whatsappClient.sendToGroup).not.toHaveBeenCalled();
+        });
+
+        test('delivers to the group and the desktop app', async () => {
+            const broadcast = jest.spyOn(deviceManager, 'broadcastToAll').mockImplementation(() => {});
+            fake.enqueue('Digest text');
+
+            await digest.deliver(period);
+
+            expect(whatsappClient.sendToGroup).toHaveBeenCalledWith('🗞️ *Digest for today* (3 items)\n\nDigest text', { type: 'digest' });
+            expect(broadcast).toHaveBeenCalledWith(expect.objectContaining({ type: 'digest', count: 3 }));
+            broadcast.mockRestore();
+        });
+    });
+});
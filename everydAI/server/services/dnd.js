@@ -0,0 +1,467 @@
+const fs = require('fs');
+const path = require('path');
+const { v4: uuidv4 } = require('uuid');
+const logger = require('../utils/logger');
+const { validate } = require('../utils/schema');
+const whatsappClient = require('./whatsapp');
+const { aiService } = require('./ai');
+const { parseTime, inTimeWindow, parseDuration, formatUntil } = require('../utils/time');
+const { matchesContact } = require('../utils/phone');
+
+// Quiet hours, breakthrough rules, manual toggle and held messages
+const DND_PATH = process.env.DND_PATH || path.join(__dirname, '../config/dnd.json');
+
+// Most messages held at once; the oldest are dropped beyond this
+const DND_QUEUE_MAX = parseInt(process.env.DND_QUEUE_MAX || '200', 10);
+
+// How often the service checks whether do-not-disturb ended
+const DND_CHECK_INTERVAL_MS = 60 * 1000;
+
+// WhatsApp messages held messages are bundled into stay under this length
+const FLUSH_CHUNK_LENGTH = 4000;
+
+// Kinds of group messages, as passed to whatsappClient.sendToGroup
+const TYPES = ['notification', 'sms', 'call', 'whatsapp', 'digest', 'system'];
+
+const DEFAULT_BREAKTHROUGH = [
+    { name: 'Security alerts', categories: ['security'] }
+];
+
+const SETTINGS_SCHEMA = {
+    type: 'object',
+    properties: {
+        schedules: {
+            type: 'array',
+            items: {
+                type: 'object',
+                required: ['from', 'to'],
+                properties: {
+                    name: { type: 'string', maxLength: 100 },
+                    from: { type: 'string' },
+                    to: { type: 'string' },
+                    days: { type: 'array', items: { type: 'number', minimum: 0, maximum: 6 } }
+                }
+            }
+        },
+        breakthrough: {
+            type: 'array',
+            items: {
+                type: 'object',
+                properties: {
+                    name: { type: 'string', maxLength: 100 },
+                    types: { type: 'array', items: { type: 'string', enum: TYPES } },
+                    categories: { type: 'array', items: { type: 'string' } },
+                    contacts: { type: 'array', items: { type: 'string' } }
+                }
+            }
+        }
+    }
+};
+
+/**
+ * Do-not-disturb: quiet-hour schedules plus a manual toggle. While it is on,
+ * group messages are held (unless a breakthrough rule lets them through) and
+ * delivered in one go when it ends.
+ */
+class DndService {
+    /**
+     * @param {object} options - Service options
+     * @param {string|null} [options.dndPath] - Settings file, null to keep everything in memory only
+     */
+    constructor(options = {}) {
+        this.dndPath = options.dndPath !== undefined ? options.dndPath : DND_PATH;
+        this.schedules = [];
+        this.breakthrough = DEFAULT_BREAKTHROUGH;
+        // { active, until, setBy }: overrides the schedules until it expires
+        this.manual = null;
+        this.queue = [];
+        this.flushing = false;
+        this.timer = null;
+        this.load();
+    }
+
+    /**
+     * Load settings and held messages from disk
+     */
+    load() {
+        try {
+            if (!this.dndPath || !fs.existsSync(this.dndPath)) {
+                return;
+            }
+
+            const data = JSON.parse(fs.readFileSync(this.dndPath, 'utf8'));
+            this.schedules = data.schedules || [];
+            this.breakthrough = data.breakthrough || DEFAULT_BREAKTHROUGH;
+            this.manual = data.manual || null;
+            this.queue = data.queue || [];
+            logger.info(`Loaded ${this.schedules.length} quiet-hour schedules, ${this.queue.length} held messages`);
+        } catch (error) {
+            logger.error('Error loading do-not-disturb settings:', error);
+        }
+    }
+
+    /**
+     * Write settings and held messages to disk (temp file + rename)
+     */
+    save() {
+        if (!this.dndPath) {
+            return;
+        }
+
+        try {
+            const dir = path.dirname(this.dndPath);
+            if (!fs.existsSync(dir)) {
+                fs.mkdirSync(dir, { recursive: true });
+            }
+
+            const tempPath = `${this.dndPath}.tmp`;
+            fs.writeFileSync(tempPath, JSON.stringify({
+                schedules: this.schedules,
+                breakthrough: this.breakthrough,
+                manual: this.manual,
+                queue: this.queue
+            }, null, 2), 'utf8');
+            fs.renameSync(tempPath, this.dndPath);
+        } catch (error) {
+            logger.error('Error saving do-not-disturb settings:', error);
+        }
+    }
+
+    /**
+     * Check schedules and breakthrough rules
+     * @param {object} settings - { schedules, breakthrough }
+     * @returns {Array<string>} - Errors, empty when valid
+     */
+    validateSettings(settings) {
+        const errors = validate(SETTINGS_SCHEMA, settings, 'settings');
+
+        (settings.schedules || []).forEach((schedule, i) => {
+            if (parseTime(schedule.from) === null || parseTime(schedule.to) === null) {
+                errors.push(`settings.schedules[${i}].from and .to must be HH:MM`);
+            }
+        });
+
+        (settings.breakthrough || []).forEach((rule, i) => {
+            if (!rule.types && !rule.categories && !rule.contacts) {
+                errors.push(`settings.breakthrough[${i}] needs types, categories or contacts`);
+            }
+
+            const unknown = (rule.categories || []).filter(c => !aiService.categories.names().includes(c));
+            if (unknown.length > 0) {
+                errors.push(`settings.breakthrough[${i}].categories has unknown categories: ${unknown.join(', ')}`);
+            }
+        });
+
+        return errors;
+    }
+
+    /**
+     * Replace the schedules and/or breakthrough rules
+     * @param {object} settings - { schedules, breakthrough }
+     * @returns {Array<string>} - Errors, empty when applied
+     */
+    update(settings) {
+        const errors = this.validateSettings(settings);
+        if (errors.length > 0) {
+            return errors;
+        }
+
+        if (settings.schedules) {
+            this.schedules = settings.schedules;
+        }
+        if (settings.breakthrough) {
+            this.breakthrough = settings.breakthrough;
+        }
+
+        this.save();
+        this.check();
+        return [];
+    }
+
+    /**
+     * When a schedule's current window ends
+     * @param {object} schedule - { from, to }
+     * @param {Date} at - A moment inside the window
+     * @returns {Date}
+     */
+    windowEnd(schedule, at) {
+        const end = new Date(at);
+        const to = parseTime(schedule.to);
+        end.setHours(Math.floor(to / 60), to % 60, 0, 0);
+
+        if (end <= at) {
+            end.setDate(end.getDate() + 1);
+        }
+        return end;
+    }
+
+    /**
+     * Whether do-not-disturb is on
+     * @param {Date} [at] - Moment to check
+     * @returns {object} - { active, reason, until (Date or null) }
+     */
+    state(at = new Date()) {
+        if (this.manual && (!this.manual.until || new Date(this.manual.until) > at)) {
+            return {
+                active: this.manual.active,
+                reason: this.manual.active ? 'manual' : 'turned off',
+                until: this.manual.until ? new Date(this.manual.until) : null
+            };
+        }
+
+        const schedule = this.schedules.find(s => inTimeWindow(at, s));
+        if (schedule) {
+            return { active: true, reason: schedule.name || `${schedule.from}-${schedule.to}`, until: this.windowEnd(schedule, at) };
+        }
+
+        return { active: false, reason: null, until: null };
+    }
+
+    /**
+     * Breakthrough rule that lets a message through, if any. Every field a
+     * rule sets has to match.
+     * @param {object} meta - { type, category, from, contact }
+     * @returns {object|null}
+     */
+    breakthroughFor(meta) {
+        return this.breakthrough.find(rule =>
+            (!rule.types || rule.types.includes(meta.type || 'system')) &&
+            (!rule.categories || rule.categories.includes(meta.category)) &&
+            (!rule.contacts || matchesContact(rule.contacts, meta.from, meta.contact))
+        ) || null;
+    }
+
+    /**
+     * Hold a group message while do-not-disturb is on (the group gate)
+     * @param {string} message - Message for the group
+     * @param {object} meta - { type, category, from, contact, urgent }
+     * @returns {boolean} - Whether it was held
+     */
+    hold(message, meta = {}) {
+        if (!this.state().active || meta.urgent) {
+            return false;
+        }
+
+        const rule = this.breakthroughFor(meta);
+        if (rule) {
+            logger.info(`Do not disturb: ${meta.type || 'message'} breaks through (${rule.name || 'breakthrough rule'})`);
+            return false;
+        }
+
+        this.queue.push({
+            id: uuidv4().substring(0, 8),
+            message,
+            type: meta.type || 'system',
+            heldAt: new Date().toISOString()
+        });
+
+        if (this.queue.length > DND_QUEUE_MAX) {
+            logger.warn(`Do not disturb: more than ${DND_QUEUE_MAX} held messages, dropping the oldest`);
+            this.queue.shift();
+        }
+
+        this.save();
+        logger.info(`Do not disturb: held a ${meta.type || 'system'} message (${this.queue.length} held)`);
+        return true;
+    }
+
+    /**
+     * Turn do-not-disturb on or off by hand
+     * @param {boolean} active - On or off
+     * @param {number|null} duration - Milliseconds, null for until turned off (on) or until the schedule resumes (off)
+     * @param {string} setBy - Who toggled it
+     * @returns {object} - The new state
+     */
+    setManual(active, duration, setBy) {
+        const now = new Date();
+        let until = duration ? new Date(now.getTime() + duration) : null;
+
+        if (!active && !duration) {
+            // Off during quiet hours lasts until the window would have ended
+            this.manual = null;
+            const scheduled = this.state(now);
+            until = scheduled.active ? scheduled.until : null;
+        }
+
+        this.manual = active || until
+            ? { active, until: until ? until.toISOString() : null, setBy: setBy || null }
+            : null;
+        this.save();
+
+        logger.info(`Do not disturb turned ${active ? 'on' : 'off'} by ${setBy || 'unknown'}${until ? ` until ${until.toISOString()}` : ''}`);
+
+        this.check();
+        return this.state(now);
+    }
+
+    /**
+     * Expire the manual toggle and deliver held messages once do-not-disturb is off
+     */
+    check() {
+        if (this.manual && this.manual.until && new Date(this.manual.until) <= new Date()) {
+            this.manual = null;
+            this.save();
+        }
+
+        if (this.queue.length > 0 && !this.state().active) {
+            this.flush().catch(error => logger.error(`Error delivering held messages: ${error.message}`));
+        }
+    }
+
+    /**
+     * Deliver held messages, bundled into as few group messages as fit.
+     * Whatever can't be sent stays held for the next check.
+     * @returns {Promise<number>} - Messages delivered
+     */
+    async flush() {
+        if (this.flushing || this.queue.length === 0 || !whatsappClient.isReady) {
+            return 0;
+        }
+
+        this.flushing = true;
+        let delivered = 0;
+
+        try {
+            const total = this.queue.length;
+            let header = `🔔 *Do not disturb is over*: ${total} held message${total === 1 ? '' : 's'}\n\n`;
+
+            while (this.queue.length > 0) {
+                const chunk = [];
+                let length = header.length;
+
+                // Always take at least one, however long
+                while (this.queue.length > chunk.length &&
+                    (chunk.length === 0 || length + this.queue[chunk.length].message.length + 5 <= FLUSH_CHUNK_LENGTH)) {
+                    length += this.queue[chunk.length].message.length + 5;
+                    chunk.push(this.queue[chunk.length]);
+                }
+
+                const text = header + chunk.map(item =>
+                    `_${formatUntil(new Date(item.heldAt))}_ ${item.message}`
+                ).join('\n\n———\n\n');
+
+                if (!await whatsappClient.postToGroup(text)) {
+                    break;
+                }
+
+                this.queue.splice(0, chunk.length);
+                delivered += chunk.length;
+                header = '';
+            }
+        } finally {
+            this.flushing = false;
+            this.save();
+        }
+
+        logger.info(`Do not disturb: delivered ${delivered} held messages`);
+        return delivered;
+    }
+
+    /**
+     * Status line for !status
+     * @returns {string}
+     */
+    describe() {
+        const state = this.state();
+        const held = this.queue.length > 0 ? `, ${this.queue.length} held` : '';
+
+        if (!state.active) {
+            return `Off${held}`;
+        }
+
+        return `🌙 On${state.until ? ` until ${formatUntil(state.until)}` : ''}` +
+            `${state.reason === 'manual' ? '' : ` (${state.reason})`}${held}`;
+    }
+
+    /**
+     * Full status for the API
+     * @returns {object}
+     */
+    status() {
+        const state = this.state();
+
+        return {
+            active: state.active,
+            reason: state.reason,
+            until: state.until ? state.until.toISOString() : null,
+            manual: this.manual,
+            held: this.queue.length,
+            schedules: this.schedules,
+            breakthrough: this.breakthrough
+        };
+    }
+
+    /**
+     * Start checking whether do-not-disturb ended
+     */
+    start() {
+        this.stop();
+        this.timer = setInterval(() => this.check(), DND_CHECK_INTERVAL_MS);
+        this.timer.unref();
+    }
+
+    /**
+     * Stop checking
+     */
+    stop() {
+        if (this.timer) {
+            clearInterval(this.timer);
+            this.timer = null;
+        }
+    }
+}
+
+// Create singleton instance
+const dndService = new DndService();
+
+/**
+ * Handle dnd command: show, turn on (optionally for a while) or turn off do-not-disturb
+ * @param {Message} message - Message object
+ * @param {Array<string>} args - Command arguments
+ */
+async function handleDndCommand(message, args) {
+    const subcommand = (args[0] || 'status').toLowerCase();
+
+    if (subcommand === 'status') {
+        const { schedules, breakthrough } = dndService;
+
+        await message.reply(`*Do not disturb*: ${dndService.describe()}\n\n` +
+            `Quiet hours: ${schedules.length === 0
+                ? 'none'
+                : schedules.map(s => `${s.name ? `${s.name} ` : ''}${s.from}-${s.to}`).join(', ')}\n` +
+            `Always let through: ${breakthrough.length === 0
+                ? 'nothing'
+                : breakthrough.map(rule => rule.name || [
+                    ...(rule.types || []), ...(rule.categories || []), ...(rule.contacts || [])
+                ].join('/')).join(', ')}`);
+        return;
+    }
+
+    if (subcommand === 'on' || subcommand === 'off') {
+        // "!dnd on 2h" or "!dnd on for 2 hours"
+        const durationText = args.slice(1).join(' ').replace(/^for\s+/i, '');
+        const duration = durationText ? parseDuration(durationText) : null;
+
+        if (durationText && !duration) {
+            await message.reply(`Can't read the duration "${durationText}" (try 30m, 2h or 1d)`);
+            return;
+        }
+
+        const contact = await message.getContact();
+        const state = dndService.setManual(subcommand === 'on', duration, contact.pushname || contact.number);
+
+        await message.reply(state.active
+            ? `🌙 Do not disturb on${state.until ? ` until ${formatUntil(state.until)}` : ' until *!dnd off*'}. ` +
+                'Messages are held and delivered when it ends.'
+            : `🔔 Do not disturb off${duration ? ` until ${formatUntil(state.until)}` : ''}.`);
+        return;
+    }
+
+    await message.reply('Usage: !dnd [status | on [2h] | off [2h]]');
+}
+
+whatsappClient.setGroupGate(dndService);
+whatsappClient.registerCommand('dnd', handleDndCommand);
+
+module.exports = dndService;
+module.exports.DndService = DndService;
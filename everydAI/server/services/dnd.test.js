@@ -0,0 +1,134 @@
+jest.mock('./whatsapp', () => ({
+    isReady: true,
+    setGroupGate: jest.fn(),
+    registerCommand: jest.fn(),
+    postToGroup: jest.fn()
+}));
+
+const fs = require('fs');
+const path = require('path');
+const whatsappClient = require('./whatsapp');
+const { DndService } = require('./dnd');
+
+describe('DndService', () => {
+    let dndPath;
+
+    beforeEach(() => {
+        dndPath = path.join(global.TEST_STATE_DIR, `dnd-${Date.now()}-${Math.random()}.json`);
+        whatsappClient.postToGroup.mockReset().mockResolvedValue(true);
+    });
+
+    afterEach(() => {
+        jest.useRealTimers();
+    });
+
+    describe('state', () => {
+        test('quiet hours are on inside a schedule, until the window ends', () => {
+            const dnd = new DndService({ dndPath: null });
+            dnd.schedules = [{ name: 'Night', from: '22:00', to: '07:00' }];
+
+            expect(dnd.state(new Date(2026, 9, 19, 23, 0)))
+                .toEqual({ active: true, reason: 'Night', until: new Date(2026, 9, 20, 7, 0) });
+            expect(dnd.state(new Date(2026, 9, 20, 6, 0)).until).toEqual(new Date(2026, 9, 20, 7, 0));
+            expect(dnd.state(new Date(2026, 9, 20, 7, 0))).toEqual({ active: false, reason: null, until: null });
+        });
+
+        test('a manual toggle overrides the schedules until it expires', () => {
+            jest.useFakeTimers({ now: new Date(2026, 9, 19, 12, 0) });
+            const dnd = new DndService({ dndPath: null });
+
+            expect(dnd.setManual(true, 2 * 3600000, 'ann'))
+                .toEqual({ active: true, reason: 'manual', until: new Date(2026, 9, 19, 14, 0) });
+
+            jest.advanceTimersByTime(2 * 3600000);
+            dnd.check();
+            expect(dnd.manual).toBeNull();
+            expect(dnd.state().active).toBe(false);
+        });
+
+        test('turning it off during quiet hours lasts until the window would have ended', () => {
+            jest.useFakeTimers({ now: new Date(2026, 9, 19, 23, 0) });
+            const dnd = new DndService({ dndPath: null });
+            dnd.schedules = [{ from: '22:00', to: '07:00' }];
+
+            expect(dnd.setManual(false, null, 'ann'))
+                .toEqual({ active: false, reason: 'turned off', until: new Date(2026, 9, 20, 7, 0) });
+
+            jest.setSystemTime(new Date(2026, 9, 20, 22, 30));
+            expect(dnd.state()).toMatchObject({ active: true, reason: '22:00-07:00' });
+        });
+    });
+
+    describe('hold', () => {
+        let dnd;
+
+        beforeEach(() => {
+            dnd = new DndService({ dndPath });
+            dnd.update({ breakthrough: [{ name: 'Security', categories: ['security'] }, { name: 'Family', types: ['sms', 'call'], contacts: ['Mom'] }] });
+        });
+
+        test('nothing is held while it is off', () => {
+            expect(dnd.hold('hello', { type: 'sms' })).toBe(false);
+            expect(dnd.queue).toEqual([]);
+        });
+
+        test('holds messages while on and keeps them across restarts', () => {
+            dnd.setManual(true, null, 'ann');
+
+            expect(dnd.hold('Parcel delivered', { type: 'notification', category: 'delivery' })).toBe(true);
+            expect(new DndService({ dndPath }).queue).toEqual([expect.objectContaining({ message: 'Parcel delivered', type: 'notification' })]);
+        });
+
+        test('urgent messages and breakthrough rules get through', () => {
+            dnd.setManual(true, null, 'ann');
+
+            expect(dnd.hold('Code 123456', { type: 'sms', urgent: true })).toBe(false);
+            expect(dnd.hold('New login', { type: 'notification', category: 'security' })).toBe(false);
+            expect(dnd.hold('Call me', { type: 'sms', from: '+15550100', contact: 'Mom' })).toBe(false);
+            // Every field of a rule has to match
+            expect(dnd.hold('Photo from Mom', { type: 'whatsapp', contact: 'Mom' })).toBe(true);
+            expect(dnd.queue).toHaveLength(1);
+        });
+
+        test('held messages are delivered in one message when it ends', async () => {
+            dnd.setManual(true, null, 'ann');
+            dnd.hold('first', { type: 'sms' });
+            dnd.hold('second', { type: 'notification' });
+
+            dnd.setManual(false, null, 'ann');
+            await new Promise(resolve => setImmediate(resolve));
+
+            expect(whatsappClient.postToGroup).toHaveBeenCalledTimes(1);
+            const [text] = whatsappClient.postToGroup.mock.calls[0];
+            expect(text).toMatch(/^🔔 \*Do not disturb is over\*: 2 held messages\n\n_.+_ first\n\n———\n\n_.+_ second$/);
+            expect(dnd.queue).toEqual([]);
+        });
+
+        test('long backlogs are split, and what could not be sent stays held', async () => {
+            dnd.setManual(true, null, 'ann');
+            ['a', 'b', 'c'].forEach(letter => dnd.hold(letter.repeat(1500), { type: 'sms' }));
+            dnd.manual = null;
+            whatsappClient.postToGroup.mockResolvedValueOnce(true).mockResolvedValueOnce(false);
+
+            expect(await dnd.flush()).toBe(2);
+            expect(dnd.queue.map(item => item.message[0])).toEqual(['c']);
+            expect(JSON.parse(fs.readFileSync(dndPath, 'utf8')).queue).toHaveLength(1);
+        });
+    });
+
+    test('settings are validated before they apply', () => {
+        const dnd = new DndService({ dndPath: null });
+
+        const errors = dnd.update({
+            schedules: [{ from: '22:00', to: '7pm' }],
+            breakthrough: [{ name: 'Empty' }, { categories: ['nope'] }]
+        });
+
+        expect(errors).toEqual([
+            'settings.schedules[0].from and .to must be HH:MM',
+            'settings.breakthrough[0] needs types, categories or contacts',
+            'settings.breakthrough[1].categories has unknown categories: nope'
+        ]);
+        expect(dnd.schedules).toEqual([]);
+    });
+});
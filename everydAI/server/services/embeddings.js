@@ -0,0 +1,164 @@
+const crypto = require('crypto');
+const axios = require('axios');
+const logger = require('../utils/logger');
+
+// hashed (built in, offline) or local (OpenAI-compatible /embeddings endpoint)
+const EMBEDDINGS_PROVIDER = process.env.EMBEDDINGS_PROVIDER || 'hashed';
+
+// Embedding endpoint base URL, defaults to the local chat endpoint (Ollama serves both)
+const EMBEDDINGS_URL = process.env.EMBEDDINGS_URL || process.env.LOCAL_AI_URL || 'http://localhost:11434/v1';
+
+const EMBEDDINGS_MODEL = process.env.EMBEDDINGS_MODEL || 'nomic-embed-text';
+
+const EMBEDDINGS_TIMEOUT_MS = parseInt(process.env.EMBEDDINGS_TIMEOUT_MS || '10000', 10);
+
+// Size of the hashed embedding
+const HASHED_DIMENSIONS = 512;
+
+/**
+ * Lowercase, strip accents and turn punctuation into spaces,
+ * so "FLASH-SALE" and "flash sale" embed the same way
+ * @param {string} text - Text
+ * @returns {string}
+ */
+function normalize(text) {
+    return (text || '')
+        .normalize('NFKD')
+        .replace(/[\u0300-\u036f]/g, '')
+        .toLowerCase()
+        .replace(/[^\p{L}\p{N}]+/gu, ' ')
+        .trim();
+}
+
+/**
+ * Scale a vector to unit length
+ * @param {Array<number>} vector - Vector
+ * @returns {Array<number>}
+ */
+function unit(vector) {
+    const norm = Math.sqrt(vector.reduce((sum, x) => sum + x * x, 0));
+    return norm > 0 ? vector.map(x => x / norm) : vector;
+}
+
+/**
+ * Cosine similarity of two vectors
+ * @param {Array<number>} a - Vector
+ * @param {Array<number>} b - Vector
+ * @returns {number} - -1..1, 0 when the sizes differ
+ */
+function cosine(a, b) {
+    if (!a || !b || a.length !== b.length) {
+        return 0;
+    }
+
+    let dot = 0;
+    let normA = 0;
+    let normB = 0;
+
+    for (let i = 0; i < a.length; i++) {
+        dot += a[i] * b[i];
+        normA += a[i] * a[i];
+        normB += b[i] * b[i];
+    }
+
+    return normA > 0 && normB > 0 ? dot / Math.sqrt(normA * normB) : 0;
+}
+
+/**
+ * Built-in embedding: words and character trigrams hashed into a fixed-size
+ * vector. No download and no network; catches spelling, casing and
+ * punctuation variants, not paraphrases.
+ * @param {string} text - Text
+ * @returns {Array<number>}
+ */
+function hashedEmbedding(text) {
+    const vector = new Array(HASHED_DIMENSIONS).fill(0);
+    const add = (feature, weight) => {
+        const hash = crypto.createHash('md5').update(feature).digest();
+        const index = hash.readUInt32LE(0) % HASHED_DIMENSIONS;
+        vector[index] += (hash[4] & 1 ? 1 : -1) * weight;
+    };
+
+    for (const word of normalize(text).split(' ').filter(Boolean)) {
+        add(`w:${word}`, 1);
+
+        const padded = ` ${word} `;
+        for (let i = 0; i + 3 <= padded.length; i++) {
+            add(`c:${padded.slice(i, i + 3)}`, 0.5);
+        }
+    }
+
+    return unit(vector);
+}
+
+/**
+ * Text embeddings for semantic rules
+ */
+class EmbeddingService {
+    /**
+     * @param {object} options - Embedding options
+     * @param {string} [options.provider] - hashed or local
+     * @param {string} [options.url] - Endpoint base URL (local)
+     * @param {string} [options.model] - Model name (local)
+     */
+    constructor(options = {}) {
+        this.provider = options.provider || EMBEDDINGS_PROVIDER;
+        this.url = (options.url || EMBEDDINGS_URL).replace(/\/+$/, '');
+        this.model = options.model || EMBEDDINGS_MODEL;
+    }
+
+    /**
+     * Identifies the vector space; vectors from different models don't compare
+     * @returns {string}
+     */
+    get modelId() {
+        return this.provider === 'local' ? `local:${this.model}` : `hashed:${HASHED_DIMENSIONS}`;
+    }
+
+    /**
+     * Similarity a semantic rule needs by default. Hashed vectors score lower
+     * than model embeddings for the same pair of texts.
+     * @returns {number}
+     */
+    get defaultThreshold() {
+        return this.provider === 'local' ? 0.75 : 0.5;
+    }
+
+    /**
+     * Embed texts
+     * @param {Array<string>} texts - Texts
+     * @returns {Promise<Array<Array<number>>>} - One vector per text
+     * @throws {Error} - When the endpoint fails
+     */
+    async embed(texts) {
+        if (texts.length === 0) {
+            return [];
+        }
+
+        if (this.provider !== 'local') {
+            return texts.map(hashedEmbedding);
+        }
+
+        const response = await axios.post(
+            `${this.url}/embeddings`,
+            { model: this.model, input: texts },
+            { headers: { 'Content-Type': 'application/json' }, timeout: EMBEDDINGS_TIMEOUT_MS }
+        );
+
+        const data = [...response.data.data].sort((a, b) => a.index - b.index);
+        if (data.length !== texts.length) {
+            throw new Error(`Embedding endpoint returned ${data.length} vectors for ${texts.length} texts`);
+        }
+
+        logger.debug(`Embedded ${texts.length} texts with ${this.model}`);
+        return data.map(item => unit(item.embedding));
+    }
+}
+
+// Create singleton instance
+const embeddingService = new EmbeddingService();
+
+module.exports = embeddingService;
+module.exports.EmbeddingService = EmbeddingService;
+module.exports.cosine = cosine;
+module.exports.normalize = normalize;
@@ -0,0 +1,99 @@
+const axios = require('axios');
+const { EmbeddingService, cosine, normalize } = require('./embeddings');
+
+describe('embeddings', () => {
+    test('normalize ignores case, accents and punctuation', () => {
+        expect(normalize('FLASH-SALE: Café!')).toBe('flash sale cafe');
+    });
+
+    test.each([
+        ['identical vectors', [1, 0], [2, 0], 1],
+        ['opposite vectors', [1, 0], [-1, 0], -1],
+        ['orthogonal vectors', [1, 0], [0, 1], 0],
+        ['different sizes', [1, 0], [1, 0, 0], 0],
+        ['a zero vector', [0, 0], [1, 0], 0],
+        ['a missing vector', undefined, [1, 0], 0]
+    ])('cosine of %s', (label, a, b, expected) => {
+        expect(cosine(a, b)).toBeCloseTo(expected);
+    });
+
+    describe('hashed provider', () => {
+        const embeddings = new EmbeddingService({ provider: 'hashed' });
+
+        test('has its own model id and threshold', () => {
+            expect(embeddings.modelId).toBe('hashed:512');
+            expect(embeddings.defaultThreshold).toBe(0.5);
+        });
+
+        test('embeds offline into unit vectors', async () => {
+            const post = jest.spyOn(axios, 'post');
+
+            try {
+                const [vector] = await embeddings.embed(['Flash sale today']);
+
+                expect(vector).toHaveLength(512);
+                expect(cosine(vector, vector)).toBeCloseTo(1);
+                expect(post).not.toHaveBeenCalled();
+            } finally {
+                post.mockRestore();
+            }
+        });
+
+        test('spelling variants are closer than unrelated text', async () => {
+            const [sale, variant, other] = await embeddings.embed(['Flash sale today', 'FLASH-SALE today!', 'Your parcel arrives at noon']);
+
+            expect(cosine(sale, variant)).toBeCloseTo(1);
+            expect(cosine(sale, other)).toBeLessThan(0.5);
+        });
+
+        test('nothing to embed is no vectors', async () => {
+            expect(await embeddings.embed([])).toEqual([]);
+        });
+    });
+
+    describe('local provider', () => {
+        const embeddings = new EmbeddingService({ provider: 'local', url: 'http://localhost:11434/v1/', model: 'nomic-embed-text' });
+        let post;
+
+        beforeEach(() => {
+            post = jest.spyOn(axios, 'post');
+        });
+
+        afterEach(() => {
+            post.mockRestore();
+        });
+
+        test('has its own model id and threshold', () => {
+            expect(embeddings.modelId).toBe('local:nomic-embed-text');
+            expect(embeddings.defaultThreshold).toBe(0.75);
+        });
+
+        test('posts to the embeddings endpoint and keeps the input order', async () => {
+            post.mockResolvedValue({
+                data: { data: [{ index: 1, embedding: [0, 2] }, { index: 0, embedding: [3, 4] }] }
+            });
+
+            const vectors = await embeddings.embed(['first', 'second']);
+
+            expect(post).toHaveBeenCalledWith(
+                'http://localhost:11434/v1/embeddings',
+                { model: 'nomic-embed-text', input: ['first', 'second'] },
+                expect.objectContaining({ timeout: expect.any(Number) })
+            );
+            expect(vectors).toEqual([[0.6, 0.8], [0, 1]]);
+        });
+
+        test('a short answer is an error', async () => {
+            post.mockResolvedValue({ data: { data: [{ index: 0, embedding: [1, 0] }] } });
+
+            await expect(embeddings.embed(['first', 'second']))
+                .rejects.toThrow('Embedding endpoint returned 1 vectors for 2 texts');
+        });
+
+        test('a failed request is an error', async () => {
+            post.mockRejectedValue(new Error('connect ECONNREFUSED'));
+
+            await expect(embeddings.embed(['first'])).rejects.toThrow('connect ECONNREFUSED');
+        });
+    });
+});
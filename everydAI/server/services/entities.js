@@ -0,0 +1,184 @@
+/**
+ * Entity extraction: deterministic regex extractors, plus normalization of
+ * entities proposed by the filter tier so both passes produce the same shape
+ */
+
+const ENTITY_TYPES = ['otp', 'amount', 'datetime', 'tracking_number', 'address', 'url', 'phone'];
+
+const MONTHS = '(?:Jan|Feb|Mar|Apr|May|Jun|Jul|Aug|Sep|Sept|Oct|Nov|Dec)[a-z]*\\.?';
+
+const CURRENCY_SYMBOLS = { '$': 'USD', '€': 'EUR', '£': 'GBP', '¥': 'JPY', '₹': 'INR' };
+
+// Extractors in priority order; a match overlapping an earlier one is dropped
+// (so the digits of a URL or tracking number never show up as an OTP or phone)
+const EXTRACTORS = [
+    {
+        type: 'url',
+        pattern: /\bhttps?:\/\/[^\s<>"']+|\bwww\.[^\s<>"']+|\b[a-z0-9-]+\.(?:ly|gl|me|co|com|net|org|io)\/[^\s<>"']*/gi,
+        clean: value => value.replace(/[.,;:!?)\]]+$/, '')
+    },
+    {
+        type: 'tracking_number',
+        pattern: /\b1Z[0-9A-Z]{16}\b|\b9[2-5]\d{20}\b|\btracking(?:\s(?:number|no\.?|id|#))?[:\s#]*([A-Z0-9]{8,30})\b/gi
+    },
+    {
+        type: 'otp',
+        // Digits count as a code only right next to a code keyword:
+        // "code is 123456", "OTP: 1234", "123456 is your login code", "G-123456"
+        pattern: /(?<!\b(?:promo|coupon|discount|voucher|referral|gift|tracking|order|zip|postal)\s)\b(?:code|otp|pin|passcode)\b(?:\s(?:is|was))?\s?[:#=]?\s?(\d{4,8})\b|\b(\d{4,8})\b(?=\s(?:is|as)\syour\s(?:[a-z-]+\s){0,2}(?:code|otp|pin|passcode)\b)|(?<![\w-])G-(\d{6})\b/gi,
+        // Promotions, orders and parcels have numbers next to "code" too
+        accept: context => !/promo|coupon|discount|voucher|referral|\d\s?% off|\border\b|tracking|shipped/i.test(context)
+    },
+    {
+        type: 'amount',
+        pattern: /(?:[$€£¥₹]|\b(?:USD|EUR|GBP|INR|Rs\.?)\s?)\d{1,3}(?:,\d{3})*(?:\.\d{1,2})?\b|\b\d+(?:,\d{3})*(?:\.\d{1,2})?\s?(?:USD|EUR|GBP|INR|dollars|euros)\b/gi,
+        normalize: value => {
+            const symbol = Object.keys(CURRENCY_SYMBOLS).find(s => value.includes(s));
+            const code = (value.match(/USD|EUR|GBP|INR|Rs|dollars|euros/i) || [])[0];
+            const currency = symbol
+                ? CURRENCY_SYMBOLS[symbol]
+                : ({ dollars: 'USD', euros: 'EUR', rs: 'INR' }[(code || '').toLowerCase()] || (code || '').toUpperCase() || null);
+            const number = value.replace(/^\D+|\D+$/g, '').replace(/,/g, '');
+
+            return { amount: parseFloat(number), currency };
+        }
+    },
+    {
+        type: 'phone',
+        pattern: /(?:\+\d{1,3}[\s.-]?)?\(?\b\d{3}\)?[\s.-]?\d{3}[\s.-]?\d{4}\b/g,
+        normalize: value => value.replace(/[^\d+]/g, '')
+    },
+    {
+        type: 'address',
+        pattern: /\b\d{1,5}\s+(?:[A-Z][a-z]+\s){1,4}(?:St|Street|Ave|Avenue|Rd|Road|Blvd|Boulevard|Dr|Drive|Ln|Lane|Way|Ct|Court|Pl|Place|Sq|Square)\b\.?/g
+    },
+    {
+        type: 'datetime',
+        pattern: new RegExp([
+            '\\b\\d{4}-\\d{2}-\\d{2}(?:[T ]\\d{2}:\\d{2})?\\b',
+            '\\b\\d{1,2}[/.]\\d{1,2}[/.]\\d{2,4}\\b',
+            `\\b${MONTHS}\\s\\d{1,2}(?:st|nd|rd|th)?(?:,?\\s\\d{4})?\\b`,
+            `\\b\\d{1,2}(?:st|nd|rd|th)?\\s${MONTHS}(?:\\s\\d{4})?\\b`,
+            '\\b\\d{1,2}:\\d{2}\\s?(?:[ap]\\.?m\\.?)?',
+            '\\b\\d{1,2}\\s?[ap]m\\b',
+            '\\b(?:today|tonight|tomorrow)\\b'
+        ].join('|'), 'gi')
+    }
+];
+
+// Names the model uses for each entity type
+const TYPE_ALIASES = {
+    otp: ['otp', 'code', 'verification_code', 'verification code', 'one_time_password', 'pin', 'passcode'],
+    amount: ['amount', 'money', 'price', 'currency', 'payment'],
+    datetime: ['datetime', 'date', 'time', 'date_time', 'deadline', 'appointment'],
+    tracking_number: ['tracking_number', 'tracking number', 'tracking', 'tracking_id'],
+    address: ['address', 'location'],
+    url: ['url', 'link', 'website'],
+    phone: ['phone', 'phone_number', 'phone number', 'telephone']
+};
+
+/**
+ * Map a model-supplied entity type to one of ENTITY_TYPES
+ * @param {string} type - Type as returned by the model
+ * @returns {string|null}
+ */
+function normalizeType(type) {
+    const name = String(type || '').toLowerCase().trim();
+    return Object.keys(TYPE_ALIASES).find(t => TYPE_ALIASES[t].includes(name)) || null;
+}
+
+/**
+ * Run the regex extractors over a text
+ * @param {string} text - Text to scan
+ * @returns {Array<object>} - [{ type, value, normalized, source: 'regex' }]
+ */
+function extractEntities(text) {
+    if (!text) {
+        return [];
+    }
+
+    const taken = [];
+    const entities = [];
+
+    for (const extractor of EXTRACTORS) {
+        extractor.pattern.lastIndex = 0;
+        let match;
+
+        while ((match = extractor.pattern.exec(text)) !== null) {
+            // Use the first capture group when the pattern has a keyword prefix
+            const raw = match.slice(1).find(group => group !== undefined) || match[0];
+            const value = extractor.clean ? extractor.clean(raw) : raw.trim();
+            const start = match.index + match[0].indexOf(raw);
+            const end = start + value.length;
+
+            if (!value || taken.some(span => start < span.end && end > span.start)) {
+                continue;
+            }
+
+            // Extractors with an accept check look at the text around the match
+            if (extractor.accept && !extractor.accept(text.substring(Math.max(0, match.index - 40), match.index + match[0].length + 40))) {
+                continue;
+            }
+
+            taken.push({ start, end });
+            entities.push({
+                type: extractor.type,
+                value,
+                normalized: extractor.normalize ? extractor.normalize(value) : value,
+                source: 'regex'
+            });
+        }
+    }
+
+    return entities;
+}
+
+/**
+ * Keep model-supplied entities with a known type whose value actually occurs in the text
+ * @param {Array<object>} entities - [{ type, value }] from the filter verdict
+ * @param {string} text - Source text
+ * @returns {Array<object>} - [{ type, value, normalized, source: 'ai' }]
+ */
+function normalizeEntities(entities, text) {
+    const haystack = (text || '').toLowerCase();
+
+    return (entities || [])
+        .map(entity => ({ type: normalizeType(entity.type), value: String(entity.value || '').trim() }))
+        .filter(entity => entity.type && entity.value && haystack.includes(entity.value.toLowerCase()))
+        .map(entity => {
+            const extractor = EXTRACTORS.find(e => e.type === entity.type);
+
+            return {
+                ...entity,
+                normalized: extractor.normalize ? extractor.normalize(entity.value) : entity.value,
+                source: 'ai'
+            };
+        });
+}
+
+/**
+ * Merge regex and AI entities; regex results win on duplicates
+ * @param {Array<object>} primary - Regex entities
+ * @param {Array<object>} secondary - AI entities
+ * @returns {Array<object>}
+ */
+function mergeEntities(primary, secondary) {
+    const seen = new Set(primary.map(e => `${e.type}:${e.value.toLowerCase()}`));
+
+    return [
+        ...primary,
+        ...secondary.filter(e => {
+            const key = `${e.type}:${e.value.toLowerCase()}`;
+            if (seen.has(key)) return false;
+            seen.add(key);
+            return true;
+        })
+    ];
+}
+
+module.exports = {
+    ENTITY_TYPES,
+    extractEntities,
+    normalizeEntities,
+    mergeEntities
+};
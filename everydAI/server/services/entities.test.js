@@ -0,0 +1,103 @@
+const { extractEntities, normalizeEntities, mergeEntities } = require('./entities');
+
+/**
+ * Values of one entity type found in a text
+ * @param {string} text - Text to scan
+ * @param {string} type - Entity type
+ * @returns {Array<string>}
+ */
+function valuesOf(text, type) {
+    return extractEntities(text).filter(entity => entity.type === type).map(entity => entity.value);
+}
+
+describe('extractEntities', () => {
+    describe('otp', () => {
+        test.each([
+            ['Your verification code is 482913', '482913'],
+            ['482913 is your login code', '482913'],
+            ['Code: 771204', '771204'],
+            ['Your OTP is 9921', '9921'],
+            ['Use 4821 as your one-time passcode', '4821'],
+            ['G-123456 is your Google verification code', '123456']
+        ])('finds the code in "%s"', (text, code) => {
+            expect(valuesOf(text, 'otp')).toEqual([code]);
+        });
+
+        test.each([
+            'Use promo code 2024 for 20% off',
+            'Meet me at gate B-1234 at 5pm',
+            'Your order 12345678 shipped, tracking code to follow',
+            'Your PIN will expire in 2025',
+            'Enter code SAVE20 at checkout, valid until 2026',
+            'See you at 1930 tonight'
+        ])('finds no code in "%s"', (text) => {
+            expect(valuesOf(text, 'otp')).toEqual([]);
+        });
+    });
+
+    test('amounts carry the number and currency', () => {
+        expect(extractEntities('You paid $1,234.50 at Shop')).toEqual([
+            { type: 'amount', value: '$1,234.50', normalized: { amount: 1234.5, currency: 'USD' }, source: 'regex' }
+        ]);
+        expect(valuesOf('Refund of 20 euros sent', 'amount')).toEqual(['20 euros']);
+        expect(valuesOf('I have 3 apples', 'amount')).toEqual([]);
+    });
+
+    test('dates and times', () => {
+        expect(valuesOf('Meeting on 2026-10-19 14:30', 'datetime')).toEqual(['2026-10-19 14:30']);
+        expect(valuesOf('Lunch tomorrow at 1pm', 'datetime')).toEqual(['tomorrow', '1pm']);
+        expect(valuesOf('Call Oct 21st', 'datetime')).toEqual(['Oct 21st']);
+        expect(valuesOf('Page 12 of 40', 'datetime')).toEqual([]);
+    });
+
+    test('tracking numbers', () => {
+        expect(valuesOf('Track 1Z999AA10123456784', 'tracking_number')).toEqual(['1Z999AA10123456784']);
+        expect(valuesOf('tracking number: ABCD12345678', 'tracking_number')).toEqual(['ABCD12345678']);
+        expect(valuesOf('Order 42 ready', 'tracking_number')).toEqual([]);
+    });
+
+    test('street addresses', () => {
+        expect(valuesOf('Deliver to 221 Baker Street please', 'address')).toEqual(['221 Baker Street']);
+        expect(valuesOf('Room 12 is free', 'address')).toEqual([]);
+    });
+
+    test('urls, without trailing punctuation', () => {
+        expect(valuesOf('See https://example.com/a?b=1.', 'url')).toEqual(['https://example.com/a?b=1']);
+        expect(valuesOf('visit bit.ly/abc', 'url')).toEqual(['bit.ly/abc']);
+        expect(valuesOf('Version 1.2 is out', 'url')).toEqual([]);
+    });
+
+    test('phone numbers are normalized to digits', () => {
+        expect(extractEntities('Call me at +1 555-010-0199')).toEqual([
+            { type: 'phone', value: '+1 555-010-0199', normalized: '+15550100199', source: 'regex' }
+        ]);
+        expect(valuesOf('Call me in 5 minutes', 'phone')).toEqual([]);
+    });
+
+    test('digits inside a url or tracking number are not extracted again', () => {
+        expect(extractEntities('https://shop.example/track/5550100199').map(e => e.type)).toEqual(['url']);
+    });
+});
+
+describe('model entities', () => {
+    test('keeps known types whose value is in the text', () => {
+        const entities = normalizeEntities([
+            { type: 'Verification Code', value: '482913' },
+            { type: 'price', value: '$20' },
+            { type: 'mood', value: 'happy' },
+            { type: 'phone', value: '+15550100' }
+        ], 'Code 482913, total $20');
+
+        expect(entities).toEqual([
+            { type: 'otp', value: '482913', normalized: '482913', source: 'ai' },
+            { type: 'amount', value: '$20', normalized: { amount: 20, currency: 'USD' }, source: 'ai' }
+        ]);
+    });
+
+    test('regex entities win on duplicates', () => {
+        const regex = [{ type: 'otp', value: '482913', source: 'regex' }];
+        const ai = [{ type: 'otp', value: '482913', source: 'ai' }, { type: 'url', value: 'x.io/a', source: 'ai' }];
+
+        expect(mergeEntities(regex, ai).map(e => e.source)).toEqual(['regex', 'ai']);
+    });
+});
@@ -0,0 +1,81 @@
+/**
+ * Filter verdict: the shape every filter tier result is guaranteed to have
+ */
+
+const { ENTITY_TYPES } = require('./entities');
+const categoryTaxonomy = require('./categories');
+
+const URGENCIES = ['low', 'medium', 'high', 'critical'];
+
+/**
+ * Schema the model output must satisfy (categories come from the configured taxonomy)
+ * @param {CategoryTaxonomy} [taxonomy] - Taxonomy to take the categories from
+ * @returns {object}
+ */
+function getVerdictSchema(taxonomy = categoryTaxonomy) {
+    return {
+        type: 'object',
+        required: ['score', 'important', 'filter', 'reason', 'category', 'urgency'],
+        properties: {
+            score: { type: 'number', minimum: 0, maximum: 1 },
+            important: { type: 'boolean' },
+            filter: { type: 'boolean' },
+            reason: { type: 'string', maxLength: 500 },
+            suggestedRule: { type: ['string', 'null'], maxLength: 100 },
+            category: { type: 'string', enum: taxonomy.names() },
+            categoryConfidence: { type: 'number', minimum: 0, maximum: 1 },
+            urgency: { type: 'string', enum: URGENCIES },
+            entities: {
+                type: 'array',
+                items: {
+                    type: 'object',
+                    required: ['type', 'value'],
+                    properties: {
+                        type: { type: 'string' },
+                        value: { type: 'string' }
+                    }
+                }
+            }
+        }
+    };
+}
+
+/**
+ * Build a complete verdict, filling defaults for missing fields
+ * @param {object} fields - Verdict fields
+ * @returns {object} - { important, score, filter, reason, suggestedRule, category, categoryConfidence, urgency, entities, ... }
+ */
+function createVerdict(fields = {}) {
+    return {
+        important: false,
+        score: 0.5,
+        filter: false,
+        reason: 'No reason provided',
+        suggestedRule: null,
+        category: categoryTaxonomy.config.defaultCategory,
+        categoryConfidence: null,
+        urgency: 'low',
+        entities: [],
+        ...fields
+    };
+}
+
+/**
+ * Describe the expected JSON for the prompt
+ * @param {CategoryTaxonomy} [taxonomy] - Taxonomy to take the categories from
+ * @returns {string}
+ */
+function describeVerdict(taxonomy = categoryTaxonomy) {
+    return `{ "important": boolean, "score": number (0.0-1.0), "filter": boolean, "reason": string, ` +
+        `"suggestedRule": string or null, "category": one of ${taxonomy.names().map(c => `"${c}"`).join('|')}, ` +
+        `"categoryConfidence": number (0.0-1.0), ` +
+        `"urgency": one of ${URGENCIES.map(u => `"${u}"`).join('|')}, ` +
+        `"entities": [{ "type": one of ${ENTITY_TYPES.map(t => `"${t}"`).join('|')}, "value": exact text }] }`;
+}
+
+module.exports = {
+    URGENCIES,
+    getVerdictSchema,
+    createVerdict,
+    describeVerdict
+};
@@ -0,0 +1,86 @@
+jest.mock('./whatsapp', () => ({ isReady: false }));
+
+const { getVerdictSchema, createVerdict } = require('./filterVerdict');
+const { validate } = require('../utils/schema');
+const { aiService } = require('./ai');
+const { FakeProvider } = require('./providers');
+const { UsageLedger } = require('./usage');
+
+const valid = {
+    important: true,
+    score: 0.9,
+    filter: false,
+    reason: 'Bank transfer',
+    category: 'finance',
+    urgency: 'high'
+};
+
+describe('verdict schema', () => {
+    test('takes the categories from the taxonomy', () => {
+        expect(validate(getVerdictSchema(), valid)).toEqual([]);
+        expect(validate(getVerdictSchema(), { ...valid, category: 'gossip' }, 'verdict'))
+            .toEqual([expect.stringContaining('verdict.category must be one of')]);
+    });
+
+    test('createVerdict fills every field', () => {
+        expect(createVerdict({ important: true })).toEqual({
+            important: true,
+            score: 0.5,
+            filter: false,
+            reason: 'No reason provided',
+            suggestedRule: null,
+            category: 'other',
+            categoryConfidence: null,
+            urgency: 'low',
+            entities: []
+        });
+    });
+});
+
+describe('filter tier repair loop', () => {
+    let fake;
+
+    beforeEach(() => {
+        fake = new FakeProvider();
+        aiService.usage = new UsageLedger({ ledgerPath: null, budgets: { day: 0, month: 0 } });
+        aiService.schemaStats = { validated: 0, repaired: 0, failures: 0 };
+        aiService.providers.setProvider('fake', fake);
+        aiService.providers.setTier('filter', { provider: 'fake', model: 'small' });
+    });
+
+    test('a valid verdict is accepted as is', async () => {
+        fake.enqueue(valid);
+
+        const verdict = await aiService.filterWithOpenAI('You received 40 EUR', 'sms', {});
+
+        expect(verdict).toMatchObject({ ...valid, entities: [], templateVersion: expect.stringMatching(/^filter/) });
+        expect(fake.calls).toHaveLength(1);
+        expect(aiService.schemaStats).toEqual({ validated: 1, repaired: 0, failures: 0 });
+    });
+
+    test('an invalid verdict is re-asked with the validation errors', async () => {
+        fake.enqueue('```json\n{"important": "yes", "score": 0.9}\n```');
+        fake.enqueue(valid);
+
+        const verdict = await aiService.filterWithOpenAI('You received 40 EUR', 'sms', {});
+
+        expect(verdict.category).toBe('finance');
+        expect(fake.calls).toHaveLength(2);
+
+        const repair = fake.calls[1].messages[fake.calls[1].messages.length - 1].content;
+        expect(repair).toContain('verdict.important must be boolean, got string');
+        expect(repair).toContain('verdict.reason is required');
+        expect(aiService.schemaStats).toEqual({ validated: 1, repaired: 1, failures: 0 });
+    });
+
+    test('gives up after the allowed repairs and defaults to important', async () => {
+        fake.enqueue('not json');
+        fake.enqueue('still not json');
+
+        const verdict = await aiService.filterWithOpenAI('You received 40 EUR', 'sms', {});
+
+        expect(verdict).toMatchObject({ important: true, filter: false, degraded: true, category: 'other' });
+        expect(fake.calls).toHaveLength(2);
+        expect(aiService.schemaStats.failures).toBe(1);
+    });
+});
@@ -0,0 +1,257 @@
+const fs = require('fs');
+const path = require('path');
+const logger = require('../utils/logger');
+
+// Memory file (conversations and recent events)
+const MEMORY_PATH = process.env.MEMORY_PATH || path.join(__dirname, '../config/memory.json');
+
+// Messages kept verbatim per chat before older ones are folded into the summary
+const MEMORY_WINDOW = parseInt(process.env.MEMORY_WINDOW || '12', 10);
+
+// Processed events kept for "what did that SMS say?" questions
+const MEMORY_MAX_EVENTS = parseInt(process.env.MEMORY_MAX_EVENTS || '50', 10);
+
+// Token budget for history and context in an assistant prompt
+const MEMORY_TOKEN_BUDGET = parseInt(process.env.MEMORY_TOKEN_BUDGET || '3000', 10);
+
+// Changes within this delay are written to disk together
+const MEMORY_SAVE_DELAY_MS = parseInt(process.env.MEMORY_SAVE_DELAY_MS || '2000', 10);
+
+/**
+ * Rough token count (about four characters per token)
+ * @param {string} text - Text
+ * @returns {number}
+ */
+function estimateTokens(text) {
+    return Math.ceil((text || '').length / 4);
+}
+
+/**
+ * Conversation memory: per-chat rolling window plus a summarized long-term
+ * buffer, and a shared list of recently processed events. Persisted to disk.
+ */
+class ConversationMemory {
+    /**
+     * @param {object} options - Memory options
+     * @param {string|null} [options.memoryPath] - Memory file, null to keep memory in process only
+     * @param {number} [options.saveDelay] - Milliseconds changes are batched before a write
+     */
+    constructor(options = {}) {
+        this.memoryPath = options.memoryPath !== undefined ? options.memoryPath : MEMORY_PATH;
+        this.saveDelay = options.saveDelay !== undefined ? options.saveDelay : MEMORY_SAVE_DELAY_MS;
+        this.saveTimer = null;
+        this.window = MEMORY_WINDOW;
+        this.maxEvents = MEMORY_MAX_EVENTS;
+        this.tokenBudget = MEMORY_TOKEN_BUDGET;
+        this.chats = new Map();
+        this.events = [];
+        this.load();
+    }
+
+    /**
+     * Load memory from disk
+     */
+    load() {
+        try {
+            if (!this.memoryPath || !fs.existsSync(this.memoryPath)) {
+                return;
+            }
+
+            const data = JSON.parse(fs.readFileSync(this.memoryPath, 'utf8'));
+            this.chats = new Map(Object.entries(data.chats || {}));
+            this.events = data.events || [];
+            logger.info(`Loaded conversation memory for ${this.chats.size} chats`);
+        } catch (error) {
+            logger.error('Error loading conversation memory:', error);
+        }
+    }
+
+    /**
+     * Schedule a write, so a burst of events costs one rewrite of the file
+     */
+    save() {
+        if (!this.memoryPath || this.saveTimer) {
+            return;
+        }
+
+        this.saveTimer = setTimeout(() => this.flush(), this.saveDelay);
+        // A pending write shouldn't keep the process alive; shutdown calls flush()
+        this.saveTimer.unref();
+    }
+
+    /**
+     * Write memory to disk now (temp file + rename so a crash never leaves half a file)
+     */
+    flush() {
+        clearTimeout(this.saveTimer);
+        this.saveTimer = null;
+
+        if (!this.memoryPath) {
+            return;
+        }
+
+        try {
+            const dir = path.dirname(this.memoryPath);
+            if (!fs.existsSync(dir)) {
+                fs.mkdirSync(dir, { recursive: true });
+            }
+
+            const tempPath = `${this.memoryPath}.tmp`;
+            fs.writeFileSync(tempPath, JSON.stringify({
+                chats: Object.fromEntries(this.chats),
+                events: this.events
+            }, null, 2), 'utf8');
+            fs.renameSync(tempPath, this.memoryPath);
+        } catch (error) {
+            logger.error('Error saving conversation memory:', error);
+        }
+    }
+
+    /**
+     * Get a chat's memory, creating it if needed
+     * @param {string} chatId - Chat identifier
+     * @returns {object} - { messages, summary, updatedAt }
+     */
+    getChat(chatId) {
+        if (!this.chats.has(chatId)) {
+            this.chats.set(chatId, { messages: [], summary: '', updatedAt: null });
+        }
+
+        return this.chats.get(chatId);
+    }
+
+    /**
+     * Append a turn to a chat
+     * @param {string} chatId - Chat identifier
+     * @param {string} role - user or assistant
+     * @param {string} content - Message text
+     * @param {string} [name] - Who wrote it (group chats have several people)
+     */
+    addMessage(chatId, role, content, name) {
+        const chat = this.getChat(chatId);
+        const at = new Date().toISOString();
+
+        chat.messages.push({ role, content, name: name || null, at });
+        chat.updatedAt = at;
+        this.save();
+    }
+
+    /**
+     * Messages that have fallen out of the rolling window and should be summarized
+     * @param {string} chatId - Chat identifier
+     * @returns {Array<object>}
+     */
+    getOverflow(chatId) {
+        const chat = this.getChat(chatId);
+        return chat.messages.slice(0, Math.max(0, chat.messages.length - this.window));
+    }
+
+    /**
+     * Replace the long-term summary and drop the messages it now covers
+     * @param {string} chatId - Chat identifier
+     * @param {string} summary - New summary
+     * @param {number} count - Number of oldest messages folded into it
+     */
+    applySummary(chatId, summary, count) {
+        const chat = this.getChat(chatId);
+
+        chat.summary = summary;
+        chat.messages = chat.messages.slice(count);
+        this.save();
+    }
+
+    /**
+     * Forget a chat
+     * @param {string} chatId - Chat identifier
+     * @returns {boolean} - Whether there was anything to forget
+     */
+    clearChat(chatId) {
+        const existed = this.chats.delete(chatId);
+        // Forgotten right away, not with the next batch
+        this.flush();
+        return existed;
+    }
+
+    /**
+     * Remember a processed event
+     * @param {object} event - { type, source, text, summary, category }
+     */
+    recordEvent(event) {
+        this.events.push({
+            type: event.type,
+            source: event.source || 'unknown',
+            text: (event.text || '').substring(0, 500),
+            summary: event.summary ? event.summary.substring(0, 300) : null,
+            category: event.category || null,
+            at: new Date().toISOString()
+        });
+
+        if (this.events.length > this.maxEvents) {
+            this.events = this.events.slice(-this.maxEvents);
+        }
+
+        this.save();
+    }
+
+    /**
+     * Format an event as one context line
+     * @param {object} event - Stored event
+     * @returns {string}
+     */
+    formatEvent(event) {
+        const time = new Date(event.at).toLocaleString();
+        const summary = event.summary ? ` (AI: ${event.summary})` : '';
+        const category = event.category ? ` (${event.category})` : '';
+        return `- [${time}] ${event.type}${category} from ${event.source}: ${event.text}${summary}`;
+    }
+
+    /**
+     * Assemble what fits in the token budget: the long-term summary first,
+     * then the newest history (up to half of what is left), then the newest events
+     * @param {string} chatId - Chat identifier
+     * @param {number} reserved - Tokens already used by the system prompt and current message
+     * @returns {object} - { summary, history: [{ role, content, name }], events: string, tokens }
+     */
+    buildContext(chatId, reserved = 0) {
+        const chat = this.getChat(chatId);
+        let remaining = this.tokenBudget - reserved;
+
+        const summary = chat.summary && estimateTokens(chat.summary) <= remaining ? chat.summary : '';
+        remaining -= estimateTokens(summary);
+
+        const history = [];
+        let historyBudget = Math.floor(remaining / 2);
+        for (let i = chat.messages.length - 1; i >= 0; i--) {
+            const tokens = estimateTokens(chat.messages[i].content);
+            if (tokens > historyBudget) break;
+
+            history.unshift(chat.messages[i]);
+            historyBudget -= tokens;
+            remaining -= tokens;
+        }
+
+        const eventLines = [];
+        for (let i = this.events.length - 1; i >= 0; i--) {
+            const line = this.formatEvent(this.events[i]);
+            const tokens = estimateTokens(line);
+            if (tokens > remaining) break;
+
+            eventLines.push(line);
+            remaining -= tokens;
+        }
+
+        return {
+            summary,
+            history: history.map(({ role, content, name }) => ({ role, content, name })),
+            events: eventLines.join('\n'),
+            tokens: this.tokenBudget - reserved - remaining
+        };
+    }
+}
+
+// Create singleton instance
+const conversationMemory = new ConversationMemory();
+
+module.exports = conversationMemory;
+module.exports.ConversationMemory = ConversationMemory;
+module.exports.estimateTokens = estimateTokens;
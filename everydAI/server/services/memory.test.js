@@ -0,0 +1,88 @@
+const fs = require('fs');
+const path = require('path');
+const { ConversationMemory, estimateTokens } = require('./memory');
+
+describe('ConversationMemory', () => {
+    let memoryPath;
+
+    beforeEach(() => {
+        memoryPath = path.join(global.TEST_STATE_DIR, `memory-${Date.now()}-${Math.random()}.json`);
+    });
+
+    afterEach(() => {
+        jest.useRealTimers();
+    });
+
+    test('keeps a rolling window and reports the overflow', () => {
+        const memory = new ConversationMemory({ memoryPath: null });
+        memory.window = 2;
+
+        ['one', 'two', 'three'].forEach(text => memory.addMessage('chat', 'user', text));
+
+        expect(memory.getOverflow('chat').map(m => m.content)).toEqual(['one']);
+
+        memory.applySummary('chat', 'Talked about one', 1);
+        expect(memory.getChat('chat')).toMatchObject({ summary: 'Talked about one', messages: [{ content: 'two' }, { content: 'three' }] });
+    });
+
+    test('keeps only the newest events', () => {
+        const memory = new ConversationMemory({ memoryPath: null });
+        memory.maxEvents = 2;
+
+        ['a', 'b', 'c'].forEach(text => memory.recordEvent({ type: 'sms', text }));
+
+        expect(memory.events.map(e => e.text)).toEqual(['b', 'c']);
+    });
+
+    test('builds context within the token budget, newest first', () => {
+        const memory = new ConversationMemory({ memoryPath: null });
+        memory.tokenBudget = 20;
+        memory.addMessage('chat', 'user', 'x'.repeat(40));
+        memory.addMessage('chat', 'assistant', 'short answer');
+
+        const context = memory.buildContext('chat');
+
+        expect(context.history).toEqual([{ role: 'assistant', content: 'short answer', name: null }]);
+        expect(context.tokens).toBeLessThanOrEqual(20);
+        expect(estimateTokens('abcd')).toBe(1);
+    });
+
+    test('batches writes into one rewrite of the file', () => {
+        jest.useFakeTimers();
+        const memory = new ConversationMemory({ memoryPath, saveDelay: 1000 });
+        const write = jest.spyOn(fs, 'writeFileSync');
+
+        for (let i = 0; i < 20; i++) {
+            memory.recordEvent({ type: 'notification', text: `event ${i}` });
+        }
+
+        expect(write).not.toHaveBeenCalled();
+        expect(fs.existsSync(memoryPath)).toBe(false);
+
+        jest.advanceTimersByTime(1000);
+
+        expect(write).toHaveBeenCalledTimes(1);
+        expect(new ConversationMemory({ memoryPath }).events).toHaveLength(20);
+        write.mockRestore();
+    });
+
+    test('flush writes pending changes right away', () => {
+        const memory = new ConversationMemory({ memoryPath, saveDelay: 60000 });
+
+        memory.addMessage('chat', 'user', 'hello');
+        memory.flush();
+
+        expect(memory.saveTimer).toBeNull();
+        expect(new ConversationMemory({ memoryPath }).getChat('chat').messages[0].content).toBe('hello');
+    });
+
+    test('forgetting a chat is written immediately', () => {
+        const memory = new ConversationMemory({ memoryPath, saveDelay: 60000 });
+        memory.addMessage('chat', 'user', 'secret');
+        memory.flush();
+
+        expect(memory.clearChat('chat')).toBe(true);
+
+        expect(JSON.parse(fs.readFileSync(memoryPath, 'utf8')).chats).toEqual({});
+    });
+});
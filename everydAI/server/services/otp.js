@@ -0,0 +1,145 @@
+const { v4: uuidv4 } = require('uuid');
+const logger = require('../utils/logger');
+const whatsappClient = require('./whatsapp');
+const deviceManager = require('./deviceManager');
+const conversationMemory = require('./memory');
+const { extractEntities } = require('./entities');
+
+// Set to false to send verification codes through the AI tiers like any other SMS
+const OTP_FAST_PATH = process.env.OTP_FAST_PATH !== 'false';
+
+// How long a code stays readable in WhatsApp before it is redacted
+const OTP_REDACT_DELAY_MS = parseInt(process.env.OTP_REDACT_DELAY_MS || '300000', 10);
+
+/**
+ * OTP fast path: verification codes are detected locally and pushed
+ * straight to the clients without waiting on any model
+ */
+class OTPService {
+    constructor() {
+        this.enabled = OTP_FAST_PATH;
+        this.redactDelay = OTP_REDACT_DELAY_MS;
+        // Codes still readable, by id
+        this.active = new Map();
+    }
+
+    /**
+     * Detect a verification code in a message
+     * @param {string} text - Message text
+     * @returns {string|null} - The code, or null
+     */
+    detect(text) {
+        if (!this.enabled) {
+            return null;
+        }
+
+        const otp = extractEntities(text).find(entity => entity.type === 'otp');
+        return otp ? otp.value : null;
+    }
+
+    /**
+     * Mask a code wherever it appears in a text
+     * @param {string} text - Text to redact
+     * @param {string} code - Code to mask
+     * @returns {string}
+     */
+    redact(text, code) {
+        return (text || '').split(code).join('•'.repeat(code.length));
+    }
+
+    /**
+     * Deliver a detected code to every client and the assistant group,
+     * then schedule its redaction
+     * @param {string} code - Detected code
+     * @param {object} sms - SMS data ({ messageBody, phoneNumber, requestId })
+     * @returns {Promise<object>} - Processing result
+     */
+    async deliver(code, sms) {
+        // Mask the code in every log line from here on
+        logger.addSecret(code);
+
+        const receivedAt = new Date();
+        const item = {
+            id: uuidv4(),
+            code,
+            sender: sms.phoneNumber,
+            receivedAt: receivedAt.toISOString(),
+            expiresAt: new Date(receivedAt.getTime() + this.redactDelay).toISOString()
+        };
+
+        logger.info(`Verification code from ${sms.phoneNumber}, taking the OTP fast path`);
+
+        // Desktop client and devices show this as a copyable item
+        const { successCount } = deviceManager.broadcastToAll({
+            type: 'otp',
+            ...item,
+            copyable: true,
+            requestId: sms.requestId
+        });
+
+        const groupMessage = await whatsappClient.postToGroup(
+            `🔑 *Verification code from ${sms.phoneNumber}*\n` +
+            `${code}\n\n` +
+            `_Redacted in ${Math.max(1, Math.round(this.redactDelay / 60000))} min_`
+        );
+
+        const timer = setTimeout(() => this.expire(item.id), this.redactDelay);
+        // Pending redactions shouldn't keep the process alive
+        timer.unref();
+
+        this.active.set(item.id, { ...item, groupMessage, timer });
+
+        // The assistant may mention that a code arrived, never the code itself
+        conversationMemory.recordEvent({
+            type: 'sms',
+            source: sms.phoneNumber,
+            text: this.redact(sms.messageBody, code)
+        });
+
+        return {
+            processed: true,
+            fastPath: 'otp',
+            otp: item,
+            delivered: { devices: successCount, whatsapp: Boolean(groupMessage) },
+            score: 1,
+            entities: [{ type: 'otp', value: code, normalized: code, source: 'regex' }]
+        };
+    }
+
+    /**
+     * Redact a code once its delay has passed
+     * @param {string} id - OTP item id
+     */
+    async expire(id) {
+        const item = this.active.get(id);
+
+        if (!item) {
+            return;
+        }
+
+        this.active.delete(id);
+        clearTimeout(item.timer);
+        // Redacted everywhere now, so the digits can show in the logs again
+        logger.removeSecret(item.code);
+
+        try {
+            if (item.groupMessage) {
+                await whatsappClient.editMessage(
+                    item.groupMessage,
+                    `🔑 *Verification code from ${item.sender}*\n` +
+                    `${this.redact(item.code, item.code)} _(redacted)_`
+                );
+            }
+
+            deviceManager.broadcastToAll({ type: 'otp_expired', id });
+            logger.info(`Redacted verification code from ${item.sender}`);
+        } catch (error) {
+            logger.error('Error redacting verification code:', error);
+        }
+    }
+}
+
+// Create singleton instance
+const otpService = new OTPService();
+
+module.exports = otpService;
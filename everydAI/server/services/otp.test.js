@@ -0,0 +1,74 @@
+const whatsappClient = require('./whatsapp');
+const deviceManager = require('./deviceManager');
+const otpService = require('./otp');
+const logger = require('../utils/logger');
+
+describe('OTPService', () => {
+    let sent;
+
+    beforeEach(() => {
+        sent = [];
+        whatsappClient.isReady = true;
+        whatsappClient.assistantGroup = { id: { _serialized: 'group@g.us' } };
+        whatsappClient.client = {
+            sendMessage: jest.fn(async (chatId, text) => {
+                const message = { id: { remote: chatId }, body: text, edit: jest.fn(async () => true) };
+                sent.push(message);
+                return message;
+            })
+        };
+        jest.spyOn(deviceManager, 'broadcastToAll').mockReturnValue({ successCount: 1 });
+    });
+
+    afterEach(() => {
+        jest.restoreAllMocks();
+    });
+
+    test('detects verification codes', () => {
+        expect(otpService.detect('Your verification code is 482913')).toBe('482913');
+        expect(otpService.detect('482913 is your login code')).toBe('482913');
+        expect(otpService.detect('See you at 1930 tonight')).toBeNull();
+    });
+
+    test('ordinary numbers are not codes', () => {
+        expect(otpService.detect('Use promo code 2024 for 20% off')).toBeNull();
+        expect(otpService.detect('Meet me at gate B-1234 at 5pm')).toBeNull();
+        expect(otpService.detect('Your order 12345678 shipped, tracking code to follow')).toBeNull();
+        expect(otpService.detect('Your PIN will expire in 2025')).toBeNull();
+    });
+
+    test('masks a code everywhere it appears', () => {
+        expect(otpService.redact('Code 4829, again: 4829', '4829')).toBe('Code ••••, again: ••••');
+    });
+
+    test('delivers the code to devices and the group', async () => {
+        const result = await otpService.deliver('482913', {
+            messageBody: 'Your verification code is 482913',
+            phoneNumber: '+15550100',
+            requestId: 'req-1'
+        });
+
+        expect(result).toMatchObject({ processed: true, fastPath: 'otp', delivered: { devices: 1, whatsapp: true } });
+        expect(deviceManager.broadcastToAll).toHaveBeenCalledWith(expect.objectContaining({
+            type: 'otp',
+            code: '482913',
+            copyable: true,
+            requestId: 'req-1'
+        }));
+        expect(sent[0].body).toContain('482913');
+        expect(otpService.active.has(result.otp.id)).toBe(true);
+    });
+
+    test('redacts the group message once the code expires', async () => {
+        const removeSecret = jest.spyOn(logger, 'removeSecret');
+        const { otp } = await otpService.deliver('771204', { messageBody: 'Code: 771204', phoneNumber: '+15550100' });
+
+        await otpService.expire(otp.id);
+
+        expect(sent[0].edit).toHaveBeenCalledWith(expect.stringContaining('•••••• _(redacted)_'));
+        expect(sent[0].edit.mock.calls[0][0]).not.toContain('771204');
+        expect(deviceManager.broadcastToAll).toHaveBeenLastCalledWith({ type: 'otp_expired', id: otp.id });
+        expect(otpService.active.has(otp.id)).toBe(false);
+        expect(removeSecret).toHaveBeenCalledWith('771204');
+    });
+});
@@ -0,0 +1,391 @@
+const fs = require('fs');
+const path = require('path');
+const logger = require('../utils/logger');
+
+// Directory holding one JSON file per prompt template
+const PROMPTS_DIR = process.env.PROMPTS_PATH || path.join(__dirname, '../config/prompts');
+
+// Templates the AI service depends on; these can be edited but not deleted
+const REQUIRED_TEMPLATES = ['filter', 'full', 'summary', 'memory', 'context', 'replies', 'autoreply', 'digest'];
+
+/**
+ * Join a template field given either as a string or an array of lines
+ * @param {string|Array<string>} value - Template text
+ * @returns {string}
+ */
+function toText(value) {
+    return Array.isArray(value) ? value.join('\n') : (value || '');
+}
+
+/**
+ * Render a template string.
+ * {{name}} is replaced by the variable; {{#name}}...{{/name}} is kept only
+ * when the variable is truthy. Lines made up only of sections that render
+ * empty are dropped.
+ * @param {string} text - Template text
+ * @param {object} variables - Variables
+ * @returns {string}
+ */
+function renderText(text, variables) {
+    const renderLine = line => line
+        .replace(/\{\{#(\w+)\}\}([\s\S]*?)\{\{\/\1\}\}/g, (match, name, inner) => (variables[name] ? inner : ''))
+        .replace(/\{\{(\w+)\}\}/g, (match, name) => (variables[name] !== undefined && variables[name] !== null
+            ? String(variables[name])
+            : ''));
+
+    return text
+        .split('\n')
+        .map(line => ({ line, rendered: renderLine(line) }))
+        .filter(({ line, rendered }) => rendered.trim() !== '' || !/\{\{#\w+\}\}/.test(line))
+        .map(({ rendered }) => rendered)
+        .join('\n')
+        .trim();
+}
+
+/**
+ * Whether a template field is text: a string or an array of lines
+ * @param {*} value - Field value
+ * @returns {boolean}
+ */
+function isText(value) {
+    return typeof value === 'string' || (Array.isArray(value) && value.every(line => typeof line === 'string'));
+}
+
+/**
+ * Whether a value is a plain object (not null or an array)
+ * @param {*} value - Value
+ * @returns {boolean}
+ */
+function isObject(value) {
+    return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+/**
+ * Write a JSON file (temp file + rename), so neither a crash nor the hot
+ * reload ever sees a half-written template
+ * @param {string} filePath - File to write
+ * @param {object} data - File contents
+ */
+function writeJson(filePath, data) {
+    const tempPath = `${filePath}.tmp`;
+    fs.writeFileSync(tempPath, JSON.stringify(data, null, 2), 'utf8');
+    fs.renameSync(tempPath, filePath);
+}
+
+/**
+ * Prompt template store backed by config/prompts, with versioning and hot reload
+ */
+class PromptStore {
+    /**
+     * @param {object} options - Store options
+     * @param {string} [options.dir] - Template directory
+     * @param {boolean} [options.watch] - Hot reload on file changes
+     */
+    constructor(options = {}) {
+        this.dir = options.dir || PROMPTS_DIR;
+        // Previous versions are kept here on every update
+        this.historyDir = path.join(this.dir, 'history');
+        this.templates = new Map();
+        this.watcher = null;
+        this.reloadTimer = null;
+        this.load();
+
+        if (options.watch !== false) {
+            this.watch();
+        }
+    }
+
+    /**
+     * Load all templates from disk
+     */
+    load() {
+        try {
+            if (!fs.existsSync(this.dir)) {
+                logger.warn(`Prompt directory not found: ${this.dir}`);
+                return;
+            }
+
+            const templates = new Map();
+
+            for (const file of fs.readdirSync(this.dir)) {
+                if (!file.endsWith('.json')) continue;
+
+                try {
+                    const template = JSON.parse(fs.readFileSync(path.join(this.dir, file), 'utf8'));
+                    const name = template.name || path.basename(file, '.json');
+                    templates.set(name, { ...template, name, version: template.version || 1 });
+                } catch (error) {
+                    // Keep the previous copy of a template that fails to parse mid-edit
+                    logger.error(`Error loading prompt template ${file}:`, error);
+                    const name = path.basename(file, '.json');
+                    if (this.templates.has(name)) {
+                        templates.set(name, this.templates.get(name));
+                    }
+                }
+            }
+
+            this.templates = templates;
+            logger.info(`Loaded ${templates.size} prompt templates`);
+        } catch (error) {
+            logger.error('Error loading prompt templates:', error);
+        }
+    }
+
+    /**
+     * Reload templates when files in the prompt directory change
+     */
+    watch() {
+        if (!fs.existsSync(this.dir) || process.env.PROMPTS_HOT_RELOAD === 'false') {
+            return;
+        }
+
+        try {
+            this.watcher = fs.watch(this.dir, (eventType, filename) => {
+                if (!filename || !filename.endsWith('.json')) return;
+
+                // Editors write files in several steps; reload once they settle
+                clearTimeout(this.reloadTimer);
+                this.reloadTimer = setTimeout(() => {
+                    logger.info(`Prompt template changed: ${filename}, reloading`);
+                    this.load();
+                }, 200);
+            });
+
+            // Don't keep the process alive just for the watcher
+            this.watcher.unref();
+        } catch (error) {
+            logger.warn(`Prompt hot reload unavailable: ${error.message}`);
+        }
+    }
+
+    /**
+     * Get a template
+     * @param {string} name - Template name
+     * @returns {object|null}
+     */
+    get(name) {
+        return this.templates.get(name) || null;
+    }
+
+    /**
+     * List all templates
+     * @returns {Array<object>}
+     */
+    list() {
+        return Array.from(this.templates.values());
+    }
+
+    /**
+     * Names of the current templates and of deleted ones that have history
+     * @returns {Array<string>}
+     */
+    names() {
+        const archived = fs.existsSync(this.historyDir)
+            ? fs.readdirSync(this.historyDir)
+                .map(file => /^(.+)\.v\d+\.json$/.exec(file))
+                .filter(Boolean)
+                .map(match => match[1])
+            : [];
+
+        return [...new Set([...this.templates.keys(), ...archived])];
+    }
+
+    /**
+     * Get a previous version of a template
+     * @param {string} name - Template name
+     * @param {number} version - Version number
+     * @returns {object|null}
+     */
+    getVersion(name, version) {
+        // Only names read from disk go into the history path
+        if (!this.names().includes(name) || !Number.isInteger(version) || version < 1) {
+            return null;
+        }
+
+        const current = this.get(name);
+
+        if (current && current.version === version) {
+            return current;
+        }
+
+        const historyPath = path.join(this.historyDir, `${name}.v${version}.json`);
+
+        if (!fs.existsSync(historyPath)) {
+            return null;
+        }
+
+        return JSON.parse(fs.readFileSync(historyPath, 'utf8'));
+    }
+
+    /**
+     * Render a template for a content type
+     * @param {string} name - Template name
+     * @param {string} type - Content type (notification, sms, whatsapp, call)
+     * @param {object} variables - Template variables
+     * @returns {object} - { system, prompt, version, templateVersion }
+     */
+    render(name, type, variables = {}) {
+        const template = this.get(name);
+
+        if (!template) {
+            throw new Error(`Unknown prompt template: ${name}`);
+        }
+
+        const override = (template.overrides && template.overrides[type]) || {};
+        const vars = {
+            typeDescription: (template.typeDescriptions && template.typeDescriptions[type]) || type,
+            ...(template.variables || {}),
+            ...(override.variables || {}),
+            ...variables
+        };
+
+        return {
+            system: renderText(toText(override.system || template.system), vars),
+            prompt: renderText(toText(override.template || template.template), vars),
+            version: template.version,
+            templateVersion: `${name}${template.overrides && template.overrides[type] ? `/${type}` : ''}@v${template.version}`
+        };
+    }
+
+    /**
+     * Check template fields before they are saved: field types, then a test
+     * render of every text (base and per-type overrides) with all variables
+     * set, which must leave no unmatched {{placeholders}} or sections behind
+     * @param {string} name - Template name
+     * @param {object} fields - Fields to save (see save)
+     * @returns {Array<string>} - Errors, empty when valid
+     */
+    validateTemplate(name, fields) {
+        const errors = [];
+        const template = { ...(this.get(name) || {}), ...fields };
+
+        for (const field of ['system', 'template']) {
+            if (fields[field] !== undefined && !isText(fields[field])) {
+                errors.push(`${field} must be a string or an array of strings`);
+            }
+        }
+
+        if (fields.description !== undefined && typeof fields.description !== 'string') {
+            errors.push('description must be a string');
+        }
+
+        for (const field of ['variables', 'typeDescriptions', 'overrides']) {
+            if (fields[field] !== undefined && !isObject(fields[field])) {
+                errors.push(`${field} must be an object`);
+            }
+        }
+
+        const overrides = isObject(template.overrides) ? template.overrides : {};
+
+        for (const [type, override] of Object.entries(overrides)) {
+            if (!isObject(override)) {
+                errors.push(`overrides.${type} must be an object`);
+                continue;
+            }
+
+            for (const field of ['system', 'template']) {
+                if (override[field] !== undefined && !isText(override[field])) {
+                    errors.push(`overrides.${type}.${field} must be a string or an array of strings`);
+                }
+            }
+        }
+
+        if (errors.length > 0) {
+            return errors;
+        }
+
+        // Every variable set, so every section is kept and every placeholder filled
+        const variables = new Proxy({}, { get: () => 'x' });
+        const texts = [
+            ['system', template.system],
+            ['template', template.template],
+            ...Object.entries(overrides).flatMap(([type, override]) => [
+                [`overrides.${type}.system`, override.system],
+                [`overrides.${type}.template`, override.template]
+            ])
+        ];
+
+        for (const [field, text] of texts) {
+            if (text === undefined) continue;
+
+            const rendered = renderText(toText(text), variables);
+
+            if (/\{\{|\}\}/.test(rendered)) {
+                errors.push(`${field} has unmatched placeholders or sections`);
+            } else if (!rendered) {
+                errors.push(`${field} renders empty`);
+            }
+        }
+
+        return errors;
+    }
+
+    /**
+     * Create or update a template. Updates bump the version and archive the previous one.
+     * @param {string} name - Template name
+     * @param {object} fields - { system, template, overrides, variables, typeDescriptions, description }
+     * @param {string} [updatedBy] - Who made the change
+     * @returns {object} - Saved template
+     */
+    save(name, fields, updatedBy) {
+        const current = this.get(name);
+        const template = {
+            ...(current || {}),
+            ...fields,
+            name,
+            version: current ? current.version + 1 : 1,
+            updatedAt: new Date().toISOString(),
+            updatedBy: updatedBy || null
+        };
+
+        if (!fs.existsSync(this.historyDir)) {
+            fs.mkdirSync(this.historyDir, { recursive: true });
+        }
+
+        if (current) {
+            writeJson(path.join(this.historyDir, `${name}.v${current.version}.json`), current);
+        }
+
+        writeJson(path.join(this.dir, `${name}.json`), template);
+        this.templates.set(name, template);
+        logger.info(`Saved prompt template ${name} v${template.version}`);
+
+        return template;
+    }
+
+    /**
+     * Delete a template (history is kept)
+     * @param {string} name - Template name
+     * @returns {boolean} - Whether a template was deleted
+     */
+    remove(name) {
+        if (REQUIRED_TEMPLATES.includes(name)) {
+            throw new Error(`Prompt template ${name} is required and cannot be deleted`);
+        }
+
+        const current = this.get(name);
+
+        if (!current) {
+            return false;
+        }
+
+        if (!fs.existsSync(this.historyDir)) {
+            fs.mkdirSync(this.historyDir, { recursive: true });
+        }
+
+        writeJson(path.join(this.historyDir, `${name}.v${current.version}.json`), current);
+        fs.unlinkSync(path.join(this.dir, `${name}.json`));
+        this.templates.delete(name);
+        logger.info(`Deleted prompt template ${name}`);
+
+        return true;
+    }
+}
+
+// Create singleton instance
+const promptStore = new PromptStore();
+
+module.exports = promptStore;
+module.exports.PromptStore = PromptStore;
+module.exports.REQUIRED_TEMPLATES = REQUIRED_TEMPLATES;
+module.exports.renderText = renderText;
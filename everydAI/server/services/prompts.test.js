@@ -0,0 +1,173 @@
+const fs = require('fs');
+const path = require('path');
+const { PromptStore, renderText } = require('./prompts');
+
+/**
+ * Create a store over a fresh directory holding the given templates
+ * @param {object} templates - { name: template }
+ * @returns {PromptStore}
+ */
+function createStore(templates) {
+    const dir = fs.mkdtempSync(path.join(global.TEST_STATE_DIR, 'prompts-'));
+
+    for (const [name, template] of Object.entries(templates)) {
+        fs.writeFileSync(path.join(dir, `${name}.json`), JSON.stringify(template));
+    }
+
+    return new PromptStore({ dir, watch: false });
+}
+
+describe('renderText', () => {
+    test('fills variables and keeps sections only when set', () => {
+        expect(renderText('Hi {{name}}{{#app}} via {{app}}{{/app}}', { name: 'Ann' })).toBe('Hi Ann');
+        expect(renderText('Hi {{name}}{{#app}} via {{app}}{{/app}}', { name: 'Ann', app: 'Signal' })).toBe('Hi Ann via Signal');
+    });
+
+    test('drops lines made up only of empty sections', () => {
+        expect(renderText('Body\n{{#sender}}From: {{sender}}{{/sender}}\nEnd', {})).toBe('Body\nEnd');
+    });
+});
+
+describe('PromptStore', () => {
+    const summary = {
+        version: 3,
+        system: 'You summarize {{typeDescription}}s.',
+        template: ['Summarize:', '{{content}}'],
+        typeDescriptions: { sms: 'text message' },
+        overrides: { call: { template: 'Summarize the call: {{content}}' } }
+    };
+
+    test('renders a template with type descriptions and overrides', () => {
+        const store = createStore({ summary });
+
+        expect(store.render('summary', 'sms', { content: 'hello' })).toEqual({
+            system: 'You summarize text messages.',
+            prompt: 'Summarize:\nhello',
+            version: 3,
+            templateVersion: 'summary@v3'
+        });
+        expect(store.render('summary', 'call', { content: 'hello' })).toMatchObject({
+            prompt: 'Summarize the call: hello',
+            templateVersion: 'summary/call@v3'
+        });
+        expect(() => store.render('missing', 'sms')).toThrow('Unknown prompt template: missing');
+    });
+
+    test('updates bump the version and archive the previous one', () => {
+        const store = createStore({ summary });
+
+        const saved = store.save('summary', { system: 'Be brief.' }, 'alice');
+
+        expect(saved).toMatchObject({ version: 4, system: 'Be brief.', updatedBy: 'alice' });
+        expect(store.getVersion('summary', 3).system).toBe(summary.system);
+        expect(JSON.parse(fs.readFileSync(path.join(store.dir, 'summary.json'), 'utf8')).version).toBe(4);
+    });
+
+    test('saves through a temp file, leaving none behind', () => {
+        const store = createStore({ summary });
+        const rename = jest.spyOn(fs, 'renameSync');
+
+        try {
+            store.save('summary', { system: 'Be brief.' });
+
+            expect(rename).toHaveBeenCalledWith(path.join(store.dir, 'summary.json.tmp'), path.join(store.dir, 'summary.json'));
+            expect(fs.readdirSync(store.dir).filter(file => file.endsWith('.tmp'))).toEqual([]);
+            expect(fs.readdirSync(store.historyDir)).toEqual(['summary.v3.json']);
+        } finally {
+            rename.mockRestore();
+        }
+    });
+
+    test('a failed write keeps the current template file', () => {
+        const store = createStore({ summary });
+        const rename = jest.spyOn(fs, 'renameSync').mockImplementation(() => {
+            throw new Error('disk full');
+        });
+
+        try {
+            expect(() => store.save('summary', { system: 'Be brief.' })).toThrow('disk full');
+            expect(JSON.parse(fs.readFileSync(path.join(store.dir, 'summary.json'), 'utf8'))).toEqual(summary);
+        } finally {
+            rename.mockRestore();
+        }
+    });
+
+    describe('getVersion', () => {
+        test('returns the current or an archived version', () => {
+            const store = createStore({ summary });
+            store.save('summary', { system: 'Be brief.' });
+
+            expect(store.getVersion('summary', 4).system).toBe('Be brief.');
+            expect(store.getVersion('summary', 3).system).toBe(summary.system);
+            expect(store.getVersion('summary', 2)).toBeNull();
+        });
+
+        test.each([
+            ['an unknown name', 'missing', 1],
+            ['a path', '../summary', 3],
+            ['a nested path', 'history/summary', 3],
+            ['a version that is not a number', 'summary', NaN],
+            ['a version under 1', 'summary', 0]
+        ])('is null for %s', (label, name, version) => {
+            const store = createStore({ summary });
+            store.save('summary', { system: 'Be brief.' });
+            const existsSync = jest.spyOn(fs, 'existsSync');
+
+            try {
+                expect(store.getVersion(name, version)).toBeNull();
+                expect(existsSync).not.toHaveBeenCalledWith(expect.stringContaining(`${name}.v`));
+            } finally {
+                existsSync.mockRestore();
+            }
+        });
+    });
+
+    test('required templates cannot be deleted', () => {
+        const store = createStore({ summary, extra: { system: 's', template: 't' } });
+
+        expect(() => store.remove('summary')).toThrow('required');
+        expect(store.remove('extra')).toBe(true);
+        expect(store.get('extra')).toBeNull();
+        expect(store.getVersion('extra', 1)).toMatchObject({ template: 't' });
+    });
+
+    describe('validateTemplate', () => {
+        test('accepts strings and arrays of lines', () => {
+            const store = createStore({ summary });
+
+            expect(store.validateTemplate('summary', { system: 'Be brief.' })).toEqual([]);
+            expect(store.validateTemplate('fresh', { system: 'S', template: ['{{#app}}App: {{app}}{{/app}}', '{{content}}'] })).toEqual([]);
+        });
+
+        test('rejects fields of the wrong type', () => {
+            const store = createStore({ summary });
+
+            expect(store.validateTemplate('summary', {
+                system: 42,
+                template: ['ok', 7],
+                description: {},
+                variables: 'x',
+                overrides: { sms: { system: false } }
+            })).toEqual([
+                'system must be a string or an array of strings',
+                'template must be a string or an array of strings',
+                'description must be a string',
+                'variables must be an object',
+                'overrides.sms.system must be a string or an array of strings'
+            ]);
+        });
+
+        test('rejects broken placeholders and sections', () => {
+            const store = createStore({ summary });
+
+            expect(store.validateTemplate('summary', { template: 'Summarize {{content}' }))
+                .toEqual(['template has unmatched placeholders or sections']);
+            expect(store.validateTemplate('summary', { template: '{{#sender}}From {{sender}}' }))
+                .toEqual(['template has unmatched placeholders or sections']);
+            expect(store.validateTemplate('summary', { overrides: { call: { template: '{{ content }}' } } }))
+                .toEqual(['overrides.call.template has unmatched placeholders or sections']);
+            expect(store.validateTemplate('summary', { system: '' }))
+                .toEqual(['system renders empty']);
+        });
+    });
+});
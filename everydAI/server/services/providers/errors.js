@@ -0,0 +1,62 @@
+/**
+ * Error raised by a single provider attempt
+ */
+class AIProviderError extends Error {
+    /**
+     * @param {string} message - Error message
+     * @param {object} details - Error details
+     * @param {string} details.code - NOT_CONFIGURED, CIRCUIT_OPEN, TIMEOUT or PROVIDER_ERROR
+     * @param {string} [details.provider] - Provider name
+     * @param {string} [details.model] - Model name
+     * @param {Error} [details.cause] - Underlying error
+     */
+    constructor(message, details = {}) {
+        super(message);
+        this.name = 'AIProviderError';
+        this.code = details.code || 'PROVIDER_ERROR';
+        this.provider = details.provider;
+        this.model = details.model;
+        this.cause = details.cause;
+    }
+}
+
+/**
+ * Error raised when every provider in a tier's chain failed
+ */
+class AIUnavailableError extends Error {
+    /**
+     * @param {string} tier - AI tier
+     * @param {Array<AIProviderError>} attempts - Failure for each provider tried
+     */
+    constructor(tier, attempts = []) {
+        super(`All AI providers failed for ${tier} tier` +
+            (attempts.length ? `: ${attempts.map(a => `${a.provider} (${a.code})`).join(', ')}` : ''));
+        this.name = 'AIUnavailableError';
+        this.code = 'AI_UNAVAILABLE';
+        this.tier = tier;
+        this.attempts = attempts;
+    }
+}
+
+/**
+ * Error raised when a request is refused because an AI budget is exhausted
+ */
+class AIBudgetError extends AIUnavailableError {
+    /**
+     * @param {string} tier - AI tier
+     * @param {string} period - Exceeded budget period (day, month)
+     */
+    constructor(tier, period) {
+        super(tier);
+        this.message = `AI ${period} budget exceeded, ${tier} tier request refused`;
+        this.name = 'AIBudgetError';
+        this.code = 'BUDGET_EXCEEDED';
+        this.period = period;
+    }
+}
+
+module.exports = {
+    AIProviderError,
+    AIUnavailableError,
+    AIBudgetError
+};
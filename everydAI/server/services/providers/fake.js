@@ -0,0 +1,109 @@
+/**
+ * Deterministic fake provider for tests and offline runs.
+ * Never touches the network; every call is recorded in `calls`.
+ */
+class FakeProvider {
+    /**
+     * @param {object} options - Provider options
+     * @param {Function} [options.responder] - (request) => string|object, overrides the default reply
+     * @param {Array<string|object>} [options.responses] - Canned replies consumed in order
+     */
+    constructor(options = {}) {
+        this.name = options.name || 'fake';
+        this.responder = options.responder || null;
+        this.responses = options.responses ? [...options.responses] : [];
+        this.calls = [];
+    }
+
+    /**
+     * The fake provider is always available
+     * @returns {boolean}
+     */
+    isConfigured() {
+        return true;
+    }
+
+    /**
+     * Queue a canned reply
+     * @param {string|object} response - Reply text, or an object to be JSON-encoded
+     */
+    enqueue(response) {
+        this.responses.push(response);
+    }
+
+    /**
+     * Forget recorded calls and queued replies
+     */
+    reset() {
+        this.calls = [];
+        this.responses = [];
+    }
+
+    /**
+     * Run a chat completion
+     * @param {object} request - Chat request (see OpenAIProvider.chat)
+     * @returns {Promise<object>} - { content, model, usage }
+     */
+    async chat(request) {
+        this.calls.push(request);
+
+        let reply;
+
+        if (this.responder) {
+            reply = await this.responder(request);
+        } else if (this.responses.length > 0) {
+            reply = this.responses.shift();
+        } else {
+            reply = this.defaultReply(request);
+        }
+
+        // Canned errors let tests exercise failure paths
+        if (reply instanceof Error) {
+            throw reply;
+        }
+
+        // { toolCalls: [{ name, arguments }] } replies ask for tool calls instead of answering
+        const toolCalls = reply && reply.toolCalls
+            ? reply.toolCalls.map((call, index) => ({ id: call.id || `call_${this.calls.length}_${index}`, ...call }))
+            : [];
+        const content = toolCalls.length > 0
+            ? (reply.content || null)
+            : (typeof reply === 'string' ? reply : JSON.stringify(reply));
+        const promptText = request.messages.map(m => m.content || '').join('\n');
+
+        return {
+            content,
+            toolCalls,
+            model: request.model || 'fake',
+            usage: {
+                promptTokens: Math.ceil(promptText.length / 4),
+                completionTokens: Math.ceil((content || '').length / 4)
+            }
+        };
+    }
+
+    /**
+     * Reply used when nothing is queued
+     * @param {object} request - Chat request
+     * @returns {string|object}
+     */
+    defaultReply(request) {
+        if (request.json) {
+            return {
+                important: false,
+                score: 0.5,
+                reason: 'Fake provider verdict',
+                filter: false,
+                suggestedRule: null,
+                category: 'other',
+                urgency: 'low',
+                entities: []
+            };
+        }
+
+        const lastMessage = request.messages[request.messages.length - 1];
+        return `Fake response: ${(lastMessage ? lastMessage.content : '').substring(0, 50)}`;
+    }
+}
+
+module.exports = FakeProvider;
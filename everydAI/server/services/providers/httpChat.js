@@ -0,0 +1,70 @@
+const axios = require('axios');
+const { parseToolCalls } = require('./toolCalls');
+
+/**
+ * Generic provider for HTTP endpoints speaking the chat-completions protocol
+ */
+class HttpChatProvider {
+    /**
+     * @param {object} options - Provider options
+     * @param {string} options.name - Provider name
+     * @param {string} options.baseURL - API base URL (without /chat/completions)
+     * @param {string} [options.apiKey] - Bearer token, if the endpoint needs one
+     * @param {boolean} [options.requiresKey] - Whether the provider is unusable without a key
+     */
+    constructor(options = {}) {
+        this.name = options.name;
+        this.baseURL = (options.baseURL || '').replace(/\/+$/, '');
+        this.apiKey = options.apiKey;
+        this.requiresKey = options.requiresKey !== false;
+    }
+
+    /**
+     * Whether the provider has the configuration it needs
+     * @returns {boolean}
+     */
+    isConfigured() {
+        return Boolean(this.baseURL) && (!this.requiresKey || Boolean(this.apiKey));
+    }
+
+    /**
+     * Run a chat completion
+     * @param {object} request - Chat request (see OpenAIProvider.chat)
+     * @returns {Promise<object>} - { content, toolCalls, model, usage }
+     */
+    async chat(request) {
+        const headers = { 'Content-Type': 'application/json' };
+
+        if (this.apiKey) {
+            headers.Authorization = `Bearer ${this.apiKey}`;
+        }
+
+        const response = await axios.post(
+            `${this.baseURL}/chat/completions`,
+            {
+                model: request.model,
+                messages: request.messages,
+                temperature: request.temperature,
+                max_tokens: request.maxTokens,
+                ...(request.json ? { response_format: { type: 'json_object' } } : {}),
+                ...(request.tools && request.tools.length > 0 ? { tools: request.tools } : {})
+            },
+            { headers }
+        );
+
+        const data = response.data;
+        const usage = data.usage || {};
+
+        return {
+            content: data.choices[0].message.content,
+            toolCalls: parseToolCalls(data.choices[0].message.tool_calls),
+            model: data.model || request.model,
+            usage: {
+                promptTokens: usage.prompt_tokens || 0,
+                completionTokens: usage.completion_tokens || 0
+            }
+        };
+    }
+}
+
+module.exports = HttpChatProvider;
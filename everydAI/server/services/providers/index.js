@@ -0,0 +1,201 @@
+const logger = require('../../utils/logger');
+const OpenAIProvider = require('./openai');
+const XAIProvider = require('./xai');
+const LocalProvider = require('./local');
+const FakeProvider = require('./fake');
+const RecordedProvider = require('./recorded');
+const { CircuitBreaker } = require('./resilience');
+
+// Default provider/model per AI tier, plus the ordered fallback chain
+const DEFAULT_TIERS = {
+    filter: { provider: 'openai', model: 'gpt-3.5-turbo', fallbacks: '' },
+    full: { provider: 'xai', model: 'grok-2-latest', fallbacks: 'openai:gpt-4' }
+};
+
+/**
+ * Parse a fallback chain like "openai:gpt-4,local:llama3"
+ * @param {string} value - Comma-separated provider:model list
+ * @returns {Array<object>} - [{ provider, model }]
+ */
+function parseChain(value) {
+    return (value || '')
+        .split(',')
+        .map(entry => entry.trim())
+        .filter(Boolean)
+        .map(entry => {
+            const [provider, ...model] = entry.split(':');
+            return { provider, model: model.join(':') || null };
+        });
+}
+
+/**
+ * Registry of LLM providers and the tier -> provider mapping
+ */
+class ProviderRegistry {
+    constructor() {
+        this.factories = new Map();
+        this.instances = new Map();
+        this.tiers = new Map();
+        this.breakers = new Map();
+
+        // Resilience settings shared by all providers
+        this.settings = {
+            timeout: parseInt(process.env.AI_TIMEOUT_MS || '20000', 10),
+            retries: parseInt(process.env.AI_MAX_RETRIES || '2', 10),
+            retryBaseDelay: parseInt(process.env.AI_RETRY_BASE_MS || '500', 10),
+            breakerThreshold: parseInt(process.env.AI_BREAKER_THRESHOLD || '5', 10),
+            breakerResetTimeout: parseInt(process.env.AI_BREAKER_RESET_MS || '60000', 10)
+        };
+
+        // Register built-in providers
+        this.registerProvider('openai', () => new OpenAIProvider({
+            apiKey: process.env.OPENAI_API_KEY,
+            baseURL: process.env.OPENAI_BASE_URL
+        }));
+        this.registerProvider('xai', () => new XAIProvider({
+            apiKey: process.env.XAI_GROK_API_KEY,
+            baseURL: process.env.XAI_GROK_API_URL
+        }));
+        this.registerProvider('local', () => new LocalProvider({
+            apiKey: process.env.LOCAL_AI_API_KEY,
+            baseURL: process.env.LOCAL_AI_URL
+        }));
+        this.registerProvider('fake', () => new FakeProvider());
+        this.registerProvider('recorded', () => new RecordedProvider({
+            recordingPath: process.env.AI_RECORDING_PATH
+        }));
+
+        this.loadTiers();
+    }
+
+    /**
+     * Register a provider factory
+     * @param {string} name - Provider name
+     * @param {Function} factory - Returns a provider instance
+     */
+    registerProvider(name, factory) {
+        this.factories.set(name, factory);
+        this.instances.delete(name);
+    }
+
+    /**
+     * Replace a provider with a ready-made instance (e.g. a FakeProvider in tests)
+     * @param {string} name - Provider name
+     * @param {object} provider - Provider instance
+     */
+    setProvider(name, provider) {
+        this.factories.set(name, () => provider);
+        this.instances.set(name, provider);
+    }
+
+    /**
+     * Get a provider instance
+     * @param {string} name - Provider name
+     * @returns {object|null} - Provider or null if unknown
+     */
+    getProvider(name) {
+        if (!this.instances.has(name)) {
+            const factory = this.factories.get(name);
+
+            if (!factory) {
+                return null;
+            }
+
+            this.instances.set(name, factory());
+        }
+
+        return this.instances.get(name);
+    }
+
+    /**
+     * Load tier chains from the environment
+     * (AI_<TIER>_PROVIDER / AI_<TIER>_MODEL / AI_<TIER>_FALLBACKS)
+     */
+    loadTiers() {
+        for (const [tier, defaults] of Object.entries(DEFAULT_TIERS)) {
+            const prefix = `AI_${tier.toUpperCase()}`;
+            const fallbacks = process.env[`${prefix}_FALLBACKS`] !== undefined
+                ? process.env[`${prefix}_FALLBACKS`]
+                : defaults.fallbacks;
+
+            this.tiers.set(tier, [
+                {
+                    provider: process.env[`${prefix}_PROVIDER`] || defaults.provider,
+                    model: process.env[`${prefix}_MODEL`] || defaults.model
+                },
+                ...parseChain(fallbacks)
+            ]);
+        }
+
+        logger.info(`AI tiers: ${Array.from(this.tiers.entries())
+            .map(([tier, chain]) => `${tier}=${chain.map(c => `${c.provider}/${c.model}`).join(' > ')}`)
+            .join(', ')}`);
+    }
+
+    /**
+     * Set the ordered provider chain for a tier
+     * @param {string} tier - Tier name (filter, full)
+     * @param {Array<object>|object} chain - [{ provider, model }] or a single entry
+     */
+    setTier(tier, chain) {
+        this.tiers.set(tier, Array.isArray(chain) ? chain : [chain]);
+    }
+
+    /**
+     * Resolve the ordered provider chain configured for a tier
+     * @param {string} tier - Tier name
+     * @returns {Array<object>} - [{ provider, providerName, model, breaker }]
+     */
+    resolveChain(tier) {
+        const chain = this.tiers.get(tier);
+
+        if (!chain) {
+            throw new Error(`Unknown AI tier: ${tier}`);
+        }
+
+        return chain.map(entry => ({
+            provider: this.getProvider(entry.provider),
+            providerName: entry.provider,
+            model: entry.model,
+            breaker: this.getBreaker(entry.provider)
+        }));
+    }
+
+    /**
+     * Get the circuit breaker for a provider
+     * @param {string} name - Provider name
+     * @returns {CircuitBreaker}
+     */
+    getBreaker(name) {
+        if (!this.breakers.has(name)) {
+            this.breakers.set(name, new CircuitBreaker({
+                failureThreshold: this.settings.breakerThreshold,
+                resetTimeout: this.settings.breakerResetTimeout
+            }));
+        }
+
+        return this.breakers.get(name);
+    }
+
+    /**
+     * Get breaker state for every provider that has been used
+     * @returns {object} - { providerName: { state, failures, openedAt } }
+     */
+    getStatus() {
+        const status = {};
+
+        for (const [name, breaker] of this.breakers.entries()) {
+            status[name] = breaker.getStatus();
+        }
+
+        return status;
+    }
+}
+
+// Create singleton instance
+const providerRegistry = new ProviderRegistry();
+
+module.exports = providerRegistry;
+module.exports.ProviderRegistry = ProviderRegistry;
+module.exports.FakeProvider = FakeProvider;
+module.exports.RecordedProvider = RecordedProvider;
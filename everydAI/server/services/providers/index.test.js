@@ -0,0 +1,101 @@
+const { ProviderRegistry, FakeProvider } = require('./index');
+const OpenAIProvider = require('./openai');
+const LocalProvider = require('./local');
+
+describe('ProviderRegistry', () => {
+    const saved = { ...process.env };
+
+    afterEach(() => {
+        process.env = { ...saved };
+    });
+
+    test('maps each tier to the provider, model and fallbacks from the environment', () => {
+        process.env.AI_FILTER_PROVIDER = 'local';
+        process.env.AI_FILTER_MODEL = 'llama3';
+        process.env.AI_FILTER_FALLBACKS = 'openai:gpt-4o-mini';
+        process.env.AI_FULL_PROVIDER = 'xai';
+        process.env.AI_FULL_MODEL = 'grok-2-latest';
+        process.env.AI_FULL_FALLBACKS = 'openai:gpt-4, local:qwen2:7b';
+
+        const registry = new ProviderRegistry();
+
+        expect(registry.tiers.get('filter')).toEqual([
+            { provider: 'local', model: 'llama3' },
+            { provider: 'openai', model: 'gpt-4o-mini' }
+        ]);
+        expect(registry.tiers.get('full')).toEqual([
+            { provider: 'xai', model: 'grok-2-latest' },
+            { provider: 'openai', model: 'gpt-4' },
+            // Model names may contain colons
+            { provider: 'local', model: 'qwen2:7b' }
+        ]);
+    });
+
+    test('creates built-in providers lazily and reuses the instance', () => {
+        const registry = new ProviderRegistry();
+
+        const local = registry.getProvider('local');
+        expect(local).toBeInstanceOf(LocalProvider);
+        expect(registry.getProvider('local')).toBe(local);
+        expect(registry.getProvider('openai')).toBeInstanceOf(OpenAIProvider);
+        expect(registry.getProvider('nope')).toBeNull();
+    });
+
+    test('resolves a tier chain with one breaker per provider', () => {
+        const registry = new ProviderRegistry();
+        const fake = new FakeProvider();
+        registry.setProvider('fake', fake);
+        registry.setTier('filter', [{ provider: 'fake', model: 'a' }, { provider: 'fake', model: 'b' }]);
+
+        const chain = registry.resolveChain('filter');
+
+        expect(chain.map(c => c.model)).toEqual(['a', 'b']);
+        expect(chain[0].provider).toBe(fake);
+        expect(chain[0].breaker).toBe(chain[1].breaker);
+        expect(() => registry.resolveChain('nope')).toThrow('Unknown AI tier: nope');
+    });
+
+    test('an OpenAI provider without a key is not configured', () => {
+        expect(new OpenAIProvider({}).isConfigured()).toBe(false);
+        expect(new OpenAIProvider({ apiKey: 'sk-test' }).isConfigured()).toBe(true);
+        expect(new LocalProvider({}).isConfigured()).toBe(true);
+    });
+});
+
+describe('FakeProvider', () => {
+    const request = { model: 'fake-model', messages: [{ role: 'user', content: 'hello there' }] };
+
+    test('records calls and replies deterministically', async () => {
+        const fake = new FakeProvider();
+
+        const result = await fake.chat(request);
+
+        expect(result.content).toBe('Fake response: hello there');
+        expect(result.model).toBe('fake-model');
+        expect(result.usage.promptTokens).toBeGreaterThan(0);
+        expect(fake.calls).toEqual([request]);
+    });
+
+    test('returns a valid verdict for JSON requests', async () => {
+        const result = await new FakeProvider().chat({ ...request, json: true });
+
+        expect(JSON.parse(result.content)).toMatchObject({ important: false, score: 0.5, filter: false });
+    });
+
+    test('consumes canned replies in order and throws canned errors', async () => {
+        const fake = new FakeProvider({ responses: ['first', { ok: true }, new Error('boom')] });
+
+        expect((await fake.chat(request)).content).toBe('first');
+        expect((await fake.chat(request)).content).toBe('{"ok":true}');
+        await expect(fake.chat(request)).rejects.toThrow('boom');
+    });
+
+    test('turns toolCalls replies into tool calls with ids', async () => {
+        const fake = new FakeProvider({ responses: [{ toolCalls: [{ name: 'add_rule', arguments: { pattern: 'x' } }] }] });
+
+        const result = await fake.chat(request);
+
+        expect(result.content).toBeNull();
+        expect(result.toolCalls).toEqual([{ id: 'call_1_0', name: 'add_rule', arguments: { pattern: 'x' } }]);
+    });
+});
@@ -0,0 +1,18 @@
+const HttpChatProvider = require('./httpChat');
+
+/**
+ * Local OpenAI-compatible endpoint (Ollama, llama.cpp server, LM Studio, ...)
+ */
+class LocalProvider extends HttpChatProvider {
+    constructor(options = {}) {
+        super({
+            name: 'local',
+            // Ollama's OpenAI-compatible API by default
+            baseURL: options.baseURL || 'http://localhost:11434/v1',
+            apiKey: options.apiKey,
+            requiresKey: false
+        });
+    }
+}
+
+module.exports = LocalProvider;
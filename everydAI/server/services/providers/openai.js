@@ -0,0 +1,78 @@
+const { OpenAI } = require('openai');
+const { parseToolCalls } = require('./toolCalls');
+
+/**
+ * OpenAI provider (also works with any OpenAI-compatible API via baseURL)
+ */
+class OpenAIProvider {
+    /**
+     * @param {object} options - Provider options
+     * @param {string} options.apiKey - API key
+     * @param {string} [options.baseURL] - Override the API base URL
+     */
+    constructor(options = {}) {
+        this.name = options.name || 'openai';
+        this.apiKey = options.apiKey;
+        this.baseURL = options.baseURL;
+        this.client = null;
+    }
+
+    /**
+     * Whether the provider has the credentials it needs
+     * @returns {boolean}
+     */
+    isConfigured() {
+        return Boolean(this.apiKey);
+    }
+
+    /**
+     * Lazily create the SDK client so a missing key doesn't crash on startup
+     * @returns {OpenAI}
+     */
+    getClient() {
+        if (!this.client) {
+            this.client = new OpenAI({
+                apiKey: this.apiKey,
+                baseURL: this.baseURL || undefined
+            });
+        }
+
+        return this.client;
+    }
+
+    /**
+     * Run a chat completion
+     * @param {object} request - Chat request
+     * @param {string} request.model - Model name
+     * @param {Array<object>} request.messages - Chat messages
+     * @param {number} [request.temperature] - Sampling temperature
+     * @param {number} [request.maxTokens] - Max completion tokens
+     * @param {boolean} [request.json] - Ask for a JSON object response
+     * @param {Array<object>} [request.tools] - Tool definitions the model may call
+     * @returns {Promise<object>} - { content, toolCalls, model, usage }
+     */
+    async chat(request) {
+        const completion = await this.getClient().chat.completions.create({
+            model: request.model,
+            messages: request.messages,
+            temperature: request.temperature,
+            max_tokens: request.maxTokens,
+            ...(request.json ? { response_format: { type: 'json_object' } } : {}),
+            ...(request.tools && request.tools.length > 0 ? { tools: request.tools } : {})
+        });
+
+        const message = completion.choices[0].message;
+
+        return {
+            content: message.content,
+            toolCalls: parseToolCalls(message.tool_calls),
+            model: completion.model || request.model,
+            usage: {
+                promptTokens: completion.usage ? completion.usage.prompt_tokens : 0,
+                completionTokens: completion.usage ? completion.usage.completion_tokens : 0
+            }
+        };
+    }
+}
+
+module.exports = OpenAIProvider;
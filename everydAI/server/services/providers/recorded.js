@@ -0,0 +1,91 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+
+/**
+ * Record/replay provider.
+ * With a delegate it forwards each request and appends the reply to the
+ * recording; without one it replays recorded replies and never touches the network.
+ */
+class RecordedProvider {
+    /**
+     * @param {object} options - Provider options
+     * @param {string} options.recordingPath - JSONL recording file
+     * @param {object} [options.delegate] - Real provider to record from
+     */
+    constructor(options = {}) {
+        this.name = options.name || 'recorded';
+        this.recordingPath = options.recordingPath;
+        this.delegate = options.delegate || null;
+        this.recordings = new Map();
+        this.load();
+    }
+
+    /**
+     * Load the recording file
+     */
+    load() {
+        if (!this.recordingPath || !fs.existsSync(this.recordingPath)) {
+            return;
+        }
+
+        for (const line of fs.readFileSync(this.recordingPath, 'utf8').split('\n')) {
+            if (!line.trim()) continue;
+
+            const entry = JSON.parse(line);
+            this.recordings.set(entry.key, entry.response);
+        }
+    }
+
+    /**
+     * Replay needs a recording file, recording needs a configured delegate
+     * @returns {boolean}
+     */
+    isConfigured() {
+        return Boolean(this.recordingPath) && (!this.delegate || this.delegate.isConfigured());
+    }
+
+    /**
+     * Key a request by model, messages and tools
+     * @param {object} request - Chat request
+     * @returns {string}
+     */
+    key(request) {
+        return crypto.createHash('sha256')
+            .update(JSON.stringify([request.model, request.messages, Boolean(request.json), request.tools || null]))
+            .digest('hex');
+    }
+
+    /**
+     * Run a chat completion
+     * @param {object} request - Chat request (see OpenAIProvider.chat)
+     * @returns {Promise<object>} - { content, model, usage }
+     */
+    async chat(request) {
+        const key = this.key(request);
+
+        if (this.recordings.has(key)) {
+            return this.recordings.get(key);
+        }
+
+        if (!this.delegate) {
+            const error = new Error(`No recorded response for request ${key.substring(0, 12)}`);
+            // Missing recordings won't appear on retry
+            error.status = 404;
+            throw error;
+        }
+
+        const response = await this.delegate.chat(request);
+        this.recordings.set(key, response);
+
+        const dir = path.dirname(this.recordingPath);
+        if (!fs.existsSync(dir)) {
+            fs.mkdirSync(dir, { recursive: true });
+        }
+        fs.appendFileSync(this.recordingPath, JSON.stringify({ key, response }) + '\n', 'utf8');
+
+        return response;
+    }
+}
+
+module.exports = RecordedProvider;
@@ -0,0 +1,149 @@
+const { AIProviderError } = require('./errors');
+
+/**
+ * Per-provider circuit breaker.
+ * closed -> open after `failureThreshold` consecutive failures;
+ * open -> half_open after `resetTimeout`, letting a single probe through;
+ * half_open -> closed on probe success, back to open on probe failure.
+ */
+class CircuitBreaker {
+    /**
+     * @param {object} options - Breaker options
+     * @param {number} [options.failureThreshold] - Consecutive failures before opening
+     * @param {number} [options.resetTimeout] - Milliseconds before a half-open probe
+     */
+    constructor(options = {}) {
+        this.failureThreshold = options.failureThreshold || 5;
+        this.resetTimeout = options.resetTimeout || 60000;
+        this.state = 'closed';
+        this.failures = 0;
+        this.openedAt = null;
+        this.probeInFlight = false;
+    }
+
+    /**
+     * Whether a request may go through right now
+     * @returns {boolean}
+     */
+    canRequest() {
+        if (this.state === 'closed') {
+            return true;
+        }
+
+        if (this.state === 'open' && Date.now() - this.openedAt >= this.resetTimeout) {
+            this.state = 'half_open';
+            this.probeInFlight = false;
+        }
+
+        if (this.state === 'half_open' && !this.probeInFlight) {
+            this.probeInFlight = true;
+            return true;
+        }
+
+        return false;
+    }
+
+    /**
+     * Record a successful request
+     */
+    recordSuccess() {
+        this.state = 'closed';
+        this.failures = 0;
+        this.openedAt = null;
+        this.probeInFlight = false;
+    }
+
+    /**
+     * Record a failed request
+     */
+    recordFailure() {
+        this.failures++;
+        this.probeInFlight = false;
+
+        if (this.state === 'half_open' || this.failures >= this.failureThreshold) {
+            this.state = 'open';
+            this.openedAt = Date.now();
+        }
+    }
+
+    /**
+     * Get breaker state for status reporting
+     * @returns {object}
+     */
+    getStatus() {
+        return {
+            state: this.state,
+            failures: this.failures,
+            openedAt: this.openedAt ? new Date(this.openedAt).toISOString() : null
+        };
+    }
+}
+
+/**
+ * Reject if a promise doesn't settle in time
+ * @param {Promise} promise - Promise to race
+ * @param {number} ms - Timeout in milliseconds
+ * @param {object} details - Provider/model for the timeout error
+ * @returns {Promise}
+ */
+function withTimeout(promise, ms, details = {}) {
+    let timer;
+
+    const timeout = new Promise((resolve, reject) => {
+        timer = setTimeout(() => {
+            reject(new AIProviderError(`AI request timed out after ${ms}ms`, {
+                ...details,
+                code: 'TIMEOUT'
+            }));
+        }, ms);
+    });
+
+    return Promise.race([promise, timeout]).finally(() => clearTimeout(timer));
+}
+
+/**
+ * Whether an error is worth retrying (timeouts, network errors, 429 and 5xx)
+ * @param {Error} error - Error to check
+ * @returns {boolean}
+ */
+function isRetryable(error) {
+    const status = error.status || (error.response && error.response.status);
+
+    if (status) {
+        return status === 429 || status >= 500;
+    }
+
+    return true;
+}
+
+/**
+ * Retry an async function with exponential backoff
+ * @param {Function} fn - Async function to call
+ * @param {object} options - Retry options
+ * @param {number} [options.retries] - Retries after the first attempt
+ * @param {number} [options.baseDelay] - Delay before the first retry, doubled each time
+ * @returns {Promise}
+ */
+async function retryWithBackoff(fn, options = {}) {
+    const retries = options.retries !== undefined ? options.retries : 2;
+    const baseDelay = options.baseDelay !== undefined ? options.baseDelay : 500;
+
+    for (let attempt = 0; ; attempt++) {
+        try {
+            return await fn(attempt);
+        } catch (error) {
+            if (attempt >= retries || !isRetryable(error)) {
+                throw error;
+            }
+
+            await new Promise(resolve => setTimeout(resolve, baseDelay * Math.pow(2, attempt)));
+        }
+    }
+}
+
+module.exports = {
+    CircuitBreaker,
+    withTimeout,
+    retryWithBackoff,
+    isRetryable
+};
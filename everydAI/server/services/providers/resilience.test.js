@@ -0,0 +1,106 @@
+const { CircuitBreaker, withTimeout, retryWithBackoff, isRetryable } = require('./resilience');
+const { AIProviderError } = require('./errors');
+
+describe('CircuitBreaker', () => {
+    afterEach(() => {
+        jest.useRealTimers();
+    });
+
+    test('opens after the failure threshold', () => {
+        const breaker = new CircuitBreaker({ failureThreshold: 2, resetTimeout: 1000 });
+
+        breaker.recordFailure();
+        expect(breaker.canRequest()).toBe(true);
+
+        breaker.recordFailure();
+        expect(breaker.state).toBe('open');
+        expect(breaker.canRequest()).toBe(false);
+    });
+
+    test('a success resets the failure count', () => {
+        const breaker = new CircuitBreaker({ failureThreshold: 2 });
+
+        breaker.recordFailure();
+        breaker.recordSuccess();
+        breaker.recordFailure();
+
+        expect(breaker.state).toBe('closed');
+    });
+
+    test('lets a single probe through once the reset timeout passed', () => {
+        jest.useFakeTimers();
+        const breaker = new CircuitBreaker({ failureThreshold: 1, resetTimeout: 1000 });
+
+        breaker.recordFailure();
+        jest.advanceTimersByTime(1000);
+
+        expect(breaker.canRequest()).toBe(true);
+        expect(breaker.state).toBe('half_open');
+        // Only one probe at a time
+        expect(breaker.canRequest()).toBe(false);
+
+        breaker.recordSuccess();
+        expect(breaker.state).toBe('closed');
+    });
+
+    test('a failed probe opens the breaker again', () => {
+        jest.useFakeTimers();
+        const breaker = new CircuitBreaker({ failureThreshold: 3, resetTimeout: 1000 });
+
+        for (let i = 0; i < 3; i++) breaker.recordFailure();
+        jest.advanceTimersByTime(1000);
+        breaker.canRequest();
+        breaker.recordFailure();
+
+        expect(breaker.state).toBe('open');
+        expect(breaker.canRequest()).toBe(false);
+    });
+});
+
+describe('withTimeout', () => {
+    test('rejects with a TIMEOUT provider error', async () => {
+        const never = new Promise(() => {});
+
+        const error = await withTimeout(never, 10, { provider: 'fake', model: 'm' }).catch(e => e);
+
+        expect(error).toBeInstanceOf(AIProviderError);
+        expect(error.code).toBe('TIMEOUT');
+        expect(error.provider).toBe('fake');
+    });
+
+    test('passes through a result in time', async () => {
+        await expect(withTimeout(Promise.resolve('ok'), 100)).resolves.toBe('ok');
+    });
+});
+
+describe('retryWithBackoff', () => {
+    test('retries retryable errors until one attempt succeeds', async () => {
+        const fn = jest.fn()
+            .mockRejectedValueOnce(Object.assign(new Error('busy'), { status: 503 }))
+            .mockResolvedValueOnce('done');
+
+        await expect(retryWithBackoff(fn, { retries: 2, baseDelay: 1 })).resolves.toBe('done');
+        expect(fn).toHaveBeenCalledTimes(2);
+    });
+
+    test('gives up after the last retry', async () => {
+        const fn = jest.fn().mockRejectedValue(new Error('down'));
+
+        await expect(retryWithBackoff(fn, { retries: 2, baseDelay: 1 })).rejects.toThrow('down');
+        expect(fn).toHaveBeenCalledTimes(3);
+    });
+
+    test('does not retry client errors', async () => {
+        const fn = jest.fn().mockRejectedValue(Object.assign(new Error('bad request'), { status: 400 }));
+
+        await expect(retryWithBackoff(fn, { retries: 2, baseDelay: 1 })).rejects.toThrow('bad request');
+        expect(fn).toHaveBeenCalledTimes(1);
+    });
+
+    test('treats rate limits, 5xx and network errors as retryable', () => {
+        expect(isRetryable({ status: 429 })).toBe(true);
+        expect(isRetryable({ response: { status: 502 } })).toBe(true);
+        expect(isRetryable(new Error('ECONNRESET'))).toBe(true);
+        expect(isRetryable({ status: 401 })).toBe(false);
+    });
+});
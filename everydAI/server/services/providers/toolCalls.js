@@ -0,0 +1,22 @@
+/**
+ * Normalize chat-completions tool calls to { id, name, arguments }
+ * @param {Array<object>} toolCalls - message.tool_calls from the API
+ * @returns {Array<object>} - Arguments are parsed; unparseable ones are kept as { _raw }
+ */
+function parseToolCalls(toolCalls) {
+    return (toolCalls || [])
+        .filter(call => call.type === 'function' || call.function)
+        .map(call => {
+            let args;
+
+            try {
+                args = JSON.parse(call.function.arguments || '{}');
+            } catch (error) {
+                args = { _raw: call.function.arguments };
+            }
+
+            return { id: call.id, name: call.function.name, arguments: args };
+        });
+}
+
+module.exports = { parseToolCalls };
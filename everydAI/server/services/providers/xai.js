@@ -0,0 +1,17 @@
+const HttpChatProvider = require('./httpChat');
+
+/**
+ * xAI Grok provider (chat-completions API)
+ */
+class XAIProvider extends HttpChatProvider {
+    constructor(options = {}) {
+        super({
+            name: 'xai',
+            baseURL: options.baseURL || 'https://api.x.ai/v1',
+            apiKey: options.apiKey,
+            requiresKey: true
+        });
+    }
+}
+
+module.exports = XAIProvider;
@@ -0,0 +1,201 @@
+const { v4: uuidv4 } = require('uuid');
+const logger = require('../utils/logger');
+const whatsappClient = require('./whatsapp');
+const deviceManager = require('./deviceManager');
+
+// Suggestion sets kept around for !send
+const MAX_DRAFTS = 20;
+
+// Outgoing SMS kept for delivery tracking
+const MAX_DELIVERIES = 100;
+
+/**
+ * Suggested replies for important SMS: posted to the assistant group,
+ * sent through the phone that received the SMS with !send, and tracked
+ * until the phone reports the outcome
+ */
+class ReplyService {
+    constructor() {
+        // Suggestion sets by id, oldest first
+        this.drafts = new Map();
+        // Outgoing SMS by command id, oldest first
+        this.deliveries = new Map();
+    }
+
+    /**
+     * Keep a set of suggestions and post them to the assistant group
+     * @param {object} sms - SMS data ({ messageBody, phoneNumber })
+     * @param {object} device - Device that received the SMS
+     * @param {Array<string>} suggestions - Suggested replies
+     * @returns {Promise<object|null>} - Stored draft, or null if there was nothing to offer
+     */
+    async offer(sms, device, suggestions) {
+        if (!suggestions || suggestions.length === 0) {
+            return null;
+        }
+
+        const draft = {
+            id: uuidv4(),
+            sender: sms.phoneNumber,
+            messageBody: sms.messageBody,
+            suggestions,
+            deviceId: device ? device.id : null,
+            groupMessageId: null,
+            createdAt: new Date().toISOString()
+        };
+
+        this.drafts.set(draft.id, draft);
+        if (this.drafts.size > MAX_DRAFTS) {
+            this.drafts.delete(this.drafts.keys().next().value);
+        }
+
+        const posted = await whatsappClient.postToGroup(
+            `💡 *Suggested replies to ${sms.phoneNumber}*\n` +
+            suggestions.map((text, i) => `${i + 1}. ${text}`).join('\n') +
+            `\n\nReply *!send <number>* to send one (quote this message to answer an older SMS)`
+        );
+
+        if (posted) {
+            draft.groupMessageId = posted.id._serialized;
+        }
+
+        return draft;
+    }
+
+    /**
+     * Find the draft a !send refers to: the quoted suggestions message, or the latest one
+     * @param {Message} message - Command message
+     * @returns {Promise<object|null>}
+     */
+    async findDraft(message) {
+        if (message.hasQuotedMsg) {
+            const quoted = await message.getQuotedMessage();
+            const quotedId = quoted && quoted.id._serialized;
+
+            return Array.from(this.drafts.values()).find(d => d.groupMessageId === quotedId) || null;
+        }
+
+        return Array.from(this.drafts.values()).pop() || null;
+    }
+
+    /**
+     * Ask a device to send an SMS and start tracking it
+     * @param {string} deviceId - Device to send from
+     * @param {string} destination - Phone number
+     * @param {string} text - Message text
+     * @param {object} meta - { draftId, requestedBy }
+     * @returns {object} - Delivery record ({ commandId, status: pending|failed, ... })
+     */
+    dispatch(deviceId, destination, text, meta = {}) {
+        const delivery = {
+            commandId: uuidv4(),
+            deviceId,
+            destination,
+            message: text,
+            draftId: meta.draftId || null,
+            requestedBy: meta.requestedBy || null,
+            status: 'pending',
+            error: null,
+            createdAt: new Date().toISOString(),
+            updatedAt: new Date().toISOString()
+        };
+
+        const accepted = deviceManager.sendToDevice(deviceId, {
+            type: 'command',
+            command: 'sendSms',
+            commandId: delivery.commandId,
+            destination,
+            message: text
+        });
+
+        if (!accepted) {
+            delivery.status = 'failed';
+            delivery.error = 'Device is not connected';
+        }
+
+        this.deliveries.set(delivery.commandId, delivery);
+        if (this.deliveries.size > MAX_DELIVERIES) {
+            this.deliveries.delete(this.deliveries.keys().next().value);
+        }
+
+        logger.info(`SMS to ${destination} via ${deviceId}: ${delivery.status}`);
+        return delivery;
+    }
+
+    /**
+     * Record the outcome a device reported for a sendSms command
+     * @param {object} data - { commandId, success, status, error }
+     * @returns {Promise<object|null>} - Updated delivery, or null if the command is unknown
+     */
+    async handleCommandResult(data) {
+        const delivery = this.deliveries.get(data.commandId);
+
+        if (!delivery) {
+            logger.warn(`Result for unknown command: ${data.commandId}`);
+            return null;
+        }
+
+        delivery.status = data.status || (data.success ? 'sent' : 'failed');
+        delivery.error = data.success ? null : (data.error || 'Unknown error');
+        delivery.updatedAt = new Date().toISOString();
+
+        await whatsappClient.postToGroup(data.success
+            ? `✅ SMS to ${delivery.destination} ${delivery.status}`
+            : `❌ SMS to ${delivery.destination} failed: ${delivery.error}`);
+
+        return delivery;
+    }
+
+    /**
+     * Recent deliveries, newest first
+     * @param {number} limit - Max records
+     * @returns {Array<object>}
+     */
+    getDeliveries(limit = 50) {
+        return Array.from(this.deliveries.values()).slice(-limit).reverse();
+    }
+}
+
+// Create singleton instance
+const replyService = new ReplyService();
+
+/**
+ * Handle send command: send one of the suggested replies
+ * @param {Message} message - Message object
+ * @param {Array<string>} args - Command arguments
+ */
+async function handleSendCommand(message, args) {
+    const draft = await replyService.findDraft(message);
+
+    if (!draft) {
+        await message.reply('No suggested replies to send.');
+        return;
+    }
+
+    const choice = parseInt(args[0], 10);
+    if (!(choice >= 1 && choice <= draft.suggestions.length)) {
+        await message.reply(`Usage: !send <1-${draft.suggestions.length}>`);
+        return;
+    }
+
+    if (!draft.deviceId || !deviceManager.getDevice(draft.deviceId)) {
+        await message.reply(`The phone that received the SMS from ${draft.sender} is not connected.`);
+        return;
+    }
+
+    const contact = await message.getContact();
+    const delivery = replyService.dispatch(draft.deviceId, draft.sender, draft.suggestions[choice - 1], {
+        draftId: draft.id,
+        requestedBy: contact.pushname || contact.number
+    });
+
+    await message.reply(delivery.status === 'failed'
+        ? `❌ Could not send: ${delivery.error}`
+        : `📤 Sending to ${draft.sender}: "${delivery.message}"`);
+}
+
+whatsappClient.registerCommand('send', handleSendCommand);
+
+module.exports = replyService;
+module.exports.ReplyService = ReplyService;
+module.exports.handleSendCommand = handleSendCommand;
@@ -0,0 +1,215 @@
+jest.mock('./whatsapp', () => ({
+    registerCommand: jest.fn(),
+    postToGroup: jest.fn()
+}));
+
+jest.mock('./deviceManager', () => ({
+    getDevice: jest.fn(),
+    sendToDevice: jest.fn()
+}));
+
+const whatsappClient = require('./whatsapp');
+const deviceManager = require('./deviceManager');
+const replyService = require('./replies');
+const { handleSendCommand } = require('./replies');
+
+const SMS = { phoneNumber: '+15550001', messageBody: 'Are you coming tonight?' };
+const PHONE = { id: 'phone' };
+
+/**
+ * A !send message in the assistant group
+ * @param {string} [quotedId] - Id of the group message it quotes
+ * @returns {object}
+ */
+function message(quotedId) {
+    return {
+        hasQuotedMsg: Boolean(quotedId),
+        getQuotedMessage: jest.fn().mockResolvedValue(quotedId ? { id: { _serialized: quotedId } } : null),
+        getContact: jest.fn().mockResolvedValue({ pushname: 'Alice', number: '15550002' }),
+        reply: jest.fn().mockResolvedValue()
+    };
+}
+
+/**
+ * Offer suggestions, posted to the group as the given message
+ * @param {string} groupMessageId - Id of the posted group message
+ * @param {Array<string>} [suggestions] - Suggested replies
+ * @returns {Promise<object>}
+ */
+function offer(groupMessageId, suggestions = ['Yes, see you there', 'Running late']) {
+    whatsappClient.postToGroup.mockResolvedValueOnce({ id: { _serialized: groupMessageId } });
+    return replyService.offer(SMS, PHONE, suggestions);
+}
+
+describe('ReplyService', () => {
+    beforeEach(() => {
+        replyService.drafts.clear();
+        replyService.deliveries.clear();
+        whatsappClient.postToGroup.mockReset();
+        deviceManager.getDevice.mockReset().mockReturnValue(PHONE);
+        deviceManager.sendToDevice.mockReset().mockReturnValue(true);
+    });
+
+    describe('offer', () => {
+        test('posts the numbered suggestions and keeps a draft', async () => {
+            const draft = await offer('msg-1');
+
+            expect(whatsappClient.postToGroup).toHaveBeenCalledWith(
+                '💡 *Suggested replies to +15550001*\n1. Yes, see you there\n2. Running late\n\n' +
+                'Reply *!send <number>* to send one (quote this message to answer an older SMS)'
+            );
+            expect(draft).toMatchObject({
+                sender: '+15550001',
+                messageBody: SMS.messageBody,
+                deviceId: 'phone',
+                groupMessageId: 'msg-1'
+            });
+            expect(replyService.drafts.get(draft.id)).toBe(draft);
+        });
+
+        test('offers nothing without suggestions', async () => {
+            expect(await replyService.offer(SMS, PHONE, [])).toBeNull();
+            expect(whatsappClient.postToGroup).not.toHaveBeenCalled();
+        });
+
+        test('keeps the draft when the group post fails', async () => {
+            whatsappClient.postToGroup.mockResolvedValueOnce(null);
+
+            const draft = await replyService.offer(SMS, PHONE, ['Yes']);
+
+            expect(draft.groupMessageId).toBeNull();
+            expect(replyService.drafts.size).toBe(1);
+        });
+    });
+
+    describe('!send', () => {
+        test('sends the chosen suggestion through the phone that got the SMS', async () => {
+            const draft = await offer('msg-1');
+            const msg = message();
+
+            await handleSendCommand(msg, ['2']);
+
+            expect(deviceManager.sendToDevice).toHaveBeenCalledWith('phone', expect.objectContaining({
+                type: 'command',
+                command: 'sendSms',
+                destination: '+15550001',
+                message: 'Running late'
+            }));
+            expect(replyService.getDeliveries()).toEqual([expect.objectContaining({
+                draftId: draft.id,
+                requestedBy: 'Alice',
+                status: 'pending'
+            })]);
+            expect(msg.reply).toHaveBeenCalledWith('📤 Sending to +15550001: "Running late"');
+        });
+
+        test('answers the quoted suggestions, not the latest', async () => {
+            await offer('msg-1', ['First SMS reply']);
+            await offer('msg-2', ['Second SMS reply']);
+
+            await handleSendCommand(message('msg-1'), ['1']);
+
+            expect(deviceManager.sendToDevice).toHaveBeenCalledWith('phone', expect.objectContaining({ message: 'First SMS reply' }));
+        });
+
+        test('a quoted message that is not a draft sends nothing', async () => {
+            await offer('msg-1');
+            const msg = message('msg-unknown');
+
+            await handleSendCommand(msg, ['1']);
+
+            expect(deviceManager.sendToDevice).not.toHaveBeenCalled();
+            expect(msg.reply).toHaveBeenCalledWith('No suggested replies to send.');
+        });
+
+        test('a draft pushed out by newer ones sends nothing', async () => {
+            await offer('msg-stale');
+            for (let i = 0; i < 20; i++) {
+                await offer(`msg-${i}`);
+            }
+            const msg = message('msg-stale');
+
+            await handleSendCommand(msg, ['1']);
+
+            expect(deviceManager.sendToDevice).not.toHaveBeenCalled();
+            expect(msg.reply).toHaveBeenCalledWith('No suggested replies to send.');
+        });
+
+        test('nothing is sent without drafts', async () => {
+            const msg = message();
+
+            await handleSendCommand(msg, ['1']);
+
+            expect(msg.reply).toHaveBeenCalledWith('No suggested replies to send.');
+        });
+
+        test.each([[[]], [['0']], [['3']], [['two']]])('an invalid choice %j shows the usage', async args => {
+            await offer('msg-1');
+            const msg = message();
+
+            await handleSendCommand(msg, args);
+
+            expect(deviceManager.sendToDevice).not.toHaveBeenCalled();
+            expect(msg.reply).toHaveBeenCalledWith('Usage: !send <1-2>');
+        });
+
+        test('nothing is sent when the phone is gone', async () => {
+            await offer('msg-1');
+            deviceManager.getDevice.mockReturnValue(undefined);
+            const msg = message();
+
+            await handleSendCommand(msg, ['1']);
+
+            expect(deviceManager.sendToDevice).not.toHaveBeenCalled();
+            expect(msg.reply).toHaveBeenCalledWith('The phone that received the SMS from +15550001 is not connected.');
+        });
+
+        test('a phone that drops the command fails the delivery', async () => {
+            await offer('msg-1');
+            deviceManager.sendToDevice.mockReturnValue(false);
+            const msg = message();
+
+            await handleSendCommand(msg, ['1']);
+
+            expect(replyService.getDeliveries()[0]).toMatchObject({ status: 'failed', error: 'Device is not connected' });
+            expect(msg.reply).toHaveBeenCalledWith('❌ Could not send: Device is not connected');
+        });
+    });
+
+    describe('handleCommandResult', () => {
+        let delivery;
+
+        beforeEach(() => {
+            delivery = replyService.dispatch('phone', '+15550001', 'Running late', { requestedBy: 'Alice' });
+        });
+
+        test('records a sent SMS and tells the group', async () => {
+            const updated = await replyService.handleCommandResult({ commandId: delivery.commandId, success: true, status: 'delivered' });
+
+            expect(updated).toMatchObject({ status: 'delivered', error: null });
+            expect(whatsappClient.postToGroup).toHaveBeenCalledWith('✅ SMS to +15550001 delivered');
+        });
+
+        test('a success without a status counts as sent', async () => {
+            expect(await replyService.handleCommandResult({ commandId: delivery.commandId, success: true }))
+                .toMatchObject({ status: 'sent' });
+        });
+
+        test('records a failure and its reason', async () => {
+            const updated = await replyService.handleCommandResult({ commandId: delivery.commandId, success: false, error: 'No signal' });
+
+            expect(updated).toMatchObject({ status: 'failed', error: 'No signal' });
+            expect(whatsappClient.postToGroup).toHaveBeenCalledWith('❌ SMS to +15550001 failed: No signal');
+        });
+
+        test('a failure without a reason is an unknown error', async () => {
+            expect(await replyService.handleCommandResult({ commandId: delivery.commandId, success: false }))
+                .toMatchObject({ status: 'failed', error: 'Unknown error' });
+        });
+
+        test('an unknown command is ignored', async () => {
+            expect(await replyService.handleCommandResult({ commandId: 'missing', success: true })).toBeNull();
+            expect(whatsappClient.postToGroup).not.toHaveBeenCalled();
+        });
+    });
+});
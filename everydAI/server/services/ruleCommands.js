@@ -0,0 +1,266 @@
+const whatsappClient = require('./whatsapp');
+const { aiService } = require('./ai');
+const { parseDuration, formatUntil } = require('../utils/time');
+
+// Words that scope !ignore to a content type
+const IGNORE_TYPES = {
+    sms: 'sms',
+    notification: 'notification',
+    notifications: 'notification',
+    whatsapp: 'whatsapp'
+};
+
+const IGNORE_USAGE = 'Usage: !ignore [sms | notification | app <package> | from <number>] "phrase" [for 2h]\n' +
+    'e.g. !ignore sms "promo code", !ignore app com.facebook.katana, !ignore from +1555 for 1d';
+
+/**
+ * Split command arguments into words, keeping "quoted phrases" together
+ * @param {Array<string>} args - Command arguments
+ * @returns {Array<string>}
+ */
+function tokenize(args) {
+    const tokens = [];
+    // WhatsApp may turn straight quotes into curly ones
+    const pattern = /["“”]([^"“”]*)["“”]|(\S+)/g;
+    const text = args.join(' ');
+    let match;
+
+    while ((match = pattern.exec(text)) !== null) {
+        tokens.push(match[1] !== undefined ? match[1] : match[2]);
+    }
+
+    return tokens;
+}
+
+/**
+ * Turn !ignore arguments into a rule engine rule that drops the matching items
+ * @param {Array<string>} args - Command arguments
+ * @returns {object} - { rule: { type, name, when, then, expiresAt } } or { error }
+ */
+function parseIgnore(args) {
+    const tokens = tokenize(args);
+    const conditions = [];
+    const name = ['Ignore'];
+    let expiresAt = null;
+
+    // "... for 2h"
+    if (tokens.length > 2 && tokens[tokens.length - 2].toLowerCase() === 'for') {
+        const duration = parseDuration(tokens[tokens.length - 1]);
+
+        if (!duration) {
+            return { error: `Can't read the duration "${tokens[tokens.length - 1]}" (try 30m, 2h or 1d)` };
+        }
+
+        expiresAt = new Date(Date.now() + duration).toISOString();
+        tokens.splice(-2);
+    }
+
+    const scope = (tokens[0] || '').toLowerCase();
+    let scopedToSource = false;
+
+    if (IGNORE_TYPES[scope]) {
+        conditions.push({ field: 'type', equals: IGNORE_TYPES[scope] });
+        name.push(IGNORE_TYPES[scope]);
+        tokens.shift();
+    } else if (scope === 'app' || scope === 'from') {
+        if (!tokens[1]) {
+            // "!ignore app" names no app; it isn't a phrase either
+            return { error: IGNORE_USAGE };
+        }
+
+        conditions.push(scope === 'app'
+            ? { any: [{ field: 'packageName', equals: tokens[1] }, { field: 'appName', equals: tokens[1] }] }
+            : { field: 'sender', startsWith: tokens[1] });
+        name.push(`${scope} ${tokens[1]}`);
+        scopedToSource = true;
+        tokens.splice(0, 2);
+    } else {
+        name.push('anything');
+    }
+
+    const phrase = tokens.join(' ').trim();
+
+    if (phrase) {
+        conditions.push({ field: 'content', contains: phrase });
+        name.push(`containing "${phrase}"`);
+    } else if (!scopedToSource) {
+        // Without a phrase this would drop everything of a type
+        return { error: IGNORE_USAGE };
+    }
+
+    return {
+        rule: {
+            type: 'engine',
+            name: name.join(' '),
+            when: conditions.length === 1 ? conditions[0] : { all: conditions },
+            then: { drop: true },
+            expiresAt
+        }
+    };
+}
+
+/**
+ * Handle ignore command: add a rule that drops matching items
+ * @param {Message} message - Message object
+ * @param {Array<string>} args - Command arguments
+ */
+async function handleIgnoreCommand(message, args) {
+    const { rule: fields, error } = parseIgnore(args);
+
+    if (error) {
+        await message.reply(error);
+        return;
+    }
+
+    const contact = await message.getContact();
+    const { rule, errors } = aiService.addRule(fields, { source: 'manual', createdBy: contact.pushname || contact.number });
+
+    if (!rule) {
+        await message.reply(`Couldn't add the rule: ${errors.join('; ')}`);
+        return;
+    }
+
+    await message.reply(`🔕 Rule ${rule.id} added: ${rule.name}` +
+        `${rule.expiresAt ? ` until ${formatUntil(new Date(rule.expiresAt))}` : ''}\n` +
+        `Undo with *!unignore ${rule.id}*`);
+}
+
+/**
+ * Handle unignore command: remove a rule
+ * @param {Message} message - Message object
+ * @param {Array<string>} args - Command arguments
+ */
+async function handleUnignoreCommand(message, args) {
+    const id = args[0];
+    const rule = id && aiService.ruleStore.get(id);
+
+    if (!rule) {
+        await message.reply(id
+            ? `No rule ${id}. *!rules list* shows the rule ids.`
+            : 'Usage: !unignore <rule id> (see !rules list)');
+        return;
+    }
+
+    aiService.removeRule(rule.id);
+    await message.reply(`🔔 Rule ${rule.id} removed: ${aiService.ruleStore.describe(rule)}`);
+}
+
+/**
+ * Handle rules command: list rules, review suggested rules, see what rules
+ * filtered, report false positives and re-enable disabled rules
+ * @param {Message} message - Message object
+ * @param {Array<string>} args - Command arguments
+ */
+async function handleRulesCommand(message, args) {
+    const subcommand = (args[0] || 'pending').toLowerCase();
+    const id = args[1];
+
+    if (subcommand === 'list') {
+        const rules = aiService.ruleStore.list();
+
+        await message.reply(rules.length === 0
+            ? 'No filter rules.'
+            : `*Filter rules*\n${rules.map(rule =>
+                `*${rule.id}* ${aiService.ruleStore.describe(rule)}` +
+                `${rule.enabled ? '' : ' (off)'}` +
+                `${rule.expiresAt ? ` (until ${formatUntil(new Date(rule.expiresAt))})` : ''}` +
+                `${rule.source === 'ai' ? ' (suggested)' : ''}`
+            ).join('\n')}\n\nRemove one with *!unignore <id>*`);
+        return;
+    }
+
+    if (subcommand === 'pending') {
+        const pending = aiService.ruleReview.list();
+
+        await message.reply(pending.length === 0
+            ? 'No suggested rules waiting for review.'
+            : `*Suggested rules*\n${pending.map(entry => aiService.ruleReview.describe(entry)).join('\n')}`);
+        return;
+    }
+
+    if (subcommand === 'approve' || subcommand === 'reject') {
+        if (!id) {
+            await message.reply(`Usage: !rules ${subcommand} <id>`);
+            return;
+        }
+
+        const contact = await message.getContact();
+        const by = contact.pushname || contact.number;
+        const entry = subcommand === 'approve'
+            ? aiService.approveSuggestedRule(id, by)
+            : aiService.rejectSuggestedRule(id, by);
+
+        if (!entry) {
+            await message.reply(`No suggested rule with id ${id}.`);
+        } else if (subcommand === 'approve') {
+            await message.reply(`✅ Rule ${entry.ruleId} active: ignore ${entry.type.replace(/_ignore$/, '')} containing "${entry.pattern}"`);
+        } else {
+            await message.reply(`🚫 Rule ${id} rejected; "${entry.pattern}" won't be suggested again.`);
+        }
+        return;
+    }
+
+    if (subcommand === 'filtered') {
+        const filtered = aiService.ruleStats.getFiltered(10);
+
+        await message.reply(filtered.length === 0
+            ? 'Nothing was filtered by a rule recently.'
+            : `*Recently filtered*\n${filtered.map(item =>
+                `*${item.itemId}* ${item.type} from ${item.source || 'unknown'} by "${item.ruleName}"` +
+                `${item.reportedAt ? ' (reported)' : ''}\n   ${item.content.replace(/\s+/g, ' ').substring(0, 80)}`
+            ).join('\n')}\n\nReply *!rules fp <id>* if one of them was important`);
+        return;
+    }
+
+    if (subcommand === 'fp') {
+        if (!id) {
+            await message.reply('Usage: !rules fp <id> (ids are listed by !rules filtered)');
+            return;
+        }
+
+        const contact = await message.getContact();
+        const report = await aiService.reportFalsePositive(id, contact.pushname || contact.number);
+
+        await message.reply(!report
+            ? `No filtered item ${id}, or it was already reported.`
+            : `Noted: "${report.item.ruleName}" shouldn't have filtered that ` +
+                `(${report.stats.falsePositives} of ${report.stats.hits} matches reported)` +
+                `${report.disabled ? '. The rule is now disabled.' : '.'}`);
+        return;
+    }
+
+    if (subcommand === 'stats') {
+        const rules = aiService.getRuleSet()
+            .map(rule => ({ rule, stats: aiService.ruleStats.get(rule.id) }))
+            .sort((a, b) => b.stats.hits - a.stats.hits)
+            .slice(0, 15);
+
+        await message.reply(`*Rule stats* (most hits first)\n${rules.map(({ rule, stats }) =>
+            `${rule.enabled === false ? '⏸️' : '✅'} ${rule.name}: ${stats.hits} hits` +
+            `${stats.falsePositives > 0 ? `, ${stats.falsePositives} false positives` : ''}` +
+            `${stats.lastHitAt ? `, last ${new Date(stats.lastHitAt).toLocaleDateString()}` : ''}` +
+            `${stats.disabled ? ` (disabled: ${stats.disabled.reason})` : ''}`
+        ).join('\n')}`);
+        return;
+    }
+
+    if (subcommand === 'enable') {
+        await message.reply(id && aiService.enableRule(id)
+            ? `Rule ${id} enabled again.`
+            : `No disabled rule with id ${id}.`);
+        return;
+    }
+
+    await message.reply('Usage: !rules [list | pending | approve <id> | reject <id> | filtered | fp <id> | stats | enable <id>]');
+}
+
+whatsappClient.registerCommand('ignore', handleIgnoreCommand);
+whatsappClient.registerCommand('unignore', handleUnignoreCommand);
+whatsappClient.registerCommand('rules', handleRulesCommand);
+
+module.exports = {
+    parseIgnore,
+    handleIgnoreCommand,
+    handleUnignoreCommand,
+    handleRulesCommand
+};
@@ -0,0 +1,161 @@
+jest.mock('./whatsapp', () => ({
+    isReady: false,
+    registerCommand: jest.fn()
+}));
+
+const { aiService } = require('./ai');
+const { parseIgnore, handleIgnoreCommand, handleUnignoreCommand, handleRulesCommand } = require('./ruleCommands');
+
+/**
+ * A WhatsApp command message
+ * @returns {object}
+ */
+function message() {
+    return {
+        reply: jest.fn().mockResolvedValue(),
+        getContact: jest.fn().mockResolvedValue({ pushname: 'Alice', number: '15550001' })
+    };
+}
+
+/**
+ * Command arguments the way the WhatsApp client splits them
+ * @param {string} text - Text after the command
+ * @returns {Array<string>}
+ */
+function args(text) {
+    return text.split(/\s+/).filter(Boolean);
+}
+
+describe('parseIgnore', () => {
+    test.each([
+        ['sms "promo code"', { all: [{ field: 'type', equals: 'sms' }, { field: 'content', contains: 'promo code' }] }, 'Ignore sms containing "promo code"'],
+        ['notifications “sale”', { all: [{ field: 'type', equals: 'notification' }, { field: 'content', contains: 'sale' }] }, 'Ignore notification containing "sale"'],
+        ['app com.facebook.katana', { any: [{ field: 'packageName', equals: 'com.facebook.katana' }, { field: 'appName', equals: 'com.facebook.katana' }] }, 'Ignore app com.facebook.katana'],
+        ['from +1555', { field: 'sender', startsWith: '+1555' }, 'Ignore from +1555'],
+        ['from +1555 "survey"', { all: [{ field: 'sender', startsWith: '+1555' }, { field: 'content', contains: 'survey' }] }, 'Ignore from +1555 containing "survey"'],
+        ['"lottery winner"', { field: 'content', contains: 'lottery winner' }, 'Ignore anything containing "lottery winner"']
+    ])('!ignore %s', (text, when, name) => {
+        expect(parseIgnore(args(text))).toEqual({
+            rule: { type: 'engine', name, when, then: { drop: true }, expiresAt: null }
+        });
+    });
+
+    test('"for 2h" makes the rule expire', () => {
+        jest.useFakeTimers({ now: new Date('2026-03-02T09:00:00Z') });
+
+        try {
+            const { rule } = parseIgnore(args('from +1555 for 2h'));
+
+            expect(rule.when).toEqual({ field: 'sender', startsWith: '+1555' });
+            expect(rule.expiresAt).toBe('2026-03-02T11:00:00.000Z');
+        } finally {
+            jest.useRealTimers();
+        }
+    });
+
+    test.each(['soon', '2x', '0h', '-1d'])('an invalid duration (%s) is an error', duration => {
+        expect(parseIgnore(args(`sms "promo" for ${duration}`))).toEqual({
+            error: `Can't read the duration "${duration}" (try 30m, 2h or 1d)`
+        });
+    });
+
+    test('an unknown scope word is part of the phrase', () => {
+        expect(parseIgnore(args('email newsletter')).rule).toMatchObject({
+            name: 'Ignore anything containing "email newsletter"',
+            when: { field: 'content', contains: 'email newsletter' }
+        });
+    });
+
+    test.each([
+        ['nothing', ''],
+        ['a type without a phrase', 'sms'],
+        ['app without a package', 'app'],
+        ['from without a number', 'from'],
+        ['only a duration', 'sms for 2h']
+    ])('%s is an error', (label, text) => {
+        expect(parseIgnore(args(text)).error).toMatch(/^Usage: !ignore/);
+    });
+});
+
+describe('rule commands', () => {
+    const added = [];
+
+    afterEach(() => {
+        added.splice(0).forEach(id => aiService.removeRule(id));
+    });
+
+    /**
+     * Run !ignore and return the rule it added
+     * @param {string} text - Command arguments
+     * @returns {Promise<object>}
+     */
+    async function ignore(text) {
+        const before = new Set(aiService.ruleStore.list().map(rule => rule.id));
+        await handleIgnoreCommand(message(), args(text));
+
+        const rule = aiService.ruleStore.list().find(candidate => !before.has(candidate.id));
+        added.push(rule.id);
+        return rule;
+    }
+
+    test('!ignore adds the rule and tells how to undo it', async () => {
+        const msg = message();
+        await handleIgnoreCommand(msg, args('sms "promo code"'));
+
+        const rule = aiService.ruleStore.list().find(candidate => candidate.name === 'Ignore sms containing "promo code"');
+        added.push(rule.id);
+
+        expect(rule).toMatchObject({ source: 'manual', enabled: true });
+        expect(msg.reply).toHaveBeenCalledWith(`🔕 Rule ${rule.id} added: ${rule.name}\nUndo with *!unignore ${rule.id}*`);
+    });
+
+    test('!ignore with an invalid duration adds nothing', async () => {
+        const count = aiService.ruleStore.list().length;
+        const msg = message();
+        await handleIgnoreCommand(msg, args('sms "promo" for soon'));
+
+        expect(aiService.ruleStore.list()).toHaveLength(count);
+        expect(msg.reply).toHaveBeenCalledWith(expect.stringContaining('Can\'t read the duration "soon"'));
+    });
+
+    test('!unignore removes the rule', async () => {
+        const rule = await ignore('app com.example.ads');
+        const msg = message();
+        await handleUnignoreCommand(msg, [rule.id]);
+
+        expect(aiService.ruleStore.get(rule.id)).toBeFalsy();
+        expect(msg.reply).toHaveBeenCalledWith(`🔔 Rule ${rule.id} removed: Ignore app com.example.ads`);
+    });
+
+    test('!unignore an unknown id points at !rules list', async () => {
+        const msg = message();
+        await handleUnignoreCommand(msg, ['missing']);
+
+        expect(msg.reply).toHaveBeenCalledWith('No rule missing. *!rules list* shows the rule ids.');
+    });
+
+    test('!unignore without an id shows the usage', async () => {
+        const msg = message();
+        await handleUnignoreCommand(msg, []);
+
+        expect(msg.reply).toHaveBeenCalledWith('Usage: !unignore <rule id> (see !rules list)');
+    });
+
+    test('!rules list shows each rule with its id', async () => {
+        const rule = await ignore('from +1555 "survey"');
+        const msg = message();
+        await handleRulesCommand(msg, ['list']);
+
+        const [reply] = msg.reply.mock.calls[0];
+        expect(reply).toMatch(/^\*Filter rules\*\n/);
+        expect(reply).toContain(`*${rule.id}* Ignore from +1555 containing "survey"`);
+        expect(reply).toMatch(/Remove one with \*!unignore <id>\*$/);
+    });
+
+    test('!rules with an unknown subcommand shows the usage', async () => {
+        const msg = message();
+        await handleRulesCommand(msg, ['frobnicate']);
+
+        expect(msg.reply).toHaveBeenCalledWith(expect.stringMatching(/^Usage: !rules \[list/));
+    });
+});
@@ -0,0 +1,454 @@
+const logger = require('../utils/logger');
+const { parseTime, inTimeWindow } = require('../utils/time');
+const semanticRuleMatcher = require('./semanticRules');
+const categoryTaxonomy = require('./categories');
+
+// Event fields a condition can look at ("device" is the device id or model)
+const FIELDS = ['type', 'content', 'title', 'text', 'app', 'packageName', 'appName', 'sender', 'device'];
+
+// Field matchers; all string comparisons ignore case
+const MATCHERS = ['equals', 'contains', 'startsWith', 'regex', 'in'];
+
+const ACTIONS = ['drop', 'important', 'category', 'forward', 'reply', 'suppressMinutes'];
+
+/**
+ * Format a moment as HH:MM
+ * @param {number} timestamp - Milliseconds
+ * @returns {string}
+ */
+function clock(timestamp) {
+    return new Date(timestamp).toTimeString().substring(0, 5);
+}
+
+/**
+ * Ordered filter rules: the first enabled rule whose condition matches
+ * decides what happens to an item.
+ *
+ * Rule: { id, name, enabled, when: condition, then: actions }
+ *
+ * Conditions:
+ * - { field, equals|contains|startsWith|regex|in, flags } - field matcher (regex flags default to "i")
+ * - { time: { from: 'HH:MM', to: 'HH:MM', days: [0-6] } } - time of day
+ * - { similarTo: { examples: [...], threshold } } - semantic similarity of the content
+ * - { all: [...] }, { any: [...] }, { not: condition } - boolean combinators
+ * - { atLeast: n, of: [...] } - threshold: n of the conditions match
+ *
+ * Actions: { drop, important, category, forward, reply, suppressMinutes }
+ */
+class RuleEngine {
+    /**
+     * @param {object} options - Engine options
+     * @param {object} [options.matcher] - Semantic rule matcher (for similarTo)
+     * @param {object} [options.taxonomy] - Category taxonomy (for the category action)
+     */
+    constructor(options = {}) {
+        this.matcher = options.matcher || semanticRuleMatcher;
+        this.taxonomy = options.taxonomy || categoryTaxonomy;
+        // "ruleId:source" -> suppressed until (ms)
+        this.suppressions = new Map();
+        this.regexCache = new Map();
+    }
+
+    /**
+     * Check a rule definition
+     * @param {object} rule - Rule
+     * @returns {Array<string>} - Errors, empty when valid
+     */
+    validateRule(rule) {
+        const errors = [];
+
+        if (!rule || typeof rule !== 'object') {
+            return ['rule must be an object'];
+        }
+
+        if (typeof rule.name !== 'string' || !rule.name.trim()) {
+            errors.push('rule.name is required');
+        }
+
+        if (rule.enabled !== undefined && typeof rule.enabled !== 'boolean') {
+            errors.push('rule.enabled must be boolean');
+        }
+
+        if (!rule.when) {
+            errors.push('rule.when is required');
+        } else {
+            errors.push(...this.validateCondition(rule.when, 'rule.when'));
+        }
+
+        errors.push(...this.validateActions(rule.then, 'rule.then'));
+        return errors;
+    }
+
+    /**
+     * Check a condition tree
+     * @param {object} condition - Condition
+     * @param {string} at - Path used in error messages
+     * @returns {Array<string>}
+     */
+    validateCondition(condition, at) {
+        if (!condition || typeof condition !== 'object' || Array.isArray(condition)) {
+            return [`${at} must be an object`];
+        }
+
+        const list = (key) => {
+            if (!Array.isArray(condition[key]) || condition[key].length === 0) {
+                return [`${at}.${key} must be a non-empty array`];
+            }
+            return condition[key].flatMap((child, i) => this.validateCondition(child, `${at}.${key}[${i}]`));
+        };
+
+        if (condition.all !== undefined) {
+            return list('all');
+        }
+
+        if (condition.any !== undefined) {
+            return list('any');
+        }
+
+        if (condition.not !== undefined) {
+            return this.validateCondition(condition.not, `${at}.not`);
+        }
+
+        if (condition.atLeast !== undefined) {
+            const errors = list('of');
+            if (!Number.isInteger(condition.atLeast) || condition.atLeast < 1) {
+                errors.push(`${at}.atLeast must be a positive integer`);
+            }
+            return errors;
+        }
+
+        if (condition.time !== undefined) {
+            const { from, to, days } = condition.time || {};
+            const errors = [];
+            if (parseTime(from) === null || parseTime(to) === null) {
+                errors.push(`${at}.time needs from and to as HH:MM`);
+            }
+            if (days !== undefined && (!Array.isArray(days) || !days.every(d => Number.isInteger(d) && d >= 0 && d <= 6))) {
+                errors.push(`${at}.time.days must be day numbers 0-6 (0 = Sunday)`);
+            }
+            return errors;
+        }
+
+        if (condition.similarTo !== undefined) {
+            const { examples, threshold } = condition.similarTo || {};
+            const errors = [];
+            if (!Array.isArray(examples) || examples.length === 0 || !examples.every(e => typeof e === 'string' && e.trim())) {
+                errors.push(`${at}.similarTo.examples must be a non-empty list of texts`);
+            }
+            if (threshold !== undefined && !(threshold >= 0 && threshold <= 1)) {
+                errors.push(`${at}.similarTo.threshold must be between 0 and 1`);
+            }
+            return errors;
+        }
+
+        if (condition.field !== undefined) {
+            const errors = [];
+            const matchers = MATCHERS.filter(m => condition[m] !== undefined);
+
+            if (!FIELDS.includes(condition.field)) {
+                errors.push(`${at}.field must be one of ${FIELDS.join(', ')}`);
+            }
+
+            if (matchers.length !== 1) {
+                errors.push(`${at} needs exactly one of ${MATCHERS.join(', ')}`);
+            } else if (matchers[0] === 'in') {
+                if (!Array.isArray(condition.in) || !condition.in.every(v => typeof v === 'string')) {
+                    errors.push(`${at}.in must be a list of strings`);
+                }
+            } else if (typeof condition[matchers[0]] !== 'string') {
+                errors.push(`${at}.${matchers[0]} must be a string`);
+            } else if (matchers[0] === 'regex') {
+                try {
+                    this.regex(condition.regex, condition.flags);
+                } catch (error) {
+                    errors.push(`${at}.regex is invalid: ${error.message}`);
+                }
+            }
+
+            return errors;
+        }
+
+        return [`${at} must have one of field, time, similarTo, all, any, not, atLeast`];
+    }
+
+    /**
+     * Check a rule's actions
+     * @param {object} actions - Actions
+     * @param {string} at - Path used in error messages
+     * @returns {Array<string>}
+     */
+    validateActions(actions, at) {
+        if (!actions || typeof actions !== 'object' || Object.keys(actions).length === 0) {
+            return [`${at} needs at least one action (${ACTIONS.join(', ')})`];
+        }
+
+        const errors = Object.keys(actions)
+            .filter(key => !ACTIONS.includes(key))
+            .map(key => `${at}.${key} is not an action (${ACTIONS.join(', ')})`);
+
+        for (const flag of ['drop', 'important', 'forward']) {
+            if (actions[flag] !== undefined && typeof actions[flag] !== 'boolean') {
+                errors.push(`${at}.${flag} must be boolean`);
+            }
+        }
+
+        if (actions.drop && actions.important) {
+            errors.push(`${at} can't both drop and mark important`);
+        }
+
+        if (actions.category !== undefined && !this.taxonomy.names().includes(actions.category)) {
+            errors.push(`${at}.category must be one of ${this.taxonomy.names().join(', ')}`);
+        }
+
+        if (actions.reply !== undefined && (typeof actions.reply !== 'string' || !actions.reply.trim())) {
+            errors.push(`${at}.reply must be a template text`);
+        }
+
+        if (actions.suppressMinutes !== undefined && !(actions.suppressMinutes > 0)) {
+            errors.push(`${at}.suppressMinutes must be a positive number`);
+        }
+
+        return errors;
+    }
+
+    /**
+     * Example texts of the similarTo conditions in a set of rules
+     * @param {Array<object>} rules - Rules
+     * @returns {Array<string>}
+     */
+    examplesOf(rules) {
+        const collect = (condition) => {
+            if (!condition || typeof condition !== 'object') {
+                return [];
+            }
+            if (condition.similarTo) {
+                return condition.similarTo.examples || [];
+            }
+            const children = condition.all || condition.any || condition.of || (condition.not ? [condition.not] : []);
+            return children.flatMap(collect);
+        };
+
+        return [...new Set(rules.flatMap(rule => collect(rule.when)))];
+    }
+
+    /**
+     * Compile (and cache) a regex
+     * @param {string} pattern - Pattern
+     * @param {string} [flags] - Flags, "i" by default
+     * @returns {RegExp}
+     */
+    regex(pattern, flags = 'i') {
+        // Stateful flags would make test() depend on the previous call
+        flags = flags.replace(/[gy]/g, '');
+        const key = `${flags}/${pattern}`;
+
+        if (!this.regexCache.has(key)) {
+            this.regexCache.set(key, new RegExp(pattern, flags));
+        }
+
+        return this.regexCache.get(key);
+    }
+
+    /**
+     * Values of an event field
+     * @param {object} event - Event
+     * @param {string} field - Field name
+     * @returns {Array<string>}
+     */
+    fieldValues(event, field) {
+        if (field === 'device') {
+            return [event.deviceId, event.deviceName].filter(Boolean);
+        }
+
+        if (field === 'app') {
+            return [event.appName || event.packageName].filter(Boolean);
+        }
+
+        return event[field] !== undefined && event[field] !== null ? [String(event[field])] : [];
+    }
+
+    /**
+     * Check a condition against an event
+     * @param {object} condition - Condition
+     * @param {object} event - { type, content, title, text, packageName, appName, sender, deviceId, deviceName, at }
+     * @returns {Promise<object>} - { matched, reasons: [string], details: [string] }
+     */
+    async check(condition, event) {
+        const leaf = (label, matched, detail) => ({
+            matched,
+            reasons: [`${matched ? '✓' : '✗'} ${label}`],
+            details: matched && detail ? [detail] : []
+        });
+
+        if (condition.all || condition.any) {
+            const wantAll = Boolean(condition.all);
+            const result = { matched: wantAll, reasons: [], details: [] };
+
+            // Stops at the first condition that decides the outcome
+            for (const child of condition.all || condition.any) {
+                const checked = await this.check(child, event);
+                result.reasons.push(...checked.reasons);
+                result.details.push(...checked.details);
+
+                if (checked.matched !== wantAll) {
+                    result.matched = !wantAll;
+                    break;
+                }
+            }
+
+            return result;
+        }
+
+        if (condition.not) {
+            const checked = await this.check(condition.not, event);
+            return leaf(`not (${checked.reasons.map(r => r.substring(2)).join(', ')})`, !checked.matched);
+        }
+
+        if (condition.atLeast !== undefined) {
+            let count = 0;
+
+            for (const child of condition.of) {
+                if ((await this.check(child, event)).matched) {
+                    count++;
+                }
+            }
+
+            return leaf(`${count} of ${condition.of.length} conditions (at least ${condition.atLeast})`,
+                count >= condition.atLeast, String(count));
+        }
+
+        if (condition.time) {
+            const { from, to, days } = condition.time;
+            return leaf(`time ${from}-${to}${days ? ` on days ${days.join(',')}` : ''}`,
+                inTimeWindow(event.at || new Date(), condition.time));
+        }
+
+        if (condition.similarTo) {
+            const { examples, threshold } = condition.similarTo;
+            const pseudoRule = {
+                examples,
+                threshold: threshold !== undefined ? threshold : this.matcher.embeddings.defaultThreshold
+            };
+
+            try {
+                const [score] = await this.matcher.score(event.content || '', [pseudoRule]);
+                const label = score
+                    ? `${score.similarity} similar to "${score.example}" (needs ${pseudoRule.threshold})`
+                    : 'similar to examples (no content)';
+                return leaf(label, Boolean(score && score.matched),
+                    score && `${score.similarity} similar to "${score.example}"`);
+            } catch (error) {
+                logger.warn(`Similarity condition skipped: ${error.message}`);
+                return leaf(`similar to examples (embedding failed: ${error.message})`, false);
+            }
+        }
+
+        const matcher = MATCHERS.find(m => condition[m] !== undefined);
+        const expected = condition[matcher];
+        const values = this.fieldValues(event, condition.field).map(v => v.toLowerCase());
+        const label = `${condition.field} ${matcher} ${matcher === 'regex' ? `/${expected}/` : JSON.stringify(expected)}`;
+        let matched;
+
+        switch (matcher) {
+            case 'equals':
+                matched = values.includes(expected.toLowerCase());
+                break;
+            case 'contains':
+                matched = values.some(v => v.includes(expected.toLowerCase()));
+                break;
+            case 'startsWith':
+                matched = values.some(v => v.startsWith(expected.toLowerCase()));
+                break;
+            case 'in':
+                matched = values.some(v => expected.some(e => e.toLowerCase() === v));
+                break;
+            case 'regex': {
+                const pattern = this.regex(expected, condition.flags);
+                matched = this.fieldValues(event, condition.field).some(v => pattern.test(v));
+                break;
+            }
+            default:
+                matched = false;
+        }
+
+        return leaf(label, matched);
+    }
+
+    /**
+     * Where repeats are counted from, for suppression
+     * @param {object} event - Event
+     * @returns {string}
+     */
+    sourceOf(event) {
+        return event.sender || event.packageName || event.appName || event.type;
+    }
+
+    /**
+     * Find the first enabled rule matching an event
+     * @param {Array<object>} rules - Rules in evaluation order
+     * @param {object} event - Event (see check)
+     * @param {object} [options] - { dryRun: don't start suppression windows }
+     * @returns {Promise<object>} - { rule, actions, reason, explanations: [{ ruleId, name, matched, reasons }] }
+     */
+    async evaluate(rules, event, options = {}) {
+        const explanations = [];
+        this.pruneSuppressions();
+
+        for (const rule of rules.filter(r => r.enabled !== false)) {
+            const { matched, reasons, details } = await this.check(rule.when, event);
+
+            explanations.push({ ruleId: rule.id, name: rule.name, matched, reasons });
+
+            if (!matched) {
+                continue;
+            }
+
+            const reason = `Matched rule: ${rule.name}${details.length > 0 ? ` (${details.join(', ')})` : ''}`;
+            const { suppressMinutes, ...actions } = rule.then;
+
+            if (suppressMinutes) {
+                const key = `${rule.id}:${this.sourceOf(event)}`;
+                const until = this.suppressions.get(key);
+
+                // Repeats inside the window are dropped; the first one goes through
+                if (until && until > Date.now()) {
+                    return {
+                        rule,
+                        actions: { drop: true },
+                        reason: `Matched rule: ${rule.name} (suppressed until ${clock(until)})`,
+                        explanations
+                    };
+                }
+
+                if (!options.dryRun) {
+                    this.suppressions.set(key, Date.now() + suppressMinutes * 60000);
+                }
+            }
+
+            return { rule, actions, reason, explanations };
+        }
+
+        return { rule: null, actions: {}, reason: null, explanations };
+    }
+
+    /**
+     * Forget suppression windows that are over
+     */
+    pruneSuppressions() {
+        const now = Date.now();
+
+        for (const [key, until] of this.suppressions) {
+            if (until <= now) {
+                this.suppressions.delete(key);
+            }
+        }
+    }
+}
+
+// Create singleton instance
+const ruleEngine = new RuleEngine();
+
+module.exports = ruleEngine;
+module.exports.RuleEngine = RuleEngine;
+module.exports.FIELDS = FIELDS;
+module.exports.ACTIONS = ACTIONS;
@@ -0,0 +1,197 @@
+const { RuleEngine } = require('./ruleEngine');
+
+/**
+ * Similarity matcher stub: a content is similar to an example when it contains it
+ * @returns {object}
+ */
+function containsMatcher() {
+    return {
+        embeddings: { defaultThreshold: 0.8 },
+        score: jest.fn(async (content, [rule]) => {
+            const example = rule.examples.find(e => content.toLowerCase().includes(e.toLowerCase()));
+            return [{ matched: Boolean(example), similarity: example ? 0.9 : 0.1, example: example || rule.examples[0] }];
+        })
+    };
+}
+
+describe('RuleEngine', () => {
+    let engine;
+
+    beforeEach(() => {
+        engine = new RuleEngine({ matcher: containsMatcher() });
+    });
+
+    afterEach(() => {
+        jest.useRealTimers();
+    });
+
+    describe('validation', () => {
+        test('accepts a nested rule', () => {
+            const rule = {
+                name: 'Night promos',
+                when: {
+                    all: [
+                        { field: 'app', in: ['Shop', 'Deals'] },
+                        { any: [{ field: 'content', regex: '\\d+% off' }, { similarTo: { examples: ['flash sale'] } }] },
+                        { not: { field: 'sender', equals: 'mom' } },
+                        { time: { from: '22:00', to: '07:00', days: [0, 6] } }
+                    ]
+                },
+                then: { drop: true, suppressMinutes: 30 }
+            };
+
+            expect(engine.validateRule(rule)).toEqual([]);
+        });
+
+        test('reports every problem with its path', () => {
+            const errors = engine.validateRule({
+                name: '',
+                when: { all: [{ field: 'colour', equals: 'red' }, { field: 'content', regex: '(' }, { time: { from: '25:00', to: '07:00' } }] },
+                then: { drop: true, important: true, category: 'nope', explode: true }
+            });
+
+            expect(errors).toEqual(expect.arrayContaining([
+                'rule.name is required',
+                expect.stringMatching(/^rule\.when\.all\[0\]\.field must be one of/),
+                expect.stringMatching(/^rule\.when\.all\[1\]\.regex is invalid/),
+                'rule.when.all[2].time needs from and to as HH:MM',
+                expect.stringMatching(/^rule\.then\.explode is not an action/),
+                'rule.then can\'t both drop and mark important',
+                expect.stringMatching(/^rule\.then\.category must be one of/)
+            ]));
+        });
+
+        test('a field condition needs exactly one matcher', () => {
+            expect(engine.validateCondition({ field: 'title', equals: 'a', contains: 'b' }, 'c'))
+                .toEqual(['c needs exactly one of equals, contains, startsWith, regex, in']);
+            expect(engine.validateCondition({ atLeast: 0, of: [] }, 'c'))
+                .toEqual(['c.of must be a non-empty array', 'c.atLeast must be a positive integer']);
+            expect(engine.validateCondition({}, 'c'))
+                .toEqual(['c must have one of field, time, similarTo, all, any, not, atLeast']);
+        });
+    });
+
+    describe('conditions', () => {
+        const event = { type: 'notification', title: 'Big SALE', content: 'Flash sale: 50% off today', appName: 'Shop', sender: 'Shop', deviceId: 'd1', deviceName: 'Pixel' };
+
+        test('field matchers ignore case', async () => {
+            expect((await engine.check({ field: 'title', equals: 'big sale' }, event)).matched).toBe(true);
+            expect((await engine.check({ field: 'content', contains: 'FLASH' }, event)).matched).toBe(true);
+            expect((await engine.check({ field: 'title', startsWith: 'big' }, event)).matched).toBe(true);
+            expect((await engine.check({ field: 'app', in: ['shop'] }, event)).matched).toBe(true);
+            expect((await engine.check({ field: 'device', equals: 'pixel' }, event)).matched).toBe(true);
+            expect((await engine.check({ field: 'content', regex: 'FLASH' }, event)).matched).toBe(true);
+            expect((await engine.check({ field: 'content', regex: 'FLASH', flags: '' }, event)).matched).toBe(false);
+        });
+
+        test('regexes with the global flag match every time', async () => {
+            const condition = { field: 'content', regex: '\\d+% off', flags: 'gi' };
+
+            expect((await engine.check(condition, event)).matched).toBe(true);
+            expect((await engine.check(condition, event)).matched).toBe(true);
+        });
+
+        test('all stops at the first failing condition and explains each step', async () => {
+            const result = await engine.check({
+                all: [{ field: 'app', equals: 'shop' }, { field: 'title', contains: 'invoice' }, { field: 'content', contains: 'sale' }]
+            }, event);
+
+            expect(result.matched).toBe(false);
+            expect(result.reasons).toEqual(['✓ app equals "shop"', '✗ title contains "invoice"']);
+        });
+
+        test('any, not and atLeast combine conditions', async () => {
+            expect((await engine.check({ any: [{ field: 'title', contains: 'x' }, { field: 'title', contains: 'sale' }] }, event)).matched).toBe(true);
+            expect((await engine.check({ not: { field: 'app', equals: 'shop' } }, event)).matched).toBe(false);
+
+            const atLeast = await engine.check({
+                atLeast: 2,
+                of: [{ field: 'content', contains: 'sale' }, { field: 'content', contains: 'off' }, { field: 'content', contains: 'free' }]
+            }, event);
+            expect(atLeast).toMatchObject({ matched: true, reasons: ['✓ 2 of 3 conditions (at least 2)'], details: ['2'] });
+        });
+
+        test('time conditions use the event time', async () => {
+            const night = { time: { from: '22:00', to: '07:00' } };
+
+            expect((await engine.check(night, { ...event, at: new Date(2026, 9, 19, 23, 0) })).matched).toBe(true);
+            expect((await engine.check(night, { ...event, at: new Date(2026, 9, 19, 12, 0) })).matched).toBe(false);
+        });
+
+        test('similarTo explains the closest example', async () => {
+            const result = await engine.check({ similarTo: { examples: ['flash sale'], threshold: 0.85 } }, event);
+
+            expect(result).toMatchObject({ matched: true, details: ['0.9 similar to "flash sale"'] });
+            expect(engine.matcher.score).toHaveBeenCalledWith(event.content, [{ examples: ['flash sale'], threshold: 0.85 }]);
+        });
+
+        test('a failed similarity check does not match', async () => {
+            engine.matcher.score.mockRejectedValueOnce(new Error('embeddings down'));
+
+            const result = await engine.check({ similarTo: { examples: ['flash sale'] } }, event);
+
+            expect(result.matched).toBe(false);
+            expect(result.reasons[0]).toContain('embedding failed: embeddings down');
+        });
+    });
+
+    describe('evaluate', () => {
+        const rules = [
+            { id: 'off', name: 'Disabled', enabled: false, when: { field: 'type', equals: 'sms' }, then: { important: true } },
+            { id: 'otp', name: 'Codes', when: { field: 'content', regex: '\\b\\d{6}\\b' }, then: { important: true, category: 'security' } },
+            { id: 'promo', name: 'Promos', when: { field: 'content', contains: 'sale' }, then: { drop: true, suppressMinutes: 10 } }
+        ];
+
+        test('the first enabled matching rule wins', async () => {
+            const result = await engine.evaluate(rules, { type: 'sms', content: 'Your code is 123456, not a sale' });
+
+            expect(result.rule.id).toBe('otp');
+            expect(result.actions).toEqual({ important: true, category: 'security' });
+            expect(result.reason).toBe('Matched rule: Codes');
+            expect(result.explanations.map(e => [e.ruleId, e.matched])).toEqual([['otp', true]]);
+        });
+
+        test('no match returns no actions', async () => {
+            const result = await engine.evaluate(rules, { type: 'sms', content: 'Hello' });
+
+            expect(result).toMatchObject({ rule: null, actions: {}, reason: null });
+            expect(result.explanations).toHaveLength(2);
+        });
+
+        test('suppression lets the first item through and drops repeats per source', async () => {
+            jest.useFakeTimers();
+            const promo = { type: 'notification', content: 'Big sale', packageName: 'com.shop' };
+
+            const first = await engine.evaluate(rules, promo);
+            expect(first.actions).toEqual({ drop: true });
+            expect(first.reason).toBe('Matched rule: Promos');
+
+            const repeat = await engine.evaluate(rules, promo);
+            expect(repeat.reason).toMatch(/^Matched rule: Promos \(suppressed until \d\d:\d\d\)$/);
+
+            // Another source has its own window
+            const other = await engine.evaluate(rules, { ...promo, packageName: 'com.deals' });
+            expect(other.reason).toBe('Matched rule: Promos');
+
+            jest.advanceTimersByTime(10 * 60000);
+            expect((await engine.evaluate(rules, promo)).reason).toBe('Matched rule: Promos');
+        });
+
+        test('dry runs do not start a suppression window', async () => {
+            const promo = { type: 'notification', content: 'Big sale', packageName: 'com.shop' };
+
+            await engine.evaluate(rules, promo, { dryRun: true });
+
+            expect(engine.suppressions.size).toBe(0);
+        });
+    });
+
+    test('examplesOf collects similarity examples from nested conditions', () => {
+        const rules = [
+            { when: { similarTo: { examples: ['a', 'b'] } } },
+            { when: { all: [{ not: { similarTo: { examples: ['b', 'c'] } } }, { field: 'type', equals: 'sms' }] } }
+        ];
+
+        expect(engine.examplesOf(rules)).toEqual(['a', 'b', 'c']);
+    });
+});
@@ -0,0 +1,228 @@
+const fs = require('fs');
+const path = require('path');
+const { v4: uuidv4 } = require('uuid');
+const logger = require('../utils/logger');
+const conversationMemory = require('./memory');
+const ruleEngine = require('./ruleEngine');
+
+// Suggested rules waiting for review, and patterns already rejected
+const RULE_REVIEW_PATH = process.env.RULE_REVIEW_PATH || path.join(__dirname, '../config/rules-pending.json');
+
+// Triggering examples kept per suggestion
+const MAX_EXAMPLES = 5;
+
+// Matching recent items shown in a preview
+const MAX_PREVIEW_SAMPLES = 3;
+
+// Rejected patterns remembered so the model can't re-suggest them
+const MAX_REJECTED = 200;
+
+/**
+ * Review queue for rules suggested by the filter tier. Suggestions never
+ * filter anything until someone approves them.
+ */
+class RuleReviewQueue {
+    /**
+     * @param {object} options - Queue options
+     * @param {string|null} [options.reviewPath] - Queue file, null to keep the queue in memory only
+     * @param {object} [options.memory] - Conversation memory (recent events for previews)
+     */
+    constructor(options = {}) {
+        this.reviewPath = options.reviewPath !== undefined ? options.reviewPath : RULE_REVIEW_PATH;
+        this.memory = options.memory || conversationMemory;
+        // Suggestions by id, oldest first
+        this.pending = new Map();
+        // "type:pattern" keys of rejected suggestions
+        this.rejected = [];
+        this.load();
+    }
+
+    /**
+     * Load the queue from disk
+     */
+    load() {
+        if (!this.reviewPath || !fs.existsSync(this.reviewPath)) {
+            return;
+        }
+
+        try {
+            const data = JSON.parse(fs.readFileSync(this.reviewPath, 'utf8'));
+            this.pending = new Map((data.pending || []).map(entry => [entry.id, entry]));
+            this.rejected = data.rejected || [];
+            logger.info(`Loaded ${this.pending.size} suggested rules waiting for review`);
+        } catch (error) {
+            logger.error('Error loading rule review queue:', error);
+        }
+    }
+
+    /**
+     * Write the queue to disk (temp file + rename)
+     */
+    save() {
+        if (!this.reviewPath) {
+            return;
+        }
+
+        try {
+            const dir = path.dirname(this.reviewPath);
+            if (!fs.existsSync(dir)) {
+                fs.mkdirSync(dir, { recursive: true });
+            }
+
+            const tempPath = `${this.reviewPath}.tmp`;
+            fs.writeFileSync(tempPath, JSON.stringify({
+                pending: Array.from(this.pending.values()),
+                rejected: this.rejected
+            }, null, 2), 'utf8');
+            fs.renameSync(tempPath, this.reviewPath);
+        } catch (error) {
+            logger.error('Error saving rule review queue:', error);
+        }
+    }
+
+    /**
+     * Identity of a suggestion
+     * @param {string} type - Rule list (notification_ignore, sms_ignore)
+     * @param {string} pattern - Pattern
+     * @returns {string}
+     */
+    key(type, pattern) {
+        return `${type}:${pattern.trim().toLowerCase()}`;
+    }
+
+    /**
+     * Count the recent items a pattern would have filtered
+     * @param {string} type - Rule list (notification_ignore, sms_ignore)
+     * @param {string} pattern - Pattern
+     * @returns {Promise<object>} - { hits, checked, samples }
+     */
+    async preview(type, pattern) {
+        const contentType = type.replace(/_ignore$/, '');
+        const events = this.memory.events.filter(event => event.type === contentType);
+        const condition = { field: 'content', contains: pattern };
+        const samples = [];
+        let hits = 0;
+
+        for (const event of events) {
+            const { matched } = await ruleEngine.check(condition, { type: event.type, content: event.text });
+
+            if (matched) {
+                hits++;
+                if (samples.length < MAX_PREVIEW_SAMPLES) {
+                    samples.push(event.text.substring(0, 100));
+                }
+            }
+        }
+
+        return { hits, checked: events.length, samples };
+    }
+
+    /**
+     * Queue a suggested rule, or add an example to the same suggestion
+     * @param {string} type - Rule list (notification_ignore, sms_ignore)
+     * @param {string} pattern - Suggested pattern
+     * @param {object} example - { content, reason } that triggered it
+     * @returns {Promise<object|null>} - { entry, isNew }, or null if the pattern was rejected before
+     */
+    async submit(type, pattern, example) {
+        const key = this.key(type, pattern);
+
+        if (this.rejected.includes(key)) {
+            logger.debug(`Ignoring suggested rule rejected before: ${key}`);
+            return null;
+        }
+
+        let entry = Array.from(this.pending.values()).find(e => this.key(e.type, e.pattern) === key);
+        const isNew = !entry;
+
+        if (isNew) {
+            entry = {
+                id: uuidv4().substring(0, 6),
+                type,
+                pattern: pattern.trim(),
+                examples: [],
+                suggestedCount: 0,
+                preview: null,
+                createdAt: new Date().toISOString()
+            };
+            this.pending.set(entry.id, entry);
+        }
+
+        entry.suggestedCount++;
+        entry.examples.push({
+            content: (example.content || '').substring(0, 300),
+            reason: example.reason || null,
+            at: new Date().toISOString()
+        });
+        entry.examples = entry.examples.slice(-MAX_EXAMPLES);
+        entry.preview = await this.preview(type, entry.pattern);
+        entry.updatedAt = new Date().toISOString();
+
+        this.save();
+        logger.info(`Suggested rule ${entry.id} (${key}) queued for review, suggested ${entry.suggestedCount}x`);
+        return { entry, isNew };
+    }
+
+    /**
+     * Suggestions waiting for review, oldest first
+     * @returns {Array<object>}
+     */
+    list() {
+        return Array.from(this.pending.values());
+    }
+
+    /**
+     * Take a suggestion out of the queue as approved
+     * @param {string} id - Suggestion id
+     * @returns {object|null} - The suggestion, or null if there is none
+     */
+    approve(id) {
+        const entry = this.pending.get(id);
+
+        if (!entry) {
+            return null;
+        }
+
+        this.pending.delete(id);
+        this.save();
+        return entry;
+    }
+
+    /**
+     * Reject a suggestion; the same pattern won't be queued again
+     * @param {string} id - Suggestion id
+     * @returns {object|null} - The suggestion, or null if there is none
+     */
+    reject(id) {
+        const entry = this.pending.get(id);
+
+        if (!entry) {
+            return null;
+        }
+
+        this.pending.delete(id);
+        this.rejected = [...this.rejected, this.key(entry.type, entry.pattern)].slice(-MAX_REJECTED);
+        this.save();
+        return entry;
+    }
+
+    /**
+     * One-line description of a suggestion
+     * @param {object} entry - Suggestion
+     * @returns {string}
+     */
+    describe(entry) {
+        const preview = entry.preview
+            ? `would have matched ${entry.preview.hits} of the last ${entry.preview.checked} ${entry.type.replace(/_ignore$/, '')} items`
+            : 'no preview';
+
+        return `*${entry.id}* ignore ${entry.type.replace(/_ignore$/, '')} containing "${entry.pattern}" ` +
+            `(suggested ${entry.suggestedCount}x, ${preview})`;
+    }
+}
+
+// Create singleton instance
+const ruleReviewQueue = new RuleReviewQueue();
+
+module.exports = ruleReviewQueue;
+module.exports.RuleReviewQueue = RuleReviewQueue;
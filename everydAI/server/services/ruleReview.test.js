@@ -0,0 +1,62 @@
+const path = require('path');
+const { RuleReviewQueue } = require('./ruleReview');
+
+describe('RuleReviewQueue', () => {
+    let reviewPath;
+    let memory;
+
+    beforeEach(() => {
+        reviewPath = path.join(global.TEST_STATE_DIR, `rules-pending-${Date.now()}-${Math.random()}.json`);
+        memory = {
+            events: [
+                { type: 'sms', text: 'WIN a free cruise today' },
+                { type: 'sms', text: 'Dinner at 8?' },
+                { type: 'notification', text: 'Free cruise ad' }
+            ]
+        };
+    });
+
+    test('queues a suggestion with a preview of what it would have filtered', async () => {
+        const queue = new RuleReviewQueue({ reviewPath, memory });
+
+        const { entry, isNew } = await queue.submit('sms_ignore', ' free cruise ', { content: 'WIN a free cruise today', reason: 'Spam' });
+
+        expect(isNew).toBe(true);
+        expect(entry).toMatchObject({ pattern: 'free cruise', suggestedCount: 1 });
+        expect(entry.preview).toEqual({ hits: 1, checked: 2, samples: ['WIN a free cruise today'] });
+        expect(queue.describe(entry)).toContain('would have matched 1 of the last 2 sms items');
+    });
+
+    test('the same suggestion adds an example instead of a new entry', async () => {
+        const queue = new RuleReviewQueue({ reviewPath, memory });
+
+        await queue.submit('sms_ignore', 'free cruise', { content: 'one' });
+        const { entry, isNew } = await queue.submit('sms_ignore', 'FREE CRUISE', { content: 'two' });
+
+        expect(isNew).toBe(false);
+        expect(entry.suggestedCount).toBe(2);
+        expect(entry.examples.map(e => e.content)).toEqual(['one', 'two']);
+        expect(queue.list()).toHaveLength(1);
+    });
+
+    test('rejected patterns are not queued again, even after a restart', async () => {
+        const queue = new RuleReviewQueue({ reviewPath, memory });
+        const { entry } = await queue.submit('sms_ignore', 'free cruise', { content: 'one' });
+
+        expect(queue.reject(entry.id)).toBe(entry);
+        expect(queue.reject(entry.id)).toBeNull();
+
+        const restarted = new RuleReviewQueue({ reviewPath, memory });
+        expect(await restarted.submit('sms_ignore', 'Free Cruise', { content: 'again' })).toBeNull();
+        expect(restarted.list()).toEqual([]);
+    });
+
+    test('approving takes the suggestion out of the queue', async () => {
+        const queue = new RuleReviewQueue({ reviewPath, memory });
+        const { entry } = await queue.submit('notification_ignore', 'cruise ad', { content: 'Free cruise ad' });
+
+        expect(new RuleReviewQueue({ reviewPath, memory }).list().map(e => e.id)).toEqual([entry.id]);
+        expect(queue.approve(entry.id)).toBe(entry);
+        expect(new RuleReviewQueue({ reviewPath, memory }).list()).toEqual([]);
+    });
+});
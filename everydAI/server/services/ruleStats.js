@@ -0,0 +1,268 @@
+const fs = require('fs');
+const path = require('path');
+const { v4: uuidv4 } = require('uuid');
+const logger = require('../utils/logger');
+
+// Per-rule counters and recently filtered items
+const RULE_STATS_PATH = process.env.RULE_STATS_PATH || path.join(__dirname, '../config/rule-stats.json');
+
+// Days without a hit before a rule is disabled (0 = never)
+const RULE_EXPIRY_DAYS = parseFloat(process.env.RULE_EXPIRY_DAYS || '30');
+
+// False-positive reports needed before the rate is looked at
+const RULE_FP_MIN_REPORTS = parseInt(process.env.RULE_FP_MIN_REPORTS || '3', 10);
+
+// Share of hits reported as false positives that disables a rule
+const RULE_FP_MAX_RATE = parseFloat(process.env.RULE_FP_MAX_RATE || '0.3');
+
+// Recently matched content kept per rule
+const MAX_SAMPLES = 5;
+
+// Filtered items kept for false-positive reports
+const MAX_FILTERED = 100;
+
+/**
+ * Rule effectiveness: hits, last hit, recent matches and false-positive
+ * reports per rule, and the auto-disabling of rules that stopped firing
+ * or filter too much
+ */
+class RuleStats {
+    /**
+     * @param {object} options - Stats options
+     * @param {string|null} [options.statsPath] - Stats file, null to keep stats in memory only
+     */
+    constructor(options = {}) {
+        this.statsPath = options.statsPath !== undefined ? options.statsPath : RULE_STATS_PATH;
+        // Rule id -> { hits, lastHitAt, firstSeenAt, falsePositives, samples, disabled }
+        this.rules = {};
+        // Items dropped by a rule, oldest first
+        this.filtered = [];
+        this.load();
+    }
+
+    /**
+     * Load stats from disk
+     */
+    load() {
+        if (!this.statsPath || !fs.existsSync(this.statsPath)) {
+            return;
+        }
+
+        try {
+            const data = JSON.parse(fs.readFileSync(this.statsPath, 'utf8'));
+            this.rules = data.rules || {};
+            this.filtered = data.filtered || [];
+        } catch (error) {
+            logger.error('Error loading rule stats:', error);
+        }
+    }
+
+    /**
+     * Write stats to disk (temp file + rename)
+     */
+    save() {
+        if (!this.statsPath) {
+            return;
+        }
+
+        try {
+            const dir = path.dirname(this.statsPath);
+            if (!fs.existsSync(dir)) {
+                fs.mkdirSync(dir, { recursive: true });
+            }
+
+            const tempPath = `${this.statsPath}.tmp`;
+            fs.writeFileSync(tempPath, JSON.stringify({ rules: this.rules, filtered: this.filtered }, null, 2), 'utf8');
+            fs.renameSync(tempPath, this.statsPath);
+        } catch (error) {
+            logger.error('Error saving rule stats:', error);
+        }
+    }
+
+    /**
+     * Stats of a rule, created on first use
+     * @param {string} id - Rule id
+     * @returns {object}
+     */
+    entry(id) {
+        if (!this.rules[id]) {
+            this.rules[id] = {
+                hits: 0,
+                lastHitAt: null,
+                firstSeenAt: new Date().toISOString(),
+                falsePositives: 0,
+                samples: [],
+                disabled: null
+            };
+        }
+
+        return this.rules[id];
+    }
+
+    /**
+     * Stats of a rule for the API
+     * @param {string} id - Rule id
+     * @returns {object} - { hits, lastHitAt, falsePositives, falsePositiveRate, samples, disabled }
+     */
+    get(id) {
+        const { firstSeenAt, ...stats } = this.entry(id);
+
+        return {
+            ...stats,
+            falsePositiveRate: stats.hits > 0 ? Math.round(stats.falsePositives / stats.hits * 100) / 100 : 0,
+            trackedSince: firstSeenAt
+        };
+    }
+
+    /**
+     * Count a rule match
+     * @param {object} rule - Matched rule
+     * @param {object} event - Rule event ({ type, content, sender, packageName, ... })
+     * @param {boolean} dropped - Whether the rule dropped the item
+     * @returns {string|null} - Id to report the item as a false positive with, when it was dropped
+     */
+    recordHit(rule, event, dropped) {
+        const stats = this.entry(rule.id);
+        const at = new Date().toISOString();
+
+        stats.hits++;
+        stats.lastHitAt = at;
+        stats.samples = [...stats.samples, { content: (event.content || '').substring(0, 200), at }].slice(-MAX_SAMPLES);
+
+        let itemId = null;
+        if (dropped) {
+            itemId = uuidv4().substring(0, 6);
+            this.filtered = [...this.filtered, {
+                itemId,
+                ruleId: rule.id,
+                ruleName: rule.name,
+                type: event.type,
+                source: event.sender || event.appName || event.packageName || null,
+                content: (event.content || '').substring(0, 300),
+                at,
+                reportedAt: null
+            }].slice(-MAX_FILTERED);
+        }
+
+        this.save();
+        return itemId;
+    }
+
+    /**
+     * Recently filtered items, newest first
+     * @param {number} limit - Max items
+     * @returns {Array<object>}
+     */
+    getFiltered(limit = 20) {
+        return this.filtered.slice(-limit).reverse();
+    }
+
+    /**
+     * Record that a filtered item was actually important
+     * @param {string} itemId - Filtered item id
+     * @param {string} reportedBy - Who reported it
+     * @returns {object|null} - { item, stats }, or null if the item is unknown or already reported
+     */
+    reportFalsePositive(itemId, reportedBy) {
+        const item = this.filtered.find(f => f.itemId === itemId);
+
+        if (!item || item.reportedAt) {
+            return null;
+        }
+
+        item.reportedAt = new Date().toISOString();
+        item.reportedBy = reportedBy || null;
+
+        const stats = this.entry(item.ruleId);
+        stats.falsePositives++;
+
+        this.save();
+        logger.info(`False positive reported for rule ${item.ruleId} by ${reportedBy || 'unknown'}`);
+        return { item, stats: this.get(item.ruleId) };
+    }
+
+    /**
+     * Whether a rule was disabled for its stats
+     * @param {string} id - Rule id
+     * @returns {boolean}
+     */
+    isDisabled(id) {
+        return Boolean(this.rules[id] && this.rules[id].disabled);
+    }
+
+    /**
+     * Re-enable an auto-disabled rule. Its false-positive count and
+     * no-hit clock start over, so it isn't disabled again right away.
+     * @param {string} id - Rule id
+     * @returns {boolean} - Whether the rule was disabled
+     */
+    enable(id) {
+        if (!this.isDisabled(id)) {
+            return false;
+        }
+
+        const stats = this.rules[id];
+        stats.disabled = null;
+        stats.falsePositives = 0;
+        stats.firstSeenAt = new Date().toISOString();
+        stats.lastHitAt = null;
+
+        this.save();
+        return true;
+    }
+
+    /**
+     * Why a rule should be disabled, if it should
+     * @param {object} stats - Rule stats
+     * @returns {string|null}
+     */
+    disableReason(stats) {
+        if (stats.falsePositives >= RULE_FP_MIN_REPORTS && stats.falsePositives / stats.hits >= RULE_FP_MAX_RATE) {
+            return `${stats.falsePositives} of ${stats.hits} matches reported as false positives`;
+        }
+
+        const lastActivity = new Date(stats.lastHitAt || stats.firstSeenAt).getTime();
+        if (RULE_EXPIRY_DAYS > 0 && Date.now() - lastActivity > RULE_EXPIRY_DAYS * 86400000) {
+            return `no matches in ${RULE_EXPIRY_DAYS} days`;
+        }
+
+        return null;
+    }
+
+    /**
+     * Disable rules that stopped firing or filter too much, and forget
+     * the stats of rules that no longer exist
+     * @param {Array<object>} rules - Current rules
+     * @returns {Array<object>} - Rules disabled now: [{ id, name, reason }]
+     */
+    sweep(rules) {
+        const ids = new Set(rules.map(rule => rule.id));
+        const disabled = [];
+
+        for (const id of Object.keys(this.rules)) {
+            if (!ids.has(id)) {
+                delete this.rules[id];
+            }
+        }
+
+        for (const rule of rules) {
+            const stats = this.entry(rule.id);
+            const reason = stats.disabled || rule.enabled === false ? null : this.disableReason(stats);
+
+            if (reason) {
+                stats.disabled = { reason, at: new Date().toISOString() };
+                disabled.push({ id: rule.id, name: rule.name, reason });
+                logger.warn(`Rule ${rule.id} (${rule.name}) disabled: ${reason}`);
+            }
+        }
+
+        this.save();
+        return disabled;
+    }
+}
+
+// Create singleton instance
+const ruleStats = new RuleStats();
+
+module.exports = ruleStats;
+module.exports.RuleStats = RuleStats;
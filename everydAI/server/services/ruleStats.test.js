@@ -0,0 +1,196 @@
+const path = require('path');
+const { RuleStats } = require('./ruleStats');
+
+const RULE = { id: 'rule-1', name: 'Ignore promos', enabled: true };
+const OTHER = { id: 'rule-2', name: 'Ignore surveys', enabled: true };
+
+/**
+ * A rule event
+ * @param {string} content - Item content
+ * @returns {object}
+ */
+function sms(content) {
+    return { type: 'sms', sender: '+15550001', content };
+}
+
+describe('RuleStats', () => {
+    let stats;
+
+    beforeEach(() => {
+        jest.useFakeTimers({ now: new Date('2026-03-02T09:00:00Z') });
+        stats = new RuleStats({ statsPath: null });
+    });
+
+    afterEach(() => {
+        jest.useRealTimers();
+    });
+
+    /**
+     * Record hits for a rule, reporting some of them as false positives
+     * @param {object} rule - Rule
+     * @param {number} hits - Dropped items
+     * @param {number} falsePositives - How many of them to report
+     */
+    function hitsWithReports(rule, hits, falsePositives) {
+        const itemIds = [];
+        for (let i = 0; i < hits; i++) {
+            itemIds.push(stats.recordHit(rule, sms(`Item ${i}`), true));
+        }
+        itemIds.slice(0, falsePositives).forEach(itemId => stats.reportFalsePositive(itemId, 'Alice'));
+    }
+
+    describe('hits', () => {
+        test('count matches and keep the last few samples', () => {
+            for (let i = 0; i < 7; i++) {
+                stats.recordHit(RULE, sms(`Promo ${i}`), false);
+                jest.advanceTimersByTime(1000);
+            }
+
+            expect(stats.get(RULE.id)).toMatchObject({
+                hits: 7,
+                lastHitAt: '2026-03-02T09:00:06.000Z',
+                falsePositives: 0,
+                falsePositiveRate: 0,
+                disabled: null,
+                trackedSince: '2026-03-02T09:00:00.000Z'
+            });
+            expect(stats.get(RULE.id).samples.map(sample => sample.content))
+                .toEqual(['Promo 2', 'Promo 3', 'Promo 4', 'Promo 5', 'Promo 6']);
+        });
+
+        test('only dropped items can be reported', () => {
+            expect(stats.recordHit(RULE, sms('Tagged'), false)).toBeNull();
+
+            const itemId = stats.recordHit(RULE, sms('Dropped'), true);
+
+            expect(stats.getFiltered()).toEqual([expect.objectContaining({
+                itemId,
+                ruleId: RULE.id,
+                ruleName: RULE.name,
+                type: 'sms',
+                source: '+15550001',
+                content: 'Dropped',
+                reportedAt: null
+            })]);
+        });
+
+        test('getFiltered lists the newest first', () => {
+            const first = stats.recordHit(RULE, sms('First'), true);
+            const second = stats.recordHit(OTHER, sms('Second'), true);
+
+            expect(stats.getFiltered().map(item => item.itemId)).toEqual([second, first]);
+            expect(stats.getFiltered(1).map(item => item.itemId)).toEqual([second]);
+        });
+    });
+
+    describe('false positives', () => {
+        test('a report counts against the rule that dropped the item', () => {
+            stats.recordHit(RULE, sms('Promo'), true);
+            const itemId = stats.recordHit(RULE, sms('Your order shipped'), true);
+
+            const report = stats.reportFalsePositive(itemId, 'Alice');
+
+            expect(report.item).toMatchObject({ itemId, reportedAt: '2026-03-02T09:00:00.000Z', reportedBy: 'Alice' });
+            expect(report.stats).toMatchObject({ hits: 2, falsePositives: 1, falsePositiveRate: 0.5 });
+        });
+
+        test('an item is reported once', () => {
+            const itemId = stats.recordHit(RULE, sms('Promo'), true);
+            stats.reportFalsePositive(itemId, 'Alice');
+
+            expect(stats.reportFalsePositive(itemId, 'Bob')).toBeNull();
+            expect(stats.get(RULE.id).falsePositives).toBe(1);
+        });
+
+        test('an unknown item is null', () => {
+            expect(stats.reportFalsePositive('missing', 'Alice')).toBeNull();
+        });
+    });
+
+    describe('sweep', () => {
+        test('disables a rule over the false-positive threshold', () => {
+            hitsWithReports(RULE, 9, 3);
+
+            expect(stats.sweep([RULE])).toEqual([
+                { id: RULE.id, name: RULE.name, reason: '3 of 9 matches reported as false positives' }
+            ]);
+            expect(stats.isDisabled(RULE.id)).toBe(true);
+        });
+
+        test('keeps a rule whose false-positive rate is under the threshold', () => {
+            hitsWithReports(RULE, 20, 3);
+
+            expect(stats.sweep([RULE])).toEqual([]);
+            expect(stats.isDisabled(RULE.id)).toBe(false);
+        });
+
+        test('keeps a rule with too few reports to judge', () => {
+            hitsWithReports(RULE, 2, 2);
+
+            expect(stats.sweep([RULE])).toEqual([]);
+            expect(stats.isDisabled(RULE.id)).toBe(false);
+        });
+
+        test('disables a rule without matches for 30 days', () => {
+            stats.recordHit(RULE, sms('Promo'), false);
+            stats.recordHit(OTHER, sms('Survey'), false);
+            jest.advanceTimersByTime(20 * 86400000);
+            stats.recordHit(OTHER, sms('Survey'), false);
+            jest.advanceTimersByTime(11 * 86400000);
+
+            expect(stats.sweep([RULE, OTHER])).toEqual([
+                { id: RULE.id, name: RULE.name, reason: 'no matches in 30 days' }
+            ]);
+        });
+
+        test('a rule never matched counts from when it was first seen', () => {
+            stats.sweep([RULE]);
+            jest.advanceTimersByTime(29 * 86400000);
+
+            expect(stats.sweep([RULE])).toEqual([]);
+
+            jest.advanceTimersByTime(2 * 86400000);
+
+            expect(stats.sweep([RULE]).map(rule => rule.id)).toEqual([RULE.id]);
+        });
+
+        test('reports a rule once, and skips rules turned off by hand', () => {
+            hitsWithReports(RULE, 3, 3);
+            hitsWithReports(OTHER, 3, 3);
+
+            expect(stats.sweep([RULE, { ...OTHER, enabled: false }]).map(rule => rule.id)).toEqual([RULE.id]);
+            expect(stats.sweep([RULE])).toEqual([]);
+        });
+
+        test('forgets the stats of removed rules', () => {
+            stats.recordHit(RULE, sms('Promo'), false);
+            stats.recordHit(OTHER, sms('Survey'), false);
+
+            stats.sweep([OTHER]);
+
+            expect(Object.keys(stats.rules)).toEqual([OTHER.id]);
+        });
+
+        test('enable starts the rule over', () => {
+            hitsWithReports(RULE, 3, 3);
+            stats.sweep([RULE]);
+
+            expect(stats.enable(RULE.id)).toBe(true);
+            expect(stats.get(RULE.id)).toMatchObject({ hits: 3, falsePositives: 0, disabled: null, lastHitAt: null });
+            expect(stats.sweep([RULE])).toEqual([]);
+            expect(stats.enable(RULE.id)).toBe(false);
+        });
+    });
+
+    test('stats survive a restart', () => {
+        const statsPath = path.join(global.TEST_STATE_DIR, `rule-stats-${Date.now()}-${Math.random()}.json`);
+        const saved = new RuleStats({ statsPath });
+        const itemId = saved.recordHit(RULE, sms('Promo'), true);
+        saved.reportFalsePositive(itemId, 'Alice');
+
+        const loaded = new RuleStats({ statsPath });
+
+        expect(loaded.get(RULE.id)).toEqual(saved.get(RULE.id));
+        expect(loaded.getFiltered()).toEqual(saved.getFiltered());
+    });
+});
@@ -0,0 +1,515 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { v4: uuidv4 } = require('uuid');
+const logger = require('../utils/logger');
+const ruleEngine = require('./ruleEngine');
+const semanticRuleMatcher = require('./semanticRules');
+
+// Filter rules; the version before the last write is kept as rules.json.bak
+const RULES_PATH = process.env.RULES_PATH || path.join(__dirname, '../config/rules.json');
+
+// Rules file format (files without a version hold one list per rule type)
+const FILE_VERSION = 2;
+
+// Where a rule came from: the rules file, a person, or an approved AI suggestion
+const SOURCES = ['static', 'manual', 'ai'];
+
+// Rules used when there is no rules file
+const DEFAULT_RULES = {
+    spam_keywords: ['spam', 'offer', 'limited time', 'discount'],
+    notification_ignore: ['battery', 'backup', 'update available']
+};
+
+/**
+ * Filter rules as records: { id, type, pattern, enabled, expiresAt, source,
+ * createdBy, createdAt, updatedAt } plus the fields of their type.
+ * Rules with an expiresAt stop applying then and are removed afterwards.
+ *
+ * Types:
+ * - <content type>_ignore: drop content of that type containing `pattern`
+ * - spam_keywords: drop content containing two or more of these `pattern`s
+ * - engine: rule engine rule ({ name, when, then })
+ * - semantic: content close to an example ({ name, examples, threshold, contentTypes })
+ */
+class RuleStore {
+    /**
+     * @param {object} options - Store options
+     * @param {string|null} [options.rulesPath] - Rules file, null to keep rules in memory only
+     * @param {object} [options.data] - Rules to start with instead of the file (either format)
+     */
+    constructor(options = {}) {
+        this.rulesPath = options.rulesPath !== undefined ? options.rulesPath : RULES_PATH;
+        this.records = [];
+        this.load(options.data);
+    }
+
+    /**
+     * Load rules. Nothing is written here: defaults and files in the old
+     * format are saved in the current format with the first rule change.
+     * @param {object} [data] - Rules to load instead of the file
+     */
+    load(data) {
+        try {
+            if (!data && this.rulesPath && fs.existsSync(this.rulesPath)) {
+                data = JSON.parse(fs.readFileSync(this.rulesPath, 'utf8'));
+            }
+        } catch (error) {
+            logger.error('Error loading rules:', error);
+            return;
+        }
+
+        if (!data) {
+            logger.info('No rules config found, using defaults');
+            data = DEFAULT_RULES;
+        }
+
+        this.records = [];
+
+        for (const entry of this.entriesOf(data)) {
+            // Rule ids must survive restarts, also for rules that were never saved
+            const { record, errors } = this.createRecord(entry.id ? entry : { ...entry, id: this.stableId(entry) }, 'static');
+
+            if (!record) {
+                logger.warn(`Skipping invalid ${entry.type} rule: ${errors.join('; ')}`);
+            } else if (!this.duplicateOf(record)) {
+                this.records.push(record);
+            }
+        }
+
+        logger.info(`Loaded ${this.records.length} rules`);
+    }
+
+    /**
+     * Id for a rule entry without one, the same on every start
+     * @param {object} entry - Rule entry
+     * @returns {string}
+     */
+    stableId(entry) {
+        return crypto.createHash('sha1').update(JSON.stringify(entry)).digest('hex').substring(0, 8);
+    }
+
+    /**
+     * Write rules to disk (temp file + rename), keeping the previous version
+     */
+    save() {
+        if (!this.rulesPath) {
+            return;
+        }
+
+        try {
+            const dir = path.dirname(this.rulesPath);
+            if (!fs.existsSync(dir)) {
+                fs.mkdirSync(dir, { recursive: true });
+            }
+
+            const tempPath = `${this.rulesPath}.tmp`;
+            fs.writeFileSync(tempPath, JSON.stringify({ version: FILE_VERSION, rules: this.records }, null, 2), 'utf8');
+
+            if (fs.existsSync(this.rulesPath)) {
+                fs.copyFileSync(this.rulesPath, `${this.rulesPath}.bak`);
+            }
+
+            fs.renameSync(tempPath, this.rulesPath);
+        } catch (error) {
+            logger.error('Error saving rules:', error);
+        }
+    }
+
+    /**
+     * Rule entries of a rules document: records ({ version, rules }) or
+     * the old format with one list per type ({ rules, semantic, spam_keywords, <type>_ignore })
+     * @param {object} data - Rules document
+     * @returns {Array<object>}
+     */
+    entriesOf(data) {
+        if (!data || typeof data !== 'object') {
+            return [];
+        }
+
+        if (data.version) {
+            return Array.isArray(data.rules) ? data.rules : [];
+        }
+
+        const entries = [];
+
+        for (const [key, list] of Object.entries(data)) {
+            if (!Array.isArray(list)) {
+                continue;
+            }
+
+            for (const item of list) {
+                if (key === 'rules') {
+                    entries.push({ ...item, type: 'engine' });
+                } else if (key === 'semantic') {
+                    entries.push({ ...item, type: 'semantic' });
+                } else {
+                    entries.push({ type: key, pattern: item });
+                }
+            }
+        }
+
+        return entries;
+    }
+
+    /**
+     * Whether a type holds plain text patterns
+     * @param {string} type - Rule type
+     * @returns {boolean}
+     */
+    isPatternType(type) {
+        return type === 'spam_keywords' || /^[a-z]+_ignore$/.test(type || '');
+    }
+
+    /**
+     * Check the type-specific fields of a rule
+     * @param {string} type - Rule type
+     * @param {object} fields - Rule fields
+     * @returns {object} - { definition, errors }; definition holds only the fields of the type
+     */
+    definitionOf(type, fields) {
+        if (type === 'engine') {
+            return {
+                definition: { name: fields.name, when: fields.when, then: fields.then },
+                errors: ruleEngine.validateRule({ ...fields, enabled: undefined })
+            };
+        }
+
+        if (type === 'semantic') {
+            // Records store "any content type" as null
+            const { rule, errors } = semanticRuleMatcher.createRule({ ...fields, contentTypes: fields.contentTypes || undefined });
+
+            return {
+                definition: rule && {
+                    name: rule.name,
+                    examples: rule.examples,
+                    threshold: rule.threshold,
+                    contentTypes: rule.contentTypes
+                },
+                errors
+            };
+        }
+
+        if (this.isPatternType(type)) {
+            const pattern = typeof fields.pattern === 'string' ? fields.pattern.trim() : '';
+
+            if (!pattern) {
+                return { definition: null, errors: ['rule.pattern is required'] };
+            }
+
+            return { definition: { pattern }, errors: pattern.length > 200 ? ['rule.pattern is too long'] : [] };
+        }
+
+        return {
+            definition: null,
+            errors: ['rule.type must be engine, semantic, spam_keywords or <content type>_ignore']
+        };
+    }
+
+    /**
+     * Check the fields every rule type has
+     * @param {object} fields - { enabled, expiresAt }
+     * @returns {Array<string>} - Errors, empty when valid
+     */
+    checkCommonFields(fields) {
+        const errors = [];
+
+        if (fields.enabled !== undefined && typeof fields.enabled !== 'boolean') {
+            errors.push('rule.enabled must be boolean');
+        }
+
+        if (fields.expiresAt !== undefined && fields.expiresAt !== null &&
+            (typeof fields.expiresAt !== 'string' || isNaN(new Date(fields.expiresAt).getTime()))) {
+            errors.push('rule.expiresAt must be a date');
+        }
+
+        return errors;
+    }
+
+    /**
+     * Build a record from rule fields
+     * @param {object} fields - { type, enabled, ...type fields } and, for imports, the record fields
+     * @param {string} source - Source when the fields don't name a valid one
+     * @param {string|null} createdBy - Creator when the fields don't name one
+     * @returns {object} - { record, errors }; record is null when there are errors
+     */
+    createRecord(fields, source, createdBy = null) {
+        const { definition, errors } = this.definitionOf(fields.type, fields);
+        errors.push(...this.checkCommonFields(fields));
+
+        if (errors.length > 0) {
+            return { record: null, errors };
+        }
+
+        return {
+            record: {
+                id: typeof fields.id === 'string' && fields.id && !this.get(fields.id) ? fields.id : uuidv4().substring(0, 8),
+                type: fields.type,
+                pattern: null,
+                ...definition,
+                enabled: fields.enabled !== false,
+                expiresAt: fields.expiresAt ? new Date(fields.expiresAt).toISOString() : null,
+                source: SOURCES.includes(fields.source) ? fields.source : source,
+                createdBy: fields.createdBy || createdBy,
+                createdAt: fields.createdAt || new Date().toISOString(),
+                updatedAt: fields.updatedAt || null
+            },
+            errors: []
+        };
+    }
+
+    /**
+     * Existing rule with the same type and pattern
+     * @param {object} record - Rule
+     * @returns {object|null}
+     */
+    duplicateOf(record) {
+        return record.pattern === null
+            ? null
+            : this.records.find(r => r.id !== record.id && r.type === record.type &&
+                r.pattern.toLowerCase() === record.pattern.toLowerCase()) || null;
+    }
+
+    /**
+     * Rules, in the order they were added
+     * @param {object} filter - { type, source }
+     * @returns {Array<object>}
+     */
+    list(filter = {}) {
+        return this.records.filter(record =>
+            (!filter.type || record.type === filter.type) &&
+            (!filter.source || record.source === filter.source));
+    }
+
+    /**
+     * Get a rule
+     * @param {string} id - Rule id
+     * @returns {object|null}
+     */
+    get(id) {
+        return this.records.find(record => record.id === id) || null;
+    }
+
+    /**
+     * Find a pattern rule, ignoring case
+     * @param {string} type - Rule type
+     * @param {string} pattern - Pattern
+     * @returns {object|null}
+     */
+    find(type, pattern) {
+        return this.duplicateOf({ id: null, type, pattern: pattern.trim() });
+    }
+
+    /**
+     * Add a rule
+     * @param {object} fields - { type, enabled, ...type fields }
+     * @param {object} options - { source: static|manual|ai, createdBy }
+     * @returns {object} - { rule, errors }; rule is null when there are errors
+     */
+    add(fields, options = {}) {
+        const { id, source, createdBy, createdAt, updatedAt, ...ruleFields } = fields || {};
+        const { record, errors } = this.createRecord(ruleFields, options.source || 'manual', options.createdBy);
+
+        if (!record) {
+            return { rule: null, errors };
+        }
+
+        const duplicate = this.duplicateOf(record);
+        if (duplicate) {
+            return { rule: null, errors: [`${record.type} rule "${record.pattern}" already exists (${duplicate.id})`] };
+        }
+
+        this.records.push(record);
+        this.save();
+        logger.info(`Added ${record.type} rule ${record.id} (${record.source}${record.createdBy ? `, by ${record.createdBy}` : ''})`);
+
+        return { rule: record, errors: [] };
+    }
+
+    /**
+     * Change a rule. The id, type, source and creation fields stay.
+     * @param {string} id - Rule id
+     * @param {object} fields - New fields
+     * @param {object} options - { replace: true to replace every field (PUT), false to merge them (PATCH) }
+     * @returns {object|null} - { rule, errors }, or null if there is no such rule
+     */
+    update(id, fields, options = {}) {
+        const existing = this.get(id);
+
+        if (!existing) {
+            return null;
+        }
+
+        if (fields.type !== undefined && fields.type !== existing.type) {
+            return { rule: null, errors: ['rule.type can\'t be changed'] };
+        }
+
+        const { id: _id, type, source, createdBy, createdAt, updatedAt, ...current } = existing;
+        const merged = options.replace ? { ...fields, type } : { ...current, ...fields, type };
+        const { definition, errors } = this.definitionOf(type, merged);
+        errors.push(...this.checkCommonFields(merged));
+
+        if (errors.length > 0) {
+            return { rule: null, errors };
+        }
+
+        const record = {
+            ...existing,
+            ...definition,
+            enabled: merged.enabled !== false,
+            expiresAt: merged.expiresAt ? new Date(merged.expiresAt).toISOString() : null,
+            updatedAt: new Date().toISOString()
+        };
+
+        const duplicate = this.duplicateOf(record);
+        if (duplicate) {
+            return { rule: null, errors: [`${record.type} rule "${record.pattern}" already exists (${duplicate.id})`] };
+        }
+
+        this.records = this.records.map(r => r.id === id ? record : r);
+        this.save();
+        logger.info(`Updated ${record.type} rule ${id}`);
+
+        return { rule: record, errors: [] };
+    }
+
+    /**
+     * Turn a rule on or off
+     * @param {string} id - Rule id
+     * @param {boolean} enabled - Whether the rule applies
+     * @returns {object|null} - The rule, or null if there is none
+     */
+    setEnabled(id, enabled) {
+        const result = this.update(id, { enabled });
+        return result && result.rule;
+    }
+
+    /**
+     * Remove a rule
+     * @param {string} id - Rule id
+     * @returns {object|null} - The removed rule, or null if there was none
+     */
+    remove(id) {
+        const record = this.get(id);
+
+        if (!record) {
+            return null;
+        }
+
+        this.records = this.records.filter(r => r.id !== id);
+        this.save();
+        logger.info(`Removed ${record.type} rule ${id}`);
+
+        return record;
+    }
+
+    /**
+     * Whether a rule's time is up
+     * @param {object} record - Rule
+     * @param {number} now - Milliseconds
+     * @returns {boolean}
+     */
+    isExpired(record, now = Date.now()) {
+        return Boolean(record.expiresAt) && new Date(record.expiresAt).getTime() <= now;
+    }
+
+    /**
+     * Remove the rules whose time is up
+     * @returns {Array<object>} - Removed rules
+     */
+    removeExpired() {
+        const expired = this.records.filter(record => this.isExpired(record));
+
+        if (expired.length > 0) {
+            this.records = this.records.filter(record => !expired.includes(record));
+            this.save();
+            logger.info(`Removed ${expired.length} expired rules: ${expired.map(r => r.id).join(', ')}`);
+        }
+
+        return expired;
+    }
+
+    /**
+     * One-line description of a rule
+     * @param {object} record - Rule
+     * @returns {string}
+     */
+    describe(record) {
+        if (record.type === 'engine') {
+            return record.name;
+        }
+
+        if (record.type === 'semantic') {
+            return `${record.name} (similar to ${record.examples.length} examples)`;
+        }
+
+        if (record.type === 'spam_keywords') {
+            return `spam keyword "${record.pattern}"`;
+        }
+
+        return `ignore ${record.type.replace(/_ignore$/, '')} containing "${record.pattern}"`;
+    }
+
+    /**
+     * Rules document for backups and other installs
+     * @returns {object} - { version, exportedAt, rules }
+     */
+    export() {
+        return { version: FILE_VERSION, exportedAt: new Date().toISOString(), rules: this.records };
+    }
+
+    /**
+     * Import a rules document (either format). Nothing is imported when an
+     * entry is invalid; rules that already exist are skipped.
+     * @param {object} data - Rules document
+     * @param {object} options - { replace: true to drop the current rules first, importedBy }
+     * @returns {object} - { imported, skipped, errors: [{ index, errors }] }
+     */
+    import(data, options = {}) {
+        const entries = this.entriesOf(data);
+        const previous = this.records;
+        const errors = [];
+        let imported = 0;
+
+        // A copy, so a failed import leaves the rules as they were
+        this.records = options.replace ? [] : [...previous];
+
+        entries.forEach((entry, index) => {
+            const fields = entry || {};
+
+            // Records imported before keep their id
+            if (fields.id && this.get(fields.id)) {
+                return;
+            }
+
+            const { record, errors: entryErrors } = this.createRecord(fields, 'manual', options.importedBy || null);
+
+            if (!record) {
+                errors.push({ index, errors: entryErrors });
+            } else if (!this.duplicateOf(record)) {
+                this.records.push(record);
+                imported++;
+            }
+        });
+
+        if (errors.length > 0 || entries.length === 0) {
+            this.records = previous;
+            return {
+                imported: 0,
+                skipped: 0,
+                errors: entries.length === 0 ? [{ index: null, errors: ['no rules found'] }] : errors
+            };
+        }
+
+        this.save();
+        logger.info(`Imported ${imported} rules${options.replace ? ' (replacing the previous rules)' : ''}`);
+
+        return { imported, skipped: entries.length - imported, errors: [] };
+    }
+}
+
+// Create singleton instance
+const ruleStore = new RuleStore();
+
+module.exports = ruleStore;
+module.exports.RuleStore = RuleStore;
@@ -0,0 +1,93 @@
+const fs = require('fs');
+const path = require('path');
+const { RuleStore } = require('./ruleStore');
+
+describe('RuleStore', () => {
+    let rulesPath;
+
+    beforeEach(() => {
+        rulesPath = path.join(global.TEST_STATE_DIR, `rules-${Date.now()}-${Math.random()}.json`);
+    });
+
+    test('the rules path comes from RULES_PATH', () => {
+        expect(new RuleStore().rulesPath).toBe(process.env.RULES_PATH);
+    });
+
+    test('starts from the defaults without writing them', () => {
+        const store = new RuleStore({ rulesPath });
+
+        expect(store.list({ type: 'spam_keywords' }).map(r => r.pattern)).toEqual(['spam', 'offer', 'limited time', 'discount']);
+        expect(fs.existsSync(rulesPath)).toBe(false);
+        // Rules that were never saved keep their ids across restarts
+        expect(new RuleStore({ rulesPath }).list().map(r => r.id)).toEqual(store.list().map(r => r.id));
+    });
+
+    test('reads a file in the old format without rewriting it', () => {
+        const old = { sms_ignore: ['lottery'], rules: [{ name: 'Promos', when: { field: 'content', contains: 'sale' }, then: { drop: true } }] };
+        fs.writeFileSync(rulesPath, JSON.stringify(old));
+
+        const store = new RuleStore({ rulesPath });
+
+        expect(store.list().map(r => [r.type, r.source])).toEqual([['sms_ignore', 'static'], ['engine', 'static']]);
+        expect(JSON.parse(fs.readFileSync(rulesPath, 'utf8'))).toEqual(old);
+        expect(new RuleStore({ rulesPath }).list().map(r => r.id)).toEqual(store.list().map(r => r.id));
+    });
+
+    test('the first change saves every rule in the current format', () => {
+        const store = new RuleStore({ rulesPath });
+        const defaults = store.list().map(r => r.id);
+
+        const { rule } = store.add({ type: 'sms_ignore', pattern: 'lottery' }, { createdBy: 'ann' });
+
+        const saved = JSON.parse(fs.readFileSync(rulesPath, 'utf8'));
+        expect(saved.version).toBe(2);
+        expect(saved.rules.map(r => r.id)).toEqual([...defaults, rule.id]);
+        expect(rule).toMatchObject({ source: 'manual', createdBy: 'ann', enabled: true });
+        expect(fs.existsSync(`${rulesPath}.tmp`)).toBe(false);
+
+        store.remove(rule.id);
+        expect(JSON.parse(fs.readFileSync(`${rulesPath}.bak`, 'utf8')).rules).toHaveLength(defaults.length + 1);
+    });
+
+    test('rejects invalid rules and duplicate patterns', () => {
+        const store = new RuleStore({ rulesPath: null, data: { sms_ignore: ['Lottery'] } });
+
+        expect(store.add({ type: 'sms_ignore', pattern: 'lottery' }).errors[0]).toMatch(/already exists/);
+        expect(store.add({ type: 'sms_ignore', pattern: ' ' }).errors).toEqual(['rule.pattern is required']);
+        expect(store.add({ type: 'nope' }).errors[0]).toMatch(/^rule\.type must be/);
+        expect(store.add({ type: 'engine', name: 'x', when: { field: 'colour', equals: 'red' }, then: { drop: true } }).rule).toBeNull();
+    });
+
+    test('updates keep the id, type and source', () => {
+        const store = new RuleStore({ rulesPath: null, data: { sms_ignore: ['lottery'] } });
+        const [rule] = store.list();
+
+        expect(store.update(rule.id, { type: 'spam_keywords' }).errors).toEqual(['rule.type can\'t be changed']);
+        expect(store.update('missing', {})).toBeNull();
+
+        const { rule: updated } = store.update(rule.id, { pattern: 'jackpot' });
+        expect(updated).toMatchObject({ id: rule.id, type: 'sms_ignore', source: 'static', pattern: 'jackpot' });
+        expect(store.setEnabled(rule.id, false).enabled).toBe(false);
+    });
+
+    test('expired rules are removed', () => {
+        const store = new RuleStore({ rulesPath: null, data: { version: 2, rules: [] } });
+        const { rule } = store.add({ type: 'sms_ignore', pattern: 'lottery', expiresAt: new Date(Date.now() - 1000).toISOString() });
+        store.add({ type: 'sms_ignore', pattern: 'jackpot' });
+
+        expect(store.removeExpired()).toEqual([rule]);
+        expect(store.list().map(r => r.pattern)).toEqual(['jackpot']);
+    });
+
+    test('an import with an invalid entry imports nothing', () => {
+        const store = new RuleStore({ rulesPath: null, data: { version: 2, rules: [] } });
+
+        const failed = store.import({ version: 2, rules: [{ type: 'sms_ignore', pattern: 'a' }, { type: 'sms_ignore' }] });
+        expect(failed).toMatchObject({ imported: 0, errors: [{ index: 1, errors: ['rule.pattern is required'] }] });
+        expect(store.list()).toEqual([]);
+
+        expect(store.import({ sms_ignore: ['a', 'b'] })).toEqual({ imported: 2, skipped: 0, errors: [] });
+        // Importing an export again skips the rules it already has
+        expect(store.import(store.export())).toEqual({ imported: 0, skipped: 2, errors: [] });
+    });
+});
@@ -0,0 +1,147 @@
+const { v4: uuidv4 } = require('uuid');
+const logger = require('../utils/logger');
+const { validate } = require('../utils/schema');
+const embeddingService = require('./embeddings');
+const { cosine } = require('./embeddings');
+const VectorStore = require('./vectorStore');
+
+// Similarity a rule needs when it doesn't set its own threshold
+// (unset: the embedding provider's default)
+const DEFAULT_THRESHOLD = process.env.SEMANTIC_RULE_THRESHOLD ? parseFloat(process.env.SEMANTIC_RULE_THRESHOLD) : null;
+
+const SEMANTIC_RULE_SCHEMA = {
+    type: 'object',
+    required: ['name', 'examples'],
+    properties: {
+        name: { type: 'string', maxLength: 100 },
+        examples: { type: 'array', items: { type: 'string', maxLength: 1000 } },
+        threshold: { type: 'number', minimum: 0, maximum: 1 },
+        contentTypes: { type: 'array', items: { type: 'string', enum: ['notification', 'sms', 'whatsapp', 'call'] } }
+    }
+};
+
+/**
+ * Semantic rules: content is filtered when it is close enough to one of a
+ * rule's labeled examples. Example vectors are kept in a vector store;
+ * only the incoming content is embedded per check.
+ */
+class SemanticRuleMatcher {
+    /**
+     * @param {object} options - Matcher options
+     * @param {object} [options.embeddings] - Embedding service
+     * @param {VectorStore} [options.store] - Vector store
+     */
+    constructor(options = {}) {
+        this.embeddings = options.embeddings || embeddingService;
+        this.store = options.store || new VectorStore();
+    }
+
+    /**
+     * Check and complete a semantic rule definition
+     * @param {object} fields - { name, examples, threshold, contentTypes }
+     * @returns {object} - { rule, errors }; rule is null when there are errors
+     */
+    createRule(fields) {
+        const errors = validate(SEMANTIC_RULE_SCHEMA, fields, 'rule');
+        const examples = ((fields && fields.examples) || []).map(e => typeof e === 'string' ? e.trim() : e).filter(Boolean);
+
+        if (errors.length === 0 && examples.length === 0) {
+            errors.push('rule.examples needs at least one example');
+        }
+
+        if (errors.length > 0) {
+            return { rule: null, errors };
+        }
+
+        return {
+            rule: {
+                id: uuidv4().substring(0, 8),
+                name: fields.name,
+                examples,
+                threshold: fields.threshold !== undefined
+                    ? fields.threshold
+                    : (DEFAULT_THRESHOLD !== null ? DEFAULT_THRESHOLD : this.embeddings.defaultThreshold),
+                contentTypes: fields.contentTypes || null,
+                createdAt: new Date().toISOString()
+            },
+            errors: []
+        };
+    }
+
+    /**
+     * Vectors of the given texts, embedding (and storing) the ones not seen yet
+     * @param {Array<string>} texts - Texts
+     * @returns {Promise<Array<Array<number>>>}
+     */
+    async vectorsFor(texts) {
+        const model = this.embeddings.modelId;
+        const missing = [...new Set(texts.filter(text => !this.store.get(model, text)))];
+
+        if (missing.length > 0) {
+            const vectors = await this.embeddings.embed(missing);
+            missing.forEach((text, i) => this.store.set(model, text, vectors[i]));
+            this.store.save();
+        }
+
+        return texts.map(text => this.store.get(model, text));
+    }
+
+    /**
+     * Embed rule examples ahead of time and drop vectors no rule uses
+     * @param {Array<string>} examples - Every example text in use
+     * @returns {Promise<void>}
+     */
+    async prepare(examples) {
+        try {
+            await this.vectorsFor(examples);
+
+            if (this.store.retain(examples) > 0) {
+                this.store.save();
+            }
+        } catch (error) {
+            logger.error(`Error embedding semantic rule examples: ${error.message}`);
+        }
+    }
+
+    /**
+     * Similarity of content to each rule (its closest example)
+     * @param {string} content - Content
+     * @param {Array<object>} rules - Semantic rules
+     * @returns {Promise<Array<object>>} - [{ rule, similarity, example, matched }], best first
+     */
+    async score(content, rules) {
+        if (rules.length === 0 || !content) {
+            return [];
+        }
+
+        const [contentVector] = await this.embeddings.embed([content]);
+        const scores = [];
+
+        for (const rule of rules) {
+            const vectors = await this.vectorsFor(rule.examples);
+            let best = { similarity: -1, example: null };
+
+            vectors.forEach((vector, i) => {
+                const similarity = cosine(contentVector, vector);
+                if (similarity > best.similarity) {
+                    best = { similarity, example: rule.examples[i] };
+                }
+            });
+
+            scores.push({
+                rule,
+                similarity: Math.round(best.similarity * 1000) / 1000,
+                example: best.example,
+                matched: best.similarity >= rule.threshold
+            });
+        }
+
+        return scores.sort((a, b) => b.similarity - a.similarity);
+    }
+}
+
+// Create singleton instance
+const semanticRuleMatcher = new SemanticRuleMatcher();
+
+module.exports = semanticRuleMatcher;
+module.exports.SemanticRuleMatcher = SemanticRuleMatcher;
@@ -0,0 +1,167 @@
+jest.mock('./whatsapp', () => ({ isReady: false }));
+
+const logger = require('../utils/logger');
+const { SemanticRuleMatcher } = require('./semanticRules');
+const { EmbeddingService } = require('./embeddings');
+const { RuleEngine } = require('./ruleEngine');
+const VectorStore = require('./vectorStore');
+const { aiService } = require('./ai');
+
+describe('SemanticRuleMatcher', () => {
+    let embeddings;
+    let store;
+    let matcher;
+
+    beforeEach(() => {
+        embeddings = new EmbeddingService({ provider: 'hashed' });
+        store = new VectorStore({ storePath: null });
+        matcher = new SemanticRuleMatcher({ embeddings, store });
+    });
+
+    describe('createRule', () => {
+        test('trims the examples and uses the provider threshold by default', () => {
+            const { rule, errors } = matcher.createRule({ name: 'Sales', examples: ['  flash sale ', '', 'limited offer'] });
+
+            expect(errors).toEqual([]);
+            expect(rule).toMatchObject({
+                id: expect.stringMatching(/^[0-9a-f]{8}$/),
+                name: 'Sales',
+                examples: ['flash sale', 'limited offer'],
+                threshold: 0.5,
+                contentTypes: null
+            });
+        });
+
+        test('keeps its own threshold and content types', () => {
+            const { rule } = matcher.createRule({ name: 'Sales', examples: ['flash sale'], threshold: 0.8, contentTypes: ['sms'] });
+
+            expect(rule).toMatchObject({ threshold: 0.8, contentTypes: ['sms'] });
+        });
+
+        test.each([
+            ['no name', { examples: ['flash sale'] }, 'rule.name is required'],
+            ['no examples', { name: 'Sales' }, 'rule.examples is required'],
+            ['only blank examples', { name: 'Sales', examples: [' '] }, 'rule.examples needs at least one example'],
+            ['a threshold over 1', { name: 'Sales', examples: ['flash sale'], threshold: 1.5 }, 'rule.threshold'],
+            ['an unknown content type', { name: 'Sales', examples: ['flash sale'], contentTypes: ['email'] }, 'rule.contentTypes[0]']
+        ])('%s is an error', (label, fields, error) => {
+            const result = matcher.createRule(fields);
+
+            expect(result.rule).toBeNull();
+            expect(result.errors).toEqual([expect.stringContaining(error)]);
+        });
+    });
+
+    describe('score', () => {
+        const rule = { id: 'sales', name: 'Sales', examples: ['flash sale today', 'limited time offer'], threshold: 0.5 };
+
+        test('matches content close to an example', async () => {
+            const [score] = await matcher.score('FLASH-SALE today!', [rule]);
+
+            expect(score).toMatchObject({ rule, example: 'flash sale today', matched: true });
+            expect(score.similarity).toBeGreaterThanOrEqual(0.5);
+        });
+
+        test('does not match content under the threshold', async () => {
+            const [score] = await matcher.score('Your parcel arrives at noon', [rule]);
+
+            expect(score.matched).toBe(false);
+            expect(score.similarity).toBeLessThan(0.5);
+        });
+
+        test('the threshold decides the same similarity', async () => {
+            const [loose] = await matcher.score('flash sale this week', [{ ...rule, threshold: 0.3 }]);
+            const [strict] = await matcher.score('flash sale this week', [{ ...rule, threshold: 0.99 }]);
+
+            expect(loose.similarity).toBe(strict.similarity);
+            expect(loose.matched).toBe(true);
+            expect(strict.matched).toBe(false);
+        });
+
+        test('embeds each example once', async () => {
+            const embed = jest.spyOn(embeddings, 'embed');
+
+            await matcher.score('flash sale', [rule]);
+            await matcher.score('limited offer', [rule]);
+
+            // Content twice, the two examples once
+            expect(embed.mock.calls.map(([texts]) => texts)).toEqual([
+                ['flash sale'], ['flash sale today', 'limited time offer'], ['limited offer']
+            ]);
+        });
+
+        test('no content or no rules is no scores', async () => {
+            expect(await matcher.score('', [rule])).toEqual([]);
+            expect(await matcher.score('flash sale', [])).toEqual([]);
+        });
+    });
+
+    describe('when embedding fails', () => {
+        beforeEach(() => {
+            jest.spyOn(embeddings, 'embed').mockRejectedValue(new Error('connect ECONNREFUSED'));
+        });
+
+        test('score rejects', async () => {
+            await expect(matcher.score('flash sale', [{ examples: ['flash sale'], threshold: 0.5 }]))
+                .rejects.toThrow('connect ECONNREFUSED');
+        });
+
+        test('prepare logs the error and stores nothing', async () => {
+            const error = jest.spyOn(logger, 'error').mockImplementation(() => {});
+
+            try {
+                await matcher.prepare(['flash sale']);
+
+                expect(store.get(embeddings.modelId, 'flash sale')).toBeUndefined();
+                expect(error).toHaveBeenCalledWith('Error embedding semantic rule examples: connect ECONNREFUSED');
+            } finally {
+                error.mockRestore();
+            }
+        });
+
+        test('a similarity condition does not match', async () => {
+            const engine = new RuleEngine({ matcher });
+            const result = await engine.check({ similarTo: { examples: ['flash sale'] } }, { type: 'sms', content: 'flash sale' });
+
+            expect(result).toMatchObject({ matched: false, reasons: ['✗ similar to examples (embedding failed: connect ECONNREFUSED)'] });
+        });
+    });
+
+    describe('content types', () => {
+        let rule;
+
+        beforeEach(() => {
+            ({ rule } = aiService.addRule({ type: 'semantic', name: 'Sales', examples: ['flash sale today'], contentTypes: ['sms'] }));
+        });
+
+        afterEach(() => {
+            aiService.removeRule(rule.id);
+        });
+
+        /**
+         * Whether the semantic rule drops an event
+         * @param {object} event - Rule event
+         * @returns {Promise<boolean>}
+         */
+        async function drops(event) {
+            const engine = new RuleEngine({ matcher });
+            const ruleSet = aiService.getRuleSet().filter(candidate => candidate.id === rule.id);
+
+            return Boolean((await engine.evaluate(ruleSet, event)).rule);
+        }
+
+        test('a rule matches the content types it lists', async () => {
+            expect(await drops({ type: 'sms', content: 'FLASH-SALE today!' })).toBe(true);
+        });
+
+        test('a rule skips other content types', async () => {
+            expect(await drops({ type: 'notification', content: 'FLASH-SALE today!' })).toBe(false);
+        });
+
+        test('a rule without content types matches every type', async () => {
+            aiService.updateRule(rule.id, { contentTypes: null });
+
+            expect(await drops({ type: 'notification', content: 'FLASH-SALE today!' })).toBe(true);
+        });
+    });
+});
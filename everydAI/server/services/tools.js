@@ -0,0 +1,291 @@
+const fs = require('fs');
+const path = require('path');
+const { v4: uuidv4 } = require('uuid');
+const logger = require('../utils/logger');
+const { validate } = require('../utils/schema');
+
+// Audit log (one JSON record per line)
+const AUDIT_PATH = process.env.TOOL_AUDIT_PATH || path.join(__dirname, '../config/tool-audit.jsonl');
+
+// How long a destructive call waits for confirmation
+const CONFIRM_TTL_MS = parseInt(process.env.TOOL_CONFIRM_TTL_MS || '600000', 10);
+
+// Audit records kept in memory for the API
+const MAX_AUDIT_RECORDS = 500;
+
+/**
+ * Registry of server actions the full tier can call.
+ * Every call is audited; destructive tools wait for a confirmation in the group.
+ */
+class ToolRegistry {
+    /**
+     * @param {object} options - Registry options
+     * @param {string|null} [options.auditPath] - Audit file, null to keep records in memory only
+     */
+    constructor(options = {}) {
+        this.auditPath = options.auditPath !== undefined ? options.auditPath : AUDIT_PATH;
+        this.tools = new Map();
+        this.pending = new Map();
+        this.audit = [];
+    }
+
+    /**
+     * Register a tool
+     * @param {object} tool - Tool definition
+     * @param {string} tool.name - Tool name (snake_case)
+     * @param {string} tool.description - What the tool does, for the model
+     * @param {object} tool.parameters - JSON schema of the arguments
+     * @param {boolean} [tool.destructive] - Needs confirmation before it runs
+     * @param {Function} tool.handler - async (args, context) => result
+     * @param {Function} [tool.describe] - (args) => one-line summary for confirmations
+     */
+    register(tool) {
+        this.tools.set(tool.name, { destructive: false, ...tool });
+    }
+
+    /**
+     * List registered tools
+     * @returns {Array<object>} - [{ name, description, parameters, destructive }]
+     */
+    list() {
+        return Array.from(this.tools.values()).map(({ name, description, parameters, destructive }) => ({
+            name,
+            description,
+            parameters,
+            destructive
+        }));
+    }
+
+    /**
+     * Tool definitions in chat-completions format
+     * @returns {Array<object>}
+     */
+    getDefinitions() {
+        return this.list().map(({ name, description, parameters, destructive }) => ({
+            type: 'function',
+            function: {
+                name,
+                description: destructive ? `${description} (the user must confirm before this runs)` : description,
+                parameters
+            }
+        }));
+    }
+
+    /**
+     * Describe a call in one line
+     * @param {object} tool - Registered tool
+     * @param {object} args - Arguments
+     * @returns {string}
+     */
+    describeCall(tool, args) {
+        return tool.describe ? tool.describe(args) : `${tool.name} ${JSON.stringify(args)}`;
+    }
+
+    /**
+     * Run a tool call requested by the model. Destructive tools are parked
+     * until someone confirms them.
+     * @param {string} name - Tool name
+     * @param {object} args - Arguments
+     * @param {object} context - { chatId, requestedBy }
+     * @returns {Promise<object>} - { status: executed|failed|rejected|pending_confirmation, ... }
+     */
+    async execute(name, args = {}, context = {}) {
+        const tool = this.tools.get(name);
+
+        if (!tool) {
+            return this.record({ tool: name, args, context, status: 'rejected', error: `Unknown tool: ${name}` });
+        }
+
+        const errors = validate(tool.parameters, args);
+        if (errors.length > 0) {
+            return this.record({
+                tool: name,
+                args,
+                context,
+                status: 'rejected',
+                error: `Invalid arguments: ${errors.join('; ')}`
+            });
+        }
+
+        if (tool.destructive) {
+            const confirmation = {
+                id: uuidv4().substring(0, 6),
+                tool: name,
+                args,
+                description: this.describeCall(tool, args),
+                chatId: context.chatId || null,
+                requestedBy: context.requestedBy || null,
+                createdAt: new Date().toISOString(),
+                expiresAt: new Date(Date.now() + CONFIRM_TTL_MS).toISOString()
+            };
+
+            this.pending.set(confirmation.id, confirmation);
+
+            return this.record({
+                tool: name,
+                args,
+                context,
+                status: 'pending_confirmation',
+                confirmationId: confirmation.id,
+                description: confirmation.description
+            });
+        }
+
+        return this.run(tool, args, context);
+    }
+
+    /**
+     * Run a tool handler and audit the outcome
+     * @param {object} tool - Registered tool
+     * @param {object} args - Arguments
+     * @param {object} context - Call context
+     * @returns {Promise<object>}
+     */
+    async run(tool, args, context) {
+        try {
+            const result = await tool.handler(args, context);
+            return this.record({ tool: tool.name, args, context, status: 'executed', result });
+        } catch (error) {
+            logger.error(`Tool ${tool.name} failed:`, error);
+            return this.record({ tool: tool.name, args, context, status: 'failed', error: error.message });
+        }
+    }
+
+    /**
+     * Drop confirmations that waited too long
+     */
+    expirePending() {
+        const now = Date.now();
+
+        for (const [id, confirmation] of this.pending) {
+            if (new Date(confirmation.expiresAt).getTime() < now) {
+                this.pending.delete(id);
+                this.record({
+                    tool: confirmation.tool,
+                    args: confirmation.args,
+                    context: confirmation,
+                    status: 'expired',
+                    confirmationId: id
+                });
+            }
+        }
+    }
+
+    /**
+     * List calls waiting for confirmation
+     * @returns {Array<object>}
+     */
+    getPending() {
+        this.expirePending();
+        return Array.from(this.pending.values());
+    }
+
+    /**
+     * Confirm and run a parked call
+     * @param {string} id - Confirmation id
+     * @param {string} confirmedBy - Who confirmed
+     * @returns {Promise<object|null>} - Execution record, or null if there is no such call
+     */
+    async confirm(id, confirmedBy) {
+        this.expirePending();
+        const confirmation = this.pending.get(id);
+
+        if (!confirmation) {
+            return null;
+        }
+
+        this.pending.delete(id);
+        this.record({
+            tool: confirmation.tool,
+            args: confirmation.args,
+            context: confirmation,
+            status: 'confirmed',
+            confirmationId: id,
+            confirmedBy
+        });
+
+        return this.run(this.tools.get(confirmation.tool), confirmation.args, {
+            chatId: confirmation.chatId,
+            requestedBy: confirmation.requestedBy,
+            confirmedBy
+        });
+    }
+
+    /**
+     * Cancel a parked call
+     * @param {string} id - Confirmation id
+     * @param {string} cancelledBy - Who cancelled
+     * @returns {boolean} - Whether there was such a call
+     */
+    cancel(id, cancelledBy) {
+        const confirmation = this.pending.get(id);
+
+        if (!confirmation) {
+            return false;
+        }
+
+        this.pending.delete(id);
+        this.record({
+            tool: confirmation.tool,
+            args: confirmation.args,
+            context: confirmation,
+            status: 'cancelled',
+            confirmationId: id,
+            cancelledBy
+        });
+
+        return true;
+    }
+
+    /**
+     * Append an audit record
+     * @param {object} entry - { tool, args, context, status, ... }
+     * @returns {object} - Stored record
+     */
+    record(entry) {
+        const { context = {}, ...fields } = entry;
+        const record = {
+            timestamp: new Date().toISOString(),
+            ...fields,
+            chatId: context.chatId || null,
+            requestedBy: context.requestedBy || null
+        };
+
+        this.audit.push(record);
+        if (this.audit.length > MAX_AUDIT_RECORDS) {
+            this.audit.shift();
+        }
+
+        logger.info(`Tool ${record.tool}: ${record.status}${record.error ? ` (${record.error})` : ''}`);
+
+        if (this.auditPath) {
+            try {
+                const dir = path.dirname(this.auditPath);
+                if (!fs.existsSync(dir)) {
+                    fs.mkdirSync(dir, { recursive: true });
+                }
+
+                fs.appendFileSync(this.auditPath, JSON.stringify(record) + '\n', 'utf8');
+            } catch (error) {
+                logger.error('Error writing tool audit log:', error);
+            }
+        }
+
+        return record;
+    }
+
+    /**
+     * Recent audit records, newest first
+     * @param {number} limit - Max records
+     * @returns {Array<object>}
+     */
+    getAudit(limit = 100) {
+        return this.audit.slice(-limit).reverse();
+    }
+}
+
+// Create singleton instance
+const toolRegistry = new ToolRegistry();
+
+module.exports = toolRegistry;
+module.exports.ToolRegistry = ToolRegistry;
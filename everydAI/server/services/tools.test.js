@@ -0,0 +1,89 @@
+const fs = require('fs');
+const path = require('path');
+const { ToolRegistry } = require('./tools');
+
+describe('ToolRegistry', () => {
+    let registry;
+    let handler;
+
+    beforeEach(() => {
+        registry = new ToolRegistry({ auditPath: path.join(global.TEST_STATE_DIR, `audit-${Date.now()}-${Math.random()}.jsonl`) });
+        handler = jest.fn(async args => ({ echoed: args.text }));
+
+        registry.register({
+            name: 'echo',
+            description: 'Echo text',
+            parameters: { type: 'object', required: ['text'], properties: { text: { type: 'string' } } },
+            handler
+        });
+        registry.register({
+            name: 'wipe',
+            description: 'Delete everything',
+            destructive: true,
+            parameters: { type: 'object', required: ['what'], properties: { what: { type: 'string' } } },
+            describe: args => `Wipe ${args.what}`,
+            handler
+        });
+    });
+
+    afterEach(() => {
+        jest.useRealTimers();
+    });
+
+    test('runs safe tools right away', async () => {
+        const record = await registry.execute('echo', { text: 'hi' }, { chatId: 'group', requestedBy: 'ann' });
+
+        expect(record).toMatchObject({ tool: 'echo', status: 'executed', result: { echoed: 'hi' }, requestedBy: 'ann' });
+    });
+
+    test('rejects unknown tools and invalid arguments', async () => {
+        expect(await registry.execute('nope')).toMatchObject({ status: 'rejected', error: 'Unknown tool: nope' });
+        expect(await registry.execute('echo', { text: 5 })).toMatchObject({
+            status: 'rejected',
+            error: 'Invalid arguments: value.text must be string, got number'
+        });
+        expect(handler).not.toHaveBeenCalled();
+    });
+
+    test('destructive tools wait for confirmation', async () => {
+        const pending = await registry.execute('wipe', { what: 'rules' }, { requestedBy: 'ann' });
+
+        expect(pending).toMatchObject({ status: 'pending_confirmation', description: 'Wipe rules' });
+        expect(handler).not.toHaveBeenCalled();
+        expect(registry.getPending().map(p => p.id)).toEqual([pending.confirmationId]);
+
+        const executed = await registry.confirm(pending.confirmationId, 'bob');
+
+        expect(executed.status).toBe('executed');
+        expect(handler).toHaveBeenCalledWith({ what: 'rules' }, { chatId: null, requestedBy: 'ann', confirmedBy: 'bob' });
+        expect(await registry.confirm(pending.confirmationId, 'bob')).toBeNull();
+    });
+
+    test('cancelled calls never run', async () => {
+        const pending = await registry.execute('wipe', { what: 'rules' });
+
+        expect(registry.cancel(pending.confirmationId, 'bob')).toBe(true);
+        expect(await registry.confirm(pending.confirmationId, 'bob')).toBeNull();
+        expect(handler).not.toHaveBeenCalled();
+    });
+
+    test('confirmations expire', async () => {
+        jest.useFakeTimers();
+        const pending = await registry.execute('wipe', { what: 'rules' });
+
+        jest.advanceTimersByTime(600001);
+
+        expect(await registry.confirm(pending.confirmationId, 'bob')).toBeNull();
+        expect(registry.getAudit(1)[0]).toMatchObject({ status: 'expired', confirmationId: pending.confirmationId });
+    });
+
+    test('every step is audited to the log file', async () => {
+        const pending = await registry.execute('wipe', { what: 'rules' });
+        await registry.confirm(pending.confirmationId, 'bob');
+
+        const lines = fs.readFileSync(registry.auditPath, 'utf8').trim().split('\n').map(line => JSON.parse(line));
+
+        expect(lines.map(l => l.status)).toEqual(['pending_confirmation', 'confirmed', 'executed']);
+        expect(registry.getAudit().map(r => r.status)).toEqual(['executed', 'confirmed', 'pending_confirmation']);
+    });
+});
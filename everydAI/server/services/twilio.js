@@ -2,6 +2,7 @@ const logger = require('../utils/logger');
 const { processCallText, processSpeech } = require('./ai');
 const whatsappClient = require('./whatsapp');
 const deviceManager = require('./deviceManager');
+const database = require('../db');
 
 // Import for speech-to-text
 const { Readable } = require('stream');
@@ -33,6 +34,12 @@ class CallService {
         
         // Users actively monitoring calls
         this.callObservers = new Map();
+        
+        // Calls that were still going on when the server stopped
+        for (const call of database.calls.active()) {
+            this.activeCalls.set(call.callId, call);
+            this.callTranscriptions.set(call.callId, call.transcript);
+        }
     }
     
     /**
@@ -59,6 +66,7 @@ class CallService {
             
             // Store call
             this.activeCalls.set(callId, call);
+            database.calls.upsert(call);
             
             // Initialize audio chunks array for this call
             this.callAudioChunks.set(callId, []);
@@ -73,7 +81,8 @@ class CallService {
                 whatsappClient.sendToGroup(
                     `📞 *${isIncoming ? 'Incoming' : 'Outgoing'} Call*\n` +
                     `${isIncoming ? 'From' : 'To'}: ${phoneNumber}\n` +
-                    `ID: ${callId}`
+                    `ID: ${callId}`,
+                    { type: 'call', from: phoneNumber }
                 );
             }
             
@@ -106,12 +115,13 @@ class CallService {
                 call.answeredAt = new Date();
             } else if (status === 'ended') {
                 call.endedAt = new Date();
-                call.duration = Math.round((call.endedAt - (call.answeredAt || call.startTime)) / 1000);
+                call.duration = Math.round((call.endedAt - new Date(call.answeredAt || call.startTime)) / 1000);
                 
                 // Process any accumulated audio for final transcript
                 this.finalizeCallProcessing(callId);
             }
             
+            database.calls.upsert(call);
             logger.info(`Call ${callId} status updated to ${status}`);
             
             // Broadcast to connected clients
@@ -156,6 +166,7 @@ class CallService {
                 // Update call transcript
                 call.transcript = (call.transcript || '') + ' ' + transcriptionUpdate.transcript;
                 this.callTranscriptions.set(callId, call.transcript);
+                database.calls.addTranscript(callId, transcriptionUpdate.transcript, false);
                 
                 // Broadcast transcription update
                 this.broadcastTranscriptionUpdate(callId, transcriptionUpdate.transcript, false);
@@ -285,6 +296,9 @@ class CallService {
             
             // Store summary
             call.summary = summary;
+            if (summary) {
+                database.calls.addSummary(callId, summary);
+            }
             
             // Notify WhatsApp
             if (summary && whatsappClient.isReady && whatsappClient.assistantGroup) {
@@ -292,7 +306,8 @@ class CallService {
                     `📝 *Call Summary*\n` +
                     `${call.isIncoming ? 'From' : 'To'}: ${call.phoneNumber}\n` +
                     `Duration: ${this.formatDuration(call.duration || 0)}\n\n` +
-                    summary
+                    summary,
+                    { type: 'call', from: call.phoneNumber }
                 );
             }
             
@@ -494,12 +509,21 @@ class CallService {
     }
     
     /**
-     * Get call by ID
+     * Get call by ID, from the call history once it's no longer tracked
      * @param {string} callId - Call ID
      * @returns {object|null} - Call data or null if not found
      */
     getCall(callId) {
-        return this.activeCalls.get(callId) || null;
+        return this.activeCalls.get(callId) || database.calls.get(callId);
+    }
+    
+    /**
+     * Get past and current calls, most recent first
+     * @param {object} filter - { status, phoneNumber, limit }
+     * @returns {Array} - Array of calls
+     */
+    getCallHistory(filter = {}) {
+        return database.calls.list(filter);
     }
     
     /**
@@ -0,0 +1,312 @@
+const fs = require('fs');
+const path = require('path');
+const logger = require('../utils/logger');
+
+// Ledger file (one JSON record per line)
+const LEDGER_PATH = process.env.AI_USAGE_PATH || path.join(__dirname, '../config/usage.jsonl');
+
+// Optional price overrides
+const PRICING_PATH = path.join(__dirname, '../config/pricing.json');
+
+// Default prices in USD per 1M tokens
+const DEFAULT_PRICING = {
+    'gpt-3.5-turbo': { prompt: 0.5, completion: 1.5 },
+    'gpt-4': { prompt: 30, completion: 60 },
+    'gpt-4o': { prompt: 2.5, completion: 10 },
+    'gpt-4o-mini': { prompt: 0.15, completion: 0.6 },
+    'grok-2-latest': { prompt: 2, completion: 10 },
+    'grok-beta': { prompt: 5, completion: 15 }
+};
+
+// Providers that never cost anything
+const FREE_PROVIDERS = ['local', 'fake'];
+
+// How long records are kept for reporting and budgets
+const RETENTION_DAYS = 62;
+
+// How often the ledger file is rewritten without the records past retention
+const COMPACT_INTERVAL_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Usage ledger: token usage and estimated cost of every AI request
+ */
+class UsageLedger {
+    /**
+     * @param {object} options - Ledger options
+     * @param {string|null} [options.ledgerPath] - Ledger file, null to keep records in memory only
+     * @param {object} [options.budgets] - { day, month } in USD, 0 for unlimited
+     */
+    constructor(options = {}) {
+        this.ledgerPath = options.ledgerPath !== undefined ? options.ledgerPath : LEDGER_PATH;
+        this.records = [];
+        // Never compacted yet: the first write drops what aged out while the server was down
+        this.compactedAt = 0;
+        this.pricing = { ...DEFAULT_PRICING };
+        this.budgets = options.budgets || {
+            day: parseFloat(process.env.AI_DAILY_BUDGET_USD || '0'),
+            month: parseFloat(process.env.AI_MONTHLY_BUDGET_USD || '0')
+        };
+        this.loadPricing();
+        this.load();
+    }
+
+    /**
+     * Load price overrides from config
+     */
+    loadPricing() {
+        try {
+            if (fs.existsSync(PRICING_PATH)) {
+                const overrides = JSON.parse(fs.readFileSync(PRICING_PATH, 'utf8'));
+                this.pricing = { ...this.pricing, ...overrides };
+                logger.info(`Loaded pricing for ${Object.keys(overrides).length} models`);
+            }
+        } catch (error) {
+            logger.error('Error loading AI pricing:', error);
+        }
+    }
+
+    /**
+     * Load recent records from the ledger file
+     */
+    load() {
+        try {
+            if (!this.ledgerPath || !fs.existsSync(this.ledgerPath)) {
+                return;
+            }
+
+            const cutoff = Date.now() - RETENTION_DAYS * 24 * 60 * 60 * 1000;
+            const lines = fs.readFileSync(this.ledgerPath, 'utf8').split('\n');
+            let invalid = 0;
+
+            for (const line of lines) {
+                if (!line.trim()) continue;
+
+                let record;
+                try {
+                    record = JSON.parse(line);
+                } catch (error) {
+                    // A line cut short by a crash mid-append
+                    invalid++;
+                    continue;
+                }
+
+                if (new Date(record.timestamp).getTime() >= cutoff) {
+                    this.records.push(record);
+                }
+            }
+
+            if (invalid > 0) {
+                logger.warn(`Skipped ${invalid} unreadable AI usage records`);
+            }
+
+            logger.info(`Loaded ${this.records.length} AI usage records`);
+        } catch (error) {
+            logger.error('Error loading AI usage ledger:', error);
+        }
+    }
+
+    /**
+     * Estimate the cost of a request
+     * @param {string} provider - Provider name
+     * @param {string} model - Model name
+     * @param {number} promptTokens - Prompt tokens
+     * @param {number} completionTokens - Completion tokens
+     * @returns {number} - Cost in USD
+     */
+    estimateCost(provider, model, promptTokens, completionTokens) {
+        if (FREE_PROVIDERS.includes(provider)) {
+            return 0;
+        }
+
+        // Match dated model names (gpt-4-0613) to their base price
+        const price = this.pricing[model] || Object.entries(this.pricing)
+            .filter(([name]) => model && model.startsWith(name))
+            .sort((a, b) => b[0].length - a[0].length)
+            .map(([, p]) => p)[0];
+
+        if (!price) {
+            return 0;
+        }
+
+        return (promptTokens * price.prompt + completionTokens * price.completion) / 1000000;
+    }
+
+    /**
+     * Record an AI request
+     * @param {object} entry - Usage entry
+     * @param {string} entry.provider - Provider name
+     * @param {string} entry.model - Model name
+     * @param {string} entry.tier - AI tier
+     * @param {string} [entry.type] - Content type (notification, sms, whatsapp, call)
+     * @param {object} [entry.usage] - { promptTokens, completionTokens }
+     * @returns {object} - Stored record
+     */
+    record(entry) {
+        const usage = entry.usage || {};
+        const promptTokens = usage.promptTokens || 0;
+        const completionTokens = usage.completionTokens || 0;
+
+        const record = {
+            timestamp: new Date().toISOString(),
+            provider: entry.provider,
+            model: entry.model,
+            tier: entry.tier,
+            type: entry.type || 'other',
+            promptTokens,
+            completionTokens,
+            cost: this.estimateCost(entry.provider, entry.model, promptTokens, completionTokens)
+        };
+
+        this.records.push(record);
+        this.prune();
+
+        if (!this.ledgerPath) {
+            return record;
+        }
+
+        try {
+            const dir = path.dirname(this.ledgerPath);
+            if (!fs.existsSync(dir)) {
+                fs.mkdirSync(dir, { recursive: true });
+            }
+
+            if (Date.now() - this.compactedAt >= COMPACT_INTERVAL_MS) {
+                this.compact();
+            } else {
+                fs.appendFileSync(this.ledgerPath, JSON.stringify(record) + '\n', 'utf8');
+            }
+        } catch (error) {
+            logger.error('Error writing AI usage ledger:', error);
+        }
+
+        return record;
+    }
+
+    /**
+     * Rewrite the ledger file with only the records within the retention window
+     */
+    compact() {
+        const tempPath = `${this.ledgerPath}.tmp`;
+
+        fs.writeFileSync(tempPath, this.records.map(r => JSON.stringify(r) + '\n').join(''), 'utf8');
+        fs.renameSync(tempPath, this.ledgerPath);
+        this.compactedAt = Date.now();
+    }
+
+    /**
+     * Drop in-memory records past the retention window
+     */
+    prune() {
+        const cutoff = Date.now() - RETENTION_DAYS * 24 * 60 * 60 * 1000;
+
+        while (this.records.length > 0 && new Date(this.records[0].timestamp).getTime() < cutoff) {
+            this.records.shift();
+        }
+    }
+
+    /**
+     * Get the start of the period containing a date (UTC)
+     * @param {string} period - day or month
+     * @param {Date} date - Reference date
+     * @returns {Date}
+     */
+    getPeriodStart(period, date = new Date()) {
+        return period === 'month'
+            ? new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), 1))
+            : new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate()));
+    }
+
+    /**
+     * Get records within a period
+     * @param {string} period - day or month
+     * @param {Date} date - Reference date
+     * @returns {Array<object>}
+     */
+    getRecords(period, date = new Date()) {
+        const start = this.getPeriodStart(period, date);
+        const end = period === 'month'
+            ? new Date(Date.UTC(start.getUTCFullYear(), start.getUTCMonth() + 1, 1))
+            : new Date(start.getTime() + 24 * 60 * 60 * 1000);
+
+        return this.records.filter(r => {
+            const time = new Date(r.timestamp).getTime();
+            return time >= start.getTime() && time < end.getTime();
+        });
+    }
+
+    /**
+     * Total spend in the current period
+     * @param {string} period - day or month
+     * @returns {number} - Cost in USD
+     */
+    getSpend(period) {
+        return this.getRecords(period).reduce((sum, r) => sum + r.cost, 0);
+    }
+
+    /**
+     * Check the daily and monthly budgets
+     * @returns {object} - { exceeded, period } where period is the first exceeded budget
+     */
+    checkBudget() {
+        for (const period of ['day', 'month']) {
+            const budget = this.budgets[period];
+
+            if (budget > 0 && this.getSpend(period) >= budget) {
+                return { exceeded: true, period };
+            }
+        }
+
+        return { exceeded: false, period: null };
+    }
+
+    /**
+     * Summarize usage for a period with breakdowns
+     * @param {string} period - day or month
+     * @param {Date} date - Reference date
+     * @returns {object} - Usage summary
+     */
+    summarize(period = 'day', date = new Date()) {
+        const records = this.getRecords(period, date);
+        const emptyTotals = () => ({ requests: 0, promptTokens: 0, completionTokens: 0, cost: 0 });
+        const add = (totals, r) => {
+            totals.requests++;
+            totals.promptTokens += r.promptTokens;
+            totals.completionTokens += r.completionTokens;
+            totals.cost += r.cost;
+        };
+
+        const summary = {
+            period,
+            start: this.getPeriodStart(period, date).toISOString(),
+            totals: emptyTotals(),
+            byProvider: {},
+            byModel: {},
+            byTier: {},
+            byType: {}
+        };
+
+        for (const record of records) {
+            add(summary.totals, record);
+
+            for (const [key, field] of [['byProvider', 'provider'], ['byModel', 'model'], ['byTier', 'tier'], ['byType', 'type']]) {
+                const name = record[field] || 'unknown';
+                summary[key][name] = summary[key][name] || emptyTotals();
+                add(summary[key][name], record);
+            }
+        }
+
+        summary.budget = {
+            limit: this.budgets[period] || null,
+            spent: summary.totals.cost,
+            ...this.checkBudget()
+        };
+
+        return summary;
+    }
+}
+
+// Create singleton instance
+const usageLedger = new UsageLedger();
+
+module.exports = usageLedger;
+module.exports.UsageLedger = UsageLedger;
@@ -0,0 +1,103 @@
+const fs = require('fs');
+const path = require('path');
+const { UsageLedger } = require('./usage');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Read the records in a ledger file
+ * @param {string} file - Ledger path
+ * @returns {Array<object>}
+ */
+function readLedger(file) {
+    return fs.readFileSync(file, 'utf8').split('\n').filter(Boolean).map(line => JSON.parse(line));
+}
+
+describe('UsageLedger', () => {
+    let ledgerPath;
+
+    beforeEach(() => {
+        ledgerPath = path.join(global.TEST_STATE_DIR, `usage-${Date.now()}-${Math.random()}.jsonl`);
+    });
+
+    afterEach(() => {
+        jest.useRealTimers();
+    });
+
+    test('the ledger path comes from AI_USAGE_PATH', () => {
+        expect(new UsageLedger().ledgerPath).toBe(process.env.AI_USAGE_PATH);
+    });
+
+    test('estimates cost from model prices, dated model names and free providers', () => {
+        const ledger = new UsageLedger({ ledgerPath: null });
+
+        expect(ledger.estimateCost('openai', 'gpt-4', 1000, 1000)).toBeCloseTo(0.09);
+        expect(ledger.estimateCost('openai', 'gpt-4o-mini-2024-07-18', 1000000, 0)).toBeCloseTo(0.15);
+        expect(ledger.estimateCost('local', 'gpt-4', 1000, 1000)).toBe(0);
+        expect(ledger.estimateCost('openai', 'unknown-model', 1000, 1000)).toBe(0);
+    });
+
+    test('reports the first exceeded budget', () => {
+        const ledger = new UsageLedger({ ledgerPath: null, budgets: { day: 0.05, month: 1 } });
+
+        expect(ledger.checkBudget()).toEqual({ exceeded: false, period: null });
+
+        ledger.record({ provider: 'openai', model: 'gpt-4', tier: 'full', usage: { promptTokens: 2000, completionTokens: 0 } });
+
+        expect(ledger.checkBudget()).toEqual({ exceeded: true, period: 'day' });
+    });
+
+    test('summarizes usage by provider, model, tier and type', () => {
+        const ledger = new UsageLedger({ ledgerPath: null, budgets: { day: 0, month: 0 } });
+
+        ledger.record({ provider: 'openai', model: 'gpt-4', tier: 'full', type: 'sms', usage: { promptTokens: 10, completionTokens: 5 } });
+        ledger.record({ provider: 'fake', model: 'fake', tier: 'filter', type: 'sms', usage: { promptTokens: 3, completionTokens: 1 } });
+
+        const summary = ledger.summarize('day');
+
+        expect(summary.totals).toMatchObject({ requests: 2, promptTokens: 13, completionTokens: 6 });
+        expect(summary.byType.sms.requests).toBe(2);
+        expect(summary.byTier.filter.cost).toBe(0);
+        expect(Object.keys(summary.byProvider)).toEqual(['openai', 'fake']);
+    });
+
+    test('appends records to the ledger file and loads them back', () => {
+        const ledger = new UsageLedger({ ledgerPath });
+
+        ledger.record({ provider: 'fake', model: 'fake', tier: 'filter' });
+        ledger.record({ provider: 'fake', model: 'fake', tier: 'full' });
+
+        expect(readLedger(ledgerPath).map(r => r.tier)).toEqual(['filter', 'full']);
+        expect(new UsageLedger({ ledgerPath }).records).toHaveLength(2);
+    });
+
+    test('drops records past retention from the file', () => {
+        const old = { timestamp: new Date(Date.now() - 90 * DAY_MS).toISOString(), provider: 'openai', cost: 1 };
+        const recent = { timestamp: new Date(Date.now() - DAY_MS).toISOString(), provider: 'openai', cost: 1 };
+        fs.writeFileSync(ledgerPath, [old, recent].map(r => JSON.stringify(r)).join('\n') + '\n{"truncat');
+
+        const ledger = new UsageLedger({ ledgerPath });
+        expect(ledger.records).toEqual([recent]);
+
+        ledger.record({ provider: 'fake', model: 'fake', tier: 'filter' });
+
+        expect(readLedger(ledgerPath).map(r => r.timestamp)).toEqual([recent.timestamp, ledger.records[1].timestamp]);
+        expect(fs.existsSync(`${ledgerPath}.tmp`)).toBe(false);
+    });
+
+    test('compacts the file at most once a day', () => {
+        jest.useFakeTimers();
+        const ledger = new UsageLedger({ ledgerPath });
+        const compact = jest.spyOn(ledger, 'compact');
+
+        ledger.record({ provider: 'fake', model: 'fake', tier: 'filter' });
+        ledger.record({ provider: 'fake', model: 'fake', tier: 'filter' });
+        expect(compact).toHaveBeenCalledTimes(1);
+
+        jest.advanceTimersByTime(DAY_MS);
+        ledger.record({ provider: 'fake', model: 'fake', tier: 'filter' });
+
+        expect(compact).toHaveBeenCalledTimes(2);
+        expect(readLedger(ledgerPath)).toHaveLength(3);
+    });
+});
@@ -0,0 +1,129 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const logger = require('../utils/logger');
+
+// Embedded examples, so they aren't re-embedded on every start
+const VECTORS_PATH = process.env.VECTORS_PATH || path.join(__dirname, '../config/vectors.json');
+
+/**
+ * Small on-disk vector store: one vector per (model, text)
+ */
+class VectorStore {
+    /**
+     * @param {object} options - Store options
+     * @param {string|null} [options.storePath] - Store file, null to keep vectors in memory only
+     */
+    constructor(options = {}) {
+        this.storePath = options.storePath !== undefined ? options.storePath : VECTORS_PATH;
+        // model -> Map(text hash -> vector)
+        this.models = new Map();
+        this.load();
+    }
+
+    /**
+     * Key of a text within a model
+     * @param {string} text - Text
+     * @returns {string}
+     */
+    hash(text) {
+        return crypto.createHash('sha256').update(text).digest('hex').substring(0, 32);
+    }
+
+    /**
+     * Load vectors from disk
+     */
+    load() {
+        if (!this.storePath || !fs.existsSync(this.storePath)) {
+            return;
+        }
+
+        try {
+            const data = JSON.parse(fs.readFileSync(this.storePath, 'utf8'));
+
+            for (const [model, vectors] of Object.entries(data.models || {})) {
+                this.models.set(model, new Map(Object.entries(vectors)));
+            }
+
+            logger.info(`Loaded vectors for ${this.models.size} embedding models`);
+        } catch (error) {
+            logger.error('Error loading vector store:', error);
+        }
+    }
+
+    /**
+     * Write vectors to disk (temp file + rename)
+     */
+    save() {
+        if (!this.storePath) {
+            return;
+        }
+
+        try {
+            const dir = path.dirname(this.storePath);
+            if (!fs.existsSync(dir)) {
+                fs.mkdirSync(dir, { recursive: true });
+            }
+
+            const models = {};
+            for (const [model, vectors] of this.models) {
+                models[model] = Object.fromEntries(vectors);
+            }
+
+            const tempPath = `${this.storePath}.tmp`;
+            fs.writeFileSync(tempPath, JSON.stringify({ models }), 'utf8');
+            fs.renameSync(tempPath, this.storePath);
+        } catch (error) {
+            logger.error('Error saving vector store:', error);
+        }
+    }
+
+    /**
+     * Get the vector of a text
+     * @param {string} model - Embedding model id
+     * @param {string} text - Text
+     * @returns {Array<number>|undefined}
+     */
+    get(model, text) {
+        const vectors = this.models.get(model);
+        return vectors ? vectors.get(this.hash(text)) : undefined;
+    }
+
+    /**
+     * Store the vector of a text (call save() afterwards)
+     * @param {string} model - Embedding model id
+     * @param {string} text - Text
+     * @param {Array<number>} vector - Vector
+     */
+    set(model, text, vector) {
+        if (!this.models.has(model)) {
+            this.models.set(model, new Map());
+        }
+
+        // Rounded: the store is JSON and full doubles triple its size
+        this.models.get(model).set(this.hash(text), vector.map(x => Math.round(x * 1e6) / 1e6));
+    }
+
+    /**
+     * Drop every vector except those of the given texts, in all models
+     * @param {Array<string>} texts - Texts still in use
+     * @returns {number} - Vectors dropped
+     */
+    retain(texts) {
+        const keep = new Set(texts.map(text => this.hash(text)));
+        let dropped = 0;
+
+        for (const vectors of this.models.values()) {
+            for (const key of vectors.keys()) {
+                if (!keep.has(key)) {
+                    vectors.delete(key);
+                    dropped++;
+                }
+            }
+        }
+
+        return dropped;
+    }
+}
+
+module.exports = VectorStore;
@@ -0,0 +1,63 @@
+const fs = require('fs');
+const path = require('path');
+const logger = require('../utils/logger');
+const VectorStore = require('./vectorStore');
+
+describe('VectorStore', () => {
+    let storePath;
+
+    beforeEach(() => {
+        storePath = path.join(global.TEST_STATE_DIR, `vectors-${Date.now()}-${Math.random()}.json`);
+    });
+
+    test('keeps one vector per model and text', () => {
+        const store = new VectorStore({ storePath: null });
+        store.set('hashed:512', 'flash sale', [1, 0]);
+        store.set('local:nomic-embed-text', 'flash sale', [0, 1]);
+
+        expect(store.get('hashed:512', 'flash sale')).toEqual([1, 0]);
+        expect(store.get('local:nomic-embed-text', 'flash sale')).toEqual([0, 1]);
+        expect(store.get('hashed:512', 'other')).toBeUndefined();
+        expect(store.get('unknown', 'flash sale')).toBeUndefined();
+    });
+
+    test('rounds vectors to six decimals', () => {
+        const store = new VectorStore({ storePath: null });
+        store.set('hashed:512', 'flash sale', [0.123456789, -0.987654321]);
+
+        expect(store.get('hashed:512', 'flash sale')).toEqual([0.123457, -0.987654]);
+    });
+
+    test('retain drops the vectors of other texts in every model', () => {
+        const store = new VectorStore({ storePath: null });
+        store.set('hashed:512', 'keep', [1, 0]);
+        store.set('hashed:512', 'drop', [0, 1]);
+        store.set('local:nomic-embed-text', 'drop', [0, 1]);
+
+        expect(store.retain(['keep'])).toBe(2);
+        expect(store.get('hashed:512', 'keep')).toEqual([1, 0]);
+        expect(store.get('hashed:512', 'drop')).toBeUndefined();
+        expect(store.get('local:nomic-embed-text', 'drop')).toBeUndefined();
+    });
+
+    test('vectors survive a restart', () => {
+        const saved = new VectorStore({ storePath });
+        saved.set('hashed:512', 'flash sale', [0.6, 0.8]);
+        saved.save();
+
+        expect(fs.existsSync(`${storePath}.tmp`)).toBe(false);
+        expect(new VectorStore({ storePath }).get('hashed:512', 'flash sale')).toEqual([0.6, 0.8]);
+    });
+
+    test('a corrupt file is logged and starts empty', () => {
+        const error = jest.spyOn(logger, 'error').mockImplementation(() => {});
+        fs.writeFileSync(storePath, '{ not json', 'utf8');
+
+        try {
+            expect(new VectorStore({ storePath }).models.size).toBe(0);
+            expect(error).toHaveBeenCalledWith('Error loading vector store:', expect.any(SyntaxError));
+        } finally {
+            error.mockRestore();
+        }
+    });
+});
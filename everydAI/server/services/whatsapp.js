@@ -4,6 +4,7 @@ const fs = require('fs');
 const path = require('path');
 const logger = require('../utils/logger');
 const { processWhatsAppMessage } = require('./ai');
+const conversationMemory = require('./memory');
 
 // Define session path
 const SESSION_PATH = process.env.WHATSAPP_SESSION_PATH || './whatsapp-session';
@@ -22,11 +23,15 @@ class WhatsAppClient {
         this.isReady = false;
         this.assistantGroup = null;
         this.commandHandlers = new Map();
+        // Decides whether a direct message gets an answer (see services/autoReply.js)
+        this.directMessageHandler = null;
+        // Holds group messages back during do-not-disturb (see services/dnd.js)
+        this.groupGate = null;
         
         // Register built-in commands
         this.registerCommand('help', this.handleHelpCommand);
         this.registerCommand('status', this.handleStatusCommand);
-        this.registerCommand('ignore', this.handleIgnoreCommand);
+        this.registerCommand('forget', this.handleForgetCommand);
     }
     
     /**
@@ -185,6 +190,7 @@ class WhatsAppClient {
             
             // Process the message with AI
             const response = await processWhatsAppMessage(messageText, {
+                chatId: chat.id._serialized,
                 sender: senderName,
                 isGroup: true,
                 groupName: chat.name
@@ -212,23 +218,18 @@ class WhatsAppClient {
             
             logger.info(`Processing direct message from ${senderName}`);
             
-            // Send typing indicator
-            chat.sendStateTyping();
-            
-            // Process with AI
-            const response = await processWhatsAppMessage(message.body, {
-                sender: senderName,
-                isGroup: false
-            });
+            // Only answer when an auto-reply policy matches; never reply blindly
+            const outcome = this.directMessageHandler
+                ? await this.directMessageHandler({ message, chat, contact: sender, senderName })
+                : null;
             
-            // Send response
-            if (response) {
-                await chat.sendMessage(response);
-            }
-            
-            // Optionally, forward message to assistant group if it exists
+            // Forward message to assistant group if it exists
             if (this.assistantGroup) {
-                await this.assistantGroup.sendMessage(`📱 *Message from ${senderName}*:\n${message.body}`);
+                await this.sendToGroup(
+                    `📱 *Message from ${senderName}*:\n${message.body}` +
+                    (outcome ? `\n\n${outcome.note}` : ''),
+                    { type: 'whatsapp', from: sender.number, contact: sender.pushname }
+                );
             }
         } catch (error) {
             logger.error('Error processing direct message:', error);
@@ -269,6 +270,22 @@ class WhatsAppClient {
         this.commandHandlers.set(command.toLowerCase(), handler);
     }
     
+    /**
+     * Set the handler that decides whether a direct message is answered
+     * @param {Function} handler - async ({ message, chat, contact, senderName }) => outcome with a note for the group, or null
+     */
+    setDirectMessageHandler(handler) {
+        this.directMessageHandler = handler;
+    }
+    
+    /**
+     * Set the gate that may hold group messages back (do-not-disturb)
+     * @param {object} gate - { hold(message, meta) => true if held for later, describe() => status line }
+     */
+    setGroupGate(gate) {
+        this.groupGate = gate;
+    }
+    
     /**
      * Handle disconnection
      */
@@ -311,21 +328,61 @@ class WhatsAppClient {
     }
     
     /**
-     * Send message to assistant group
+     * Send message to assistant group. During do-not-disturb the message may
+     * be held and delivered when it ends, unless it breaks through.
      * @param {string} message - Message to send
-     * @returns {Promise<boolean>} - Success status
+     * @param {object} [meta] - What it is about: { type, category, from, contact, urgent }
+     * @returns {Promise<boolean>} - Success status (true when held for later)
      */
-    async sendToGroup(message) {
+    async sendToGroup(message, meta = {}) {
+        if (this.groupGate && this.groupGate.hold(message, meta)) {
+            return true;
+        }
+        
+        return Boolean(await this.postToGroup(message));
+    }
+    
+    /**
+     * Send message to assistant group and keep a handle on it
+     * @param {string} message - Message to send
+     * @returns {Promise<Message|null>} - Sent message, or null on failure
+     */
+    async postToGroup(message) {
         if (!this.isReady || !this.assistantGroup) {
             logger.warn('WhatsApp client not ready or group not found');
+            return null;
+        }
+        
+        try {
+            return await this.client.sendMessage(this.assistantGroup.id._serialized, message);
+        } catch (error) {
+            logger.error('Failed to send message to assistant group:', error);
+            return null;
+        }
+    }
+    
+    /**
+     * Replace the text of a message we sent; falls back to delete and re-send
+     * when WhatsApp refuses the edit (e.g. past the edit window)
+     * @param {Message} sent - Message returned by postToGroup
+     * @param {string} text - New text
+     * @returns {Promise<boolean>} - Success status
+     */
+    async editMessage(sent, text) {
+        if (!this.isReady || !sent) {
             return false;
         }
         
         try {
-            await this.client.sendMessage(this.assistantGroup.id._serialized, message);
+            if (await sent.edit(text)) {
+                return true;
+            }
+            
+            await sent.delete(true);
+            await this.client.sendMessage(sent.id.remote, text);
             return true;
         } catch (error) {
-            logger.error('Failed to send message to assistant group:', error);
+            logger.error('Failed to edit WhatsApp message:', error);
             return false;
         }
     }
@@ -361,6 +418,7 @@ You can also ask me anything directly in this group or via direct message.
 
 WhatsApp: ${this.isReady ? '✅ Connected' : '❌ Disconnected'}
 Assistant Group: ${this.assistantGroup ? '✅ Found' : '❌ Not found'}
+Do not disturb: ${this.groupGate ? this.groupGate.describe() : 'Off'}
 Uptime: ${this.getUptime()}
         `.trim();
         
@@ -368,24 +426,14 @@ Uptime: ${this.getUptime()}
     }
     
     /**
-     * Handle ignore command
+     * Handle forget command: clear this chat's conversation memory
      * @param {Message} message - Message object
-     * @param {Array<string>} args - Command arguments
      */
-    async handleIgnoreCommand(message, args) {
-        if (args.length === 0) {
-            await message.reply('Usage: !ignore <pattern>\nAdds a pattern to ignore in notifications/messages');
-            return;
-        }
-        
-        const pattern = args.join(' ');
-        
-        // Here we would add the pattern to a database or file
-        // For now we'll just acknowledge
-        await message.reply(`Added pattern to ignore: "${pattern}"`);
+    async handleForgetCommand(message) {
+        const chat = await message.getChat();
+        conversationMemory.clearChat(chat.id._serialized);
         
-        // In a real implementation, we would save this to a database
-        // and use it in AI filtering
+        await message.reply('🧹 Conversation memory cleared for this chat.');
     }
     
     /**
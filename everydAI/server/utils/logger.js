@@ -29,8 +29,37 @@ const colors = {
 // Add colors to winston
 winston.addColors(colors);
 
-// Define the format for logs
+// Values masked in every log line (one-time codes and similar)
+const secrets = new Set();
+
+// How many secrets are remembered before the oldest is forgotten
+const MAX_SECRETS = 200;
+
+// Mask registered secrets in a string
+const mask = (text) => {
+    for (const secret of secrets) {
+        text = text.split(secret).join('•'.repeat(secret.length));
+    }
+    return text;
+};
+
+// Mask registered secrets in the message and any other text field, such as
+// the stack of an error passed as meta. Runs before the timestamp is added,
+// so a secret made of digits never masks part of the date.
+const redact = winston.format((info) => {
+    if (secrets.size > 0) {
+        for (const key of Object.keys(info)) {
+            if (key !== 'level' && typeof info[key] === 'string') {
+                info[key] = mask(info[key]);
+            }
+        }
+    }
+    return info;
+});
+
+// Define the format for logs (redacted first, before the line is built)
 const format = winston.format.combine(
+    redact(),
     winston.format.timestamp({ format: 'YYYY-MM-DD HH:mm:ss:ms' }),
     winston.format.colorize({ all: true }),
     winston.format.printf(
@@ -63,4 +92,28 @@ const logger = winston.createLogger({
     transports,
 });
 
+/**
+ * Never write a value to the logs
+ * @param {string} value - Secret value
+ */
+logger.addSecret = (value) => {
+    if (!value) return;
+    
+    secrets.add(String(value));
+    
+    if (secrets.size > MAX_SECRETS) {
+        secrets.delete(secrets.values().next().value);
+    }
+};
+
+/**
+ * Stop masking a value, e.g. once a code has expired
+ * @param {string} value - Secret value
+ */
+logger.removeSecret = (value) => {
+    if (!value) return;
+    
+    secrets.delete(String(value));
+};
+
 module.exports = logger;
@@ -0,0 +1,67 @@
+const { PassThrough } = require('stream');
+const winston = require('winston');
+const logger = require('./logger');
+
+describe('logger redaction', () => {
+    let lines;
+    let transport;
+
+    beforeEach(() => {
+        lines = [];
+        const stream = new PassThrough({ objectMode: true });
+        stream.on('data', info => lines.push(info));
+        transport = new winston.transports.Stream({ stream });
+        logger.add(transport);
+        logger.addSecret('482913');
+    });
+
+    afterEach(() => {
+        logger.remove(transport);
+        logger.removeSecret('482913');
+    });
+
+    test('masks secrets in the message', () => {
+        logger.error('Your code is 482913');
+
+        expect(lines[0][Symbol.for('message')]).toContain('Your code is ••••••');
+        expect(lines[0][Symbol.for('message')]).not.toContain('482913');
+    });
+
+    test('masks secrets in errors passed as meta, stack included', () => {
+        logger.error('Forward failed:', new Error('could not send "code 482913"'));
+
+        const info = lines[0];
+        expect(info[Symbol.for('message')]).not.toContain('482913');
+        expect(info.message).not.toContain('482913');
+        expect(info.stack).toContain('••••••');
+        expect(info.stack).not.toContain('482913');
+    });
+
+    test('masks secrets in meta fields', () => {
+        logger.error('Delivery failed', { body: 'OTP 482913 for your login' });
+
+        expect(lines[0].body).toBe('OTP •••••• for your login');
+    });
+
+    test('never masks the timestamp or level', () => {
+        const year = String(new Date().getFullYear());
+        logger.addSecret(year);
+
+        try {
+            logger.error(`Happy new year ${year}`);
+
+            const line = lines[0][Symbol.for('message')];
+            expect(line.startsWith(`${year}-`)).toBe(true);
+            expect(line).toContain('Happy new year ••••');
+        } finally {
+            logger.removeSecret(year);
+        }
+    });
+
+    test('a removed secret shows again', () => {
+        logger.removeSecret('482913');
+        logger.error('Your code was 482913');
+
+        expect(lines[0][Symbol.for('message')]).toContain('Your code was 482913');
+    });
+});
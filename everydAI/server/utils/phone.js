@@ -0,0 +1,38 @@
+/**
+ * Phone number helpers shared by auto-reply policies and do-not-disturb
+ */
+
+/**
+ * Digits of a phone number
+ * @param {string} value - Phone number
+ * @returns {string}
+ */
+function digits(value) {
+    return String(value || '').replace(/\D/g, '');
+}
+
+/**
+ * Whether a sender is one of a list of contacts. Entries are names (any
+ * case) or numbers, compared on their last digits so "+1 555 123 4567"
+ * matches "5551234567".
+ * @param {Array<string>} entries - Contact names and numbers
+ * @param {string} number - Sender's number
+ * @param {string} [name] - Sender's contact name
+ * @returns {boolean}
+ */
+function matchesContact(entries, number, name) {
+    const senderDigits = digits(number);
+    const senderName = (name || '').toLowerCase();
+
+    return entries.some(entry => {
+        const entryDigits = digits(entry);
+        return (senderName !== '' && entry.toLowerCase() === senderName) ||
+            (entryDigits.length >= 6 && senderDigits.length >= 6 &&
+                (senderDigits.endsWith(entryDigits) || entryDigits.endsWith(senderDigits)));
+    });
+}
+
+module.exports = {
+    digits,
+    matchesContact
+};
@@ -0,0 +1,109 @@
+/**
+ * Minimal declarative validator for model output.
+ *
+ * Supported schema keywords: type (string, number, boolean, object, array,
+ * or an array of those plus 'null'), enum, minimum, maximum, maxLength,
+ * properties, required (array of property names) and items.
+ */
+
+/**
+ * Get the schema type name of a value
+ * @param {*} value - Value to inspect
+ * @returns {string}
+ */
+function typeOf(value) {
+    if (value === null) return 'null';
+    if (Array.isArray(value)) return 'array';
+    return typeof value;
+}
+
+/**
+ * Validate a value against a schema
+ * @param {object} schema - Schema
+ * @param {*} value - Value to validate
+ * @param {string} [at] - Path used in error messages
+ * @returns {Array<string>} - Validation errors (empty when valid)
+ */
+function validate(schema, value, at = 'value') {
+    const errors = [];
+    const types = Array.isArray(schema.type) ? schema.type : [schema.type];
+    const actual = typeOf(value);
+
+    if (schema.type && !types.includes(actual)) {
+        errors.push(`${at} must be ${types.join(' or ')}, got ${actual}`);
+        return errors;
+    }
+
+    if (schema.enum && value !== null && !schema.enum.includes(value)) {
+        errors.push(`${at} must be one of ${schema.enum.join(', ')}`);
+    }
+
+    if (actual === 'number') {
+        if (Number.isNaN(value)) {
+            errors.push(`${at} must be a number`);
+        }
+        if (schema.minimum !== undefined && value < schema.minimum) {
+            errors.push(`${at} must be >= ${schema.minimum}`);
+        }
+        if (schema.maximum !== undefined && value > schema.maximum) {
+            errors.push(`${at} must be <= ${schema.maximum}`);
+        }
+    }
+
+    if (actual === 'string' && schema.maxLength !== undefined && value.length > schema.maxLength) {
+        errors.push(`${at} must be at most ${schema.maxLength} characters`);
+    }
+
+    if (actual === 'object' && schema.properties) {
+        for (const name of schema.required || []) {
+            if (value[name] === undefined) {
+                errors.push(`${at}.${name} is required`);
+            }
+        }
+
+        for (const [name, propertySchema] of Object.entries(schema.properties)) {
+            if (value[name] !== undefined) {
+                errors.push(...validate(propertySchema, value[name], `${at}.${name}`));
+            }
+        }
+    }
+
+    if (actual === 'array' && schema.items) {
+        value.forEach((item, index) => {
+            errors.push(...validate(schema.items, item, `${at}[${index}]`));
+        });
+    }
+
+    return errors;
+}
+
+/**
+ * Parse model output as JSON, repairing common formatting slips
+ * (markdown code fences, prose around the object)
+ * @param {string} text - Raw model output
+ * @returns {*} - Parsed value
+ * @throws {SyntaxError} - When no JSON object can be recovered
+ */
+function parseJSON(text) {
+    const raw = (text || '').trim();
+
+    try {
+        return JSON.parse(raw);
+    } catch (error) {
+        // Strip ```json fences and anything outside the outermost braces
+        const unfenced = raw.replace(/```(?:json)?/gi, '');
+        const start = unfenced.indexOf('{');
+        const end = unfenced.lastIndexOf('}');
+
+        if (start === -1 || end <= start) {
+            throw error;
+        }
+
+        return JSON.parse(unfenced.substring(start, end + 1));
+    }
+}
+
+module.exports = {
+    validate,
+    parseJSON
+};
@@ -0,0 +1,50 @@
+const { validate, parseJSON } = require('./schema');
+
+describe('validate', () => {
+    const schema = {
+        type: 'object',
+        required: ['score', 'label'],
+        properties: {
+            score: { type: 'number', minimum: 0, maximum: 1 },
+            label: { type: 'string', enum: ['a', 'b'], maxLength: 1 },
+            note: { type: ['string', 'null'] },
+            tags: { type: 'array', items: { type: 'string' } }
+        }
+    };
+
+    test('accepts a valid value', () => {
+        expect(validate(schema, { score: 0.4, label: 'a', note: null, tags: ['x'] })).toEqual([]);
+    });
+
+    test('reports every problem with its path', () => {
+        expect(validate(schema, { score: 2, label: 'c', tags: ['x', 3] }, 'verdict')).toEqual([
+            'verdict.score must be <= 1',
+            'verdict.label must be one of a, b',
+            'verdict.tags[1] must be string, got number'
+        ]);
+    });
+
+    test('reports missing required fields and wrong types', () => {
+        expect(validate(schema, { note: 5 })).toEqual([
+            'value.score is required',
+            'value.label is required',
+            'value.note must be string or null, got number'
+        ]);
+        expect(validate(schema, [])).toEqual(['value must be object, got array']);
+    });
+});
+
+describe('parseJSON', () => {
+    test('parses plain JSON', () => {
+        expect(parseJSON('{"a":1}')).toEqual({ a: 1 });
+    });
+
+    test('recovers an object from code fences and prose', () => {
+        expect(parseJSON('Sure! ```json\n{"a": 1}\n``` Hope that helps')).toEqual({ a: 1 });
+    });
+
+    test('throws when there is no object', () => {
+        expect(() => parseJSON('no json here')).toThrow(SyntaxError);
+        expect(() => parseJSON('')).toThrow(SyntaxError);
+    });
+});
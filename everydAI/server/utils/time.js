@@ -0,0 +1,83 @@
+/**
+ * Time helpers shared by auto-reply policies, filter rules and commands
+ */
+
+/**
+ * Parse HH:MM into minutes after midnight
+ * @param {string} value - Time of day
+ * @returns {number|null}
+ */
+function parseTime(value) {
+    const match = /^([01]?\d|2[0-3]):([0-5]\d)$/.exec(value || '');
+    return match ? parseInt(match[1], 10) * 60 + parseInt(match[2], 10) : null;
+}
+
+/**
+ * Whether a moment falls inside a daily window
+ * @param {Date} at - Moment to check
+ * @param {object} window - { from: 'HH:MM', to: 'HH:MM', days: [0-6] (0 = Sunday, optional) }
+ * @returns {boolean}
+ */
+function inTimeWindow(at, window) {
+    const minutes = at.getHours() * 60 + at.getMinutes();
+    const from = parseTime(window.from);
+    const to = parseTime(window.to);
+    // Windows like 22:00-07:00 wrap past midnight
+    const inWindow = from <= to
+        ? minutes >= from && minutes < to
+        : minutes >= from || minutes < to;
+    // Days name the day a window starts on, so the early hours of a
+    // wrapping window belong to the day before
+    const day = from > to && minutes < to ? (at.getDay() + 6) % 7 : at.getDay();
+
+    return inWindow && (!window.days || window.days.includes(day));
+}
+
+// Milliseconds per duration unit
+const DURATION_UNITS = {
+    m: 60000,
+    min: 60000,
+    mins: 60000,
+    minute: 60000,
+    minutes: 60000,
+    h: 3600000,
+    hr: 3600000,
+    hrs: 3600000,
+    hour: 3600000,
+    hours: 3600000,
+    d: 86400000,
+    day: 86400000,
+    days: 86400000
+};
+
+/**
+ * Parse a duration like 30m, 2h, 1d or "2 hours"
+ * @param {string} value - Duration
+ * @returns {number|null} - Milliseconds
+ */
+function parseDuration(value) {
+    const match = /^(\d+(?:\.\d+)?)\s*([a-z]+)$/i.exec((value || '').trim());
+    const unit = match && DURATION_UNITS[match[2].toLowerCase()];
+
+    return unit && parseFloat(match[1]) > 0 ? Math.round(parseFloat(match[1]) * unit) : null;
+}
+
+/**
+ * Describe a moment relative to today: "14:30", or "Mon 14:30" on another day
+ * @param {Date} at - Moment
+ * @returns {string}
+ */
+function formatUntil(at) {
+    const time = at.toTimeString().substring(0, 5);
+
+    return at.toDateString() === new Date().toDateString()
+        ? time
+        : `${at.toLocaleDateString([], { weekday: 'short', day: 'numeric', month: 'short' })} ${time}`;
+}
+
+module.exports = {
+    parseTime,
+    inTimeWindow,
+    parseDuration,
+    formatUntil
+};
@@ -0,0 +1,77 @@
+const { parseTime, inTimeWindow, parseDuration } = require('./time');
+
+/**
+ * A local moment on a known day: 2026-10-19 is a Monday
+ * @param {number} date - Day of October 2026
+ * @param {string} time - HH:MM
+ * @returns {Date}
+ */
+function at(date, time) {
+    const [hours, minutes] = time.split(':').map(Number);
+    return new Date(2026, 9, date, hours, minutes);
+}
+
+describe('inTimeWindow', () => {
+    test('same-day windows include the start and exclude the end', () => {
+        const window = { from: '09:00', to: '17:00' };
+
+        expect(inTimeWindow(at(19, '09:00'), window)).toBe(true);
+        expect(inTimeWindow(at(19, '16:59'), window)).toBe(true);
+        expect(inTimeWindow(at(19, '17:00'), window)).toBe(false);
+    });
+
+    test('windows past midnight wrap', () => {
+        const window = { from: '22:00', to: '07:00' };
+
+        expect(inTimeWindow(at(19, '23:30'), window)).toBe(true);
+        expect(inTimeWindow(at(20, '06:59'), window)).toBe(true);
+        expect(inTimeWindow(at(20, '07:00'), window)).toBe(false);
+        expect(inTimeWindow(at(19, '21:59'), window)).toBe(false);
+    });
+
+    test('days limit a same-day window', () => {
+        const weekdays = { from: '09:00', to: '17:00', days: [1, 2, 3, 4, 5] };
+
+        expect(inTimeWindow(at(19, '10:00'), weekdays)).toBe(true);
+        expect(inTimeWindow(at(18, '10:00'), weekdays)).toBe(false);
+    });
+
+    test('the early hours of a wrapping window count for the day it started', () => {
+        // Friday and Saturday nights
+        const weekend = { from: '22:00', to: '07:00', days: [5, 6] };
+
+        expect(inTimeWindow(at(23, '23:00'), weekend)).toBe(true);
+        // Saturday 02:00 is still Friday night
+        expect(inTimeWindow(at(24, '02:00'), weekend)).toBe(true);
+        // Sunday 02:00 is still Saturday night
+        expect(inTimeWindow(at(25, '02:00'), weekend)).toBe(true);
+        // Monday 02:00 is Sunday night
+        expect(inTimeWindow(at(26, '02:00'), weekend)).toBe(false);
+        // Friday 02:00 is Thursday night
+        expect(inTimeWindow(at(23, '02:00'), weekend)).toBe(false);
+    });
+
+    test('Sunday night wraps into Monday morning', () => {
+        const sunday = { from: '23:00', to: '06:00', days: [0] };
+
+        expect(inTimeWindow(at(26, '05:00'), sunday)).toBe(true);
+        expect(inTimeWindow(at(25, '05:00'), sunday)).toBe(false);
+    });
+});
+
+describe('parsing', () => {
+    test('parseTime reads HH:MM', () => {
+        expect(parseTime('07:30')).toBe(450);
+        expect(parseTime('7:05')).toBe(425);
+        expect(parseTime('24:00')).toBeNull();
+        expect(parseTime(undefined)).toBeNull();
+    });
+
+    test('parseDuration reads units and spelled-out units', () => {
+        expect(parseDuration('30m')).toBe(30 * 60000);
+        expect(parseDuration('2 hours')).toBe(2 * 3600000);
+        expect(parseDuration('1.5h')).toBe(90 * 60000);
+        expect(parseDuration('0m')).toBeNull();
+        expect(parseDuration('soon')).toBeNull();
+    });
+});